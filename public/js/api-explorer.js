@@ -0,0 +1,226 @@
+// API explorer: renders /api/openapi.json and sends requests with the dashboard session or an API key
+const SCHEMA_PREFIX = '#/components/schemas/';
+
+let apiSpec = null;
+
+function escapeHtml(text) {
+    if (typeof text !== 'string') return text;
+
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function resolveSchema(schema) {
+    return schema && schema.$ref ? apiSpec.components.schemas[schema.$ref.slice(SCHEMA_PREFIX.length)] : schema;
+}
+
+/**
+ * Short type label for a schema, e.g. "SystemHealth", "Alert[]" or "number | null"
+ * @param {Object} schema
+ * @returns {string}
+ */
+function schemaLabel(schema) {
+    if (!schema) return '';
+    if (schema.$ref) return schema.$ref.slice(SCHEMA_PREFIX.length);
+    if (schema.type === 'array') return `${schemaLabel(schema.items)}[]`;
+    if (schema.oneOf) return schema.oneOf.map(schemaLabel).join(' | ');
+    if (schema.allOf) return schema.allOf.map(schemaLabel).join(' & ');
+    const type = schema.enum ? schema.enum.map(value => `"${value}"`).join(' | ') : (schema.format || schema.type || 'any');
+    return schema.nullable ? `${type} | null` : type;
+}
+
+// Property list for an object schema; nested $refs stay collapsed as links to their own definition
+function renderSchema(schema) {
+    const resolved = resolveSchema(schema);
+    if (!resolved) return '';
+    if (resolved.type === 'array') {
+        return `<div class="api-schema-note">Array of ${escapeHtml(schemaLabel(resolved.items))}</div>${renderSchema(resolved.items)}`;
+    }
+    if (resolved.allOf) {
+        return resolved.allOf.map(renderSchema).join('');
+    }
+    if (!resolved.properties) {
+        return `<div class="api-schema-note">${escapeHtml(schemaLabel(resolved))}</div>`;
+    }
+
+    const required = resolved.required || [];
+    const rows = Object.entries(resolved.properties).map(([name, property]) => `
+        <tr>
+            <td><code>${escapeHtml(name)}</code>${required.includes(name) ? '' : ' <span class="api-optional">optional</span>'}</td>
+            <td>${escapeHtml(schemaLabel(property))}</td>
+        </tr>
+    `).join('');
+    return `
+        ${resolved.description ? `<div class="api-schema-note">${escapeHtml(resolved.description)}</div>` : ''}
+        <table class="fleet-table api-schema"><tbody>${rows}</tbody></table>
+    `;
+}
+
+function renderParameterInput(operationKey, param) {
+    const id = `${operationKey}-${param.name}`;
+    const schema = param.schema || {};
+    const placeholder = schema.default === undefined ? '' : String(schema.default);
+    let input;
+
+    if (schema.type === 'boolean' || schema.enum) {
+        const values = schema.type === 'boolean' ? ['true', 'false'] : schema.enum;
+        input = `<select id="${id}" data-param="${escapeHtml(param.name)}" data-in="${param.in}">
+            <option value="">${placeholder ? `(default: ${escapeHtml(placeholder)})` : '(not set)'}</option>
+            ${values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('')}
+        </select>`;
+    } else {
+        input = `<input id="${id}" data-param="${escapeHtml(param.name)}" data-in="${param.in}" type="text"
+            placeholder="${escapeHtml(param.required ? 'required' : placeholder)}">`;
+    }
+
+    return `
+        <label class="api-param" for="${id}">
+            <span><code>${escapeHtml(param.name)}</code> <span class="api-optional">${param.in}</span></span>
+            ${input}
+            <span class="api-param-description">${escapeHtml(param.description || '')}</span>
+        </label>
+    `;
+}
+
+function renderOperation(path, method, operation) {
+    const key = operation.operationId;
+    const responses = Object.entries(operation.responses).map(([status, response]) => {
+        const content = response.content && response.content['application/json'];
+        return `
+            <details class="api-response">
+                <summary><strong>${status}</strong> ${escapeHtml(response.description)}${content ? ` — ${escapeHtml(schemaLabel(content.schema))}` : ''}</summary>
+                ${content ? renderSchema(content.schema) : ''}
+            </details>
+        `;
+    }).join('');
+
+    return `
+        <details class="api-operation" data-search="${escapeHtml(`${method} ${path} ${operation.summary}`.toLowerCase())}">
+            <summary>
+                <span class="api-method api-method-${method}">${method.toUpperCase()}</span>
+                <code>${escapeHtml(path)}</code>
+                <span class="api-summary">${escapeHtml(operation.summary)}</span>
+            </summary>
+            <div class="api-operation-body">
+                <p class="api-description">${escapeHtml(operation.description)}</p>
+                ${operation.parameters.length ? `<div class="api-params">${operation.parameters.map(param => renderParameterInput(key, param)).join('')}</div>` : ''}
+                ${operation.requestBody ? `<textarea class="api-body" id="${key}-body" placeholder="${escapeHtml(operation.requestBody.content['application/json'].schema.description)}"></textarea>` : ''}
+                <button class="refresh-btn api-send" data-operation="${key}" data-method="${method}" data-path="${escapeHtml(path)}">Send request</button>
+                <pre class="api-result" id="${key}-result" hidden></pre>
+                <h3>Responses</h3>
+                ${responses}
+            </div>
+        </details>
+    `;
+}
+
+function renderSocketEvents(socketIo) {
+    const section = (title, events) => Object.entries(events).map(([name, event]) => `
+        <details class="api-response">
+            <summary><strong>${title}</strong> <code>${escapeHtml(name)}</code> — ${escapeHtml(event.description)}</summary>
+            ${renderSchema(event.payload)}
+        </details>
+    `).join('');
+
+    document.getElementById('api-socket-events').innerHTML = `
+        <p class="api-description">${escapeHtml(socketIo.description)} (path <code>${escapeHtml(socketIo.path)}</code>).</p>
+        ${section('server →', socketIo.emits)}
+        ${section('client →', socketIo.accepts)}
+    `;
+}
+
+function renderSpec() {
+    const operations = Object.entries(apiSpec.paths).flatMap(([path, methods]) =>
+        Object.entries(methods).map(([method, operation]) => renderOperation(path, method, operation))
+    );
+
+    document.getElementById('api-title').textContent = `📘 ${apiSpec.info.title} ${apiSpec.info.version}`;
+    document.getElementById('api-description').textContent = apiSpec.info.description;
+    document.getElementById('api-operations').innerHTML = operations.join('');
+    renderSocketEvents(apiSpec['x-socket-io']);
+}
+
+/**
+ * Send the request described by an operation's form and show the response
+ * @param {HTMLElement} button - The operation's send button
+ */
+async function sendRequest(button) {
+    const key = button.dataset.operation;
+    const form = button.closest('.api-operation-body');
+    const result = document.getElementById(`${key}-result`);
+    const query = new URLSearchParams();
+    let path = button.dataset.path;
+
+    form.querySelectorAll('[data-param]').forEach(input => {
+        if (input.value === '') return;
+        if (input.dataset.in === 'path') {
+            path = path.replace(`{${input.dataset.param}}`, encodeURIComponent(input.value));
+        } else {
+            query.set(input.dataset.param, input.value);
+        }
+    });
+
+    const headers = {};
+    const apiKey = document.getElementById('api-key').value.trim();
+    if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+    }
+    const body = document.getElementById(`${key}-body`);
+    if (body && body.value.trim()) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    const url = `${apiSpec.servers[0].url}${path}${query.toString() ? `?${query}` : ''}`;
+    result.hidden = false;
+    result.textContent = `${button.dataset.method.toUpperCase()} ${url} ...`;
+
+    try {
+        const response = await fetch(url, {
+            method: button.dataset.method.toUpperCase(),
+            headers,
+            body: body && body.value.trim() ? body.value : undefined
+        });
+        const text = await response.text();
+        let shown = text;
+        try {
+            shown = JSON.stringify(JSON.parse(text), null, 2);
+        } catch (error) {
+            // Exports and empty bodies are shown as they are
+        }
+        result.textContent = `${response.status} ${response.statusText}\n\n${shown}`;
+    } catch (error) {
+        result.textContent = `Request failed: ${error.message}`;
+    }
+}
+
+function filterOperations() {
+    const needle = document.getElementById('api-search').value.trim().toLowerCase();
+    document.querySelectorAll('.api-operation').forEach(operation => {
+        operation.hidden = needle !== '' && !operation.dataset.search.includes(needle);
+    });
+}
+
+async function initApiExplorer() {
+    document.getElementById('api-search').addEventListener('input', filterOperations);
+    document.getElementById('api-operations').addEventListener('click', (e) => {
+        const button = e.target.closest('.api-send');
+        if (button) {
+            sendRequest(button);
+        }
+    });
+
+    try {
+        const response = await fetch('/api/openapi.json');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        apiSpec = await response.json();
+        renderSpec();
+    } catch (error) {
+        console.error('Error loading API description:', error);
+        document.getElementById('api-operations').innerHTML = '<div class="no-data">Failed to load /api/openapi.json</div>';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initApiExplorer);
@@ -1,8 +1,78 @@
-const socket = io();
+// WebSockets first: where they are blocked the dashboard falls back to the /api/stream
+// event stream, and to socket.io's heavier long-polling only when that fails too
+const socket = io({ transports: ['websocket'] });
 let performanceChart, adminAjaxChart;
 let qpsGauge, responseGauge, memoryGauge;
 let currentMetric = 'response_time';
 
+// Anomalies for the performance chart, aligned with its data points
+let performanceChartTimestamps = [];
+let performanceAnomalies = [];
+// Deploy and release annotations for the selected site and range, newest first
+let chartAnnotations = [];
+// Times of the admin-ajax bars, oldest first, so annotations can be placed between them
+let adminAjaxTimestamps = [];
+// Performance chart points, oldest first: the loaded series plus live samples folded in since
+let performanceChartRows = [];
+// Realtime samples newer than this (ms) are folded into the chart
+let performanceChartLiveFrom = 0;
+const LIVE_CHART_COLUMNS = ['avg_response_time', 'memory_usage', 'queries_per_second'];
+
+// Slow Queries card view: 'raw' rows or 'grouped' by fingerprint
+let slowQueryView = 'raw';
+// Admins can show query text without PII redaction (?raw=true, audited server-side)
+let showUnredactedQueries = false;
+
+// Signed-in user from /api/auth/me ({ username, role, type }), null until loaded
+let currentUser = null;
+const ROLE_ORDER = ['viewer', 'operator', 'admin'];
+
+// Absolute range from the date-range picker or a chart zoom ({ from, to } Dates), null for presets
+let customRange = null;
+// Selection to restore when a chart zoom is reset: { timeRange, customRange }
+let rangeBeforeZoom = null;
+// Drag-to-zoom selection on the performance chart, in canvas pixels
+let zoomSelection = null;
+// Windows being compared ({ baseline, comparison }, each { from, to } Dates), null outside comparison mode
+let comparisonWindows = null;
+// Selection to restore when comparison mode is left: { timeRange, customRange }
+let rangeBeforeComparison = null;
+// Baseline chart points, oldest first, overlaid on the performance chart by position
+let baselineChartRows = [];
+// Query of the last comparison loaded, so refreshes do not recompute unchanged windows
+let comparisonLoadedFor = null;
+
+const PRESET_RANGE_MS = {
+    '1h': 60 * 60 * 1000,
+    '6h': 6 * 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000,
+    '90d': 90 * 24 * 60 * 60 * 1000
+};
+
+// Bucket widths for the performance chart, finest first; the first one that
+// keeps the chart under MAX_CHART_POINTS is requested
+const CHART_BUCKETS = [
+    ['1m', 60 * 1000],
+    ['5m', 5 * 60 * 1000],
+    ['15m', 15 * 60 * 1000],
+    ['30m', 30 * 60 * 1000],
+    ['1h', 60 * 60 * 1000],
+    ['3h', 3 * 60 * 60 * 1000],
+    ['6h', 6 * 60 * 60 * 1000],
+    ['12h', 12 * 60 * 60 * 1000],
+    ['1d', 24 * 60 * 60 * 1000]
+];
+const MAX_CHART_POINTS = 200;
+let performanceChartBucketMs = CHART_BUCKETS[0][1];
+
+const ANOMALY_METRIC_IDS = {
+    response_time: 'performance_metrics.avg_response_time',
+    memory_usage: 'performance_metrics.memory_usage',
+    queries_per_second: 'performance_metrics.queries_per_second'
+};
+
 // Demo mode state
 let demoMode = false;
 let demoStatus = { available: false, services: {} };
@@ -25,6 +95,185 @@ function getSelectedTimeRange() {
     return selector ? selector.value : '1h';
 }
 
+function getSelectedSite() {
+    const selector = document.getElementById('site');
+    return selector && selector.value ? selector.value : null;
+}
+
+// Length of the selected range in ms
+function getSelectedRangeMs() {
+    if (customRange) {
+        return customRange.to - customRange.from;
+    }
+    return PRESET_RANGE_MS[getSelectedTimeRange()] || PRESET_RANGE_MS['1h'];
+}
+
+function pickChartBucket(rangeMs) {
+    return CHART_BUCKETS.find(([, ms]) => rangeMs / ms <= MAX_CHART_POINTS) || CHART_BUCKETS[CHART_BUCKETS.length - 1];
+}
+
+// Query parameters shared by every dashboard data request
+function getDashboardQueryParams() {
+    const queryParams = new URLSearchParams();
+    if (demoMode) {
+        queryParams.set('demo', 'true');
+    }
+    const timeRange = getSelectedTimeRange();
+    if (customRange) {
+        queryParams.set('from', customRange.from.toISOString());
+        queryParams.set('to', customRange.to.toISOString());
+    } else if (timeRange && timeRange !== 'custom') {
+        queryParams.set('timeRange', timeRange);
+    }
+    const site = getSelectedSite();
+    if (site) {
+        queryParams.set('site', site);
+    }
+    return queryParams;
+}
+
+// Shades the x-range around each anomalous point behind the line
+const anomalyShadingPlugin = {
+    id: 'anomalyShading',
+    beforeDatasetsDraw(chart) {
+        if (!performanceAnomalies.some(Boolean)) return;
+
+        const { ctx, chartArea } = chart;
+        const points = chart.getDatasetMeta(0).data;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(248, 81, 73, 0.15)';
+        performanceAnomalies.forEach((anomaly, index) => {
+            const point = points[index];
+            if (!anomaly || !point) return;
+
+            const left = points[index - 1] ? (points[index - 1].x + point.x) / 2 : chartArea.left;
+            const right = points[index + 1] ? (point.x + points[index + 1].x) / 2 : chartArea.right;
+            ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+        });
+        ctx.restore();
+    }
+};
+
+const ANNOTATION_STYLES = {
+    deploy: { label: 'Deploy', color: '#a371f7' },
+    release: { label: 'Release', color: '#3fb950' },
+    plugin_update: { label: 'Plugin update', color: '#d29922' },
+    theme_update: { label: 'Theme update', color: '#db61a2' },
+    core_update: { label: 'Core update', color: '#58a6ff' },
+    config_change: { label: 'Config change', color: '#8b949e' },
+    other: { label: 'Note', color: '#8b949e' }
+};
+
+// Time of each data point, oldest first, on the charts that show annotations
+const ANNOTATED_CHART_TIMES = {
+    performanceChart: () => performanceChartTimestamps,
+    adminAjaxChart: () => adminAjaxTimestamps
+};
+
+// x position of a time between the chart's points; times outside them sit on the first or last one
+function getAnnotationX(points, times, time) {
+    const last = Math.min(points.length, times.length) - 1;
+    if (last < 0) return null;
+    if (time <= times[0]) return points[0].x;
+    for (let i = 0; i < last; i++) {
+        if (time < times[i + 1]) {
+            const share = (time - times[i]) / (times[i + 1] - times[i]);
+            return points[i].x + (points[i + 1].x - points[i].x) * share;
+        }
+    }
+    return points[last].x;
+}
+
+function drawAnnotationDetails(chart, { x, annotation }) {
+    const { ctx, chartArea } = chart;
+    const style = ANNOTATION_STYLES[annotation.type] || ANNOTATION_STYLES.other;
+    const message = annotation.message.length > 60 ? `${annotation.message.slice(0, 59)}…` : annotation.message;
+    const lines = [
+        `${style.label}${annotation.plugin_name ? `: ${annotation.plugin_name}` : ''}`,
+        message,
+        new Date(annotation.timestamp).toLocaleString()
+    ];
+
+    ctx.save();
+    ctx.font = '12px sans-serif';
+    const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 16;
+    const height = lines.length * 16 + 8;
+    const left = Math.min(Math.max(chartArea.left, x + 8), chartArea.right - width);
+    const top = chartArea.top + 4;
+
+    ctx.fillStyle = 'rgba(22, 27, 34, 0.95)';
+    ctx.strokeStyle = style.color;
+    ctx.fillRect(left, top, width, height);
+    ctx.strokeRect(left, top, width, height);
+    ctx.textBaseline = 'top';
+    lines.forEach((line, index) => {
+        ctx.fillStyle = index === 0 ? '#e6edf3' : '#8b949e';
+        ctx.fillText(line, left + 8, top + 4 + index * 16);
+    });
+    ctx.restore();
+}
+
+// Vertical markers for annotations, with their details while the pointer is on one
+const annotationMarkersPlugin = {
+    id: 'annotationMarkers',
+    afterDatasetsDraw(chart) {
+        const times = ANNOTATED_CHART_TIMES[chart.canvas.id]();
+        const points = chart.getDatasetMeta(0).data;
+        const { ctx, chartArea } = chart;
+
+        chart.$annotationMarkers = chartAnnotations
+            .map(annotation => ({ annotation, x: getAnnotationX(points, times, new Date(annotation.timestamp).getTime()) }))
+            .filter(marker => marker.x !== null);
+        if (!chart.$annotationMarkers.length) return;
+
+        ctx.save();
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 3]);
+        chart.$annotationMarkers.forEach(({ annotation, x }) => {
+            ctx.strokeStyle = (ANNOTATION_STYLES[annotation.type] || ANNOTATION_STYLES.other).color;
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+        });
+        ctx.restore();
+
+        if (chart.$hoveredAnnotation) {
+            drawAnnotationDetails(chart, chart.$hoveredAnnotation);
+        }
+    },
+    afterEvent(chart, args) {
+        const { event } = args;
+        const hovered = event.type === 'mousemove'
+            ? (chart.$annotationMarkers || []).find(marker => Math.abs(marker.x - event.x) <= 4) || null
+            : null;
+        if (hovered !== (chart.$hoveredAnnotation || null)) {
+            chart.$hoveredAnnotation = hovered;
+            args.changed = true;
+        }
+    }
+};
+
+// Draws the drag-to-zoom selection over the performance chart
+const zoomSelectionPlugin = {
+    id: 'zoomSelection',
+    afterDatasetsDraw(chart) {
+        if (!zoomSelection) return;
+
+        const { ctx, chartArea } = chart;
+        const left = Math.max(chartArea.left, Math.min(zoomSelection.startX, zoomSelection.currentX));
+        const right = Math.min(chartArea.right, Math.max(zoomSelection.startX, zoomSelection.currentX));
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(88, 166, 255, 0.15)';
+        ctx.strokeStyle = 'rgba(88, 166, 255, 0.6)';
+        ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+        ctx.strokeRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+        ctx.restore();
+    }
+};
+
 function initPerformanceChart() {
     const ctx = document.getElementById('performanceChart').getContext('2d');
     performanceChart = new Chart(ctx, {
@@ -38,11 +287,26 @@ function initPerformanceChart() {
                 backgroundColor: 'rgba(88, 166, 255, 0.1)',
                 tension: 0.4,
                 fill: true,
+                spanGaps: true,
                 pointRadius: 4,
                 pointHoverRadius: 6,
                 pointBackgroundColor: '#58a6ff',
                 pointBorderColor: '#ffffff',
                 pointBorderWidth: 2
+            }, {
+                // Baseline window while comparing, drawn under the same x positions
+                label: 'Baseline',
+                data: [],
+                hidden: true,
+                borderColor: '#8b949e',
+                borderDash: [6, 4],
+                borderWidth: 2,
+                backgroundColor: 'transparent',
+                tension: 0.4,
+                fill: false,
+                spanGaps: true,
+                pointRadius: 0,
+                pointHoverRadius: 4
             }]
         },
         options: {
@@ -54,7 +318,8 @@ function initPerformanceChart() {
             },
             plugins: {
                 legend: {
-                    display: false
+                    display: false,
+                    labels: { color: '#8b949e' }
                 },
                 tooltip: {
                     backgroundColor: 'rgba(22, 27, 34, 0.95)',
@@ -63,7 +328,18 @@ function initPerformanceChart() {
                     borderColor: '#30363d',
                     borderWidth: 1,
                     cornerRadius: 8,
-                    titleFont: { weight: 'bold' }
+                    titleFont: { weight: 'bold' },
+                    callbacks: {
+                        footer: (items) => {
+                            if (!items.length) return '';
+                            const anomaly = performanceAnomalies[items[0].dataIndex];
+                            const baseline = comparisonWindows ? baselineChartRows[items[0].dataIndex] : null;
+                            return [
+                                anomaly ? `⚠️ Anomaly: expected ~${anomaly.expected} (${anomaly.score}σ)` : '',
+                                baseline ? `Baseline: ${formatChartLabel(baseline.timestamp)}` : ''
+                            ].filter(Boolean);
+                        }
+                    }
                 }
             },
             scales: {
@@ -96,7 +372,8 @@ function initPerformanceChart() {
                     borderWidth: 3
                 }
             }
-        }
+        },
+        plugins: [anomalyShadingPlugin, annotationMarkersPlugin, zoomSelectionPlugin]
     });
 }
 
@@ -129,7 +406,13 @@ function initAdminAjaxChart() {
                     bodyColor: '#8b949e',
                     borderColor: '#30363d',
                     borderWidth: 1,
-                    cornerRadius: 8
+                    cornerRadius: 8,
+                    callbacks: {
+                        footer: (items) => {
+                            const time = items.length ? adminAjaxTimestamps[items[0].dataIndex] : null;
+                            return time ? new Date(time).toLocaleString() : '';
+                        }
+                    }
                 }
             },
             scales: {
@@ -153,7 +436,8 @@ function initAdminAjaxChart() {
                     }
                 }
             }
-        }
+        },
+        plugins: [annotationMarkersPlugin]
     });
 }
 
@@ -265,6 +549,9 @@ async function loadDashboardData() {
 
     try {
         console.log(`Loading dashboard data with enhanced coordination (Operation ID: ${operationId})...`);
+
+        // Live channels follow the site, range and view being loaded
+        syncLiveSubscriptions();
         
         // Create snapshots for atomic operations and rollback
         if (window.contentUpdateManager) {
@@ -279,18 +566,16 @@ async function loadDashboardData() {
         }
 
         // Fetch all data in parallel with timeout and retry logic
-        const timeRange = getSelectedTimeRange();
-        const queryParams = new URLSearchParams();
-        if (demoMode) {
-            queryParams.set('demo', 'true');
-        }
-        if (timeRange) {
-            queryParams.set('timeRange', timeRange);
-        }
+        const queryParams = getDashboardQueryParams();
         const querySuffix = queryParams.toString() ? `?${queryParams.toString()}` : '';
+        const metricsParams = getDashboardQueryParams();
+        const [bucket, bucketMs] = pickChartBucket(getSelectedRangeMs());
+        metricsParams.set('bucket', bucket);
+        performanceChartBucketMs = bucketMs;
+        const slowQueryParams = getSlowQueryParams();
         const fetchPromises = [
-            fetchWithRetry(`/api/metrics${querySuffix}`, 'metrics'),
-            fetchWithRetry(`/api/slow-queries${querySuffix}`, 'slow-queries'),
+            fetchWithRetry(`/api/metrics?${metricsParams.toString()}`, 'metrics'),
+            fetchWithRetry(`${slowQueryView === 'grouped' ? '/api/slow-queries/grouped' : '/api/slow-queries'}?${slowQueryParams.toString()}`, 'slow-queries'),
             fetchWithRetry(`/api/admin-ajax${querySuffix}`, 'admin-ajax'),
             fetchWithRetry(`/api/plugins${querySuffix}`, 'plugins'),
             fetchWithRetry(`/api/system-health${querySuffix}`, 'system-health')
@@ -390,6 +675,10 @@ async function fetchWithRetry(url, dataType, retries = 2, timeout = 10000) {
             
             clearTimeout(timeoutId);
             
+            if (response.status === 401) {
+                redirectToLogin();
+                throw new Error('Authentication required');
+            }
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
@@ -681,6 +970,67 @@ async function performCoordinatedUpdates(metrics, queries, ajaxData, plugins, he
     await updateNonScrollableContent(metrics, ajaxData, health);
 }
 
+function truncateQuery(text) {
+    const queryText = text || '';
+    return `${escapeHtml(queryText.substring(0, 150))}${queryText.length > 150 ? '...' : ''}`;
+}
+
+// Grouped responses carry a fingerprint hash instead of raw rows
+function isGroupedSlowQueries(data) {
+    return data.length > 0 && data[0].hash !== undefined;
+}
+
+function formatSlowQueryCount(data) {
+    if (isGroupedSlowQueries(data)) {
+        const total = data.reduce((sum, group) => sum + group.count, 0);
+        // Busy ranges are grouped from their slowest queries only
+        return `${data.length} patterns · ${total} ${data[0].truncated ? 'slowest ' : ''}queries`;
+    }
+    return `${data.length} queries`;
+}
+
+/**
+ * Markup for the Slow Queries card, either raw rows or fingerprint groups
+ * @param {Array} data - Slow query rows or groups from /api/slow-queries/grouped
+ * @returns {string} HTML
+ */
+function renderSlowQueryItems(data) {
+    if (isGroupedSlowQueries(data)) {
+        return data.map(group => `
+            <div class="query-item query-group">
+                <div class="query-header">
+                    <strong>${Number(group.count)}×</strong>
+                    <span class="query-time">avg ${group.avg_execution_time}ms · p95 ${group.p95_execution_time}ms</span>
+                </div>
+                <div class="query-text">${truncateQuery(group.fingerprint)}</div>
+                <div class="query-meta">
+                    <span>⏱️ ${group.total_execution_time}ms total</span> |
+                    <span>📊 max ${group.max_rows_examined} rows</span> |
+                    <span>📁 ${escapeHtml(group.source_files.join(', ') || 'Unknown')}</span>
+                </div>
+                <div class="query-meta">
+                    <span>🕒 ${new Date(group.first_seen).toLocaleString()} – ${new Date(group.last_seen).toLocaleString()}</span>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    return data.map(query => `
+        <div class="query-item">
+            <div class="query-header">
+                <strong>Query:</strong>
+                <span class="query-time">${query.execution_time}ms</span>
+            </div>
+            <div class="query-text">${truncateQuery(query.query_text)}</div>
+            <div class="query-meta">
+                <span>📊 ${query.rows_examined} rows</span> |
+                <span>📁 ${escapeHtml(query.source_file || 'Unknown')}</span>
+                ${query.id ? `<button class="query-analyze-btn requires-operator" data-query-id="${Number(query.id)}">Analyze</button>` : ''}
+            </div>
+        </div>
+    `).join('');
+}
+
 /**
  * Update slow queries content with atomic operations
  * @param {Array} data - Slow queries data
@@ -695,7 +1045,7 @@ function updateSlowQueriesContent(data) {
 
     // Update count element outside of scrollable container
     if (countElement) {
-        countElement.textContent = `${data.length} queries`;
+        countElement.textContent = formatSlowQueryCount(data);
     }
 
     // Perform atomic update with complete replacement
@@ -704,23 +1054,8 @@ function updateSlowQueriesContent(data) {
         return;
     }
 
-    // Generate new content completely replacing old content
-    const newContent = data.map(query => `
-        <div class="query-item">
-            <div class="query-header">
-                <strong>Query:</strong>
-                <span class="query-time">${query.execution_time}ms</span>
-            </div>
-            <div class="query-text">${escapeHtml(query.query_text.substring(0, 150))}${query.query_text.length > 150 ? '...' : ''}</div>
-            <div class="query-meta">
-                <span>📊 ${query.rows_examined} rows</span> |
-                <span>📁 ${escapeHtml(query.source_file || 'Unknown')}</span>
-            </div>
-        </div>
-    `).join('');
-
     // Atomic replacement to prevent accumulation
-    container.innerHTML = newContent;
+    container.innerHTML = renderSlowQueryItems(data);
     
     console.debug(`updateSlowQueriesContent: Updated container with ${data.length} queries`);
 }
@@ -1198,39 +1533,470 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// Times alone are ambiguous once the chart spans more than a day
+function formatChartLabel(timestamp) {
+    const date = new Date(timestamp);
+    return getSelectedRangeMs() > PRESET_RANGE_MS['24h']
+        ? date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleTimeString();
+}
+
 function updatePerformanceChart(metrics) {
-    const labels = metrics.map(m => new Date(m.timestamp).toLocaleTimeString());
-    let data, label, color;
+    performanceChartRows = [...metrics].reverse();
+    performanceChartLiveFrom = Date.now();
+    performanceAnomalies = [];
+    renderPerformanceChart();
+
+    loadPerformanceAnomalies();
+    loadAnnotations();
+    loadComparison();
+}
+
+function renderPerformanceChart(mode) {
+    const rows = performanceChartRows;
+    let column, label, color;
 
     switch (currentMetric) {
         case 'memory_usage':
-            data = metrics.map(m => m.memory_usage);
+            column = 'memory_usage';
             label = 'Memory Usage (MB)';
             color = '#238636';
             break;
         case 'queries_per_second':
-            data = metrics.map(m => m.queries_per_second);
+            column = 'queries_per_second';
             label = 'Queries per Second';
             color = '#f85149';
             break;
         default:
-            data = metrics.map(m => m.avg_response_time);
+            column = 'avg_response_time';
             label = 'Response Time (ms)';
             color = '#58a6ff';
     }
+    const data = rows.map(m => m[column]);
+
+    performanceChartTimestamps = rows.map(m => new Date(m.timestamp).getTime());
 
-    performanceChart.data.labels = labels.reverse();
-    performanceChart.data.datasets[0].data = data.reverse();
+    performanceChart.data.labels = rows.map(m => formatChartLabel(m.timestamp));
+    performanceChart.data.datasets[0].data = data;
     performanceChart.data.datasets[0].label = label;
     performanceChart.data.datasets[0].borderColor = color;
     performanceChart.data.datasets[0].backgroundColor = color + '20';
     performanceChart.data.datasets[0].pointBackgroundColor = color;
-    performanceChart.update();
+
+    const baseline = performanceChart.data.datasets[1];
+    baseline.data = comparisonWindows ? rows.map((m, index) => (baselineChartRows[index] ? baselineChartRows[index][column] : null)) : [];
+    baseline.label = `Baseline ${label}`;
+    baseline.hidden = !comparisonWindows;
+    performanceChart.options.plugins.legend.display = !!comparisonWindows;
+    performanceChart.update(mode);
+}
+
+// Chart point for a bucket start, appended (after empty buckets for any gap) when it is newer than the last one
+function getPerformanceChartBucket(start) {
+    const rows = performanceChartRows;
+    for (let i = rows.length - 1; i >= 0; i--) {
+        const time = new Date(rows[i].timestamp).getTime();
+        if (time === start) return rows[i];
+        if (time < start) break;
+    }
+
+    const last = rows.length ? new Date(rows[rows.length - 1].timestamp).getTime() : start - performanceChartBucketMs;
+    if (start < last) return null;
+
+    for (let time = Math.max(last + performanceChartBucketMs, start - MAX_CHART_POINTS * performanceChartBucketMs); time <= start; time += performanceChartBucketMs) {
+        rows.push({ timestamp: new Date(time).toISOString(), sample_count: 0, avg_response_time: null, memory_usage: null, queries_per_second: null });
+    }
+
+    // Keep the chart to the selected range
+    const rangeStart = start - getSelectedRangeMs();
+    while (rows.length > 1 && new Date(rows[0].timestamp).getTime() + performanceChartBucketMs <= rangeStart) {
+        rows.shift();
+        performanceAnomalies.shift();
+    }
+    return rows[rows.length - 1];
+}
+
+/**
+ * Fold realtime samples newer than the chart into its buckets, so the
+ * performance chart keeps up between reloads. Preset ranges only.
+ * @param {Array<Object>} samples - Realtime samples, oldest first
+ */
+function appendLiveSamples(samples) {
+    if (customRange || !performanceChart) return;
+
+    let changed = false;
+    samples.forEach(sample => {
+        const time = new Date(sample.timestamp).getTime();
+        if (!(time > performanceChartLiveFrom)) return;
+        performanceChartLiveFrom = time;
+
+        const row = getPerformanceChartBucket(time - (time % performanceChartBucketMs));
+        if (!row) return;
+
+        const count = Number(row.sample_count) || 0;
+        LIVE_CHART_COLUMNS.forEach(column => {
+            if (sample[column] === null || sample[column] === undefined) return;
+            const value = Number(sample[column]);
+            row[column] = row[column] === null || row[column] === undefined || count === 0
+                ? value
+                : (Number(row[column]) * count + value) / (count + 1);
+        });
+        row.sample_count = count + 1;
+        changed = true;
+    });
+
+    if (changed) {
+        renderPerformanceChart('none');
+    }
+}
+
+// After a reconnect whose missed samples were no longer kept: load the chart from its last point to now
+async function fillPerformanceChartGap() {
+    if (customRange || !performanceChartRows.length) return;
+
+    const from = new Date(performanceChartRows[performanceChartRows.length - 1].timestamp);
+    const to = new Date();
+    const params = getDashboardQueryParams();
+    params.delete('timeRange');
+    params.set('from', from.toISOString());
+    params.set('to', to.toISOString());
+    params.set('bucket', pickChartBucket(getSelectedRangeMs())[0]);
+
+    try {
+        const response = await fetch(`/api/metrics?${params.toString()}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const rows = await response.json();
+        [...rows].reverse().forEach(point => {
+            const row = getPerformanceChartBucket(new Date(point.timestamp).getTime());
+            if (row) Object.assign(row, point);
+        });
+        performanceChartLiveFrom = Math.max(performanceChartLiveFrom, to.getTime());
+        renderPerformanceChart('none');
+    } catch (error) {
+        console.error('Error filling the performance chart after reconnecting:', error);
+    }
+}
+
+// <input type="datetime-local"> values are local time without a zone
+function toLocalInputValue(date) {
+    const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+    return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
+function showCustomRange(from, to) {
+    document.getElementById('range-from').value = toLocalInputValue(from);
+    document.getElementById('range-to').value = toLocalInputValue(to);
+    document.getElementById('custom-range').hidden = false;
+}
+
+// Go back to a saved selection ({ timeRange, customRange }) and reload every card
+function restoreRange({ timeRange, customRange: previousRange }) {
+    customRange = previousRange;
+    document.getElementById('timeRange').value = timeRange;
+    document.getElementById('custom-range').hidden = !previousRange;
+    loadDashboardData();
+}
+
+// Switch the dashboard to an absolute range and reload every card
+function applyCustomRange(from, to) {
+    customRange = { from, to };
+    document.getElementById('timeRange').value = 'custom';
+    showCustomRange(from, to);
+    loadDashboardData();
+}
+
+function initCustomRangePicker() {
+    document.getElementById('apply-range').addEventListener('click', () => {
+        const from = new Date(document.getElementById('range-from').value);
+        const to = new Date(document.getElementById('range-to').value);
+
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+            showNotification('Choose a start before the end of the range', 'error');
+            return;
+        }
+        rangeBeforeZoom = null;
+        document.getElementById('zoom-reset').hidden = true;
+        endComparison();
+        applyCustomRange(from, to);
+        showNotification(`Time range changed to: ${from.toLocaleString()} – ${to.toLocaleString()}`);
+    });
+}
+
+// Index of the chart point nearest to an x pixel
+function chartIndexAtPixel(x) {
+    const index = Math.round(performanceChart.scales.x.getValueForPixel(x));
+    return Math.min(performanceChartTimestamps.length - 1, Math.max(0, index));
+}
+
+// Drag across the performance chart to re-query the selected window
+function initChartZoom() {
+    const canvas = document.getElementById('performanceChart');
+
+    canvas.addEventListener('mousedown', (e) => {
+        if (performanceChartTimestamps.length < 2) return;
+        zoomSelection = { startX: e.offsetX, currentX: e.offsetX };
+    });
+
+    canvas.addEventListener('mousemove', (e) => {
+        if (!zoomSelection) return;
+        zoomSelection.currentX = e.offsetX;
+        performanceChart.draw();
+    });
+
+    window.addEventListener('mouseup', () => {
+        if (!zoomSelection) return;
+
+        const selection = zoomSelection;
+        zoomSelection = null;
+        performanceChart.draw();
+
+        // Ignore clicks and tiny drags
+        if (Math.abs(selection.currentX - selection.startX) < 5) return;
+
+        const first = chartIndexAtPixel(Math.min(selection.startX, selection.currentX));
+        const last = chartIndexAtPixel(Math.max(selection.startX, selection.currentX));
+        const from = new Date(performanceChartTimestamps[first]);
+        const to = new Date(performanceChartTimestamps[last] + performanceChartBucketMs);
+
+        if (!rangeBeforeZoom) {
+            rangeBeforeZoom = { timeRange: getSelectedTimeRange(), customRange };
+        }
+        endComparison();
+        document.getElementById('zoom-reset').hidden = false;
+        applyCustomRange(from, to);
+    });
+
+    document.getElementById('zoom-reset').addEventListener('click', () => {
+        if (!rangeBeforeZoom) return;
+
+        const previous = rangeBeforeZoom;
+        rangeBeforeZoom = null;
+        document.getElementById('zoom-reset').hidden = true;
+        restoreRange(previous);
+    });
+}
+
+// Fetch anomalies for the charted metric and shade them on the chart
+async function loadPerformanceAnomalies() {
+    const countElement = document.getElementById('anomaly-count');
+
+    try {
+        const queryParams = getDashboardQueryParams();
+        queryParams.set('metric', ANOMALY_METRIC_IDS[currentMetric]);
+
+        const response = await fetch(`/api/anomalies?${queryParams.toString()}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const { anomalies } = await response.json();
+
+        // Chart points are bucket starts; an anomaly belongs to the bucket it falls in
+        performanceAnomalies = performanceChartTimestamps.map((start, index) => {
+            const end = performanceChartTimestamps[index + 1] || start + performanceChartBucketMs;
+            return anomalies.find(anomaly => {
+                const time = new Date(anomaly.timestamp).getTime();
+                return time >= start && time < end;
+            }) || null;
+        });
+
+        const count = performanceAnomalies.filter(Boolean).length;
+        if (countElement) {
+            countElement.textContent = count ? `⚠️ ${count} anomal${count === 1 ? 'y' : 'ies'}` : '';
+        }
+        if (performanceChart) {
+            performanceChart.update('none');
+        }
+    } catch (error) {
+        console.error('Error loading anomalies:', error);
+    }
+}
+
+// Deploy and release annotations for the selected site and range, drawn on both charts
+async function loadAnnotations() {
+    try {
+        const queryParams = getDashboardQueryParams();
+        queryParams.delete('demo');
+
+        const response = await fetch(`/api/annotations?${queryParams.toString()}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        chartAnnotations = await response.json();
+
+        [performanceChart, adminAjaxChart].forEach(chart => {
+            if (chart) chart.update('none');
+        });
+    } catch (error) {
+        console.error('Error loading annotations:', error);
+    }
+}
+
+// Chart overlay and diff table for the windows being compared
+async function loadComparison() {
+    if (!comparisonWindows) return;
+
+    const { baseline, comparison } = comparisonWindows;
+    const content = document.getElementById('comparison');
+
+    const compareParams = getSlowQueryParams();
+    ['timeRange', 'from', 'to'].forEach(name => compareParams.delete(name));
+    compareParams.set('baseline_from', baseline.from.toISOString());
+    compareParams.set('baseline_to', baseline.to.toISOString());
+    compareParams.set('comparison_from', comparison.from.toISOString());
+    compareParams.set('comparison_to', comparison.to.toISOString());
+    const key = compareParams.toString();
+    if (key === comparisonLoadedFor) return;
+
+    // Same bucket width as the comparison series, so points line up by position
+    const metricsParams = getDashboardQueryParams();
+    metricsParams.delete('timeRange');
+    metricsParams.set('from', baseline.from.toISOString());
+    metricsParams.set('to', baseline.to.toISOString());
+    metricsParams.set('bucket', pickChartBucket(getSelectedRangeMs())[0]);
+
+    try {
+        const [metricsResponse, compareResponse] = await Promise.all([
+            fetch(`/api/metrics?${metricsParams.toString()}`),
+            fetch(`/api/compare?${key}`)
+        ]);
+        const result = await compareResponse.json();
+        if (!compareResponse.ok) {
+            throw new Error(result.error || `HTTP ${compareResponse.status}`);
+        }
+        if (!metricsResponse.ok) {
+            throw new Error(`HTTP ${metricsResponse.status}`);
+        }
+        const rows = await metricsResponse.json();
+        if (comparisonWindows !== null && comparisonWindows.baseline === baseline) {
+            baselineChartRows = [...rows].reverse();
+            comparisonLoadedFor = key;
+            renderPerformanceChart('none');
+            content.innerHTML = renderComparison(result);
+        }
+    } catch (error) {
+        console.error('Error loading comparison:', error);
+        content.innerHTML = `<div class="no-data">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// [key, label, unit, whether a rise is bad (null when neither)]
+const COMPARISON_METRICS = [
+    ['avg_response_time', 'Avg response time', 'ms', true],
+    ['p95_response_time', 'p95 response time', 'ms', true],
+    ['queries_per_second', 'Queries/sec', '', null],
+    ['memory_usage', 'Memory usage', 'MB', true],
+    ['sample_count', 'Samples', '', null]
+];
+
+function formatDeltaValue(value, unit = '') {
+    return value === null ? '—' : `${Number(value).toLocaleString()}${unit}`;
+}
+
+// Change cell of a { baseline, comparison, change, change_percent } delta, red when it got worse
+function renderDeltaChange(delta, unit = '', riseIsWorse = null) {
+    if (delta.change === null) {
+        return '<td>—</td>';
+    }
+    const sign = delta.change > 0 ? '+' : '';
+    const percent = delta.change_percent === null ? '' : ` (${sign}${delta.change_percent}%)`;
+    const tone = riseIsWorse === null || delta.change === 0 ? '' : (delta.change > 0) === riseIsWorse ? 'compare-worse' : 'compare-better';
+    return `<td class="${tone}">${sign}${formatDeltaValue(delta.change, unit)}${percent}</td>`;
+}
+
+function renderDeltaRow(label, delta, unit, riseIsWorse) {
+    return `<tr><td>${escapeHtml(label)}</td><td>${formatDeltaValue(delta.baseline, unit)}</td><td>${formatDeltaValue(delta.comparison, unit)}</td>${renderDeltaChange(delta, unit, riseIsWorse)}</tr>`;
+}
+
+function renderComparisonTable(headings, rows) {
+    if (!rows.length) {
+        return '<p class="no-data">No changes</p>';
+    }
+    return `
+        <table class="compare-table">
+            <thead><tr>${headings.map(heading => `<th>${heading}</th>`).join('')}</tr></thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>
+    `;
+}
+
+function renderComparison(result) {
+    const query = group => `<td class="compare-query">${escapeHtml(truncateQuery(group.fingerprint))}</td>`;
+    const groupRow = group => `<tr>${query(group)}<td>${group.count}</td><td>${formatDeltaValue(group.avg_execution_time, 'ms')}</td></tr>`;
+    const { slow_queries: slowQueries } = result;
+
+    return `
+        <h4>Performance</h4>
+        ${renderComparisonTable(['Metric', 'Baseline', 'Comparison', 'Change'],
+            COMPARISON_METRICS.map(([key, label, unit, riseIsWorse]) => renderDeltaRow(label, result.metrics[key], unit, riseIsWorse)))}
+        <h4>Regressed slow queries <small>(avg time up ${result.threshold}% or more${slowQueries.truncated ? '; slowest queries only' : ''})</small></h4>
+        ${renderComparisonTable(['Query', 'Avg time', 'Change'], slowQueries.regressed.map(group => `
+            <tr>${query(group)}<td>${formatDeltaValue(group.avg_execution_time.baseline, 'ms')} → ${formatDeltaValue(group.avg_execution_time.comparison, 'ms')}</td>${renderDeltaChange(group.avg_execution_time, 'ms', true)}</tr>
+        `))}
+        <h4>New slow queries</h4>
+        ${renderComparisonTable(['Query', 'Count', 'Avg time'], slowQueries.new.map(groupRow))}
+        <h4>Gone slow queries</h4>
+        ${renderComparisonTable(['Query', 'Count', 'Avg time'], slowQueries.gone.map(groupRow))}
+        <h4>Admin-ajax calls</h4>
+        ${renderComparisonTable(['Action', 'Baseline', 'Comparison', 'Change', 'Avg response change'], result.admin_ajax.map(action => `
+            <tr><td>${escapeHtml(action.action_name)}</td><td>${formatDeltaValue(action.call_count.baseline)}</td><td>${formatDeltaValue(action.call_count.comparison)}</td>${renderDeltaChange(action.call_count, '', true)}${renderDeltaChange(action.avg_response_time, 'ms', true)}</tr>
+        `))}
+        <h4>Plugin impact</h4>
+        ${renderComparisonTable(['Plugin', 'Baseline', 'Comparison', 'Change'],
+            result.plugins.map(plugin => renderDeltaRow(plugin.plugin_name, plugin.impact_score, '', true)))}
+    `;
+}
+
+function formatWindow({ from, to }) {
+    return `${from.toLocaleString()} – ${to.toLocaleString()}`;
+}
+
+// Show the comparison window on every card, with the baseline overlaid on the performance chart
+function startComparison(windows) {
+    if (!rangeBeforeComparison) {
+        rangeBeforeComparison = rangeBeforeZoom || { timeRange: getSelectedTimeRange(), customRange };
+    }
+    rangeBeforeZoom = null;
+    document.getElementById('zoom-reset').hidden = true;
+
+    comparisonWindows = windows;
+    baselineChartRows = [];
+    comparisonLoadedFor = null;
+    document.getElementById('compare-windows').textContent = `${formatWindow(windows.baseline)} vs ${formatWindow(windows.comparison)}`;
+    document.getElementById('comparison').innerHTML = '<div class="loading">Comparing...</div>';
+    document.getElementById('compare-card').hidden = false;
+    applyCustomRange(windows.comparison.from, windows.comparison.to);
+}
+
+// Leave comparison mode; with restore, go back to the selection from before it
+function endComparison(restore = false) {
+    if (!comparisonWindows) return;
+
+    const previous = rangeBeforeComparison;
+    comparisonWindows = null;
+    rangeBeforeComparison = null;
+    baselineChartRows = [];
+    comparisonLoadedFor = null;
+    document.getElementById('compare-card').hidden = true;
+
+    if (restore && previous) {
+        restoreRange(previous);
+    } else {
+        renderPerformanceChart('none');
+    }
 }
 
 function updateAdminAjaxChart(ajaxData) {
-    const labels = ajaxData.map(a => a.action_name).slice(0, 10);
-    const data = ajaxData.map(a => a.call_count).slice(0, 10);
+    // The busiest samples, oldest first, so an annotation falls between the samples before and after it
+    const rows = ajaxData.slice(0, 10);
+    const timed = rows.every(a => a.timestamp);
+    if (timed) {
+        rows.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+    adminAjaxTimestamps = timed ? rows.map(a => new Date(a.timestamp).getTime()) : [];
+    const labels = rows.map(a => a.action_name);
+    const data = rows.map(a => a.call_count);
 
     adminAjaxChart.data.labels = labels;
     adminAjaxChart.data.datasets[0].data = data;
@@ -1246,7 +2012,7 @@ function displaySlowQueries(queries) {
 
             // Update count element outside of scrollable container
             if (countElement) {
-                countElement.textContent = `${data.length} queries`;
+                countElement.textContent = formatSlowQueryCount(data);
             }
 
             // Perform atomic update with complete replacement
@@ -1255,23 +2021,8 @@ function displaySlowQueries(queries) {
                 return;
             }
 
-            // Generate new content completely replacing old content
-            const newContent = data.map(query => `
-                <div class="query-item">
-                    <div class="query-header">
-                        <strong>Query:</strong>
-                        <span class="query-time">${query.execution_time}ms</span>
-                    </div>
-                    <div class="query-text">${query.query_text.substring(0, 150)}${query.query_text.length > 150 ? '...' : ''}</div>
-                    <div class="query-meta">
-                        <span>📊 ${query.rows_examined} rows</span> |
-                        <span>📁 ${query.source_file || 'Unknown'}</span>
-                    </div>
-                </div>
-            `).join('');
-
             // Atomic replacement to prevent accumulation
-            container.innerHTML = newContent;
+            container.innerHTML = renderSlowQueryItems(data);
             
             console.debug(`displaySlowQueries: Updated container with ${data.length} queries`);
         }, queries, {
@@ -1308,7 +2059,7 @@ function displaySlowQueriesFallback(queries) {
 
     // Update count element
     if (countElement) {
-        countElement.textContent = `${queries.length} queries`;
+        countElement.textContent = formatSlowQueryCount(queries);
     }
 
     if (queries.length === 0) {
@@ -1317,19 +2068,7 @@ function displaySlowQueriesFallback(queries) {
     }
 
     // Atomic replacement to prevent accumulation
-    container.innerHTML = queries.map(query => `
-        <div class="query-item">
-            <div class="query-header">
-                <strong>Query:</strong>
-                <span class="query-time">${query.execution_time}ms</span>
-            </div>
-            <div class="query-text">${query.query_text.substring(0, 150)}${query.query_text.length > 150 ? '...' : ''}</div>
-            <div class="query-meta">
-                <span>📊 ${query.rows_examined} rows</span> |
-                <span>📁 ${query.source_file || 'Unknown'}</span>
-            </div>
-        </div>
-    `).join('');
+    container.innerHTML = renderSlowQueryItems(queries);
 
     console.debug(`displaySlowQueriesFallback: Updated container with ${queries.length} queries`);
 }
@@ -1562,8 +2301,9 @@ let realTimeUpdateInProgress = false;
 let lastRealTimeUpdate = 0;
 const REAL_TIME_THROTTLE_MS = 1000; // Throttle real-time updates to prevent excessive DOM manipulation
 
-// Socket.IO real-time updates with memory leak prevention
-socket.on('real-time-metrics', (data) => {
+// Real-time updates from the realtime channel with memory leak prevention
+function handleRealTimeMetrics(data) {
+
     // Update demo mode indicator if data includes demo_mode flag
     if (data.demo_mode !== undefined) {
         const demoIndicator = document.getElementById('demo-indicator');
@@ -1608,7 +2348,7 @@ socket.on('real-time-metrics', (data) => {
         console.error('Error in real-time metrics handler:', error);
         realTimeUpdateInProgress = false;
     }
-});
+}
 
 /**
  * Core function for updating real-time metrics with memory leak prevention
@@ -1733,23 +2473,288 @@ function updateRealTimeMetricsFallback(data) {
     }
 }
 
+// Live channels: the server polls each feed once for all its subscribers and
+// sends a snapshot, then only what changed
+const LIVE_CHANNELS = ['realtime', 'health', 'slow-queries', 'plugins', 'alerts'];
+const LIVE_CHANNEL_KEYS = {
+    'slow-queries': row => (row.id === undefined ? `${row.timestamp}|${row.query_text}` : row.id),
+    plugins: row => (row.id === undefined ? row.plugin_name : row.id),
+    alerts: alert => alert.id
+};
+const liveChannels = {};
+// Set while disconnected, until the realtime channel is subscribed again
+let reconnecting = false;
+
+// Subscriptions matching what the dashboard shows; ranged channels only follow preset ranges
+function getWantedSubscriptions() {
+    const site = getSelectedSite() || undefined;
+    const source = { site, demo: demoMode || undefined };
+    const wanted = { realtime: source, alerts: { site } };
+
+    const timeRange = getSelectedTimeRange();
+    if (!customRange && timeRange !== 'custom') {
+        wanted.health = { ...source, timeRange };
+        wanted.plugins = { ...source, timeRange };
+        // The channel carries redacted raw queries only
+        if (slowQueryView === 'raw' && !showUnredactedQueries) {
+            wanted['slow-queries'] = { ...source, timeRange };
+        }
+    }
+    return wanted;
+}
+
+function syncLiveSubscriptions() {
+    if (!socket.connected) {
+        // The event stream follows the selected site instead
+        if (eventStream && eventStreamSite !== getSelectedSite()) {
+            closeEventStream();
+            openEventStream();
+        }
+        return;
+    }
+
+    const wanted = getWantedSubscriptions();
+    LIVE_CHANNELS.forEach(channel => {
+        const state = liveChannels[channel];
+        if (wanted[channel]) {
+            // After a reconnect the server replays what we missed if the feed is unchanged
+            const resume = state && state.seq ? { feed: state.feed, seq: state.seq } : undefined;
+            socket.emit('subscribe', { channel, ...wanted[channel], resume });
+        } else if (state) {
+            socket.emit('unsubscribe', { channel });
+            delete liveChannels[channel];
+        }
+    });
+}
+
+function applyLiveDelta(value, delta, keyOf) {
+    if (!keyOf) {
+        return { ...value, ...delta.set };
+    }
+    const rows = new Map(value.map(row => [keyOf(row), row]));
+    delta.remove.forEach(key => rows.delete(key));
+    delta.upsert.forEach(row => rows.set(keyOf(row), row));
+    return delta.order ? delta.order.map(key => rows.get(key)) : [...rows.values()];
+}
+
+function renderLiveChannel(channel, value) {
+    switch (channel) {
+        case 'realtime':
+            appendLiveSamples([value]);
+            handleRealTimeMetrics(value);
+            break;
+        case 'health':
+            updateSystemHealth(value);
+            break;
+        case 'slow-queries':
+        case 'plugins': {
+            const containerId = channel === 'plugins' ? 'pluginPerformance' : 'slowQueries';
+            const update = channel === 'plugins' ? updatePluginPerformanceContent : updateSlowQueriesContent;
+            if (window.contentUpdateManager) {
+                window.contentUpdateManager.updateContainer(containerId, update, value, {
+                    preserveScroll: true,
+                    cleanupRequired: true,
+                    priority: 'normal'
+                }).catch(error => {
+                    console.error(`Error applying live ${channel} update:`, error);
+                });
+            } else {
+                update(value);
+            }
+            break;
+        }
+        case 'alerts':
+            renderAlerts(value);
+            break;
+    }
+}
+
+socket.on('subscribed', ({ channel, feed, resumed }) => {
+    const state = liveChannels[channel];
+    // Samples missed while disconnected are no longer on the server: load that stretch of the chart instead
+    if (channel === 'realtime' && reconnecting) {
+        reconnecting = false;
+        if (state && state.feed === feed && !resumed) {
+            fillPerformanceChartGap();
+        }
+    }
+    if (!state || state.feed !== feed) {
+        liveChannels[channel] = { feed, value: undefined, seq: null };
+    }
+});
+
+socket.on('subscription-error', ({ channel, error }) => {
+    console.warn(`Live ${channel} updates unavailable: ${error}`);
+});
+
+socket.on('snapshot', ({ channel, feed, data, seq }) => {
+    const state = liveChannels[channel];
+    // Drop feeds we switched away from
+    if (!state || state.feed !== feed) return;
+
+    state.value = data;
+    state.seq = seq || null;
+    renderLiveChannel(channel, data);
+});
+
+socket.on('delta', ({ channel, feed, delta, seq }) => {
+    const state = liveChannels[channel];
+    // Replayed events we already have are skipped
+    if (!state || state.feed !== feed || state.value === undefined || (seq && state.seq && seq <= state.seq)) return;
+
+    state.value = applyLiveDelta(state.value, delta, LIVE_CHANNEL_KEYS[channel]);
+    state.seq = seq || null;
+    renderLiveChannel(channel, state.value);
+});
+
 socket.on('connect', () => {
+    socketConnectFailures = 0;
+    closeEventStream();
+    lastStreamEvent = null;
     document.getElementById('connection-status').style.background = '#238636';
+    // The server puts new connections in the default site's room, which carries alert notifications
+    const site = getSelectedSite();
+    if (site) {
+        socket.emit('subscribe-site', site);
+    }
+    syncLiveSubscriptions();
     console.log('Connected to real-time monitoring');
 });
 
+// The server rejects the handshake when the session has expired
+socket.on('connect_error', (error) => {
+    if (error && error.message === 'Authentication required') {
+        redirectToLogin();
+        return;
+    }
+    socketConnectFailures++;
+    if (socketConnectFailures >= SSE_FALLBACK_AFTER_FAILURES) {
+        openEventStream();
+    }
+});
+
 socket.on('disconnect', () => {
+    reconnecting = true;
     document.getElementById('connection-status').style.background = '#f85149';
     console.log('Disconnected from real-time monitoring');
 });
 
+// Server-Sent Events fallback for networks that block WebSockets: after a few failed
+// connection attempts the site's real-time-metrics and alert events come from
+// /api/stream until the socket connects again. Other cards follow the 30s refresh.
+const SSE_FALLBACK_AFTER_FAILURES = 2;
+let socketConnectFailures = 0;
+let eventStream = null;
+let eventStreamSite = null;
+// Last event id seen on a site's stream, to resume a stream that had to be reopened
+let lastStreamEvent = null;
+
+// Last resort when the event stream is unavailable too: let the socket's next
+// attempts long-poll (upgrading to WebSockets when it can)
+function allowSocketPolling() {
+    const options = socket.io.opts;
+    if (!options.transports.includes('polling')) {
+        options.transports = ['polling', 'websocket'];
+        console.log('Falling back to long-polling for real-time monitoring');
+    }
+}
+
+function openEventStream() {
+    if (eventStream) return;
+    if (typeof EventSource === 'undefined') {
+        allowSocketPolling();
+        return;
+    }
+
+    const params = new URLSearchParams();
+    eventStreamSite = getSelectedSite();
+    if (eventStreamSite) {
+        params.set('site', eventStreamSite);
+    }
+    // Only the stream's own ids can be resumed: the socket's realtime channel is recorded
+    // in another room, so samples missed since it dropped are loaded from /api/metrics
+    if (lastStreamEvent && lastStreamEvent.site === eventStreamSite) {
+        params.set('lastEventId', lastStreamEvent.seq);
+    } else if (reconnecting) {
+        fillPerformanceChartGap();
+    }
+
+    eventStream = new EventSource(`/api/stream?${params.toString()}`);
+    eventStream.addEventListener('real-time-metrics', onStreamEvent);
+    eventStream.addEventListener('alert', onStreamEvent);
+    eventStream.addEventListener('resumed', onStreamEvent);
+    eventStream.onopen = () => {
+        document.getElementById('connection-status').style.background = '#d29922';
+        console.log('Receiving real-time monitoring over Server-Sent Events');
+    };
+    eventStream.onerror = () => {
+        document.getElementById('connection-status').style.background = '#f85149';
+        // EventSource retries by itself (resuming with Last-Event-ID) unless the stream was
+        // refused; then the socket long-polls and the next failed attempt opens a new stream
+        if (eventStream && eventStream.readyState === EventSource.CLOSED) {
+            closeEventStream();
+            allowSocketPolling();
+        }
+    };
+}
+
+function closeEventStream() {
+    if (!eventStream) return;
+    eventStream.removeEventListener('real-time-metrics', onStreamEvent);
+    eventStream.removeEventListener('alert', onStreamEvent);
+    eventStream.removeEventListener('resumed', onStreamEvent);
+    eventStream.onopen = null;
+    eventStream.onerror = null;
+    eventStream.close();
+    eventStream = null;
+    eventStreamSite = null;
+}
+
+function onStreamEvent(message) {
+    if (message.lastEventId) {
+        lastStreamEvent = { site: eventStreamSite, seq: message.lastEventId };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(message.data);
+    } catch (error) {
+        console.error('Error parsing event stream data:', error);
+        return;
+    }
+
+    switch (message.type) {
+        case 'real-time-metrics':
+            appendLiveSamples([data]);
+            handleRealTimeMetrics(data);
+            break;
+        case 'alert':
+            handleAlertEvent(data);
+            // The alerts channel is socket-only
+            loadAlerts();
+            break;
+        case 'resumed':
+            if (!data.complete) {
+                fillPerformanceChartGap();
+            }
+            break;
+    }
+}
+
 // Store interval IDs for cleanup
 let dataRefreshInterval = null;
 
 // Event listeners
 document.addEventListener('DOMContentLoaded', () => {
+    initCurrentUser();
     initCharts();
     initDemoMode();
+    initSiteSelector();
+    initAlerts();
+    initSlowQueryViewToggle();
+    initQueryAnalysis();
+    initComparison();
+    initExportMenus();
     
     // Initialize performance monitoring
     if (window.performanceMonitor) {
@@ -1807,10 +2812,26 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Time range selector
     document.getElementById('timeRange').addEventListener('change', (e) => {
+        rangeBeforeZoom = null;
+        document.getElementById('zoom-reset').hidden = true;
+        endComparison();
+
+        if (e.target.value === 'custom') {
+            const to = customRange ? customRange.to : new Date();
+            const from = customRange ? customRange.from : new Date(to.getTime() - PRESET_RANGE_MS['24h']);
+            showCustomRange(from, to);
+            return;
+        }
+
+        customRange = null;
+        document.getElementById('custom-range').hidden = true;
         loadDashboardData();
         showNotification(`Time range changed to: ${e.target.options[e.target.selectedIndex].text}`);
     });
 
+    initCustomRangePicker();
+    initChartZoom();
+
     // Refresh data every 30 seconds with cleanup tracking
     dataRefreshInterval = setInterval(loadDashboardData, 30000);
 });
@@ -1861,10 +2882,11 @@ function cleanupResources() {
             memoryGauge = null;
         }
 
-        // Disconnect socket
+        // Disconnect socket and the event stream fallback
         if (socket) {
             socket.disconnect();
         }
+        closeEventStream();
 
         // Clean up any remaining dynamic elements
         cleanupDynamicElements();
@@ -2250,6 +3272,378 @@ function initDemoMode() {
     }
 }
 
+function redirectToLogin() {
+    const next = window.location.pathname + window.location.search;
+    window.location.href = `/login.html?next=${encodeURIComponent(next)}`;
+}
+
+function userHasRole(role) {
+    return !!currentUser && ROLE_ORDER.indexOf(currentUser.role) >= ROLE_ORDER.indexOf(role);
+}
+
+// Show who is signed in and hide controls the user's role cannot use
+async function initCurrentUser() {
+    try {
+        const response = await fetch('/api/auth/me');
+        if (response.status === 401) {
+            redirectToLogin();
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        currentUser = await response.json();
+    } catch (error) {
+        console.error('Error loading current user:', error);
+        return;
+    }
+
+    document.body.classList.toggle('read-only', !userHasRole('operator'));
+    document.body.classList.toggle('is-admin', userHasRole('admin'));
+
+    const userMenu = document.getElementById('user-menu');
+    if (!userMenu) return;
+    document.getElementById('user-name').textContent = `${currentUser.username} (${currentUser.role})`;
+    userMenu.style.display = 'flex';
+    document.getElementById('logout-btn').addEventListener('click', async () => {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+        } finally {
+            redirectToLogin();
+        }
+    });
+}
+
+// Server-side alerts: open and acknowledged alerts for the selected site
+async function loadAlerts() {
+    const container = document.getElementById('alerts');
+    if (!container) return;
+
+    try {
+        const site = getSelectedSite();
+        const siteParam = site ? `&site=${encodeURIComponent(site)}` : '';
+        const [openResponse, acknowledgedResponse] = await Promise.all([
+            fetch(`/api/alerts?state=open${siteParam}`),
+            fetch(`/api/alerts?state=acknowledged${siteParam}`)
+        ]);
+        const alerts = [...await openResponse.json(), ...await acknowledgedResponse.json()];
+        renderAlerts(alerts);
+    } catch (error) {
+        console.error('Error loading alerts:', error);
+    }
+}
+
+function renderAlerts(alerts) {
+    const container = document.getElementById('alerts');
+    const countElement = document.getElementById('alert-count');
+
+    if (countElement) {
+        countElement.textContent = `${alerts.length} active`;
+    }
+
+    if (alerts.length === 0) {
+        container.innerHTML = '<div class="no-data">No active alerts ✅</div>';
+        return;
+    }
+
+    container.innerHTML = alerts.map(alert => `
+        <div class="alert-item alert-${escapeHtml(alert.severity)}">
+            <div class="alert-header">
+                <strong>${escapeHtml(alert.rule_name)}</strong>
+                <span class="alert-severity">${escapeHtml(alert.severity)}</span>
+            </div>
+            <div class="alert-message">${escapeHtml(alert.message)}</div>
+            <div class="alert-meta">
+                <span>🕒 ${new Date(alert.opened_at).toLocaleString()}</span>
+                ${alert.state === 'open'
+                    ? `<button class="alert-ack-btn requires-operator" data-alert-id="${Number(alert.id)}">Acknowledge</button>`
+                    : '<span class="alert-state">Acknowledged</span>'}
+            </div>
+        </div>
+    `).join('');
+}
+
+async function acknowledgeAlert(alertId) {
+    try {
+        const response = await fetch(`/api/alerts/${alertId}/acknowledge`, { method: 'POST' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        loadAlerts();
+    } catch (error) {
+        console.error('Error acknowledging alert:', error);
+        showNotification('Failed to acknowledge alert', 'error');
+    }
+}
+
+function initAlerts() {
+    const container = document.getElementById('alerts');
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('.alert-ack-btn');
+        if (button) {
+            button.disabled = true;
+            acknowledgeAlert(button.dataset.alertId);
+        }
+    });
+
+    loadAlerts();
+}
+
+// Notifications only; the alert list follows the alerts channel
+socket.on('alert', handleAlertEvent);
+
+function handleAlertEvent(event) {
+    const { type, alert } = event;
+    if (type === 'opened') {
+        showNotification(`🚨 ${alert.message}`, alert.severity === 'info' ? 'info' : 'error');
+    } else if (type === 'resolved') {
+        showNotification(`✅ Resolved: ${alert.rule_name}`, 'success');
+    }
+}
+
+// EXPLAIN plan and index advice for one slow query, shown in a dialog
+async function analyzeSlowQuery(queryId, analyze = false) {
+    const dialog = document.getElementById('queryAnalysisDialog');
+    const content = document.getElementById('queryAnalysis');
+    if (!dialog || !content) return;
+
+    content.innerHTML = '<div class="loading">Running EXPLAIN...</div>';
+    if (!dialog.open) {
+        dialog.showModal();
+    }
+
+    try {
+        const queryParams = getSlowQueryParams();
+        if (analyze) {
+            queryParams.set('analyze', 'true');
+        }
+        const response = await fetch(`/api/slow-queries/${queryId}/explain?${queryParams.toString()}`);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        content.innerHTML = renderQueryAnalysis(result);
+    } catch (error) {
+        console.error('Error analyzing slow query:', error);
+        content.innerHTML = `<div class="no-data">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderQueryAnalysis(result) {
+    const planColumns = ['table', 'type', 'possible_keys', 'key', 'rows', 'filtered', 'Extra'];
+
+    return `
+        <pre class="analysis-sql">${escapeHtml(result.query_text)}</pre>
+        <h4>Findings</h4>
+        ${result.issues.length
+            ? `<ul class="analysis-issues">${result.issues.map(issue => `<li>⚠️ ${escapeHtml(issue.message)}</li>`).join('')}</ul>`
+            : ''}
+        ${result.notes.map(note => `<p class="analysis-note">💡 ${escapeHtml(note)}</p>`).join('')}
+        ${result.suggestions.length ? `
+            <h4>Suggested indexes</h4>
+            ${result.suggestions.map(suggestion => `
+                <div class="analysis-suggestion">
+                    <pre>${escapeHtml(suggestion.statement)}</pre>
+                    <small>${escapeHtml(suggestion.reason)}</small>
+                </div>
+            `).join('')}
+        ` : ''}
+        <h4>Plan <small>(MySQL ${escapeHtml(result.mysql_version)})</small></h4>
+        <div class="analysis-plan">
+            <table>
+                <thead><tr>${planColumns.map(column => `<th>${column}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${result.plan.map(row => `
+                        <tr>${planColumns.map(column => `<td>${escapeHtml(row[column] === null || row[column] === undefined ? '' : String(row[column]))}</td>`).join('')}</tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        ${result.analyze
+            ? `<h4>EXPLAIN ANALYZE</h4><pre class="analysis-analyze">${escapeHtml(result.analyze)}</pre>`
+            : `<button class="query-analyze-btn requires-operator" data-query-id="${Number(result.id)}" data-analyze="true">Run EXPLAIN ANALYZE</button>`}
+    `;
+}
+
+function initQueryAnalysis() {
+    const dialog = document.getElementById('queryAnalysisDialog');
+    if (!dialog) return;
+
+    // Buttons live in re-rendered content, so listen on the containers
+    [document.getElementById('slowQueries'), dialog].forEach(container => {
+        if (!container) return;
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('.query-analyze-btn');
+            if (button) {
+                analyzeSlowQuery(button.dataset.queryId, button.dataset.analyze === 'true');
+            }
+        });
+    });
+
+    const closeButton = dialog.querySelector('.dialog-close');
+    if (closeButton) {
+        closeButton.addEventListener('click', () => dialog.close());
+    }
+}
+
+// Compare dialog: the baseline follows its preset until edited by hand
+function initComparison() {
+    const dialog = document.getElementById('compareDialog');
+    if (!dialog) return;
+
+    const input = id => document.getElementById(id);
+    const preset = input('compare-preset');
+
+    const fillBaseline = () => {
+        const from = new Date(input('comparison-from').value);
+        const to = new Date(input('comparison-to').value);
+        if (preset.value === 'custom' || Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) return;
+
+        const offset = preset.value === 'last-week' ? PRESET_RANGE_MS['7d'] : to - from;
+        input('baseline-from').value = toLocalInputValue(new Date(from.getTime() - offset));
+        input('baseline-to').value = toLocalInputValue(new Date(to.getTime() - offset));
+    };
+
+    input('compare-open').addEventListener('click', () => {
+        const to = customRange ? customRange.to : new Date();
+        const from = customRange ? customRange.from : new Date(to.getTime() - getSelectedRangeMs());
+        input('comparison-from').value = toLocalInputValue(from);
+        input('comparison-to').value = toLocalInputValue(to);
+        if (comparisonWindows) {
+            preset.value = 'custom';
+            input('baseline-from').value = toLocalInputValue(comparisonWindows.baseline.from);
+            input('baseline-to').value = toLocalInputValue(comparisonWindows.baseline.to);
+        } else if (preset.value === 'custom') {
+            preset.value = 'previous';
+        }
+        fillBaseline();
+        dialog.showModal();
+    });
+
+    preset.addEventListener('change', fillBaseline);
+    ['comparison-from', 'comparison-to'].forEach(id => input(id).addEventListener('change', fillBaseline));
+    ['baseline-from', 'baseline-to'].forEach(id => input(id).addEventListener('input', () => {
+        preset.value = 'custom';
+    }));
+
+    input('compare-form').addEventListener('submit', (e) => {
+        const windows = {};
+        const invalid = ['baseline', 'comparison'].some(name => {
+            const from = new Date(input(`${name}-from`).value);
+            const to = new Date(input(`${name}-to`).value);
+            windows[name] = { from, to };
+            return Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to;
+        });
+
+        if (invalid) {
+            e.preventDefault();
+            showNotification('Choose a start before the end of both windows', 'error');
+            return;
+        }
+        startComparison(windows);
+    });
+
+    dialog.querySelector('.dialog-close').addEventListener('click', () => dialog.close());
+    input('compare-exit').addEventListener('click', () => endComparison(true));
+}
+
+// Dashboard params plus raw=true when an admin has turned off redaction
+function getSlowQueryParams() {
+    const params = getDashboardQueryParams();
+    if (showUnredactedQueries) {
+        params.set('raw', 'true');
+    }
+    return params;
+}
+
+// Raw/grouped toggle on the Slow Queries card
+function initSlowQueryViewToggle() {
+    document.querySelectorAll('.query-view-toggle').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            document.querySelectorAll('.query-view-toggle').forEach(b => b.classList.remove('active'));
+            e.target.classList.add('active');
+            slowQueryView = e.target.dataset.view;
+            loadDashboardData();
+        });
+    });
+
+    const unredactedToggle = document.getElementById('show-unredacted');
+    if (unredactedToggle) {
+        unredactedToggle.addEventListener('click', () => {
+            showUnredactedQueries = !showUnredactedQueries;
+            unredactedToggle.classList.toggle('active', showUnredactedQueries);
+            loadDashboardData();
+        });
+    }
+}
+
+// Export menus on the cards download the card's rows for the current range and site;
+// slow queries follow the Unredacted toggle. The browser streams the file to disk.
+function initExportMenus() {
+    document.querySelectorAll('.export-select').forEach(select => {
+        select.addEventListener('change', () => {
+            const format = select.value;
+            // Options can export another dataset than their menu's, e.g. annotations from the performance card
+            const option = select.selectedOptions[0];
+            const dataset = (option && option.dataset.dataset) || select.dataset.dataset;
+            select.value = '';
+            if (!format) return;
+
+            const params = dataset === 'slow-queries' ? getSlowQueryParams() : getDashboardQueryParams();
+            params.set('format', format);
+
+            const link = document.createElement('a');
+            link.href = `/api/export/${dataset}?${params.toString()}`;
+            link.download = '';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+        });
+    });
+}
+
+// Site selector: only shown when more than one site is registered
+async function initSiteSelector() {
+    const container = document.getElementById('site-selector');
+    const selector = document.getElementById('site');
+    if (!container || !selector) return;
+
+    try {
+        const response = await fetch('/api/sites');
+        const sites = await response.json();
+
+        // The fleet overview links here with ?site=<id>
+        const requestedSite = new URLSearchParams(window.location.search).get('site');
+        const hasRequestedSite = sites.some(site => site.id === requestedSite);
+
+        selector.innerHTML = '';
+        sites.forEach(site => {
+            const selected = hasRequestedSite ? site.id === requestedSite : site.default;
+            selector.appendChild(new Option(site.name, site.id, selected, selected));
+        });
+        container.style.display = sites.length > 1 ? 'flex' : 'none';
+
+        if (hasRequestedSite && !sites.find(site => site.id === requestedSite).default) {
+            socket.emit('subscribe-site', requestedSite);
+            loadDashboardData();
+            loadAlerts();
+        }
+    } catch (error) {
+        console.error('Error loading site list:', error);
+        container.style.display = 'none';
+        return;
+    }
+
+    selector.addEventListener('change', (e) => {
+        socket.emit('subscribe-site', e.target.value);
+        loadDashboardData();
+        loadAlerts();
+        showNotification(`Site changed to: ${e.target.options[e.target.selectedIndex].text}`);
+    });
+}
+
 // Update loadDashboardData to support demo mode
 const originalLoadDashboardData = loadDashboardData;
 
@@ -0,0 +1,145 @@
+// Fleet overview: one row per monitored site, worst status first
+const FLEET_REFRESH_MS = 30000;
+const STATUS_SEVERITY = { error: 2, warning: 1, healthy: 0 };
+const STATUS_LABELS = { error: 'Unreachable', warning: 'Warning', healthy: 'Healthy' };
+
+let fleetSites = [];
+let fleetSort = { field: 'status', direction: 'desc' };
+let fleetRefreshInterval = null;
+
+function escapeHtml(text) {
+    if (typeof text !== 'string') return text;
+
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+const SORT_KEYS = {
+    name: site => site.name.toLowerCase(),
+    status: site => STATUS_SEVERITY[site.status] || 0,
+    slow_queries: site => site.slow_queries_1h,
+    active_plugins: site => site.active_plugins,
+    cache_hit_ratio: site => site.cache_hit_ratio,
+    avg_response_time: site => site.avg_response_time,
+    cpu_usage: site => site.cpu_usage
+};
+
+async function loadFleet() {
+    const timeRange = document.getElementById('timeRange').value;
+
+    try {
+        const response = await fetch(`/api/fleet?timeRange=${encodeURIComponent(timeRange)}`);
+        if (response.status === 401) {
+            window.location.href = `/login.html?next=${encodeURIComponent('/fleet.html')}`;
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const fleet = await response.json();
+
+        fleetSites = fleet.sites;
+        updateFleetSummary(fleet);
+        renderFleet();
+    } catch (error) {
+        console.error('Error loading fleet overview:', error);
+        document.getElementById('fleetSites').innerHTML =
+            '<tr><td colspan="7" class="no-data">Failed to load fleet overview</td></tr>';
+    }
+}
+
+function updateFleetSummary(fleet) {
+    document.getElementById('fleet-total').textContent = fleet.total;
+    document.getElementById('fleet-healthy').textContent = fleet.counts.healthy || 0;
+    document.getElementById('fleet-warning').textContent = fleet.counts.warning || 0;
+    document.getElementById('fleet-error').textContent = fleet.counts.error || 0;
+}
+
+/**
+ * Apply the current search, status filter and sort to the loaded sites
+ * @returns {Array} Visible sites
+ */
+function getVisibleSites() {
+    const search = document.getElementById('fleet-search').value.trim().toLowerCase();
+    const status = document.getElementById('fleet-status').value;
+    const key = SORT_KEYS[fleetSort.field] || SORT_KEYS.status;
+    const direction = fleetSort.direction === 'desc' ? -1 : 1;
+
+    return fleetSites
+        .filter(site => !status || site.status === status)
+        .filter(site => !search || site.id.toLowerCase().includes(search) || site.name.toLowerCase().includes(search))
+        .sort((a, b) => {
+            const left = key(a);
+            const right = key(b);
+            if (left < right) return -direction;
+            if (left > right) return direction;
+            return a.name.localeCompare(b.name);
+        });
+}
+
+function renderFleet() {
+    const tbody = document.getElementById('fleetSites');
+    const sites = getVisibleSites();
+
+    document.querySelectorAll('.fleet-table th[data-sort]').forEach(th => {
+        th.classList.toggle('sorted', th.dataset.sort === fleetSort.field);
+        th.classList.toggle('sorted-desc', th.dataset.sort === fleetSort.field && fleetSort.direction === 'desc');
+    });
+
+    if (sites.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="no-data">No sites match the current filters</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = sites.map(site => `
+        <tr class="fleet-row status-${escapeHtml(site.status)}" data-site="${encodeURIComponent(site.id)}" title="${escapeHtml(site.error || 'Open site dashboard')}">
+            <td><strong>${escapeHtml(site.name)}</strong><div class="fleet-site-type">${escapeHtml(site.type)}</div></td>
+            <td><span class="fleet-status fleet-status-${escapeHtml(site.status)}">${STATUS_LABELS[site.status] || escapeHtml(site.status)}</span></td>
+            <td>${site.slow_queries_1h}</td>
+            <td>${site.active_plugins}</td>
+            <td>${Math.round(site.cache_hit_ratio)}%</td>
+            <td>${Math.round(site.avg_response_time)}ms</td>
+            <td>${Math.round(site.cpu_usage)}%</td>
+        </tr>
+    `).join('');
+}
+
+function initFleet() {
+    document.querySelectorAll('.fleet-table th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => {
+            const field = th.dataset.sort;
+            if (fleetSort.field === field) {
+                fleetSort.direction = fleetSort.direction === 'asc' ? 'desc' : 'asc';
+            } else {
+                fleetSort = { field, direction: field === 'name' ? 'asc' : 'desc' };
+            }
+            renderFleet();
+        });
+    });
+
+    // Drill down into the single-site dashboard
+    document.getElementById('fleetSites').addEventListener('click', (e) => {
+        const row = e.target.closest('.fleet-row');
+        if (row) {
+            window.location.href = `/?site=${row.dataset.site}`;
+        }
+    });
+
+    document.getElementById('fleet-search').addEventListener('input', renderFleet);
+    document.getElementById('fleet-status').addEventListener('change', renderFleet);
+    document.getElementById('timeRange').addEventListener('change', loadFleet);
+    document.getElementById('refreshBtn').addEventListener('click', loadFleet);
+
+    loadFleet();
+    fleetRefreshInterval = setInterval(loadFleet, FLEET_REFRESH_MS);
+}
+
+document.addEventListener('DOMContentLoaded', initFleet);
+
+window.addEventListener('beforeunload', () => {
+    if (fleetRefreshInterval) {
+        clearInterval(fleetRefreshInterval);
+        fleetRefreshInterval = null;
+    }
+});
@@ -0,0 +1,47 @@
+// Sign-in form: starts a session cookie and returns to the page that sent us here
+
+// Only same-origin paths, so the login page cannot be used as an open redirect
+function getNextPath() {
+    const next = new URLSearchParams(window.location.search).get('next');
+    return next && next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+function showLoginError(message) {
+    const error = document.getElementById('login-error');
+    error.textContent = message;
+    error.hidden = false;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('login-form');
+    const submit = document.getElementById('login-submit');
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        submit.disabled = true;
+
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: document.getElementById('username').value,
+                    password: document.getElementById('password').value
+                })
+            });
+
+            if (response.ok) {
+                window.location.href = getNextPath();
+                return;
+            }
+
+            const body = await response.json().catch(() => ({}));
+            showLoginError(body.error || `Sign in failed (HTTP ${response.status})`);
+        } catch (error) {
+            console.error('Error signing in:', error);
+            showLoginError('Could not reach the dashboard server');
+        } finally {
+            submit.disabled = false;
+        }
+    });
+});
@@ -0,0 +1,8 @@
+const fs = require('fs');
+const path = require('path');
+const { API_ROUTES, renderApiReference } = require('../src/validation');
+
+// Regenerate docs/api.md from the route parameter declarations
+const target = path.join(__dirname, '..', 'docs', 'api.md');
+fs.writeFileSync(target, renderApiReference(API_ROUTES));
+console.log(`Wrote ${path.relative(process.cwd(), target)}`);
@@ -5,17 +5,48 @@ const mysql = require('mysql2/promise');
 const path = require('path');
 const fetch = require('node-fetch');
 const { spawn } = require('child_process');
+const { createDataSourceResolver } = require('./src/data-sources');
+const { SiteRegistry } = require('./src/site-registry');
+const { siteRoom, broadcast, attachSiteRooms, broadcastRealtimeMetrics, SubscriptionHub, ReplayBuffer, EventStreams } = require('./src/realtime');
+const { AlertEngine, createAlertStore } = require('./src/alerts');
+const { createAlertsRouter } = require('./src/routes/alerts');
+const { createAnnotationStore } = require('./src/annotations');
+const { createAnnotationsRouter } = require('./src/routes/annotations');
+const { Notifier, loadNotifier } = require('./src/notifications');
+const { createApiRouter } = require('./src/routes/api');
+const { createAuthRouter } = require('./src/routes/auth');
+const { createMetricsRouter } = require('./src/routes/metrics');
+const { createIngestRouter } = require('./src/routes/ingest');
+const { createOpenApiRouter } = require('./src/routes/openapi');
+const { createStreamRouter } = require('./src/routes/stream');
+const { IngestLimiter, createIngestStore } = require('./src/ingest');
+const { createResponseCache } = require('./src/cache');
+const {
+  AuthService,
+  createAuthStore,
+  authenticate,
+  authorize,
+  auditLog,
+  requireAccess,
+  authenticateSocket
+} = require('./src/auth');
+const { retentionFromEnv, runRollups } = require('./src/rollups');
+const { loadRedactor } = require('./src/redaction');
+const { RequestMetrics, MetricsCollector } = require('./src/prometheus');
 require('dotenv').config();
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
 
-// Configuration
-const useExternalWP = !!process.env.WP_API_URL;
-const wpApiUrl = process.env.WP_API_URL;
-const wpApiUsername = process.env.WP_API_USERNAME;
-const wpApiPassword = process.env.WP_API_PASSWORD;
+// Retention per resolution (RETENTION_RAW_DAYS, RETENTION_1M_DAYS, ...)
+const retention = retentionFromEnv(process.env);
+
+// Monitored sites: SITES_CONFIG points at a JSON registry, otherwise a single
+// site is built from the DB_* or WP_API_* variables
+const siteRegistry = process.env.SITES_CONFIG
+  ? SiteRegistry.fromFile(process.env.SITES_CONFIG, { retention })
+  : SiteRegistry.fromEnv(process.env, { retention });
 
 // Demo environment detection
 const isDemoMode = process.env.DEMO_MODE === 'true' || process.env.NODE_ENV === 'demo';
@@ -30,23 +61,9 @@ const demoDbConfig = {
   queueLimit: 0
 };
 
-// Database configuration
-let pool = null;
+// Demo database configuration
 let demoPool = null;
 
-if (!useExternalWP) {
-  const dbConfig = {
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || 'password',
-    database: process.env.DB_NAME || 'wordpress_performance',
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0
-  };
-  pool = mysql.createPool(dbConfig);
-}
-
 // Initialize demo database connection if in demo mode or for demo detection
 if (isDemoMode) {
   demoPool = mysql.createPool(demoDbConfig);
@@ -60,285 +77,138 @@ if (isDemoMode) {
   }
 }
 
-// WordPress API helper functions
-async function fetchFromWPApi(endpoint, method = 'GET', data = null) {
-  if (!wpApiUrl) {
-    throw new Error('WordPress API URL not configured');
-  }
-
-  const url = `${wpApiUrl}${endpoint}`;
-  const options = {
-    method,
-    headers: {
-      'Content-Type': 'application/json',
-    }
-  };
-
-  // Add basic auth if credentials are provided
-  if (wpApiUsername && wpApiPassword) {
-    const auth = Buffer.from(`${wpApiUsername}:${wpApiPassword}`).toString('base64');
-    options.headers.Authorization = `Basic ${auth}`;
-  }
-
-  if (data && (method === 'POST' || method === 'PUT')) {
-    options.body = JSON.stringify(data);
-  }
-
-  const response = await fetch(url, options);
-  if (!response.ok) {
-    throw new Error(`WP API request failed: ${response.status} ${response.statusText}`);
-  }
-
-  return response.json();
-}
-
 // Middleware
+// Plugin batches with slow query text can outgrow the default 100kb body limit
+app.use('/api/ingest', express.json({ limit: process.env.INGEST_MAX_BODY || '5mb' }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Helper function to get appropriate database pool
-function getDbPool(req) {
-  const useDemo = req.query.demo === 'true' || isDemoMode;
-  return useDemo && demoPool ? demoPool : pool;
-}
+// Data source selection: the requested site (WordPress API or MySQL) or demo MySQL
+const resolveDataSource = createDataSourceResolver({
+  registry: siteRegistry,
+  demoPool,
+  isDemoMode,
+  retention
+});
 
-function getTimeRangeInterval(timeRange) {
-  switch (timeRange) {
-    case '1h':
-      return '1 HOUR';
-    case '6h':
-      return '6 HOUR';
-    case '24h':
-      return '24 HOUR';
-    case '7d':
-      return '7 DAY';
-    default:
-      return null;
-  }
-}
+// Dashboard-owned tables (alerts, ...) live in the demo database in demo mode,
+// otherwise in the default site's database; WP API-only setups keep them in memory
+const storePool = isDemoMode ? demoPool : siteRegistry.getPool();
 
-// API Routes
-app.get('/api/metrics', async (req, res) => {
-  try {
-    const timeRange = req.query.timeRange || '1h';
-    const limit = req.query.limit || 50;
-    const useDemo = req.query.demo === 'true' || isDemoMode;
-
-    if (useExternalWP && !useDemo) {
-      // Use WordPress API for external WordPress
-      const data = await fetchFromWPApi(`/wp-json/wp-performance-dashboard/v1/metrics?timeRange=${timeRange}&limit=${limit}`);
-      res.json(data);
-    } else {
-      // Use direct database query for local setup or demo
-      const dbPool = getDbPool(req);
-      if (!dbPool) {
-        return res.status(400).json({ error: 'Database not available' });
-      }
-
-      const interval = getTimeRangeInterval(timeRange);
-      const limitValue = parseInt(limit);
-      const query = interval
-        ? `SELECT * FROM performance_metrics WHERE timestamp > DATE_SUB(NOW(), INTERVAL ${interval}) ORDER BY timestamp DESC LIMIT ?`
-        : 'SELECT * FROM performance_metrics ORDER BY timestamp DESC LIMIT ?';
+// Server-side alerting
+const alertStore = createAlertStore(storePool);
+const alertEngine = new AlertEngine({ store: alertStore, listSources: monitoredDataSources });
+const alertEvaluationInterval = parseInt(process.env.ALERT_EVALUATION_INTERVAL_MS) || 30000;
 
-      const [rows] = await dbPool.execute(query, [limitValue]);
-      res.json(rows);
-    }
-  } catch (error) {
-    console.error('Error fetching metrics:', error);
-    res.status(500).json({ error: 'Failed to fetch metrics' });
-  }
+alertStore.ensureSchema().catch((error) => {
+  console.error('Error preparing alert tables:', error);
 });
 
-app.get('/api/slow-queries', async (req, res) => {
-  try {
-    const limit = req.query.limit || 20;
-    const timeRange = req.query.timeRange || '1h';
-    const useDemo = req.query.demo === 'true' || isDemoMode;
-
-    if (useExternalWP && !useDemo) {
-      // Use WordPress API for external WordPress
-      const data = await fetchFromWPApi(`/wp-json/wp-performance-dashboard/v1/slow-queries?limit=${limit}&timeRange=${timeRange}`);
-      res.json(data);
-    } else {
-      // Use direct database query for local setup or demo
-      const dbPool = getDbPool(req);
-      if (!dbPool) {
-        return res.status(400).json({ error: 'Database not available' });
-      }
-
-      const interval = getTimeRangeInterval(timeRange);
-      const limitValue = parseInt(limit);
-      const query = interval
-        ? 'SELECT * FROM slow_queries WHERE timestamp > DATE_SUB(NOW(), INTERVAL ' + interval + ') ORDER BY execution_time DESC LIMIT ?'
-        : 'SELECT * FROM slow_queries ORDER BY execution_time DESC LIMIT ?';
+// Deploy and release markers posted by CI jobs and WordPress hooks
+const annotationStore = createAnnotationStore(storePool);
 
-      const [rows] = await dbPool.execute(query, [limitValue]);
-      res.json(rows);
-    }
-  } catch (error) {
-    console.error('Error fetching slow queries:', error);
-    res.status(500).json({ error: 'Failed to fetch slow queries' });
-  }
+annotationStore.ensureSchema().catch((error) => {
+  console.error('Error preparing annotation tables:', error);
 });
 
-app.get('/api/admin-ajax', async (req, res) => {
-  try {
-    const timeRange = req.query.timeRange || '1h';
-    const limit = req.query.limit || 20;
-    const useDemo = req.query.demo === 'true' || isDemoMode;
-
-    if (useExternalWP && !useDemo) {
-      // Use WordPress API for external WordPress
-      const data = await fetchFromWPApi(`/wp-json/wp-performance-dashboard/v1/admin-ajax?timeRange=${timeRange}&limit=${limit}`);
-      res.json(data);
-    } else {
-      // Use direct database query for local setup or demo
-      const dbPool = getDbPool(req);
-      if (!dbPool) {
-        return res.status(400).json({ error: 'Database not available' });
-      }
+// Alert notifications (webhook, email, Slack/Teams) from NOTIFICATIONS_CONFIG
+const notifier = process.env.NOTIFICATIONS_CONFIG
+  ? loadNotifier(process.env.NOTIFICATIONS_CONFIG)
+  : new Notifier();
 
-      const interval = getTimeRangeInterval(timeRange);
-      const limitValue = parseInt(limit);
-      const query = interval
-        ? 'SELECT * FROM admin_ajax_calls WHERE timestamp > DATE_SUB(NOW(), INTERVAL ' + interval + ') ORDER BY call_count DESC LIMIT ?'
-        : 'SELECT * FROM admin_ajax_calls ORDER BY call_count DESC LIMIT ?';
+// Dashboard users, sessions, API keys and the audit log
+const authStore = createAuthStore(storePool);
+const auth = new AuthService({
+  store: authStore,
+  sessionTtlMs: (parseInt(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000
+});
 
-      const [rows] = await dbPool.execute(query, [limitValue]);
-      res.json(rows);
+authStore.ensureSchema()
+  .then(() => auth.ensureAdmin({ username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD }))
+  .then((admin) => {
+    if (admin && admin.generated) {
+      console.log(`🔐 Created admin user "${admin.username}" with password: ${admin.password}`);
+      console.log('   Set ADMIN_PASSWORD or change it after logging in');
     }
-  } catch (error) {
-    console.error('Error fetching admin-ajax data:', error);
-    res.status(500).json({ error: 'Failed to fetch admin-ajax data' });
-  }
+  })
+  .catch((error) => {
+    console.error('Error preparing auth tables:', error);
+  });
+
+// Idempotency keys and backpressure for batches pushed to /api/ingest
+const ingestStore = createIngestStore(storePool);
+const ingestLimiter = new IngestLimiter({
+  batchesPerMinute: parseInt(process.env.INGEST_BATCHES_PER_MINUTE) || 60,
+  maxInFlight: parseInt(process.env.INGEST_MAX_IN_FLIGHT) || 2
 });
 
-app.get('/api/plugins', async (req, res) => {
-  try {
-    const timeRange = req.query.timeRange || '1h';
-    const limit = req.query.limit || 100;
-    const includeInactive = req.query.includeInactive === 'true';
-    const useDemo = req.query.demo === 'true' || isDemoMode;
-
-    if (useExternalWP && !useDemo) {
-      // Use WordPress API for external WordPress
-      const data = await fetchFromWPApi(`/wp-json/wp-performance-dashboard/v1/plugins?timeRange=${timeRange}&limit=${limit}&includeInactive=${includeInactive}`);
-      res.json(data);
-    } else {
-      // Use direct database query for local setup or demo
-      const dbPool = getDbPool(req);
-      if (!dbPool) {
-        return res.status(400).json({ error: 'Database not available' });
-      }
+ingestStore.ensureSchema().catch((error) => {
+  console.error('Error preparing ingest tables:', error);
+});
 
-      const interval = getTimeRangeInterval(timeRange);
-      const limitValue = parseInt(limit);
-      const statusClause = includeInactive ? '' : 'status = "active"';
-      const timeClause = interval ? 'timestamp > DATE_SUB(NOW(), INTERVAL ' + interval + ')' : '';
-      const whereClauses = [statusClause, timeClause].filter(Boolean).join(' AND ');
-      const whereSql = whereClauses ? `WHERE ${whereClauses}` : '';
-      const query = `SELECT * FROM plugin_performance ${whereSql} ORDER BY impact_score DESC LIMIT ?`;
+// Short-lived copies of dashboard responses, dropped when a site receives new data.
+// CACHE_REDIS_URL shares them between dashboard instances; RESPONSE_CACHE=off disables caching.
+const responseCache = process.env.RESPONSE_CACHE === 'off'
+  ? null
+  : createResponseCache({
+    redisUrl: process.env.CACHE_REDIS_URL,
+    maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 500
+  });
 
-      const [rows] = await dbPool.execute(query, [limitValue]);
-      res.json(rows);
-    }
-  } catch (error) {
-    console.error('Error fetching plugin data:', error);
-    res.status(500).json({ error: 'Failed to fetch plugin data' });
+function invalidateResponses(site) {
+  if (responseCache) {
+    responseCache.invalidate(site).catch((error) => {
+      console.error('Error invalidating cached responses:', error);
+    });
   }
-});
+}
 
-// Real-time metrics endpoint
-app.get('/api/realtime-metrics', async (req, res) => {
-  try {
-    const useDemo = req.query.demo === 'true' || isDemoMode;
-
-    if (useExternalWP && !useDemo) {
-      // Use WordPress API for external WordPress
-      const data = await fetchFromWPApi('/wp-json/wp-performance-dashboard/v1/realtime-metrics');
-      res.json(data);
-    } else {
-      // Use direct database query for local setup or demo
-      const dbPool = getDbPool(req);
-      if (!dbPool) {
-        return res.status(400).json({ error: 'Database not available' });
-      }
+// Latency of every /api request, including ones refused by auth, for /metrics
+const requestMetrics = new RequestMetrics();
+app.use('/api', requestMetrics.middleware());
 
-      const [metrics] = await dbPool.execute(
-        'SELECT AVG(queries_per_second) as avg_qps, AVG(avg_response_time) as avg_response, AVG(memory_usage) as avg_memory FROM performance_metrics WHERE timestamp > DATE_SUB(NOW(), INTERVAL 5 MINUTE)'
-      );
-      res.json(metrics[0] || { avg_qps: 0, avg_response: 0, avg_memory: 0 });
-    }
-  } catch (error) {
-    console.error('Error fetching realtime metrics:', error);
-    res.status(500).json({ error: 'Failed to fetch realtime metrics' });
-  }
-});
+// Every /api route needs a session or API key with the role (and key scope)
+// from ACCESS_RULES; privileged calls are written to the audit log
+app.use('/api', authenticate(auth), auditLog(auth), authorize);
 
-// System health endpoint
-app.get('/api/system-health', async (req, res) => {
-  try {
-    const timeRange = req.query.timeRange || '1h';
-    const useDemo = req.query.demo === 'true' || isDemoMode;
-
-    if (useExternalWP && !useDemo) {
-      // Use WordPress API for external WordPress
-      const data = await fetchFromWPApi(`/wp-json/wp-performance-dashboard/v1/system-health?timeRange=${timeRange}`);
-      res.json(data);
-    } else {
-      // Use direct database query for local setup or demo
-      const dbPool = getDbPool(req);
-      if (!dbPool) {
-        return res.status(400).json({ error: 'Database not available' });
-      }
+// Slow query text is masked before it leaves the API (REDACTION_CONFIG overrides the defaults)
+const redactor = loadRedactor(process.env.REDACTION_CONFIG);
 
-      const interval = getTimeRangeInterval(timeRange) || '1 HOUR';
-      const [queryCount] = await dbPool.execute(
-        'SELECT COUNT(*) as total FROM slow_queries WHERE timestamp > DATE_SUB(NOW(), INTERVAL ' + interval + ')'
-      );
-      const [pluginCount] = await dbPool.execute(
-        'SELECT COUNT(*) as total FROM plugin_performance WHERE status = "active"'
-      );
-      const [avgResponse] = await dbPool.execute(
-        'SELECT AVG(avg_response_time) as avg FROM performance_metrics WHERE timestamp > DATE_SUB(NOW(), INTERVAL ' + interval + ')'
-      );
-      const [systemHealth] = await dbPool.execute(
-        'SELECT * FROM system_health ORDER BY timestamp DESC LIMIT 1'
-      );
-
-      const latestHealth = systemHealth[0] || {};
-      const avgResponseTime = avgResponse[0].avg || 0;
-      const cpuUsage = latestHealth.cpu_usage || 0;
-      const memoryTotal = latestHealth.memory_total || 0;
-      const memoryUsed = latestHealth.memory_used || 0;
-      const diskUsage = latestHealth.disk_usage || 0;
-      const cacheHitRatio = latestHealth.cache_hit_ratio || 0;
-
-      const status = avgResponseTime > 2000 || cpuUsage > 80 || memoryUsed > 0.8 * memoryTotal
-        ? 'warning'
-        : 'healthy';
-
-      res.json({
-        slow_queries_1h: queryCount[0].total,
-        active_plugins: pluginCount[0].total,
-        avg_response_time: avgResponseTime,
-        cpu_usage: cpuUsage,
-        memory_total: memoryTotal,
-        memory_used: memoryUsed,
-        memory_usage_percent: memoryTotal ? (memoryUsed / memoryTotal) * 100 : 0,
-        disk_usage: diskUsage,
-        cache_hit_ratio: cacheHitRatio,
-        active_connections: latestHealth.active_connections || 0,
-        status,
-        demo_mode: useDemo
-      });
-    }
-  } catch (error) {
-    console.error('Error fetching system health:', error);
-    res.status(500).json({ error: 'Failed to fetch system health' });
-  }
+// API Routes
+app.use('/api', createAuthRouter({ auth }));
+app.use('/api', createApiRouter({
+  resolveDataSource,
+  registry: siteRegistry,
+  redactor,
+  cache: responseCache,
+  annotations: annotationStore
+}));
+app.use('/api', createAlertsRouter({ store: alertStore, engine: alertEngine, registry: siteRegistry }));
+app.use('/api', createAnnotationsRouter({ store: annotationStore, registry: siteRegistry }));
+app.use('/api', createIngestRouter({
+  registry: siteRegistry,
+  store: ingestStore,
+  limiter: ingestLimiter,
+  onIngest: invalidateResponses
+}));
+app.use('/api', createOpenApiRouter());
+
+// Sites reported on by background jobs and /metrics: the demo database in demo mode, otherwise every site
+function monitoredDataSources() {
+  return isDemoMode
+    ? [{ site: 'demo', dataSource: resolveDataSource({ query: { demo: 'true' } }) }]
+    : siteRegistry.listSites().map(site => ({ site: site.id, dataSource: siteRegistry.getDataSource(site.id) }));
+}
+
+// Prometheus scrape endpoint; scrape it with an API key that has the read:metrics scope
+const metricsCollector = new MetricsCollector({
+  listSources: monitoredDataSources,
+  listPools: () => [...siteRegistry.listPools(), ...(demoPool ? [{ name: 'demo', pool: demoPool }] : [])],
+  requestMetrics,
+  io
 });
+app.use('/metrics', authenticate(auth), requireAccess({ role: 'viewer', scope: 'read:metrics' }));
+app.use(createMetricsRouter({ collector: metricsCollector }));
 
 // Demo environment status endpoint
 app.get('/api/demo-status', async (req, res) => {
@@ -420,6 +290,7 @@ app.post('/api/demo-refresh', async (req, res) => {
 
     refreshProcess.on('close', (code) => {
       if (code === 0) {
+        invalidateResponses('demo');
         res.json({ 
           success: true, 
           message: 'Demo data refreshed successfully',
@@ -456,54 +327,66 @@ app.get('/health', (req, res) => {
   });
 });
 
-// WebSocket connection handling
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+// WebSocket connection handling: authenticated connections, one room per monitored site
+io.use(authenticateSocket(auth));
+// Recent broadcasts, replayed to clients that reconnect
+const replayBuffer = new ReplayBuffer({
+  capacity: parseInt(process.env.REALTIME_REPLAY_EVENTS) || undefined,
+  maxAgeMs: (parseInt(process.env.REALTIME_REPLAY_SECONDS) * 1000) || undefined
+});
+attachSiteRooms(io, siteRegistry, { replay: replayBuffer });
+
+// Channel subscriptions: each feed is polled once and only changes go to its subscribers
+const subscriptions = new SubscriptionHub({ registry: siteRegistry, resolveDataSource, alertStore, redactor, replay: replayBuffer });
+subscriptions.attach(io);
+
+// Server-Sent Events fallback carrying the site room events, for networks that block WebSockets
+const eventStreams = new EventStreams({ replay: replayBuffer });
+app.use('/api', createStreamRouter({ streams: eventStreams, registry: siteRegistry }));
+
+// 'real-time-metrics' for event streams; sockets get samples from the realtime channel
+setInterval(() => {
+  broadcastRealtimeMetrics(io, siteRegistry, resolveDataSource, { replay: replayBuffer, streams: eventStreams });
+}, 5000); // Broadcast every 5 seconds
 
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
+// Push alert state changes to the affected site's room
+alertEngine.on('alert', (event) => {
+  broadcast(io, replayBuffer, siteRoom(event.alert.site), 'alert', event);
+  subscriptions.refresh(event.alert.site, 'alerts');
+  notifier.notify(event).catch((error) => {
+    console.error('Error sending alert notifications:', error);
   });
 });
 
-// Real-time data broadcasting
-setInterval(async () => {
-  try {
-    if (useExternalWP && !isDemoMode) {
-      // Use WordPress API for external WordPress
-      const data = await fetchFromWPApi('/wp-json/wp-performance-dashboard/v1/realtime-metrics');
-      if (data && data.queries_per_second !== undefined) {
-        io.emit('real-time-metrics', {
-          queries_per_second: data.queries_per_second,
-          avg_response_time: data.avg_response_time,
-          memory_usage: data.memory_usage,
-          timestamp: data.timestamp || new Date().toISOString(),
-          demo_mode: false
-        });
-      }
-    } else {
-      // Use direct database query for local setup or demo
-      const dbPool = isDemoMode && demoPool ? demoPool : pool;
-      if (dbPool) {
-        const [metrics] = await dbPool.execute(
-          'SELECT * FROM performance_metrics ORDER BY timestamp DESC LIMIT 1'
-        );
-
-        if (metrics.length > 0) {
-          const latestMetrics = metrics[0];
-          io.emit('real-time-metrics', {
-            queries_per_second: latestMetrics.queries_per_second,
-            avg_response_time: latestMetrics.avg_response_time,
-            memory_usage: latestMetrics.memory_usage,
-            timestamp: latestMetrics.timestamp,
-            demo_mode: isDemoMode
-          });
-        }
-      }
-    }
-  } catch (error) {
-    console.error('Error broadcasting real-time data:', error);
+setInterval(() => {
+  auth.pruneSessions().catch((error) => {
+    console.error('Error pruning sessions:', error);
+  });
+  // Retries come within minutes; a day of Idempotency-Keys is plenty
+  ingestStore.pruneBatches(new Date(Date.now() - 24 * 60 * 60 * 1000)).catch((error) => {
+    console.error('Error pruning ingest batches:', error);
+  });
+}, 60 * 60 * 1000);
+
+setInterval(() => {
+  alertEngine.evaluate().catch((error) => {
+    console.error('Error evaluating alert rules:', error);
+  });
+}, alertEvaluationInterval);
+
+// Downsampling and retention for every monitored MySQL database
+const rollupInterval = parseInt(process.env.ROLLUP_INTERVAL_MS) || 60000;
+let rollupPass = null;
+
+setInterval(() => {
+  // Skip a tick while a long catch-up pass is still running
+  if (rollupPass) {
+    return;
   }
-}, 5000); // Broadcast every 5 seconds
+  rollupPass = runRollups(monitoredDataSources().map(({ dataSource }) => dataSource)).finally(() => {
+    rollupPass = null;
+  });
+}, rollupInterval);
 
 // Serve the main dashboard
 app.get('/', (req, res) => {
@@ -0,0 +1,191 @@
+const EventEmitter = require('events');
+const { METRICS, compare, describeRule } = require('./rules');
+const { round } = require('../stats');
+
+// How far before a window the sample that covers its start may be, as a
+// fraction of the window
+const MAX_LEAD_FRACTION = 0.25;
+
+// Most samples read for one window. A window holding more cannot be checked
+// in full, so it does not breach.
+const MAX_WINDOW_SAMPLES = 10000;
+
+/**
+ * Evaluates alert rules against every monitored site and keeps the alert
+ * history in sync: a breach opens an alert, recovery resolves it.
+ *
+ * Emits 'alert' with { type: 'opened' | 'acknowledged' | 'resolved', alert }.
+ */
+class AlertEngine extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - MySqlAlertStore or MemoryAlertStore
+   * @param {Function} options.listSources - () => [{ site, dataSource }] to evaluate rules against
+   * @param {number} [options.maxWindowSamples] - Most samples read for one window
+   * @param {Function} [options.now] - Clock, injectable for tests
+   */
+  constructor({ store, listSources, maxWindowSamples = MAX_WINDOW_SAMPLES, now = () => Date.now() }) {
+    super();
+    this.store = store;
+    this.listSources = listSources;
+    this.maxWindowSamples = maxWindowSamples;
+    this.now = now;
+    this.evaluating = false;
+  }
+
+  /**
+   * Check one rule against one data source
+   * @returns {Promise<{breached: boolean, value: number|null}>}
+   */
+  async checkRule(rule, dataSource) {
+    const metric = METRICS[rule.metric];
+    const windowMs = (rule.duration_seconds || 0) * 1000;
+    const since = new Date(this.now() - windowMs);
+
+    if (metric.aggregate === 'count') {
+      const value = Number(await dataSource.countRows(metric.table, { since }));
+      return { breached: compare(rule.operator, value, rule.threshold), value };
+    }
+
+    // Without a window only the latest sample counts. With one, breaching
+    // samples must cover all of it ("above 2000ms for 5 minutes"): every
+    // sample inside the window breaches, and so does the last one shortly
+    // before it (within MAX_LEAD_FRACTION of the window), so a single sample
+    // after a gap or at startup cannot open an alert.
+    if (windowMs === 0) {
+      const [latest] = await dataSource.getMetricValues(metric, { limit: 1 });
+      if (!latest || latest.value === null || latest.value === undefined) {
+        return { breached: false, value: null };
+      }
+      return { breached: compare(rule.operator, latest.value, rule.threshold), value: Number(latest.value) };
+    }
+
+    const [inside, before] = await Promise.all([
+      dataSource.getMetricValues(metric, { since, limit: this.maxWindowSamples }),
+      dataSource.getMetricValues(metric, {
+        since: new Date(since.getTime() - windowMs * MAX_LEAD_FRACTION),
+        until: since,
+        limit: 1
+      })
+    ]);
+    const samples = [...inside, ...before]
+      .filter(sample => sample.value !== null && sample.value !== undefined);
+
+    if (samples.length === 0) {
+      return { breached: false, value: null };
+    }
+    // Only the newest samples were read, so the rest of the window is unknown
+    if (inside.length >= this.maxWindowSamples) {
+      return { breached: false, value: Number(samples[0].value) };
+    }
+
+    const oldest = samples[samples.length - 1];
+    return {
+      breached: samples.every(sample => compare(rule.operator, sample.value, rule.threshold)) &&
+        new Date(oldest.timestamp).getTime() <= since.getTime(),
+      value: Number(samples[0].value)
+    };
+  }
+
+  /**
+   * Evaluate every enabled rule once. Overlapping calls are skipped so a
+   * slow database cannot pile up evaluations.
+   * @returns {Promise<Array<Object>>} Alert events produced by this pass
+   */
+  async evaluate() {
+    if (this.evaluating) {
+      return [];
+    }
+    this.evaluating = true;
+
+    const events = [];
+    try {
+      const rules = (await this.store.listRules()).filter(rule => rule.enabled && METRICS[rule.metric]);
+      const sources = this.listSources().filter(({ dataSource }) => dataSource);
+
+      for (const rule of rules) {
+        const targets = rule.site ? sources.filter(({ site }) => site === rule.site) : sources;
+        for (const { site, dataSource } of targets) {
+          try {
+            const event = await this.evaluateRuleForSite(rule, site, dataSource);
+            if (event) {
+              events.push(event);
+            }
+          } catch (error) {
+            console.error(`Error evaluating alert rule ${rule.id} for site ${site}:`, error);
+          }
+        }
+      }
+    } finally {
+      this.evaluating = false;
+    }
+
+    events.forEach(event => this.emit('alert', event));
+    return events;
+  }
+
+  async evaluateRuleForSite(rule, site, dataSource) {
+    const { breached, value } = await this.checkRule(rule, dataSource);
+    const active = await this.store.findActiveAlert(rule.id, site);
+    const timestamp = new Date(this.now());
+
+    if (breached && !active) {
+      const alert = await this.store.createAlert({
+        rule_id: rule.id,
+        rule_name: rule.name,
+        site,
+        metric: rule.metric,
+        operator: rule.operator,
+        threshold: rule.threshold,
+        severity: rule.severity,
+        value,
+        message: `${rule.name}: ${describeRule(rule)} (current ${round(value)})`,
+        opened_at: timestamp
+      });
+      return { type: 'opened', alert };
+    }
+
+    if (breached && active) {
+      await this.store.updateAlert(active.id, { value });
+      return null;
+    }
+
+    if (!breached && active) {
+      const alert = await this.store.updateAlert(active.id, { state: 'resolved', resolved_at: timestamp });
+      return { type: 'resolved', alert };
+    }
+
+    return null;
+  }
+
+  async acknowledge(id, acknowledgedBy = null) {
+    const alert = await this.store.getAlert(id);
+    if (!alert || alert.state !== 'open') {
+      return alert;
+    }
+
+    const updated = await this.store.updateAlert(id, {
+      state: 'acknowledged',
+      acknowledged_at: new Date(this.now()),
+      acknowledged_by: acknowledgedBy
+    });
+    this.emit('alert', { type: 'acknowledged', alert: updated });
+    return updated;
+  }
+
+  async resolve(id) {
+    const alert = await this.store.getAlert(id);
+    if (!alert || alert.state === 'resolved') {
+      return alert;
+    }
+
+    const updated = await this.store.updateAlert(id, {
+      state: 'resolved',
+      resolved_at: new Date(this.now())
+    });
+    this.emit('alert', { type: 'resolved', alert: updated });
+    return updated;
+  }
+}
+
+module.exports = { AlertEngine };
@@ -0,0 +1,311 @@
+const { DEFAULT_RULES } = require('./rules');
+
+const ALERT_STATES = ['open', 'acknowledged', 'resolved'];
+
+// Columns a rule update may change
+const RULE_FIELDS = ['name', 'site', 'metric', 'operator', 'threshold', 'duration_seconds', 'severity', 'enabled'];
+
+function normalizeRule(row) {
+  return {
+    ...row,
+    site: row.site || null,
+    threshold: Number(row.threshold),
+    duration_seconds: Number(row.duration_seconds) || 0,
+    enabled: !!row.enabled
+  };
+}
+
+function normalizeAlert(row) {
+  return {
+    ...row,
+    threshold: row.threshold === null ? null : Number(row.threshold),
+    value: row.value === null ? null : Number(row.value)
+  };
+}
+
+/**
+ * Alert rules and alert history stored in the dashboard's MySQL database
+ */
+class MySqlAlertStore {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async ensureSchema() {
+    await this.pool.execute(`
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        site VARCHAR(100) NULL,
+        metric VARCHAR(100) NOT NULL,
+        operator VARCHAR(2) NOT NULL,
+        threshold FLOAT NOT NULL,
+        duration_seconds INT NOT NULL DEFAULT 0,
+        severity VARCHAR(20) NOT NULL DEFAULT 'warning',
+        enabled TINYINT(1) NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    await this.pool.execute(`
+      CREATE TABLE IF NOT EXISTS alerts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        rule_id INT NOT NULL,
+        rule_name VARCHAR(100),
+        site VARCHAR(100) NOT NULL,
+        metric VARCHAR(100) NOT NULL,
+        operator VARCHAR(2),
+        threshold FLOAT,
+        severity VARCHAR(20),
+        state VARCHAR(20) NOT NULL DEFAULT 'open',
+        value FLOAT,
+        message VARCHAR(255),
+        opened_at DATETIME NOT NULL,
+        acknowledged_at DATETIME NULL,
+        acknowledged_by VARCHAR(100) NULL,
+        resolved_at DATETIME NULL,
+        INDEX idx_alerts_state (state),
+        INDEX idx_alerts_rule_site (rule_id, site)
+      )
+    `);
+
+    const [rules] = await this.pool.execute('SELECT COUNT(*) as total FROM alert_rules');
+    if (rules[0].total === 0) {
+      for (const rule of DEFAULT_RULES) {
+        await this.createRule(rule);
+      }
+    }
+  }
+
+  async listRules() {
+    const [rows] = await this.pool.execute('SELECT * FROM alert_rules ORDER BY id');
+    return rows.map(normalizeRule);
+  }
+
+  async getRule(id) {
+    const [rows] = await this.pool.execute('SELECT * FROM alert_rules WHERE id = ?', [id]);
+    return rows[0] ? normalizeRule(rows[0]) : null;
+  }
+
+  async createRule(rule) {
+    const [result] = await this.pool.execute(
+      'INSERT INTO alert_rules (name, site, metric, operator, threshold, duration_seconds, severity, enabled) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        rule.name,
+        rule.site || null,
+        rule.metric,
+        rule.operator,
+        rule.threshold,
+        rule.duration_seconds || 0,
+        rule.severity || 'warning',
+        rule.enabled === false ? 0 : 1
+      ]
+    );
+    return this.getRule(result.insertId);
+  }
+
+  async updateRule(id, changes) {
+    const fields = RULE_FIELDS.filter(field => changes[field] !== undefined);
+    if (fields.length > 0) {
+      const values = fields.map(field => (field === 'enabled' ? (changes.enabled ? 1 : 0) : changes[field]));
+      await this.pool.execute(
+        `UPDATE alert_rules SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...values, id]
+      );
+    }
+    return this.getRule(id);
+  }
+
+  async deleteRule(id) {
+    const [result] = await this.pool.execute('DELETE FROM alert_rules WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  async listAlerts({ state, site, limit = 100 } = {}) {
+    const clauses = [];
+    const params = [];
+    if (state) {
+      clauses.push('state = ?');
+      params.push(state);
+    }
+    if (site) {
+      clauses.push('site = ?');
+      params.push(site);
+    }
+    const whereSql = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const [rows] = await this.pool.execute(
+      `SELECT * FROM alerts ${whereSql} ORDER BY opened_at DESC, id DESC LIMIT ?`,
+      [...params, parseInt(limit)]
+    );
+    return rows.map(normalizeAlert);
+  }
+
+  async getAlert(id) {
+    const [rows] = await this.pool.execute('SELECT * FROM alerts WHERE id = ?', [id]);
+    return rows[0] ? normalizeAlert(rows[0]) : null;
+  }
+
+  // The open or acknowledged alert for a rule on a site, if any
+  async findActiveAlert(ruleId, site) {
+    const [rows] = await this.pool.execute(
+      'SELECT * FROM alerts WHERE rule_id = ? AND site = ? AND state != "resolved" ORDER BY id DESC LIMIT 1',
+      [ruleId, site]
+    );
+    return rows[0] ? normalizeAlert(rows[0]) : null;
+  }
+
+  async createAlert(alert) {
+    const [result] = await this.pool.execute(
+      'INSERT INTO alerts (rule_id, rule_name, site, metric, operator, threshold, severity, state, value, message, opened_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        alert.rule_id,
+        alert.rule_name,
+        alert.site,
+        alert.metric,
+        alert.operator,
+        alert.threshold,
+        alert.severity,
+        'open',
+        alert.value,
+        alert.message,
+        alert.opened_at
+      ]
+    );
+    return this.getAlert(result.insertId);
+  }
+
+  async updateAlert(id, changes) {
+    const fields = ['state', 'value', 'acknowledged_at', 'acknowledged_by', 'resolved_at']
+      .filter(field => changes[field] !== undefined);
+    if (fields.length > 0) {
+      await this.pool.execute(
+        `UPDATE alerts SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(field => changes[field]), id]
+      );
+    }
+    return this.getAlert(id);
+  }
+}
+
+/**
+ * In-process alert store for deployments without a dashboard database, and for tests.
+ * History is lost on restart.
+ */
+class MemoryAlertStore {
+  constructor({ now = () => Date.now() } = {}) {
+    this.rules = [];
+    this.alerts = [];
+    this.nextRuleId = 1;
+    this.nextAlertId = 1;
+    this.now = now;
+  }
+
+  async ensureSchema() {
+    if (this.rules.length === 0) {
+      for (const rule of DEFAULT_RULES) {
+        await this.createRule(rule);
+      }
+    }
+  }
+
+  async listRules() {
+    return this.rules.map(rule => ({ ...rule }));
+  }
+
+  async getRule(id) {
+    const rule = this.rules.find(r => r.id === Number(id));
+    return rule ? { ...rule } : null;
+  }
+
+  async createRule(rule) {
+    const timestamp = new Date(this.now());
+    const created = normalizeRule({
+      id: this.nextRuleId++,
+      name: rule.name,
+      site: rule.site,
+      metric: rule.metric,
+      operator: rule.operator,
+      threshold: rule.threshold,
+      duration_seconds: rule.duration_seconds,
+      severity: rule.severity || 'warning',
+      enabled: rule.enabled !== false,
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+    this.rules.push(created);
+    return { ...created };
+  }
+
+  async updateRule(id, changes) {
+    const rule = this.rules.find(r => r.id === Number(id));
+    if (!rule) {
+      return null;
+    }
+    RULE_FIELDS.filter(field => changes[field] !== undefined).forEach(field => {
+      rule[field] = changes[field];
+    });
+    Object.assign(rule, normalizeRule(rule), { updated_at: new Date(this.now()) });
+    return { ...rule };
+  }
+
+  async deleteRule(id) {
+    const before = this.rules.length;
+    this.rules = this.rules.filter(r => r.id !== Number(id));
+    return this.rules.length < before;
+  }
+
+  async listAlerts({ state, site, limit = 100 } = {}) {
+    return this.alerts
+      .filter(alert => !state || alert.state === state)
+      .filter(alert => !site || alert.site === site)
+      .sort((a, b) => new Date(b.opened_at) - new Date(a.opened_at) || b.id - a.id)
+      .slice(0, parseInt(limit))
+      .map(alert => ({ ...alert }));
+  }
+
+  async getAlert(id) {
+    const alert = this.alerts.find(a => a.id === Number(id));
+    return alert ? { ...alert } : null;
+  }
+
+  async findActiveAlert(ruleId, site) {
+    const active = this.alerts
+      .filter(a => a.rule_id === ruleId && a.site === site && a.state !== 'resolved')
+      .pop();
+    return active ? { ...active } : null;
+  }
+
+  async createAlert(alert) {
+    const created = {
+      id: this.nextAlertId++,
+      ...alert,
+      state: 'open',
+      acknowledged_at: null,
+      acknowledged_by: null,
+      resolved_at: null
+    };
+    this.alerts.push(created);
+    return { ...created };
+  }
+
+  async updateAlert(id, changes) {
+    const alert = this.alerts.find(a => a.id === Number(id));
+    if (!alert) {
+      return null;
+    }
+    ['state', 'value', 'acknowledged_at', 'acknowledged_by', 'resolved_at']
+      .filter(field => changes[field] !== undefined)
+      .forEach(field => {
+        alert[field] = changes[field];
+      });
+    return { ...alert };
+  }
+}
+
+module.exports = {
+  ALERT_STATES,
+  MySqlAlertStore,
+  MemoryAlertStore
+};
@@ -0,0 +1,21 @@
+const rules = require('./rules');
+const { ALERT_STATES, MySqlAlertStore, MemoryAlertStore } = require('./alert-store');
+const { AlertEngine } = require('./alert-engine');
+
+/**
+ * Alert store for the dashboard database, or an in-memory one when the
+ * dashboard has no MySQL connection of its own (e.g. WP API only)
+ * @param {Object|null} pool - mysql2/promise pool
+ */
+function createAlertStore(pool) {
+  return pool ? new MySqlAlertStore(pool) : new MemoryAlertStore();
+}
+
+module.exports = {
+  ...rules,
+  ALERT_STATES,
+  MySqlAlertStore,
+  MemoryAlertStore,
+  AlertEngine,
+  createAlertStore
+};
@@ -0,0 +1,113 @@
+/*
+ * Metrics an alert rule can watch. Column metrics compare individual samples;
+ * count metrics compare the number of rows inside the rule's window.
+ * `expression` is trusted SQL from this catalog, never user input.
+ */
+const METRICS = {
+  'performance_metrics.avg_response_time': { table: 'performance_metrics', column: 'avg_response_time', label: 'Avg response time', unit: 'ms' },
+  'performance_metrics.queries_per_second': { table: 'performance_metrics', column: 'queries_per_second', label: 'Queries per second', unit: 'qps' },
+  'performance_metrics.memory_usage': { table: 'performance_metrics', column: 'memory_usage', label: 'Memory usage', unit: 'MB' },
+  'performance_metrics.avg_execution_time': { table: 'performance_metrics', column: 'avg_execution_time', label: 'Avg query execution time', unit: 'ms' },
+  'performance_metrics.slow_queries': { table: 'performance_metrics', column: 'slow_queries', label: 'Slow queries per sample', unit: '' },
+  'system_health.cpu_usage': { table: 'system_health', column: 'cpu_usage', label: 'CPU usage', unit: '%' },
+  'system_health.memory_used': { table: 'system_health', column: 'memory_used', label: 'Memory used', unit: 'MB' },
+  'system_health.memory_usage_percent': {
+    table: 'system_health',
+    column: 'memory_usage_percent',
+    expression: '(memory_used / memory_total) * 100',
+    compute: row => (row.memory_total ? (row.memory_used / row.memory_total) * 100 : 0),
+    label: 'Memory usage',
+    unit: '%'
+  },
+  'system_health.disk_usage': { table: 'system_health', column: 'disk_usage', label: 'Disk usage', unit: '%' },
+  'system_health.cache_hit_ratio': { table: 'system_health', column: 'cache_hit_ratio', label: 'Cache hit ratio', unit: '%' },
+  'system_health.active_connections': { table: 'system_health', column: 'active_connections', label: 'Active connections', unit: '' },
+  'slow_queries.count': { table: 'slow_queries', aggregate: 'count', label: 'Slow query count', unit: '' }
+};
+
+const OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '==': (value, threshold) => value === threshold,
+  '!=': (value, threshold) => value !== threshold
+};
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Rules created on first start; they replace the hard-coded system-health thresholds
+const DEFAULT_RULES = [
+  { name: 'Slow responses', metric: 'performance_metrics.avg_response_time', operator: '>', threshold: 2000, duration_seconds: 300, severity: 'warning' },
+  { name: 'High CPU usage', metric: 'system_health.cpu_usage', operator: '>', threshold: 80, duration_seconds: 300, severity: 'warning' },
+  { name: 'High memory usage', metric: 'system_health.memory_usage_percent', operator: '>', threshold: 80, duration_seconds: 300, severity: 'warning' }
+];
+
+/**
+ * Check a rule definition. Partial rules are allowed for updates.
+ * @param {Object} rule - Rule fields
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only validate the fields present
+ * @returns {Array<Object>} Validation errors as { field, message }; empty when valid
+ */
+function validateRule(rule, { partial = false } = {}) {
+  const errors = [];
+  const has = field => rule[field] !== undefined;
+  const required = field => !partial || has(field);
+
+  if (required('name') && (typeof rule.name !== 'string' || rule.name.trim() === '' || rule.name.length > 100)) {
+    errors.push({ field: 'name', message: 'name must be a non-empty string of at most 100 characters' });
+  }
+  if (required('metric') && !METRICS[rule.metric]) {
+    errors.push({ field: 'metric', message: `metric must be one of: ${Object.keys(METRICS).join(', ')}` });
+  }
+  if (required('operator') && !OPERATORS[rule.operator]) {
+    errors.push({ field: 'operator', message: `operator must be one of: ${Object.keys(OPERATORS).join(' ')}` });
+  }
+  if (required('threshold') && (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold))) {
+    errors.push({ field: 'threshold', message: 'threshold must be a number' });
+  }
+  if (has('duration_seconds') && (!Number.isInteger(rule.duration_seconds) || rule.duration_seconds < 0)) {
+    errors.push({ field: 'duration_seconds', message: 'duration_seconds must be a non-negative integer' });
+  }
+  if (has('severity') && !SEVERITIES.includes(rule.severity)) {
+    errors.push({ field: 'severity', message: `severity must be one of: ${SEVERITIES.join(', ')}` });
+  }
+  if (has('site') && rule.site !== null && typeof rule.site !== 'string') {
+    errors.push({ field: 'site', message: 'site must be a site id or null for every site' });
+  }
+  if (has('enabled') && typeof rule.enabled !== 'boolean') {
+    errors.push({ field: 'enabled', message: 'enabled must be a boolean' });
+  }
+
+  const metric = METRICS[rule.metric];
+  if (!partial && metric && metric.aggregate === 'count' && !(rule.duration_seconds > 0)) {
+    errors.push({ field: 'duration_seconds', message: 'count metrics need a duration_seconds window' });
+  }
+
+  return errors;
+}
+
+function compare(operator, value, threshold) {
+  return OPERATORS[operator](Number(value), Number(threshold));
+}
+
+function describeRule(rule) {
+  const metric = METRICS[rule.metric];
+  const label = metric ? metric.label : rule.metric;
+  const unit = metric && metric.unit ? metric.unit : '';
+  const duration = rule.duration_seconds
+    ? ` for ${rule.duration_seconds >= 60 ? `${Math.round(rule.duration_seconds / 60)} minutes` : `${rule.duration_seconds} seconds`}`
+    : '';
+  return `${label} ${rule.operator} ${rule.threshold}${unit}${duration}`;
+}
+
+module.exports = {
+  METRICS,
+  OPERATORS,
+  SEVERITIES,
+  DEFAULT_RULES,
+  validateRule,
+  compare,
+  describeRule
+};
@@ -0,0 +1,154 @@
+const { getTimeRangeBounds, getTimeRangeCondition } = require('../time-range');
+const { streamQuery } = require('../data-sources/stream-query');
+
+function normalizeAnnotation(row) {
+  return {
+    ...row,
+    plugin_name: row.plugin_name || null,
+    created_by: row.created_by || null
+  };
+}
+
+/**
+ * Deploy and release annotations stored in the dashboard's MySQL database
+ */
+class MySqlAnnotationStore {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async ensureSchema() {
+    await this.pool.execute(`
+      CREATE TABLE IF NOT EXISTS annotations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        site VARCHAR(100) NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        message VARCHAR(500) NOT NULL,
+        plugin_name VARCHAR(100) NULL,
+        timestamp DATETIME NOT NULL,
+        created_by VARCHAR(100) NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_annotations_site_time (site, timestamp)
+      )
+    `);
+  }
+
+  // WHERE clause for one site's annotations within a time range
+  where(site, timeRange) {
+    const range = getTimeRangeCondition(timeRange);
+    return {
+      whereSql: `WHERE site = ?${range ? ` AND ${range.sql}` : ''}`,
+      params: [site, ...(range ? range.params : [])]
+    };
+  }
+
+  /**
+   * A site's annotations within a time range, newest first
+   * @param {Object} options
+   * @param {string} options.site
+   * @param {string|Object} [options.timeRange]
+   * @param {number} [options.limit=100]
+   * @returns {Promise<Array<Object>>}
+   */
+  async listAnnotations({ site, timeRange, limit = 100 }) {
+    const { whereSql, params } = this.where(site, timeRange);
+    const [rows] = await this.pool.execute(
+      `SELECT * FROM annotations ${whereSql} ORDER BY timestamp DESC, id DESC LIMIT ?`,
+      [...params, parseInt(limit)]
+    );
+    return rows.map(normalizeAnnotation);
+  }
+
+  /**
+   * Like listAnnotations, streamed from the server for exports
+   * @returns {AsyncIterable<Object>}
+   */
+  streamAnnotations({ site, timeRange, limit }) {
+    const { whereSql, params } = this.where(site, timeRange);
+    return streamQuery(
+      this.pool,
+      `SELECT * FROM annotations ${whereSql} ORDER BY timestamp DESC, id DESC LIMIT ?`,
+      [...params, parseInt(limit)]
+    );
+  }
+
+  async getAnnotation(id) {
+    const [rows] = await this.pool.execute('SELECT * FROM annotations WHERE id = ?', [id]);
+    return rows[0] ? normalizeAnnotation(rows[0]) : null;
+  }
+
+  async createAnnotation(annotation) {
+    const [result] = await this.pool.execute(
+      'INSERT INTO annotations (site, type, message, plugin_name, timestamp, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [
+        annotation.site,
+        annotation.type,
+        annotation.message,
+        annotation.plugin_name || null,
+        annotation.timestamp,
+        annotation.created_by || null
+      ]
+    );
+    return this.getAnnotation(result.insertId);
+  }
+}
+
+/**
+ * In-process annotation store for deployments without a dashboard database, and for tests.
+ * Annotations are lost on restart.
+ */
+class MemoryAnnotationStore {
+  constructor({ now = () => Date.now() } = {}) {
+    this.annotations = [];
+    this.nextId = 1;
+    this.now = now;
+  }
+
+  async ensureSchema() {}
+
+  within(site, timeRange) {
+    const bounds = getTimeRangeBounds(timeRange, this.now());
+    return this.annotations
+      .filter(annotation => annotation.site === site)
+      .filter((annotation) => {
+        const time = new Date(annotation.timestamp).getTime();
+        return !bounds || (time > bounds.from && time <= bounds.to);
+      })
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp) || b.id - a.id);
+  }
+
+  async listAnnotations({ site, timeRange, limit = 100 }) {
+    return this.within(site, timeRange)
+      .slice(0, parseInt(limit))
+      .map(annotation => ({ ...annotation }));
+  }
+
+  async* streamAnnotations(options) {
+    yield* await this.listAnnotations(options);
+  }
+
+  async getAnnotation(id) {
+    const annotation = this.annotations.find(a => a.id === Number(id));
+    return annotation ? { ...annotation } : null;
+  }
+
+  async createAnnotation(annotation) {
+    const created = normalizeAnnotation({
+      id: this.nextId++,
+      site: annotation.site,
+      type: annotation.type,
+      message: annotation.message,
+      plugin_name: annotation.plugin_name,
+      timestamp: annotation.timestamp,
+      created_by: annotation.created_by,
+      created_at: new Date(this.now())
+    });
+    this.annotations.push(created);
+    return { ...created };
+  }
+}
+
+module.exports = {
+  MySqlAnnotationStore,
+  MemoryAnnotationStore
+};
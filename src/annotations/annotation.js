@@ -0,0 +1,40 @@
+const { parseIsoDate } = require('../time-range');
+
+// What changed on a site; the dashboard picks a marker colour per type
+const ANNOTATION_TYPES = ['deploy', 'release', 'plugin_update', 'theme_update', 'core_update', 'config_change', 'other'];
+
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_PLUGIN_NAME_LENGTH = 100;
+
+/**
+ * Check an annotation posted to /api/annotations
+ * @param {Object} annotation - { type, message, site?, timestamp?, plugin_name? }
+ * @returns {Array<Object>} Errors as { field, message }
+ */
+function validateAnnotation(annotation) {
+  const errors = [];
+  const has = field => annotation[field] !== undefined && annotation[field] !== null;
+
+  if (!ANNOTATION_TYPES.includes(annotation.type)) {
+    errors.push({ field: 'type', message: `type must be one of: ${ANNOTATION_TYPES.join(', ')}` });
+  }
+  if (typeof annotation.message !== 'string' || annotation.message.trim() === '' || annotation.message.length > MAX_MESSAGE_LENGTH) {
+    errors.push({ field: 'message', message: `message must be a non-empty string of at most ${MAX_MESSAGE_LENGTH} characters` });
+  }
+  if (has('site') && typeof annotation.site !== 'string') {
+    errors.push({ field: 'site', message: 'site must be a site id' });
+  }
+  if (has('timestamp') && !parseIsoDate(annotation.timestamp)) {
+    errors.push({ field: 'timestamp', message: 'timestamp must be an ISO 8601 timestamp' });
+  }
+  if (has('plugin_name') && (typeof annotation.plugin_name !== 'string' || annotation.plugin_name.length > MAX_PLUGIN_NAME_LENGTH)) {
+    errors.push({ field: 'plugin_name', message: `plugin_name must be a string of at most ${MAX_PLUGIN_NAME_LENGTH} characters` });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  ANNOTATION_TYPES,
+  validateAnnotation
+};
@@ -0,0 +1,18 @@
+const annotation = require('./annotation');
+const { MySqlAnnotationStore, MemoryAnnotationStore } = require('./annotation-store');
+
+/**
+ * Annotation store for the dashboard database, or an in-memory one when the
+ * dashboard has no MySQL connection of its own (e.g. WP API only)
+ * @param {Object|null} pool - mysql2/promise pool
+ */
+function createAnnotationStore(pool) {
+  return pool ? new MySqlAnnotationStore(pool) : new MemoryAnnotationStore();
+}
+
+module.exports = {
+  ...annotation,
+  MySqlAnnotationStore,
+  MemoryAnnotationStore,
+  createAnnotationStore
+};
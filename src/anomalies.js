@@ -0,0 +1,190 @@
+const { METRICS } = require('./alerts/rules');
+const { getTimeRangeMs, getTimeRangeBounds } = require('./time-range');
+const { pickResolution } = require('./rollups/resolutions');
+const { round } = require('./stats');
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_HOURS = 7 * 24;
+
+/*
+ * Baseline models:
+ * - rolling: z-score against the mean/stddev of the previous `window` samples
+ * - seasonal: robust z-score against the median/MAD of the same hour-of-week
+ *   over the previous `baselineWeeks` weeks, so nightly cron spikes or Monday
+ *   traffic do not count as anomalies
+ */
+const ANOMALY_MODELS = ['rolling', 'seasonal'];
+
+const DEFAULT_ANOMALY_OPTIONS = {
+  model: 'rolling',
+  threshold: 3,
+  window: 30,
+  minSamples: 10,
+  baselineWeeks: 4
+};
+
+// Column metrics that have a time series (count metrics are alert-only)
+const ANOMALY_METRICS = Object.keys(METRICS).filter(id => !METRICS[id].aggregate);
+
+// Fewest baseline samples an hour-of-week slot needs before it is scored
+const SEASONAL_MIN_SAMPLES = 3;
+
+// Upper bound on samples read per metric for one detection pass
+const MAX_SAMPLES = 50000;
+
+// Spread never drops below 1% of the baseline, so a flat series does not
+// flag every tiny wobble
+const MIN_RELATIVE_SPREAD = 0.01;
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function stddev(values, average) {
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function hourOfWeek(timestamp) {
+  const date = new Date(timestamp);
+  return date.getUTCDay() * 24 + date.getUTCHours();
+}
+
+function scorePoint(point, expected, spread, threshold) {
+  const floor = Math.max(spread, Math.abs(expected) * MIN_RELATIVE_SPREAD, Number.EPSILON);
+  const score = (point.value - expected) / floor;
+  if (Math.abs(score) < threshold) {
+    return null;
+  }
+
+  return {
+    timestamp: point.timestamp,
+    value: point.value,
+    expected: round(expected),
+    score: round(score),
+    direction: score > 0 ? 'high' : 'low'
+  };
+}
+
+/**
+ * Rolling mean/stddev model
+ * @param {Array<Object>} points - { timestamp, time (ms), value } oldest first
+ * @param {Object} options - { from, window, threshold, minSamples }
+ * @returns {Array<Object>} Anomalous points at or after `from`
+ */
+function detectRollingAnomalies(points, { from, window, threshold, minSamples }) {
+  const anomalies = [];
+
+  points.forEach((point, index) => {
+    if (point.time < from) {
+      return;
+    }
+
+    const baseline = points.slice(Math.max(0, index - window), index).map(p => p.value);
+    if (baseline.length < minSamples) {
+      return;
+    }
+
+    const average = mean(baseline);
+    const anomaly = scorePoint(point, average, stddev(baseline, average), threshold);
+    if (anomaly) {
+      anomalies.push(anomaly);
+    }
+  });
+
+  return anomalies;
+}
+
+/**
+ * Seasonal hour-of-week median model. Only samples before `from` form the
+ * baseline, so the range being inspected cannot mask its own regressions.
+ * @param {Array<Object>} points - { timestamp, time (ms), value } oldest first
+ * @param {Object} options - { from, threshold, minSamples }
+ * @returns {Array<Object>} Anomalous points at or after `from`
+ */
+function detectSeasonalAnomalies(points, { from, threshold, minSamples }) {
+  const buckets = Array.from({ length: WEEK_HOURS }, () => []);
+  points
+    .filter(point => point.time < from)
+    .forEach(point => buckets[hourOfWeek(point.time)].push(point.value));
+
+  const baselines = buckets.map(values => {
+    if (values.length < minSamples) {
+      return null;
+    }
+    const center = median(values);
+    // 1.4826 * MAD estimates the standard deviation for normal data
+    const spread = 1.4826 * median(values.map(value => Math.abs(value - center)));
+    return { center, spread };
+  });
+
+  const anomalies = [];
+  points
+    .filter(point => point.time >= from)
+    .forEach(point => {
+      const baseline = baselines[hourOfWeek(point.time)];
+      const anomaly = baseline && scorePoint(point, baseline.center, baseline.spread, threshold);
+      if (anomaly) {
+        anomalies.push(anomaly);
+      }
+    });
+
+  return anomalies;
+}
+
+/**
+ * Find statistically unusual points for one or more metrics within a time range
+ * @param {Object} options
+ * @param {Object} options.dataSource - Data source providing getMetricValues
+ * @param {Array<string>} options.metrics - Metric ids from ANOMALY_METRICS
+ * @param {string|Object} options.timeRange - Dashboard time range such as '1h', or { from, to }
+ * @param {string} [options.model] - 'rolling' or 'seasonal'
+ * @param {number} [options.threshold] - Score (in standard deviations) that counts as anomalous
+ * @param {number} [options.now] - Current time in ms, injectable for tests
+ * @returns {Promise<Array<Object>>} Anomalies oldest first: { metric, timestamp, value, expected, score, direction }
+ */
+async function detectAnomalies({ dataSource, metrics, timeRange, now = Date.now(), ...overrides }) {
+  const options = { ...DEFAULT_ANOMALY_OPTIONS, ...overrides };
+  const { from, to } = getTimeRangeBounds(timeRange, now);
+
+  // Rolling needs a warm-up before the range; seasonal needs whole weeks of history
+  const since = options.model === 'seasonal'
+    ? new Date(from - options.baselineWeeks * WEEK_HOURS * HOUR_MS)
+    : new Date(from - getTimeRangeMs(timeRange));
+  const until = new Date(to);
+
+  // Baselines reach back further than raw rows are kept, so they are read from
+  // rollups where the data source has them: hourly for the hour-of-week
+  // seasonal model, and for the rolling model the resolution the chart uses
+  const resolution = options.model === 'seasonal' ? '1h' : pickResolution(to - from);
+
+  const results = await Promise.all(metrics.map(async (metricId) => {
+    const samples = await dataSource.getMetricValues(METRICS[metricId], { since, until, limit: MAX_SAMPLES, resolution });
+    const points = samples
+      .filter(sample => sample.value !== null && sample.value !== undefined)
+      .map(sample => ({ timestamp: sample.timestamp, time: new Date(sample.timestamp).getTime(), value: Number(sample.value) }))
+      .sort((a, b) => a.time - b.time);
+
+    const anomalies = options.model === 'seasonal'
+      ? detectSeasonalAnomalies(points, { from, threshold: options.threshold, minSamples: SEASONAL_MIN_SAMPLES })
+      : detectRollingAnomalies(points, { ...options, from });
+
+    return anomalies.map(anomaly => ({ metric: metricId, ...anomaly }));
+  }));
+
+  return results.flat().sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+module.exports = {
+  ANOMALY_MODELS,
+  ANOMALY_METRICS,
+  DEFAULT_ANOMALY_OPTIONS,
+  detectRollingAnomalies,
+  detectSeasonalAnomalies,
+  detectAnomalies
+};
@@ -0,0 +1,425 @@
+const { ROLES, SCOPES, hasRole } = require('./roles');
+const {
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  generateToken,
+  hashToken
+} = require('./credentials');
+
+const SESSION_COOKIE = 'wpd_session';
+const API_KEY_PREFIX = 'wpd_';
+// Characters of a key kept in plaintext so users can tell their keys apart
+const API_KEY_PREFIX_LENGTH = 12;
+
+const DEFAULT_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const DEFAULT_MAX_LOGIN_FAILURES = 5;
+const DEFAULT_LOCKOUT_MS = 15 * 60 * 1000;
+// Usernames with failed logins tracked at once; the least recent are forgotten first
+const MAX_TRACKED_LOGIN_FAILURES = 10000;
+
+const DEFAULT_API_KEY_DAYS = 90;
+const MAX_API_KEY_DAYS = 365;
+// last_used_at is written at most this often per key
+const LAST_USED_PRECISION_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Checked for unknown usernames so they take as long to reject as a wrong password
+let dummyPasswordHash = null;
+
+function getDummyPasswordHash() {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = hashPassword(generateToken());
+  }
+  return dummyPasswordHash;
+}
+
+/**
+ * Read cookies from a Cookie header
+ * @param {string} [header]
+ * @returns {Object} name -> value
+ */
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      const name = pair.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (error) {
+        // Ignore cookies we did not set and cannot decode
+      }
+    }
+  });
+  return cookies;
+}
+
+function bearerToken(authorization) {
+  const match = /^Bearer\s+(\S+)$/i.exec(String(authorization || '').trim());
+  return match ? match[1] : null;
+}
+
+// User as returned by the API: never includes the password hash
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    created_at: user.created_at,
+    last_login_at: user.last_login_at || null
+  };
+}
+
+/**
+ * Password logins, sessions, API keys and the audit log on top of an auth store.
+ * Authenticated principals are { id, username, role, type } for the user, where
+ * type is 'session' for the dashboard and 'api_key' for API keys; API key
+ * principals also carry `api_key_id` and `scopes`.
+ */
+class AuthService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - MySqlAuthStore or MemoryAuthStore
+   * @param {number} [options.sessionTtlMs] - Session lifetime
+   * @param {number} [options.maxLoginFailures] - Failed logins before a username is locked out
+   * @param {number} [options.lockoutMs] - How long the lockout lasts
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({
+    store,
+    sessionTtlMs = DEFAULT_SESSION_TTL_MS,
+    maxLoginFailures = DEFAULT_MAX_LOGIN_FAILURES,
+    lockoutMs = DEFAULT_LOCKOUT_MS,
+    now = () => Date.now()
+  }) {
+    this.store = store;
+    this.sessionTtlMs = sessionTtlMs;
+    this.maxLoginFailures = maxLoginFailures;
+    this.lockoutMs = lockoutMs;
+    this.now = now;
+    // username -> { count, lockedUntil, lastFailedAt }, least recent failure first
+    this.loginFailures = new Map();
+  }
+
+  /**
+   * Create the first admin account when there are no users yet. Without a
+   * password a random one is generated and returned so it can be logged once.
+   * @param {Object} [options]
+   * @param {string} [options.username='admin']
+   * @param {string} [options.password]
+   * @returns {Promise<Object|null>} { username, password, generated }, or null when users exist
+   */
+  async ensureAdmin({ username = 'admin', password } = {}) {
+    if (await this.store.countUsers() > 0) {
+      return null;
+    }
+    const initialPassword = password || generateToken();
+    await this.createUser({ username, password: initialPassword, role: 'admin' });
+    return { username, password: initialPassword, generated: !password };
+  }
+
+  /**
+   * Seconds until a locked-out username may try again, or 0
+   * @param {string} username
+   * @returns {number}
+   */
+  loginRetryAfter(username) {
+    const failures = this.loginFailures.get(username);
+    if (!failures || !failures.lockedUntil) {
+      return 0;
+    }
+    const remaining = failures.lockedUntil - this.now();
+    if (remaining <= 0) {
+      this.loginFailures.delete(username);
+      return 0;
+    }
+    return Math.ceil(remaining / 1000);
+  }
+
+  recordLoginFailure(username) {
+    const now = this.now();
+    this.pruneLoginFailures(now);
+
+    const failures = this.loginFailures.get(username) || { count: 0, lockedUntil: null };
+    failures.count++;
+    failures.lastFailedAt = now;
+    if (failures.count >= this.maxLoginFailures) {
+      failures.lockedUntil = now + this.lockoutMs;
+    }
+    // Re-insert so the map stays ordered by last failure
+    this.loginFailures.delete(username);
+    this.loginFailures.set(username, failures);
+
+    if (this.loginFailures.size > MAX_TRACKED_LOGIN_FAILURES) {
+      this.loginFailures.delete(this.loginFailures.keys().next().value);
+    }
+  }
+
+  // Forget usernames whose last failure is a lockout period old; any lockout has ended by then
+  pruneLoginFailures(now) {
+    for (const [username, failures] of this.loginFailures) {
+      if (failures.lastFailedAt + this.lockoutMs > now) {
+        break;
+      }
+      this.loginFailures.delete(username);
+    }
+  }
+
+  /**
+   * Check a username and password and start a session
+   * @param {string} username
+   * @param {string} password
+   * @returns {Promise<Object|null>} { token, expires_at, user }, or null for bad credentials
+   */
+  async login(username, password) {
+    const user = await this.store.findUserByUsername(username);
+    const passwordHash = user ? user.password_hash : await getDummyPasswordHash();
+    const valid = await verifyPassword(password, passwordHash);
+    if (!user || !valid) {
+      this.recordLoginFailure(username);
+      return null;
+    }
+    this.loginFailures.delete(username);
+
+    const token = generateToken();
+    const expiresAt = new Date(this.now() + this.sessionTtlMs);
+    await this.store.createSession({ token_hash: hashToken(token), user_id: user.id, expires_at: expiresAt });
+    const updated = await this.store.updateUser(user.id, { last_login_at: new Date(this.now()) });
+    return { token, expires_at: expiresAt, user: publicUser(updated) };
+  }
+
+  async logout(token) {
+    if (token) {
+      await this.store.deleteSession(hashToken(token));
+    }
+  }
+
+  /**
+   * Principal for a request: an `Authorization: Bearer` API key, otherwise
+   * the session cookie. Revoked and expired keys are rejected.
+   * @param {Object} credentials
+   * @param {string} [credentials.cookie] - Cookie header
+   * @param {string} [credentials.authorization] - Authorization header
+   * @returns {Promise<Object|null>}
+   */
+  async authenticate({ cookie, authorization } = {}) {
+    const bearer = bearerToken(authorization);
+    if (bearer) {
+      return this.authenticateApiKey(bearer);
+    }
+
+    const sessionToken = parseCookies(cookie)[SESSION_COOKIE];
+    if (!sessionToken) {
+      return null;
+    }
+    const session = await this.store.getSession(hashToken(sessionToken));
+    if (!session) {
+      return null;
+    }
+    if (new Date(session.expires_at).getTime() <= this.now()) {
+      await this.store.deleteSession(session.token_hash);
+      return null;
+    }
+    const user = await this.store.getUser(session.user_id);
+    return user ? { id: user.id, username: user.username, role: user.role, type: 'session' } : null;
+  }
+
+  async authenticateApiKey(key) {
+    const apiKey = await this.store.findApiKey(hashToken(key));
+    const now = this.now();
+    if (!apiKey || apiKey.revoked_at || (apiKey.expires_at && new Date(apiKey.expires_at).getTime() <= now)) {
+      return null;
+    }
+    // Keys act with their owner's current role, so demoting a user limits their keys too
+    const user = await this.store.getUser(apiKey.user_id);
+    if (!user) {
+      return null;
+    }
+    if (!apiKey.last_used_at || now - new Date(apiKey.last_used_at).getTime() >= LAST_USED_PRECISION_MS) {
+      await this.store.touchApiKey(apiKey.id, new Date(now));
+    }
+    return {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      type: 'api_key',
+      api_key_id: apiKey.id,
+      scopes: apiKey.scopes
+    };
+  }
+
+  async listUsers() {
+    return (await this.store.listUsers()).map(publicUser);
+  }
+
+  async getUser(id) {
+    const user = await this.store.getUser(id);
+    return user ? publicUser(user) : null;
+  }
+
+  async createUser({ username, password, role = 'viewer' }) {
+    const user = await this.store.createUser({
+      username,
+      password_hash: await hashPassword(password),
+      role
+    });
+    return publicUser(user);
+  }
+
+  /**
+   * Change a user's password and/or role. A password change signs the user out everywhere.
+   * @returns {Promise<Object|null>} null when the user does not exist
+   */
+  async updateUser(id, { password, role }) {
+    if (!(await this.store.getUser(id))) {
+      return null;
+    }
+    const changes = { role };
+    if (password !== undefined) {
+      changes.password_hash = await hashPassword(password);
+      await this.store.deleteSessionsForUser(id);
+    }
+    return publicUser(await this.store.updateUser(id, changes));
+  }
+
+  async deleteUser(id) {
+    await this.store.revokeApiKeysForUser(id, new Date(this.now()));
+    return this.store.deleteUser(id);
+  }
+
+  async countAdmins() {
+    return (await this.store.listUsers()).filter(user => user.role === 'admin').length;
+  }
+
+  /**
+   * API keys without their hashes
+   * @param {Object} [options]
+   * @param {number} [options.userId] - Only this user's keys
+   */
+  async listApiKeys({ userId } = {}) {
+    return this.store.listApiKeys({ userId });
+  }
+
+  async getApiKey(id) {
+    return this.store.getApiKey(id);
+  }
+
+  /**
+   * Create an API key for a user. The plaintext key is only returned here.
+   * @param {Object} options
+   * @param {Object} options.user - Owner ({ id })
+   * @param {string} options.name
+   * @param {Array<string>} options.scopes
+   * @param {number} [options.expiresInDays] - Days until the key expires
+   * @returns {Promise<Object>} Key record plus `key`
+   */
+  async createApiKey({ user, name, scopes, expiresInDays = DEFAULT_API_KEY_DAYS }) {
+    const key = generateToken(API_KEY_PREFIX);
+    const record = await this.store.createApiKey({
+      user_id: user.id,
+      name,
+      key_prefix: key.slice(0, API_KEY_PREFIX_LENGTH),
+      key_hash: hashToken(key),
+      scopes,
+      expires_at: new Date(this.now() + expiresInDays * DAY_MS)
+    });
+    return { ...record, key };
+  }
+
+  async revokeApiKey(id) {
+    return this.store.revokeApiKey(id, new Date(this.now()));
+  }
+
+  /**
+   * Append a privileged call to the audit log
+   * @param {Object} entry - { user, method, path, status, ip }
+   */
+  async recordAudit({ user, method, path, status, ip }) {
+    await this.store.recordAudit({
+      created_at: new Date(this.now()),
+      user_id: user ? user.id : null,
+      username: user ? user.username : null,
+      api_key_id: user && user.api_key_id ? user.api_key_id : null,
+      method,
+      path: String(path).slice(0, 255),
+      status,
+      ip: ip || null
+    });
+  }
+
+  async listAuditLog(filters) {
+    return this.store.listAudit(filters);
+  }
+
+  async pruneSessions() {
+    return this.store.deleteExpiredSessions(new Date(this.now()));
+  }
+}
+
+/**
+ * Validate a new API key against the scopes its owner may grant
+ * @param {Object} apiKey - { name, scopes, expires_in_days }
+ * @param {Object} owner - User creating the key ({ role })
+ * @returns {Array<Object>} Validation errors as { field, message }
+ */
+function validateApiKey(apiKey, owner) {
+  const errors = [];
+
+  if (typeof apiKey.name !== 'string' || !apiKey.name.trim() || apiKey.name.length > 100) {
+    errors.push({ field: 'name', message: 'name must be 1-100 characters' });
+  }
+  if (!Array.isArray(apiKey.scopes) || apiKey.scopes.length === 0) {
+    errors.push({ field: 'scopes', message: `scopes must be a non-empty list of: ${Object.keys(SCOPES).join(', ')}` });
+  } else {
+    apiKey.scopes.forEach(scope => {
+      if (!SCOPES[scope]) {
+        errors.push({ field: 'scopes', message: `Unknown scope: ${scope}` });
+      } else if (!hasRole(owner, SCOPES[scope])) {
+        errors.push({ field: 'scopes', message: `${scope} needs the ${SCOPES[scope]} role` });
+      }
+    });
+  }
+  const days = apiKey.expires_in_days;
+  if (days !== undefined && !(Number.isInteger(days) && days >= 1 && days <= MAX_API_KEY_DAYS)) {
+    errors.push({ field: 'expires_in_days', message: `expires_in_days must be a whole number from 1 to ${MAX_API_KEY_DAYS}` });
+  }
+  return errors;
+}
+
+/**
+ * Validate a user payload
+ * @param {Object} user - { username, password, role }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Updates only validate the fields they contain
+ * @returns {Array<Object>} Validation errors as { field, message }
+ */
+function validateUser(user, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || user.username !== undefined) {
+    if (typeof user.username !== 'string' || !/^[A-Za-z0-9._@-]{1,100}$/.test(user.username)) {
+      errors.push({ field: 'username', message: 'username must be 1-100 letters, digits or ._@-' });
+    }
+  }
+  if (!partial || user.password !== undefined) {
+    const message = validatePassword(user.password);
+    if (message) {
+      errors.push({ field: 'password', message });
+    }
+  }
+  if ((!partial || user.role !== undefined) && !ROLES.includes(user.role)) {
+    errors.push({ field: 'role', message: `role must be one of: ${ROLES.join(', ')}` });
+  }
+  return errors;
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  API_KEY_PREFIX,
+  AuthService,
+  parseCookies,
+  publicUser,
+  validateApiKey,
+  validateUser
+};
@@ -0,0 +1,406 @@
+// Columns a user update may change
+const USER_FIELDS = ['password_hash', 'role', 'last_login_at'];
+
+// API key records as listed: the hash never leaves the store
+function withoutHash({ key_hash, ...apiKey }) {
+  return apiKey;
+}
+
+function normalizeApiKey(row) {
+  return {
+    ...row,
+    scopes: Array.isArray(row.scopes) ? row.scopes : String(row.scopes || '').split(',').filter(Boolean)
+  };
+}
+
+function normalizeAuditEntry(row) {
+  return { ...row, status: row.status === null ? null : Number(row.status) };
+}
+
+/**
+ * Dashboard users, login sessions, API keys and the audit log stored in the
+ * dashboard's MySQL database. Sessions and keys are stored as SHA-256 hashes,
+ * passwords as scrypt hashes.
+ */
+class MySqlAuthStore {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async ensureSchema() {
+    await this.pool.execute(`
+      CREATE TABLE IF NOT EXISTS dashboard_users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        username VARCHAR(100) NOT NULL UNIQUE,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_login_at DATETIME NULL
+      )
+    `);
+
+    await this.pool.execute(`
+      CREATE TABLE IF NOT EXISTS dashboard_sessions (
+        token_hash CHAR(64) PRIMARY KEY,
+        user_id INT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_sessions_user (user_id),
+        INDEX idx_sessions_expires (expires_at)
+      )
+    `);
+
+    await this.pool.execute(`
+      CREATE TABLE IF NOT EXISTS dashboard_api_keys (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(20) NOT NULL,
+        key_hash CHAR(64) NOT NULL UNIQUE,
+        scopes VARCHAR(255) NOT NULL,
+        expires_at DATETIME NULL,
+        last_used_at DATETIME NULL,
+        revoked_at DATETIME NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_api_keys_user (user_id)
+      )
+    `);
+
+    await this.pool.execute(`
+      CREATE TABLE IF NOT EXISTS dashboard_audit_log (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        created_at DATETIME NOT NULL,
+        user_id INT NULL,
+        username VARCHAR(100) NULL,
+        api_key_id INT NULL,
+        method VARCHAR(10) NOT NULL,
+        path VARCHAR(255) NOT NULL,
+        status SMALLINT NULL,
+        ip VARCHAR(45) NULL,
+        INDEX idx_audit_created (created_at),
+        INDEX idx_audit_key (api_key_id)
+      )
+    `);
+  }
+
+  async countUsers() {
+    const [rows] = await this.pool.execute('SELECT COUNT(*) as total FROM dashboard_users');
+    return Number(rows[0].total);
+  }
+
+  async listUsers() {
+    const [rows] = await this.pool.execute('SELECT * FROM dashboard_users ORDER BY id');
+    return rows;
+  }
+
+  async getUser(id) {
+    const [rows] = await this.pool.execute('SELECT * FROM dashboard_users WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  async findUserByUsername(username) {
+    const [rows] = await this.pool.execute('SELECT * FROM dashboard_users WHERE username = ?', [username]);
+    return rows[0] || null;
+  }
+
+  async createUser({ username, password_hash, role }) {
+    const [result] = await this.pool.execute(
+      'INSERT INTO dashboard_users (username, password_hash, role) VALUES (?, ?, ?)',
+      [username, password_hash, role]
+    );
+    return this.getUser(result.insertId);
+  }
+
+  async updateUser(id, changes) {
+    const fields = USER_FIELDS.filter(field => changes[field] !== undefined);
+    if (fields.length > 0) {
+      await this.pool.execute(
+        `UPDATE dashboard_users SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(field => changes[field]), id]
+      );
+    }
+    return this.getUser(id);
+  }
+
+  async deleteUser(id) {
+    await this.pool.execute('DELETE FROM dashboard_sessions WHERE user_id = ?', [id]);
+    const [result] = await this.pool.execute('DELETE FROM dashboard_users WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  async createSession({ token_hash, user_id, expires_at }) {
+    await this.pool.execute(
+      'INSERT INTO dashboard_sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+      [token_hash, user_id, expires_at]
+    );
+  }
+
+  async getSession(tokenHash) {
+    const [rows] = await this.pool.execute('SELECT * FROM dashboard_sessions WHERE token_hash = ?', [tokenHash]);
+    return rows[0] || null;
+  }
+
+  async deleteSession(tokenHash) {
+    await this.pool.execute('DELETE FROM dashboard_sessions WHERE token_hash = ?', [tokenHash]);
+  }
+
+  async deleteSessionsForUser(userId) {
+    await this.pool.execute('DELETE FROM dashboard_sessions WHERE user_id = ?', [userId]);
+  }
+
+  async deleteExpiredSessions(now) {
+    const [result] = await this.pool.execute('DELETE FROM dashboard_sessions WHERE expires_at <= ?', [now]);
+    return result.affectedRows;
+  }
+
+  async listApiKeys({ userId } = {}) {
+    const whereSql = userId ? 'WHERE user_id = ?' : '';
+    const [rows] = await this.pool.execute(
+      `SELECT * FROM dashboard_api_keys ${whereSql} ORDER BY id`,
+      userId ? [userId] : []
+    );
+    return rows.map(row => withoutHash(normalizeApiKey(row)));
+  }
+
+  async getApiKey(id) {
+    const [rows] = await this.pool.execute('SELECT * FROM dashboard_api_keys WHERE id = ?', [id]);
+    return rows[0] ? withoutHash(normalizeApiKey(rows[0])) : null;
+  }
+
+  async findApiKey(keyHash) {
+    const [rows] = await this.pool.execute('SELECT * FROM dashboard_api_keys WHERE key_hash = ?', [keyHash]);
+    return rows[0] ? normalizeApiKey(rows[0]) : null;
+  }
+
+  async createApiKey(apiKey) {
+    const [result] = await this.pool.execute(
+      'INSERT INTO dashboard_api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [apiKey.user_id, apiKey.name, apiKey.key_prefix, apiKey.key_hash, apiKey.scopes.join(','), apiKey.expires_at || null]
+    );
+    return this.getApiKey(result.insertId);
+  }
+
+  async touchApiKey(id, usedAt) {
+    await this.pool.execute('UPDATE dashboard_api_keys SET last_used_at = ? WHERE id = ?', [usedAt, id]);
+  }
+
+  async revokeApiKey(id, revokedAt) {
+    const [result] = await this.pool.execute(
+      'UPDATE dashboard_api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+      [revokedAt, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async revokeApiKeysForUser(userId, revokedAt) {
+    await this.pool.execute(
+      'UPDATE dashboard_api_keys SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+      [revokedAt, userId]
+    );
+  }
+
+  async recordAudit(entry) {
+    await this.pool.execute(
+      'INSERT INTO dashboard_audit_log (created_at, user_id, username, api_key_id, method, path, status, ip) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [entry.created_at, entry.user_id, entry.username, entry.api_key_id, entry.method, entry.path, entry.status, entry.ip]
+    );
+  }
+
+  async listAudit({ username, apiKeyId, limit = 100 } = {}) {
+    const clauses = [];
+    const params = [];
+    if (username) {
+      clauses.push('username = ?');
+      params.push(username);
+    }
+    if (apiKeyId) {
+      clauses.push('api_key_id = ?');
+      params.push(apiKeyId);
+    }
+    const whereSql = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const [rows] = await this.pool.execute(
+      `SELECT * FROM dashboard_audit_log ${whereSql} ORDER BY created_at DESC, id DESC LIMIT ?`,
+      [...params, parseInt(limit)]
+    );
+    return rows.map(normalizeAuditEntry);
+  }
+}
+
+/**
+ * In-process auth store for deployments without a dashboard database, and for tests.
+ * Users, sessions, API keys and the audit log are lost on restart.
+ */
+class MemoryAuthStore {
+  constructor({ now = () => Date.now() } = {}) {
+    this.users = [];
+    this.sessions = new Map();
+    this.apiKeys = [];
+    this.audit = [];
+    this.nextUserId = 1;
+    this.nextApiKeyId = 1;
+    this.nextAuditId = 1;
+    this.now = now;
+  }
+
+  async ensureSchema() {}
+
+  async countUsers() {
+    return this.users.length;
+  }
+
+  async listUsers() {
+    return this.users.map(user => ({ ...user }));
+  }
+
+  async getUser(id) {
+    const user = this.users.find(u => u.id === Number(id));
+    return user ? { ...user } : null;
+  }
+
+  async findUserByUsername(username) {
+    const user = this.users.find(u => u.username === username);
+    return user ? { ...user } : null;
+  }
+
+  async createUser({ username, password_hash, role }) {
+    if (this.users.some(u => u.username === username)) {
+      throw Object.assign(new Error(`Duplicate entry '${username}'`), { code: 'ER_DUP_ENTRY' });
+    }
+    const user = {
+      id: this.nextUserId++,
+      username,
+      password_hash,
+      role,
+      created_at: new Date(this.now()),
+      last_login_at: null
+    };
+    this.users.push(user);
+    return { ...user };
+  }
+
+  async updateUser(id, changes) {
+    const user = this.users.find(u => u.id === Number(id));
+    if (!user) {
+      return null;
+    }
+    USER_FIELDS.filter(field => changes[field] !== undefined).forEach(field => {
+      user[field] = changes[field];
+    });
+    return { ...user };
+  }
+
+  async deleteUser(id) {
+    const before = this.users.length;
+    this.users = this.users.filter(u => u.id !== Number(id));
+    await this.deleteSessionsForUser(Number(id));
+    return this.users.length < before;
+  }
+
+  async createSession(session) {
+    this.sessions.set(session.token_hash, { ...session, created_at: new Date(this.now()) });
+  }
+
+  async getSession(tokenHash) {
+    const session = this.sessions.get(tokenHash);
+    return session ? { ...session } : null;
+  }
+
+  async deleteSession(tokenHash) {
+    this.sessions.delete(tokenHash);
+  }
+
+  async deleteSessionsForUser(userId) {
+    for (const [tokenHash, session] of this.sessions) {
+      if (session.user_id === Number(userId)) {
+        this.sessions.delete(tokenHash);
+      }
+    }
+  }
+
+  async deleteExpiredSessions(now) {
+    let deleted = 0;
+    for (const [tokenHash, session] of this.sessions) {
+      if (new Date(session.expires_at) <= now) {
+        this.sessions.delete(tokenHash);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async listApiKeys({ userId } = {}) {
+    return this.apiKeys
+      .filter(apiKey => !userId || apiKey.user_id === Number(userId))
+      .map(apiKey => withoutHash({ ...apiKey }));
+  }
+
+  async getApiKey(id) {
+    const apiKey = this.apiKeys.find(k => k.id === Number(id));
+    return apiKey ? withoutHash({ ...apiKey }) : null;
+  }
+
+  async findApiKey(keyHash) {
+    const apiKey = this.apiKeys.find(k => k.key_hash === keyHash);
+    return apiKey ? { ...apiKey } : null;
+  }
+
+  async createApiKey(apiKey) {
+    const created = normalizeApiKey({
+      id: this.nextApiKeyId++,
+      user_id: apiKey.user_id,
+      name: apiKey.name,
+      key_prefix: apiKey.key_prefix,
+      key_hash: apiKey.key_hash,
+      scopes: [...apiKey.scopes],
+      expires_at: apiKey.expires_at || null,
+      last_used_at: null,
+      revoked_at: null,
+      created_at: new Date(this.now())
+    });
+    this.apiKeys.push(created);
+    return withoutHash({ ...created });
+  }
+
+  async touchApiKey(id, usedAt) {
+    const apiKey = this.apiKeys.find(k => k.id === Number(id));
+    if (apiKey) {
+      apiKey.last_used_at = usedAt;
+    }
+  }
+
+  async revokeApiKey(id, revokedAt) {
+    const apiKey = this.apiKeys.find(k => k.id === Number(id) && !k.revoked_at);
+    if (!apiKey) {
+      return false;
+    }
+    apiKey.revoked_at = revokedAt;
+    return true;
+  }
+
+  async revokeApiKeysForUser(userId, revokedAt) {
+    this.apiKeys
+      .filter(apiKey => apiKey.user_id === Number(userId) && !apiKey.revoked_at)
+      .forEach(apiKey => {
+        apiKey.revoked_at = revokedAt;
+      });
+  }
+
+  async recordAudit(entry) {
+    this.audit.push({ id: this.nextAuditId++, ...entry });
+  }
+
+  async listAudit({ username, apiKeyId, limit = 100 } = {}) {
+    return this.audit
+      .filter(entry => !username || entry.username === username)
+      .filter(entry => !apiKeyId || entry.api_key_id === Number(apiKeyId))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at) || b.id - a.id)
+      .slice(0, parseInt(limit))
+      .map(entry => ({ ...entry }));
+  }
+}
+
+module.exports = {
+  MySqlAuthStore,
+  MemoryAuthStore
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters; stored with every hash so they can be raised later
+const SCRYPT_COST = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 10;
+
+/**
+ * Hash a password for storage as `scrypt$N$r$p$salt$key`
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_COST;
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Compare a password with a stored hash in constant time
+ * @param {string} password
+ * @param {string} stored - Value from hashPassword
+ * @returns {Promise<boolean>} false for malformed hashes
+ */
+async function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return false;
+  }
+  const [, N, r, p, salt, key] = parts;
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Random bearer secret for sessions and API keys
+ * @param {string} [prefix] - Makes tokens recognisable in logs and secret scanners
+ * @returns {string}
+ */
+function generateToken(prefix = '') {
+  return `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// Sessions and API keys are looked up by hash so a database leak does not leak usable secrets
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  generateToken,
+  hashToken
+};
@@ -0,0 +1,24 @@
+const credentials = require('./credentials');
+const roles = require('./roles');
+const { MySqlAuthStore, MemoryAuthStore } = require('./auth-store');
+const authService = require('./auth-service');
+const middleware = require('./middleware');
+
+/**
+ * Auth store for the dashboard database, or an in-memory one when the
+ * dashboard has no MySQL connection of its own (e.g. WP API only)
+ * @param {Object|null} pool - mysql2/promise pool
+ */
+function createAuthStore(pool) {
+  return pool ? new MySqlAuthStore(pool) : new MemoryAuthStore();
+}
+
+module.exports = {
+  ...credentials,
+  ...roles,
+  ...authService,
+  ...middleware,
+  MySqlAuthStore,
+  MemoryAuthStore,
+  createAuthStore
+};
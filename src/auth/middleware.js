@@ -0,0 +1,137 @@
+const { hasRole, accessRule } = require('./roles');
+
+/**
+ * Express middleware that sets req.user from the session cookie or bearer token
+ * (null when the request is anonymous)
+ * @param {AuthService} auth
+ */
+function authenticate(auth) {
+  return async (req, res, next) => {
+    try {
+      req.user = await auth.authenticate({
+        cookie: req.headers.cookie,
+        authorization: req.headers.authorization
+      });
+      next();
+    } catch (error) {
+      console.error('Error authenticating request:', error);
+      res.status(500).json({ error: 'Failed to authenticate request' });
+    }
+  };
+}
+
+function denyUnlessRole(req, res, next, role) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (!hasRole(req.user, role)) {
+    return res.status(403).json({ error: 'Insufficient permissions', required_role: role });
+  }
+  next();
+}
+
+// API keys need the rule's scope as well as the role
+function enforceRule(req, res, next, rule) {
+  if (rule.role === null) {
+    return next();
+  }
+  if (req.user && req.user.type === 'api_key' && !(rule.scope && req.user.scopes.includes(rule.scope))) {
+    return res.status(403).json({ error: 'API key is missing the required scope', required_scope: rule.scope || null });
+  }
+  denyUnlessRole(req, res, next, rule.role);
+}
+
+/**
+ * Enforce ACCESS_RULES for everything mounted under /api. Runs after authenticate.
+ */
+function authorize(req, res, next) {
+  enforceRule(req, res, next, accessRule(req.method, req.path));
+}
+
+// Calls worth auditing: anything beyond a viewer's reads, and views of unredacted query text
+function isPrivileged(req, rule) {
+  if (rule.role === null) {
+    return false;
+  }
+  return rule.role !== 'viewer' || (req.method !== 'GET' && req.method !== 'HEAD') || req.query.raw === 'true';
+}
+
+/**
+ * Record privileged calls, allowed or denied, with the user, API key and
+ * response status once the response is sent. Runs after authenticate.
+ * @param {AuthService} auth
+ */
+function auditLog(auth) {
+  return (req, res, next) => {
+    if (!req.user || !isPrivileged(req, accessRule(req.method, req.path))) {
+      return next();
+    }
+    res.on('finish', () => {
+      auth.recordAudit({
+        user: req.user,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        ip: req.ip
+      }).catch((error) => {
+        console.error('Error writing audit log:', error);
+      });
+    });
+    next();
+  };
+}
+
+/**
+ * Route-level guard for a single role
+ * @param {string} role
+ */
+function requireRole(role) {
+  return (req, res, next) => denyUnlessRole(req, res, next, role);
+}
+
+/**
+ * Guard for routes outside /api, with a rule shaped like ACCESS_RULES entries
+ * @param {{role: string, scope: string}} rule
+ */
+function requireAccess(rule) {
+  return (req, res, next) => enforceRule(req, res, next, rule);
+}
+
+/**
+ * socket.io middleware: browsers are authenticated by the session cookie sent
+ * with the handshake, scripts pass an API key with the read:metrics scope as
+ * `auth: { token }`
+ * @param {AuthService} auth
+ */
+function authenticateSocket(auth) {
+  return async (socket, next) => {
+    try {
+      const { headers, auth: handshakeAuth } = socket.handshake;
+      const token = handshakeAuth && handshakeAuth.token;
+      const user = await auth.authenticate({
+        cookie: headers.cookie,
+        authorization: token ? `Bearer ${token}` : headers.authorization
+      });
+      if (!user) {
+        return next(new Error('Authentication required'));
+      }
+      if (user.type === 'api_key' && !user.scopes.includes('read:metrics')) {
+        return next(new Error('API key is missing the required scope'));
+      }
+      socket.data.user = user;
+      next();
+    } catch (error) {
+      console.error('Error authenticating socket:', error);
+      next(new Error('Authentication failed'));
+    }
+  };
+}
+
+module.exports = {
+  authenticate,
+  authorize,
+  auditLog,
+  requireRole,
+  requireAccess,
+  authenticateSocket
+};
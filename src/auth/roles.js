@@ -0,0 +1,107 @@
+// Roles from least to most privileged; each role can do everything the previous one can
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// API key scopes and the least role a key's owner needs to grant them
+const SCOPES = {
+  'read:metrics': 'viewer',
+  'read:queries': 'viewer',
+  'write:alerts': 'operator',
+  'write:metrics': 'operator',
+  'write:annotations': 'operator',
+  'admin:demo': 'operator'
+};
+
+/**
+ * Whether a user (or API key) has at least the given role
+ * @param {Object|null} user - Object with a `role`
+ * @param {string} role - Required role
+ * @returns {boolean}
+ */
+function hasRole(user, role) {
+  if (!user || !ROLES.includes(user.role)) {
+    return false;
+  }
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Access to API requests, relative to the /api mount point; the first match wins.
+ * Reads are open to viewers; changes that affect other users or the monitored
+ * sites need an operator; account management and anything not listed needs an admin.
+ * A null role means the route is public. API keys can only call routes with a
+ * scope, and only when the key has that scope.
+ */
+const ACCESS_RULES = [
+  { methods: ['POST'], path: /^\/auth\/(login|logout)$/, role: null },
+  { methods: ['GET'], path: /^\/auth\/me$/, role: 'viewer' },
+  // Every user manages their own API keys
+  { methods: ['GET', 'POST', 'DELETE'], path: /^\/keys(\/|$)/, role: 'viewer' },
+  { methods: ['GET', 'POST', 'PUT', 'DELETE'], path: /^\/(users|audit-log)(\/|$)/, role: 'admin' },
+  // EXPLAIN runs a statement against the monitored database
+  { methods: ['GET'], path: /^\/slow-queries\/[^/]+\/explain$/, role: 'operator', scope: 'read:queries' },
+  { methods: ['GET'], path: /^\/slow-queries(\/|$)/, role: 'viewer', scope: 'read:queries' },
+  { methods: ['GET'], path: /^\/export\/slow-queries$/, role: 'viewer', scope: 'read:queries' },
+  // Comparisons list new and regressed slow query fingerprints
+  { methods: ['GET'], path: /^\/compare$/, role: 'viewer', scope: 'read:queries' },
+  { methods: ['POST'], path: /^\/alerts\/[^/]+\/(acknowledge|resolve)$/, role: 'operator', scope: 'write:alerts' },
+  { methods: ['POST', 'PUT', 'DELETE'], path: /^\/alert-rules(\/|$)/, role: 'operator', scope: 'write:alerts' },
+  // CI jobs and WordPress hooks marking deploys and releases on the charts
+  { methods: ['POST'], path: /^\/annotations$/, role: 'operator', scope: 'write:annotations' },
+  // Agents pushing data for the monitored sites
+  { methods: ['POST'], path: /^\/otlp\/v1\/metrics$/, role: 'operator', scope: 'write:metrics' },
+  // The WordPress plugin authenticates with a signed per-site ingest token, checked by the route
+  { methods: ['POST'], path: /^\/ingest$/, role: null },
+  { methods: ['POST'], path: /^\/demo-refresh$/, role: 'operator', scope: 'admin:demo' },
+  // Integrators read the API description before they have credentials
+  { methods: ['GET'], path: /^\/openapi\.json$/, role: null },
+  { methods: ['GET'], path: /^\//, role: 'viewer', scope: 'read:metrics' }
+];
+
+const DEFAULT_RULE = { role: 'admin' };
+
+// Express routes ignore case and a trailing slash, so rules are matched the same way.
+// Route parameters reach the handlers percent-decoded (`/export/slow%2Dqueries`),
+// so rules see the decoded path too; Express answers malformed escapes with a 400.
+function decodePath(path) {
+  try {
+    return decodeURIComponent(path);
+  } catch (error) {
+    return path;
+  }
+}
+
+function normalizePath(path) {
+  const lower = decodePath(path).toLowerCase();
+  return lower.length > 1 && lower.endsWith('/') ? lower.slice(0, -1) : lower;
+}
+
+/**
+ * Access rule for a request
+ * @param {string} method - HTTP method; HEAD is treated as GET
+ * @param {string} path - Path below /api
+ * @returns {{role: string|null, scope: (string|undefined)}}
+ */
+function accessRule(method, path) {
+  const routeMethod = method === 'HEAD' ? 'GET' : method;
+  const routePath = normalizePath(path);
+  return ACCESS_RULES.find(rule => rule.methods.includes(routeMethod) && rule.path.test(routePath)) || DEFAULT_RULE;
+}
+
+/**
+ * Role required for an API request, or null for public routes
+ * @param {string} method
+ * @param {string} path - Path below /api
+ * @returns {string|null}
+ */
+function requiredRole(method, path) {
+  return accessRule(method, path).role;
+}
+
+module.exports = {
+  ROLES,
+  SCOPES,
+  ACCESS_RULES,
+  hasRole,
+  accessRule,
+  requiredRole
+};
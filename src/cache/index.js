@@ -0,0 +1,39 @@
+const { ALL_SITES, MemoryResponseCache, RedisResponseCache } = require('./response-cache');
+const { cacheResponse } = require('./middleware');
+
+/**
+ * Response cache for the dashboard: Redis when a URL is given, so several
+ * instances share entries and invalidations, otherwise in this process
+ * @param {Object} [options]
+ * @param {string} [options.redisUrl] - e.g. redis://cache:6379; needs the `redis` package
+ * @param {number} [options.maxEntries] - In-process cache only
+ * @returns {MemoryResponseCache|RedisResponseCache}
+ */
+function createResponseCache({ redisUrl, maxEntries } = {}) {
+  if (!redisUrl) {
+    return new MemoryResponseCache({ maxEntries });
+  }
+
+  let redis;
+  try {
+    redis = require('redis');
+  } catch (error) {
+    throw new Error('CACHE_REDIS_URL needs the redis package: npm install redis');
+  }
+  const client = redis.createClient({ url: redisUrl });
+  client.on('error', (error) => {
+    console.error('Redis response cache error:', error);
+  });
+  client.connect().catch((error) => {
+    console.error('Error connecting to the Redis response cache:', error);
+  });
+  return new RedisResponseCache(client);
+}
+
+module.exports = {
+  ALL_SITES,
+  MemoryResponseCache,
+  RedisResponseCache,
+  cacheResponse,
+  createResponseCache
+};
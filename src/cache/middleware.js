@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+// Validated parameters and time range in a stable order, so equal requests share a key
+function requestKey(req) {
+  const values = { ...req.validated, timeRange: req.timeRange };
+  const params = Object.keys(values).sort().map(name => [name, values[name]]);
+  return `${req.baseUrl}${req.route.path} ${JSON.stringify(params)}`;
+}
+
+function etagFor(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+// Express answers 304 by itself when If-None-Match matches the ETag set here
+function sendEntry(res, entry, status) {
+  res.set({
+    ETag: entry.etag,
+    'Cache-Control': 'private, no-cache',
+    'X-Cache': status
+  });
+  res.type('json').send(entry.body);
+}
+
+/**
+ * Route middleware serving validated GET requests from a response cache. The
+ * first request for a key runs the route and stores its 200 JSON body for
+ * `ttl` seconds; concurrent requests for the same key wait for that instead
+ * of querying the database again. Responses carry an ETag, so browsers
+ * revalidate with If-None-Match and get a 304. When the cache fails the
+ * route is served uncached.
+ * @param {Object} options
+ * @param {Object} options.cache - MemoryResponseCache or RedisResponseCache
+ * @param {number} options.ttl - Seconds a response may be served from the cache
+ * @param {Function} options.scope - (req) => site id, 'demo' or ALL_SITES; invalidated together
+ */
+function cacheResponse({ cache, ttl, scope }) {
+  const pending = new Map();
+
+  async function lookup(site, key) {
+    try {
+      return await cache.get(site, key);
+    } catch (error) {
+      console.error('Error reading response cache:', error);
+      return null;
+    }
+  }
+
+  return async (req, res, next) => {
+    const site = scope(req);
+    const key = requestKey(req);
+    const pendingKey = `${site}\n${key}`;
+
+    let entry = await lookup(site, key);
+    if (!entry && pending.has(pendingKey)) {
+      await pending.get(pendingKey);
+      entry = await lookup(site, key);
+    }
+    if (entry) {
+      return sendEntry(res, entry, 'HIT');
+    }
+
+    let release;
+    const filled = new Promise((resolve) => {
+      release = () => {
+        if (pending.get(pendingKey) === filled) {
+          pending.delete(pendingKey);
+        }
+        resolve();
+      };
+    });
+    pending.set(pendingKey, filled);
+    res.on('close', release);
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode !== 200) {
+        release();
+        return json(body);
+      }
+
+      const text = JSON.stringify(body);
+      const fresh = { body: text, etag: etagFor(text) };
+      cache.set(site, key, fresh, ttl)
+        .catch((error) => {
+          console.error('Error writing response cache:', error);
+        })
+        .finally(release);
+      return sendEntry(res, fresh, 'MISS');
+    };
+    next();
+  };
+}
+
+module.exports = { cacheResponse };
@@ -0,0 +1,96 @@
+// Scope of entries that read every site (the fleet overview); dropped with any site's
+const ALL_SITES = '*';
+
+/**
+ * Cached responses held in this process. Entries are grouped by scope (a
+ * site id, 'demo' or ALL_SITES) so new data for a site drops just its own.
+ * The oldest entries are evicted past `maxEntries`.
+ */
+class MemoryResponseCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=500]
+   * @param {Function} [options.now]
+   */
+  constructor({ maxEntries = 500, now = () => Date.now() } = {}) {
+    this.maxEntries = maxEntries;
+    this.now = now;
+    this.entries = new Map();
+  }
+
+  async get(scope, key) {
+    const cacheKey = `${scope}\n${key}`;
+    const cached = this.entries.get(cacheKey);
+    if (!cached) {
+      return null;
+    }
+    if (cached.expiresAt <= this.now()) {
+      this.entries.delete(cacheKey);
+      return null;
+    }
+    return cached.entry;
+  }
+
+  async set(scope, key, entry, ttlSeconds) {
+    const cacheKey = `${scope}\n${key}`;
+    this.entries.delete(cacheKey);
+    this.entries.set(cacheKey, { scope, entry, expiresAt: this.now() + ttlSeconds * 1000 });
+
+    // Maps iterate in insertion order, so the first keys are the oldest
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) {
+        break;
+      }
+      this.entries.delete(oldest);
+    }
+  }
+
+  async invalidate(scope) {
+    for (const [cacheKey, cached] of this.entries) {
+      if (cached.scope === scope || cached.scope === ALL_SITES) {
+        this.entries.delete(cacheKey);
+      }
+    }
+  }
+}
+
+/**
+ * Cached responses shared by every dashboard instance through Redis (a
+ * node-redis v4 client). Invalidating a scope bumps its generation counter
+ * instead of scanning for keys; entries of old generations expire on their own.
+ */
+class RedisResponseCache {
+  /**
+   * @param {Object} client - Connected node-redis client
+   * @param {Object} [options]
+   * @param {string} [options.prefix='wpd:cache:']
+   */
+  constructor(client, { prefix = 'wpd:cache:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async entryKey(scope, key) {
+    const generation = (await this.client.get(`${this.prefix}generation:${scope}`)) || 0;
+    return `${this.prefix}${scope}:${generation}:${key}`;
+  }
+
+  async get(scope, key) {
+    const value = await this.client.get(await this.entryKey(scope, key));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(scope, key, entry, ttlSeconds) {
+    await this.client.set(await this.entryKey(scope, key), JSON.stringify(entry), { EX: ttlSeconds });
+  }
+
+  async invalidate(scope) {
+    await Promise.all([scope, ALL_SITES].map(name => this.client.incr(`${this.prefix}generation:${name}`)));
+  }
+}
+
+module.exports = {
+  ALL_SITES,
+  MemoryResponseCache,
+  RedisResponseCache
+};
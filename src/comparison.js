@@ -0,0 +1,252 @@
+const { parseTimeRangeQuery } = require('./time-range');
+const { MAX_BUCKET_ROWS } = require('./series');
+const { MAX_GROUPED_ROWS, readGroupableSlowQueries, groupSlowQueries } = require('./query-fingerprint');
+const { percentile, round } = require('./stats');
+
+// Performance columns averaged over each window; p95_response_time is added separately
+const METRIC_COLUMNS = ['avg_response_time', 'queries_per_second', 'memory_usage'];
+
+// Slow query groups whose average time grew by at least this many percent count as regressed
+const DEFAULT_REGRESSION_THRESHOLD = 20;
+
+/**
+ * One value in both windows and how it moved
+ * @param {number|null} baseline
+ * @param {number|null} comparison
+ * @returns {{baseline: number|null, comparison: number|null, change: number|null, change_percent: number|null}}
+ *   change_percent is null when the baseline is missing or zero
+ */
+function diff(baseline, comparison) {
+  const both = baseline !== null && comparison !== null;
+  return {
+    baseline: baseline === null ? null : round(baseline),
+    comparison: comparison === null ? null : round(comparison),
+    change: both ? round(comparison - baseline) : null,
+    change_percent: both && baseline !== 0 ? round(((comparison - baseline) / Math.abs(baseline)) * 100) : null
+  };
+}
+
+// Largest moves first; values only seen in one window rank by their size
+const byChangeSize = entry => Math.abs(entry.change !== null ? entry.change : entry.comparison !== null ? entry.comparison : entry.baseline);
+
+/**
+ * Read a comparison's two windows from a query: `baseline_from`/`baseline_to`
+ * and `comparison_from`/`comparison_to` ISO timestamps, where only
+ * `comparison_to` is optional and defaults to now
+ * @param {Object} query - Request query
+ * @param {number} [now] - Current time in ms
+ * @returns {{baseline: Object|null, comparison: Object|null, errors: Array<Object>}} Windows as { from, to }; errors as { field, message }
+ */
+function parseComparisonWindows(query = {}, now = Date.now()) {
+  const errors = [];
+  const windows = {};
+
+  ['baseline', 'comparison'].forEach((name) => {
+    const from = query[`${name}_from`];
+    const to = query[`${name}_to`];
+    if (from === undefined) {
+      errors.push({ field: `${name}_from`, message: `${name}_from is required` });
+    }
+    if (to === undefined && name === 'baseline') {
+      errors.push({ field: `${name}_to`, message: `${name}_to is required` });
+    }
+    if (errors.some(error => error.field.startsWith(name))) {
+      windows[name] = null;
+      return;
+    }
+
+    const { timeRange, errors: rangeErrors } = parseTimeRangeQuery({ from, to }, now);
+    rangeErrors.forEach(error => errors.push({
+      field: `${name}_${error.field}`,
+      message: error.message.replace(/\b(from|to)\b/g, `${name}_$1`)
+    }));
+    windows[name] = timeRange;
+  });
+
+  return { ...windows, errors };
+}
+
+// Sample-weighted averages and p95 response time of raw or rollup rows
+function summarizeMetrics(rows) {
+  const summary = {
+    sample_count: rows.reduce((sum, row) => sum + (Number(row.sample_count) || 1), 0)
+  };
+
+  METRIC_COLUMNS.forEach((column) => {
+    let total = 0;
+    let weight = 0;
+    rows.forEach((row) => {
+      if (row[column] !== null && row[column] !== undefined) {
+        const rowWeight = Number(row.sample_count) || 1;
+        total += Number(row[column]) * rowWeight;
+        weight += rowWeight;
+      }
+    });
+    summary[column] = weight > 0 ? total / weight : null;
+  });
+
+  // Rollup rows only keep each bucket's p95, so long windows give the p95 of those
+  const responseTimes = rows
+    .map(row => (row.avg_response_time_p95 !== undefined ? row.avg_response_time_p95 : row.avg_response_time))
+    .filter(value => value !== null && value !== undefined)
+    .map(Number)
+    .sort((a, b) => a - b);
+  summary.p95_response_time = percentile(responseTimes, 95);
+
+  return summary;
+}
+
+// Calls per admin-ajax action, with the response time weighted by calls
+function summarizeAdminAjax(rows) {
+  const actions = new Map();
+  rows.forEach((row) => {
+    const calls = Number(row.call_count) || 0;
+    const action = actions.get(row.action_name) || { calls: 0, time: 0 };
+    action.calls += calls;
+    action.time += (Number(row.avg_response_time) || 0) * calls;
+    actions.set(row.action_name, action);
+  });
+  return actions;
+}
+
+// Average impact score per plugin
+function summarizePlugins(rows) {
+  const plugins = new Map();
+  rows.forEach((row) => {
+    const plugin = plugins.get(row.plugin_name) || { total: 0, samples: 0 };
+    plugin.total += Number(row.impact_score) || 0;
+    plugin.samples += 1;
+    plugins.set(row.plugin_name, plugin);
+  });
+  return new Map(Array.from(plugins, ([name, plugin]) => [name, plugin.total / plugin.samples]));
+}
+
+async function readWindow(dataSource, timeRange) {
+  const [metrics, slowQueries, adminAjax, plugins] = await Promise.all([
+    dataSource.getMetrics({ timeRange, limit: MAX_BUCKET_ROWS }),
+    readGroupableSlowQueries(dataSource, timeRange),
+    dataSource.getAdminAjax({ timeRange, limit: MAX_GROUPED_ROWS }),
+    dataSource.getPlugins({ timeRange, limit: MAX_GROUPED_ROWS, includeInactive: false })
+  ]);
+
+  return {
+    metrics: summarizeMetrics(metrics),
+    slowQueries: new Map(groupSlowQueries(slowQueries.rows, { limit: MAX_GROUPED_ROWS }).map(group => [group.hash, group])),
+    slowQueriesTruncated: slowQueries.truncated,
+    adminAjax: summarizeAdminAjax(adminAjax),
+    plugins: summarizePlugins(plugins)
+  };
+}
+
+function compareSlowQueries(baseline, comparison, { threshold, limit, redact }) {
+  const summary = group => ({
+    hash: group.hash,
+    fingerprint: group.fingerprint,
+    sample_query: redact(group.sample_query),
+    count: group.count,
+    avg_execution_time: group.avg_execution_time,
+    p95_execution_time: group.p95_execution_time
+  });
+  const byTotalTime = (a, b) => b.total_execution_time - a.total_execution_time;
+
+  const regressed = [];
+  comparison.forEach((group, hash) => {
+    const before = baseline.get(hash);
+    if (!before) {
+      return;
+    }
+    const avg = diff(before.avg_execution_time, group.avg_execution_time);
+    if (avg.change_percent !== null && avg.change_percent >= threshold) {
+      regressed.push({
+        ...summary(group),
+        count: diff(before.count, group.count),
+        avg_execution_time: avg,
+        p95_execution_time: diff(before.p95_execution_time, group.p95_execution_time)
+      });
+    }
+  });
+
+  return {
+    new: Array.from(comparison.values()).filter(group => !baseline.has(group.hash)).sort(byTotalTime).slice(0, limit).map(summary),
+    gone: Array.from(baseline.values()).filter(group => !comparison.has(group.hash)).sort(byTotalTime).slice(0, limit).map(summary),
+    regressed: regressed
+      .sort((a, b) => b.avg_execution_time.change_percent - a.avg_execution_time.change_percent)
+      .slice(0, limit)
+  };
+}
+
+function compareAdminAjax(baseline, comparison, limit) {
+  const names = new Set([...baseline.keys(), ...comparison.keys()]);
+  const averageTime = action => (action && action.calls > 0 ? action.time / action.calls : null);
+
+  return Array.from(names)
+    .map((name) => {
+      const before = baseline.get(name);
+      const after = comparison.get(name);
+      return {
+        action_name: name,
+        call_count: diff(before ? before.calls : 0, after ? after.calls : 0),
+        avg_response_time: diff(averageTime(before), averageTime(after))
+      };
+    })
+    .filter(action => action.call_count.change !== 0)
+    .sort((a, b) => byChangeSize(b.call_count) - byChangeSize(a.call_count))
+    .slice(0, limit);
+}
+
+function comparePlugins(baseline, comparison, limit) {
+  const names = new Set([...baseline.keys(), ...comparison.keys()]);
+  const value = (plugins, name) => (plugins.has(name) ? plugins.get(name) : null);
+
+  return Array.from(names)
+    .map(name => ({ plugin_name: name, impact_score: diff(value(baseline, name), value(comparison, name)) }))
+    .filter(plugin => plugin.impact_score.change !== 0)
+    .sort((a, b) => byChangeSize(b.impact_score) - byChangeSize(a.impact_score))
+    .slice(0, limit);
+}
+
+/**
+ * Aggregated before/after deltas between two windows of one site
+ * @param {Object} dataSource - Data source of the site
+ * @param {Object} options
+ * @param {{from: Date, to: Date}} options.baseline - Window compared against
+ * @param {{from: Date, to: Date}} options.comparison - Window being checked
+ * @param {number} [options.threshold] - Percent growth in average time that marks a slow query group as regressed
+ * @param {number} [options.limit=20] - Most entries in each list
+ * @param {Function} [options.redact] - Applied to slow query sample text
+ * @returns {Promise<Object>} { baseline, comparison, threshold, metrics, slow_queries, admin_ajax, plugins }
+ */
+async function compareWindows(dataSource, {
+  baseline,
+  comparison,
+  threshold = DEFAULT_REGRESSION_THRESHOLD,
+  limit = 20,
+  redact = sql => sql
+}) {
+  const [before, after] = await Promise.all([readWindow(dataSource, baseline), readWindow(dataSource, comparison)]);
+
+  const metrics = {};
+  ['sample_count', ...METRIC_COLUMNS, 'p95_response_time'].forEach((column) => {
+    metrics[column] = diff(before.metrics[column], after.metrics[column]);
+  });
+
+  return {
+    baseline,
+    comparison,
+    threshold,
+    metrics,
+    slow_queries: {
+      ...compareSlowQueries(before.slowQueries, after.slowQueries, { threshold, limit, redact }),
+      truncated: before.slowQueriesTruncated || after.slowQueriesTruncated
+    },
+    admin_ajax: compareAdminAjax(before.adminAjax, after.adminAjax, limit),
+    plugins: comparePlugins(before.plugins, after.plugins, limit)
+  };
+}
+
+module.exports = {
+  DEFAULT_REGRESSION_THRESHOLD,
+  diff,
+  parseComparisonWindows,
+  compareWindows
+};
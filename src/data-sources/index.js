@@ -0,0 +1,67 @@
+const { MySqlDataSource, DemoDataSource } = require('./mysql-data-source');
+const { WpApiDataSource } = require('./wp-api-data-source');
+const { MemoryDataSource } = require('./memory-data-source');
+const { MySqlRollupStore } = require('../rollups/mysql-rollup-store');
+
+/*
+ * Every data source implements the same async interface:
+ *   getMetrics({ timeRange, limit, resolution })
+ *   getSlowQueries({ timeRange, limit })
+ *   getAdminAjax({ timeRange, limit })
+ *   getPlugins({ timeRange, limit, includeInactive })
+ *   getRealtimeMetrics()
+ *   getSystemHealth({ timeRange })
+ *   getLatestSample()  - latest real-time sample for broadcasting, or null
+ *   getMetricValues(metric, { since, until, limit, resolution }) - samples of one alert catalog metric;
+ *     sources without rollups ignore `resolution` and return raw samples
+ *   countRows(table, { since })
+ *   streamRows(table, { timeRange, limit, includeInactive }) - async iterable of rows for exports
+ *
+ * MySQL sources created with allowExplain (local and demo databases) also offer
+ *   getSlowQuery(id)
+ *   explainQuery(sql, { analyze })
+ *
+ * MySQL and memory sources store pushed data (src/ingest) with
+ *   insertRows(table, rows) - rows for one of the tables in WRITABLE_COLUMNS (./schema)
+ *   insertBatches([{ table, rows }]) - several tables at once, all or nothing
+ *   backfillCutoff(table) - oldest timestamp (ms) a pushed row may have, or null for no limit
+ *
+ * MySQL sources also carry a `rollups` store (src/rollups) that serves long
+ * ranges from downsampled tables and applies the retention policy.
+ */
+
+/**
+ * Build the function that picks a data source for a request.
+ * Sources are created once; the resolver only chooses between them.
+ * Requests name a site with `?site=<id>`; `?demo=true` (or demo mode) always wins.
+ * @param {Object} config
+ * @param {Object} config.registry - SiteRegistry holding the monitored sites
+ * @param {Object|null} config.demoPool - Demo MySQL pool
+ * @param {boolean} config.isDemoMode - Whether the server runs in demo mode
+ * @param {Object} [config.retention] - Rollup retention policy for the demo database
+ * @returns {Function} (req) => data source, or null when no database is available.
+ *   Throws a 404 error for unknown sites.
+ */
+function createDataSourceResolver({ registry, demoPool = null, isDemoMode = false, retention }) {
+  const demoSource = demoPool
+    ? new DemoDataSource(demoPool, { rollups: new MySqlRollupStore(demoPool, { retention }) })
+    : null;
+
+  return function resolveDataSource(req) {
+    const query = (req && req.query) || {};
+    const useDemo = query.demo === 'true' || isDemoMode;
+
+    if (useDemo) {
+      return demoSource;
+    }
+    return registry.getDataSource(query.site || registry.defaultSiteId);
+  };
+}
+
+module.exports = {
+  createDataSourceResolver,
+  MySqlDataSource,
+  DemoDataSource,
+  WpApiDataSource,
+  MemoryDataSource
+};
@@ -0,0 +1,168 @@
+const { getTimeRangeBounds } = require('../time-range');
+const { summarizeSystemHealth } = require('./system-health');
+
+const TABLES = ['performance_metrics', 'slow_queries', 'admin_ajax_calls', 'plugin_performance', 'system_health'];
+
+/**
+ * In-memory data source holding rows shaped like the dashboard tables.
+ * Useful for tests and for replaying captured data without MySQL.
+ */
+class MemoryDataSource {
+  /**
+   * @param {Object} [tables] - Rows keyed by table name (performance_metrics, slow_queries, ...)
+   * @param {Object} [options]
+   * @param {boolean} [options.demoMode=false] - Flag responses as demo data
+   * @param {Function} [options.now] - Clock used for time range filtering
+   */
+  constructor(tables = {}, { demoMode = false, now = () => Date.now() } = {}) {
+    this.tables = {};
+    TABLES.forEach(table => {
+      this.tables[table] = (tables[table] || []).slice();
+    });
+    this.demoMode = demoMode;
+    this.now = now;
+  }
+
+  insert(table, row) {
+    if (!this.tables[table]) {
+      throw new Error(`Unknown table: ${table}`);
+    }
+    this.tables[table].push({ timestamp: new Date(this.now()), ...row });
+  }
+
+  async insertRows(table, rows) {
+    rows.forEach(row => this.insert(table, row));
+    return rows.length;
+  }
+
+  // Nothing is rolled up, so rows of any age can be stored
+  backfillCutoff() {
+    return null;
+  }
+
+  async insertBatches(batches) {
+    batches.forEach(({ table }) => {
+      if (!this.tables[table]) {
+        throw new Error(`Unknown table: ${table}`);
+      }
+    });
+    batches.forEach(({ table, rows }) => rows.forEach(row => this.insert(table, row)));
+    return batches.reduce((total, { rows }) => total + rows.length, 0);
+  }
+
+  // Rows inside the time range, or every row when the range is unknown
+  rowsWithin(table, timeRange) {
+    const bounds = getTimeRangeBounds(timeRange, this.now());
+    const rows = this.tables[table];
+    if (!bounds) {
+      return rows.slice();
+    }
+    return rows.filter(row => {
+      const time = new Date(row.timestamp).getTime();
+      return time > bounds.from && time <= bounds.to;
+    });
+  }
+
+  async getMetrics({ timeRange, limit = 50 }) {
+    return sortDesc(this.rowsWithin('performance_metrics', timeRange), byTimestamp)
+      .slice(0, parseInt(limit));
+  }
+
+  async getSlowQueries({ timeRange, limit }) {
+    return sortDesc(this.rowsWithin('slow_queries', timeRange), row => row.execution_time)
+      .slice(0, parseInt(limit));
+  }
+
+  async getAdminAjax({ timeRange, limit }) {
+    return sortDesc(this.rowsWithin('admin_ajax_calls', timeRange), row => row.call_count)
+      .slice(0, parseInt(limit));
+  }
+
+  async getPlugins({ timeRange, limit, includeInactive }) {
+    const rows = this.rowsWithin('plugin_performance', timeRange)
+      .filter(row => includeInactive || row.status === 'active');
+    return sortDesc(rows, row => row.impact_score).slice(0, parseInt(limit));
+  }
+
+  async* streamRows(table, { timeRange, limit, includeInactive }) {
+    const rows = this.rowsWithin(table, timeRange)
+      .filter(row => table !== 'plugin_performance' || includeInactive || row.status === 'active');
+    yield* sortDesc(rows, byTimestamp).slice(0, parseInt(limit));
+  }
+
+  async getRealtimeMetrics() {
+    const since = this.now() - 5 * 60 * 1000;
+    const rows = this.tables.performance_metrics
+      .filter(row => new Date(row.timestamp).getTime() > since);
+
+    return {
+      avg_qps: average(rows, 'queries_per_second'),
+      avg_response: average(rows, 'avg_response_time'),
+      avg_memory: average(rows, 'memory_usage')
+    };
+  }
+
+  async getSystemHealth({ timeRange }) {
+    const range = getTimeRangeBounds(timeRange) ? timeRange : '1h';
+    const latestHealth = sortDesc(this.tables.system_health, byTimestamp)[0];
+
+    return summarizeSystemHealth({
+      slowQueryCount: this.rowsWithin('slow_queries', range).length,
+      activePluginCount: this.tables.plugin_performance.filter(row => row.status === 'active').length,
+      avgResponseTime: average(this.rowsWithin('performance_metrics', range), 'avg_response_time'),
+      latestHealth,
+      demoMode: this.demoMode
+    });
+  }
+
+  async getMetricValues(metric, { since = null, until = null, limit = 1000 } = {}) {
+    const sinceMs = since ? new Date(since).getTime() : null;
+    const untilMs = until ? new Date(until).getTime() : null;
+    return sortDesc(this.tables[metric.table], byTimestamp)
+      .filter(row => sinceMs === null || byTimestamp(row) > sinceMs)
+      .filter(row => untilMs === null || byTimestamp(row) <= untilMs)
+      .slice(0, parseInt(limit))
+      .map(row => ({
+        value: metric.compute ? metric.compute(row) : row[metric.column],
+        timestamp: row.timestamp
+      }));
+  }
+
+  async countRows(table, { since }) {
+    const sinceMs = new Date(since).getTime();
+    return this.tables[table].filter(row => byTimestamp(row) > sinceMs).length;
+  }
+
+  async getLatestSample() {
+    const latestMetrics = sortDesc(this.tables.performance_metrics, byTimestamp)[0];
+    if (!latestMetrics) {
+      return null;
+    }
+
+    return {
+      queries_per_second: latestMetrics.queries_per_second,
+      avg_response_time: latestMetrics.avg_response_time,
+      memory_usage: latestMetrics.memory_usage,
+      timestamp: latestMetrics.timestamp,
+      demo_mode: this.demoMode
+    };
+  }
+}
+
+function byTimestamp(row) {
+  return new Date(row.timestamp).getTime();
+}
+
+function sortDesc(rows, key) {
+  return rows.slice().sort((a, b) => key(b) - key(a));
+}
+
+// Mirrors SQL AVG(): null when there are no rows
+function average(rows, column) {
+  if (rows.length === 0) {
+    return null;
+  }
+  return rows.reduce((sum, row) => sum + (row[column] || 0), 0) / rows.length;
+}
+
+module.exports = { MemoryDataSource, TABLES };
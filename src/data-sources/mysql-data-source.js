@@ -0,0 +1,383 @@
+const { getTimeRangeBounds, getTimeRangeCondition } = require('../time-range');
+const { pickResolution, ROLLUP_SOURCES } = require('../rollups/resolutions');
+const { summarizeSystemHealth } = require('./system-health');
+const { DATA_TABLE_SCHEMAS, WRITABLE_COLUMNS } = require('./schema');
+const { streamQuery } = require('./stream-query');
+
+// EXPLAIN ANALYZE exists in MySQL 8.0.18 and later (MariaDB uses ANALYZE instead)
+function supportsExplainAnalyze(version) {
+  if (/mariadb/i.test(version)) {
+    return false;
+  }
+  const [major, minor, patch] = version.split(/[.-]/).map(Number);
+  return major > 8 || (major === 8 && (minor > 0 || patch >= 18));
+}
+
+// WHERE clause for a time range plus any extra conditions; unknown ranges are not filtered
+function timeRangeWhere(timeRange, conditions = []) {
+  const range = getTimeRangeCondition(timeRange);
+  const clauses = [...conditions, range && range.sql].filter(Boolean);
+  return {
+    whereSql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+    params: range ? range.params : []
+  };
+}
+
+// Multi-row INSERT for pushed rows, or null when there are none
+function insertStatement(table, rows) {
+  const columns = WRITABLE_COLUMNS[table];
+  if (!columns) {
+    throw new Error(`Unknown table: ${table}`);
+  }
+  if (rows.length === 0) {
+    return null;
+  }
+  const placeholders = rows.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
+  return {
+    sql: `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${placeholders}`,
+    params: rows.flatMap(row => columns.map(column => (row[column] === undefined ? null : row[column])))
+  };
+}
+
+/**
+ * Data source that reads the dashboard tables directly through a mysql2 pool
+ */
+class MySqlDataSource {
+  /**
+   * @param {Object} pool - mysql2/promise pool
+   * @param {Object} [options]
+   * @param {boolean} [options.demoMode=false] - Flag responses as demo data
+   * @param {boolean} [options.allowExplain=false] - Allow EXPLAIN on captured slow queries
+   * @param {Object|null} [options.rollups=null] - MySqlRollupStore serving long ranges
+   */
+  constructor(pool, { demoMode = false, allowExplain = false, rollups = null } = {}) {
+    this.pool = pool;
+    this.demoMode = demoMode;
+    this.allowExplain = allowExplain;
+    this.rollups = rollups;
+    this.schemaReady = null;
+  }
+
+  /**
+   * Performance samples, newest first. Ranges longer than an hour are served
+   * from rollup tables when they exist (rows then carry `resolution`);
+   * `resolution: 'raw'` forces raw rows.
+   */
+  async getMetrics({ timeRange, limit, resolution }) {
+    const rollupRows = await this.getRollupSeries('performance_metrics', { timeRange, limit, resolution });
+    if (rollupRows) {
+      return rollupRows;
+    }
+
+    const { whereSql, params } = timeRangeWhere(timeRange);
+    const [rows] = await this.pool.execute(
+      `SELECT * FROM performance_metrics ${whereSql} ORDER BY timestamp DESC LIMIT ?`,
+      [...params, parseInt(limit) || 50]
+    );
+    return rows;
+  }
+
+  // Rollup rows for the range, or null when raw rows should be served: no
+  // rollup store, a short range, or rollups that have not been built yet
+  async getRollupSeries(source, { timeRange, limit, resolution }) {
+    const bounds = getTimeRangeBounds(timeRange);
+    const chosen = resolution || (bounds ? pickResolution(bounds.to - bounds.from) : 'raw');
+    if (!this.rollups || !bounds || chosen === 'raw') {
+      return null;
+    }
+
+    try {
+      const rows = await this.rollups.getSeries(source, chosen, {
+        since: new Date(bounds.from),
+        until: new Date(bounds.to),
+        limit
+      });
+      return rows.length > 0 ? rows : null;
+    } catch (error) {
+      if (error.code === 'ER_NO_SUCH_TABLE') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getSlowQueries({ timeRange, limit }) {
+    const { whereSql, params } = timeRangeWhere(timeRange);
+    const [rows] = await this.pool.execute(
+      `SELECT * FROM slow_queries ${whereSql} ORDER BY execution_time DESC LIMIT ?`,
+      [...params, parseInt(limit)]
+    );
+    return rows;
+  }
+
+  async getAdminAjax({ timeRange, limit }) {
+    const { whereSql, params } = timeRangeWhere(timeRange);
+    const [rows] = await this.pool.execute(
+      `SELECT * FROM admin_ajax_calls ${whereSql} ORDER BY call_count DESC LIMIT ?`,
+      [...params, parseInt(limit)]
+    );
+    return rows;
+  }
+
+  async getPlugins({ timeRange, limit, includeInactive }) {
+    const statusClause = includeInactive ? '' : 'status = "active"';
+    const { whereSql, params } = timeRangeWhere(timeRange, [statusClause]);
+    const query = `SELECT * FROM plugin_performance ${whereSql} ORDER BY impact_score DESC LIMIT ?`;
+
+    const [rows] = await this.pool.execute(query, [...params, parseInt(limit)]);
+    return rows;
+  }
+
+  /**
+   * Rows of one dashboard table for export, newest first. Rows are streamed
+   * from the server so long ranges are never held in memory.
+   * @param {string} table - Trusted table name (see EXPORT_DATASETS)
+   * @param {Object} options
+   * @param {string|Object} options.timeRange
+   * @param {number} options.limit
+   * @param {boolean} [options.includeInactive] - Plugins only
+   * @returns {AsyncIterable<Object>}
+   */
+  streamRows(table, { timeRange, limit, includeInactive }) {
+    const statusClause = table === 'plugin_performance' && !includeInactive ? 'status = "active"' : '';
+    const { whereSql, params } = timeRangeWhere(timeRange, [statusClause]);
+    return streamQuery(
+      this.pool,
+      `SELECT * FROM ${table} ${whereSql} ORDER BY timestamp DESC LIMIT ?`,
+      [...params, parseInt(limit)]
+    );
+  }
+
+  async getRealtimeMetrics() {
+    const [metrics] = await this.pool.execute(
+      'SELECT AVG(queries_per_second) as avg_qps, AVG(avg_response_time) as avg_response, AVG(memory_usage) as avg_memory FROM performance_metrics WHERE timestamp > DATE_SUB(NOW(), INTERVAL 5 MINUTE)'
+    );
+    return metrics[0] || { avg_qps: 0, avg_response: 0, avg_memory: 0 };
+  }
+
+  async getSystemHealth({ timeRange }) {
+    const { whereSql, params } = timeRangeWhere(getTimeRangeCondition(timeRange) ? timeRange : '1h');
+    const [queryCount] = await this.pool.execute(
+      `SELECT COUNT(*) as total FROM slow_queries ${whereSql}`,
+      params
+    );
+    const [pluginCount] = await this.pool.execute(
+      'SELECT COUNT(*) as total FROM plugin_performance WHERE status = "active"'
+    );
+    const [avgResponse] = await this.pool.execute(
+      `SELECT AVG(avg_response_time) as avg FROM performance_metrics ${whereSql}`,
+      params
+    );
+    const [systemHealth] = await this.pool.execute(
+      'SELECT * FROM system_health ORDER BY timestamp DESC LIMIT 1'
+    );
+
+    return summarizeSystemHealth({
+      slowQueryCount: queryCount[0].total,
+      activePluginCount: pluginCount[0].total,
+      avgResponseTime: avgResponse[0].avg,
+      latestHealth: systemHealth[0],
+      demoMode: this.demoMode
+    });
+  }
+
+  /**
+   * Samples of one catalog metric, newest first
+   * @param {Object} metric - Entry from the alert METRICS catalog (trusted table/column names)
+   * @param {Object} [options]
+   * @param {Date|null} [options.since] - Only samples newer than this
+   * @param {Date|null} [options.until] - Only samples up to this
+   * @param {number} [options.limit=1000] - Maximum number of samples
+   * @param {string} [options.resolution='raw'] - Rollup resolution to read bucket averages from,
+   *   for ranges older than raw retention; raw samples are served while no rollups exist
+   * @returns {Promise<Array<{value: number, timestamp: Date}>>}
+   */
+  async getMetricValues(metric, { since = null, until = null, limit = 1000, resolution = 'raw' } = {}) {
+    if (resolution !== 'raw' && since && ROLLUP_SOURCES[metric.table]) {
+      const rows = await this.getRollupSeries(metric.table, { timeRange: { from: since, to: until || new Date() }, limit, resolution });
+      if (rows) {
+        return rows.map(row => ({ value: metric.compute ? metric.compute(row) : row[metric.column], timestamp: row.timestamp }));
+      }
+    }
+
+    const valueSql = metric.expression || metric.column;
+    const clauses = [since && 'timestamp > ?', until && 'timestamp <= ?'].filter(Boolean);
+    const whereSql = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    const params = [since, until].filter(Boolean);
+
+    const [rows] = await this.pool.execute(
+      `SELECT ${valueSql} AS value, timestamp FROM ${metric.table} ${whereSql} ORDER BY timestamp DESC LIMIT ?`,
+      [...params, parseInt(limit)]
+    );
+    return rows;
+  }
+
+  async countRows(table, { since }) {
+    const [rows] = await this.pool.execute(
+      `SELECT COUNT(*) as total FROM ${table} WHERE timestamp > ?`,
+      [since]
+    );
+    return rows[0].total;
+  }
+
+  async getSlowQuery(id) {
+    const [rows] = await this.pool.execute('SELECT * FROM slow_queries WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Run EXPLAIN (and optionally EXPLAIN ANALYZE on MySQL 8.0.18+) for a statement
+   * that already passed explainableError(). ANALYZE executes the query, so it runs
+   * in a read-only transaction with a statement time limit.
+   * @param {string} sql
+   * @param {Object} [options]
+   * @param {boolean} [options.analyze=false]
+   * @returns {Promise<{version: string, plan: Array<Object>, analyze: string|null}>}
+   */
+  async explainQuery(sql, { analyze = false } = {}) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [[{ version }]] = await connection.query('SELECT VERSION() AS version');
+      const [plan] = await connection.query(`EXPLAIN ${sql}`);
+
+      let analyzeOutput = null;
+      if (analyze && supportsExplainAnalyze(version)) {
+        // The limit is per session, so put back the pooled connection's own before releasing it
+        const [[{ previous }]] = await connection.query('SELECT @@SESSION.max_execution_time AS previous');
+        await connection.query('SET SESSION max_execution_time = 5000');
+        try {
+          await connection.query('START TRANSACTION READ ONLY');
+          try {
+            const [rows] = await connection.query(`EXPLAIN ANALYZE ${sql}`);
+            analyzeOutput = rows.map(row => Object.values(row)[0]).join('\n');
+          } finally {
+            await connection.query('ROLLBACK');
+          }
+        } finally {
+          await connection.query('SET SESSION max_execution_time = ?', [previous]);
+        }
+      }
+
+      return { version, plan, analyze: analyzeOutput };
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Create the tables pushed rows go into, once per data source
+  ensureDataTables() {
+    if (!this.schemaReady) {
+      this.schemaReady = Promise.all(Object.keys(WRITABLE_COLUMNS).map(table =>
+        this.pool.execute(DATA_TABLE_SCHEMAS[table])
+      )).catch((error) => {
+        this.schemaReady = null;
+        throw error;
+      });
+    }
+    return this.schemaReady;
+  }
+
+  /**
+   * Store pushed rows (see WRITABLE_COLUMNS) in one multi-row INSERT
+   * @param {string} table - One of the WRITABLE_COLUMNS tables
+   * @param {Array<Object>} rows
+   * @returns {Promise<number>} Rows written
+   */
+  async insertRows(table, rows) {
+    const insert = insertStatement(table, rows);
+    if (!insert) {
+      return 0;
+    }
+    await this.ensureDataTables();
+    await this.pool.query(insert.sql, insert.params);
+    await this.rewindRollups([{ table, rows }]);
+    return rows.length;
+  }
+
+  /**
+   * Store rows for several tables in one transaction, so a batch is written
+   * completely or not at all
+   * @param {Array<{table: string, rows: Array<Object>}>} batches
+   * @returns {Promise<number>} Rows written
+   */
+  async insertBatches(batches) {
+    const inserts = batches.map(({ table, rows }) => insertStatement(table, rows)).filter(Boolean);
+    if (inserts.length === 0) {
+      return 0;
+    }
+    await this.ensureDataTables();
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      for (const { sql, params } of inserts) {
+        await connection.query(sql, params);
+      }
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+    await this.rewindRollups(batches);
+    return batches.reduce((total, { rows }) => total + rows.length, 0);
+  }
+
+  // Rows pushed behind the rollup watermark get their buckets rolled up again
+  async rewindRollups(batches) {
+    if (!this.rollups) {
+      return;
+    }
+    for (const { table, rows } of batches) {
+      const times = rows.map(row => new Date(row.timestamp).getTime()).filter(Number.isFinite);
+      if (ROLLUP_SOURCES[table] && times.length > 0) {
+        await this.rollups.rewind(table, Math.min(...times));
+      }
+    }
+  }
+
+  /**
+   * Oldest timestamp rows pushed to a table may have, or null for no limit.
+   * Rolled-up tables only take rows whose buckets can still be rebuilt.
+   * @param {string} table
+   * @returns {number|null} Time in ms
+   */
+  backfillCutoff(table) {
+    return this.rollups && ROLLUP_SOURCES[table] ? this.rollups.backfillCutoff() : null;
+  }
+
+  // Latest sample for the real-time broadcast, or null when there is none yet
+  async getLatestSample() {
+    const [metrics] = await this.pool.execute(
+      'SELECT * FROM performance_metrics ORDER BY timestamp DESC LIMIT 1'
+    );
+
+    if (metrics.length === 0) {
+      return null;
+    }
+
+    const latestMetrics = metrics[0];
+    return {
+      queries_per_second: latestMetrics.queries_per_second,
+      avg_response_time: latestMetrics.avg_response_time,
+      memory_usage: latestMetrics.memory_usage,
+      timestamp: latestMetrics.timestamp,
+      demo_mode: this.demoMode
+    };
+  }
+}
+
+/**
+ * MySQL data source bound to the demo database
+ */
+class DemoDataSource extends MySqlDataSource {
+  constructor(pool, { rollups = null } = {}) {
+    super(pool, { demoMode: true, allowExplain: true, rollups });
+  }
+}
+
+module.exports = {
+  supportsExplainAnalyze,
+  MySqlDataSource,
+  DemoDataSource
+};
@@ -0,0 +1,69 @@
+// Dashboard data tables, as created by scripts/generate-demo-data.js and the WordPress plugin
+const DATA_TABLE_SCHEMAS = {
+  performance_metrics: `
+    CREATE TABLE IF NOT EXISTS performance_metrics (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      query_type VARCHAR(50),
+      avg_execution_time FLOAT,
+      total_queries INT,
+      slow_queries INT,
+      queries_per_second FLOAT,
+      avg_response_time FLOAT,
+      memory_usage FLOAT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+  slow_queries: `
+    CREATE TABLE IF NOT EXISTS slow_queries (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      query_text TEXT,
+      execution_time FLOAT,
+      rows_examined INT,
+      source_file VARCHAR(255),
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+  admin_ajax_calls: `
+    CREATE TABLE IF NOT EXISTS admin_ajax_calls (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      action_name VARCHAR(100),
+      call_count INT,
+      avg_response_time FLOAT,
+      total_time FLOAT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+  system_health: `
+    CREATE TABLE IF NOT EXISTS system_health (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cpu_usage FLOAT,
+      memory_total FLOAT,
+      memory_used FLOAT,
+      disk_usage FLOAT,
+      active_connections INT,
+      cache_hit_ratio FLOAT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+  plugin_performance: `
+    CREATE TABLE IF NOT EXISTS plugin_performance (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      plugin_name VARCHAR(100),
+      impact_score INT,
+      memory_usage FLOAT,
+      query_count INT,
+      load_time FLOAT,
+      status VARCHAR(20),
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+};
+
+// Columns pushed rows may set, per table that accepts them
+const WRITABLE_COLUMNS = {
+  performance_metrics: ['queries_per_second', 'avg_response_time', 'memory_usage', 'timestamp'],
+  slow_queries: ['query_text', 'execution_time', 'rows_examined', 'source_file', 'timestamp'],
+  admin_ajax_calls: ['action_name', 'call_count', 'avg_response_time', 'total_time', 'timestamp'],
+  system_health: ['cpu_usage', 'memory_total', 'memory_used', 'disk_usage', 'active_connections', 'cache_hit_ratio', 'timestamp'],
+  plugin_performance: ['plugin_name', 'impact_score', 'memory_usage', 'query_count', 'load_time', 'status', 'timestamp']
+};
+
+module.exports = {
+  DATA_TABLE_SCHEMAS,
+  WRITABLE_COLUMNS
+};
@@ -0,0 +1,29 @@
+/**
+ * Stream the rows of one query on its own pool connection.
+ *
+ * mysql2 pauses the connection while the consumer applies backpressure, so a
+ * consumer that stops early (an aborted download) would leave the query
+ * unfinished and the connection checked out for good. When the rows were not
+ * all read, the connection is destroyed instead of going back to the pool.
+ * @param {Object} pool - mysql2/promise pool
+ * @param {string} sql
+ * @param {Array} params
+ * @returns {AsyncIterable<Object>}
+ */
+async function* streamQuery(pool, sql, params) {
+  const connection = await pool.getConnection();
+  let finished = false;
+  try {
+    // mysql2/promise cannot stream results; the callback connection it wraps can
+    yield* connection.connection.query(sql, params).stream();
+    finished = true;
+  } finally {
+    if (finished) {
+      connection.release();
+    } else {
+      connection.destroy();
+    }
+  }
+}
+
+module.exports = { streamQuery };
@@ -0,0 +1,41 @@
+/**
+ * Build the /api/system-health payload from raw aggregates.
+ * Kept separate from the SQL so every data source reports status the same way.
+ * @param {Object} input
+ * @param {number} input.slowQueryCount - Slow queries inside the time range
+ * @param {number} input.activePluginCount - Plugins with status "active"
+ * @param {number} input.avgResponseTime - Average response time inside the time range
+ * @param {Object} input.latestHealth - Most recent system_health row
+ * @param {boolean} input.demoMode - Whether the data came from the demo database
+ * @returns {Object} System health summary
+ */
+function summarizeSystemHealth({ slowQueryCount, activePluginCount, avgResponseTime, latestHealth, demoMode }) {
+  const health = latestHealth || {};
+  const responseTime = avgResponseTime || 0;
+  const cpuUsage = health.cpu_usage || 0;
+  const memoryTotal = health.memory_total || 0;
+  const memoryUsed = health.memory_used || 0;
+  const diskUsage = health.disk_usage || 0;
+  const cacheHitRatio = health.cache_hit_ratio || 0;
+
+  const status = responseTime > 2000 || cpuUsage > 80 || memoryUsed > 0.8 * memoryTotal
+    ? 'warning'
+    : 'healthy';
+
+  return {
+    slow_queries_1h: slowQueryCount,
+    active_plugins: activePluginCount,
+    avg_response_time: responseTime,
+    cpu_usage: cpuUsage,
+    memory_total: memoryTotal,
+    memory_used: memoryUsed,
+    memory_usage_percent: memoryTotal ? (memoryUsed / memoryTotal) * 100 : 0,
+    disk_usage: diskUsage,
+    cache_hit_ratio: cacheHitRatio,
+    active_connections: health.active_connections || 0,
+    status,
+    demo_mode: demoMode
+  };
+}
+
+module.exports = { summarizeSystemHealth };
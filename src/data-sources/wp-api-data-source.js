@@ -0,0 +1,152 @@
+const fetch = require('node-fetch');
+const { isAbsoluteRange } = require('../time-range');
+
+const API_PREFIX = '/wp-json/wp-performance-dashboard/v1';
+
+// Presets are sent as timeRange=<key>, absolute ranges as from/to ISO timestamps
+function rangeQuery(timeRange) {
+  if (isAbsoluteRange(timeRange)) {
+    const from = encodeURIComponent(new Date(timeRange.from).toISOString());
+    const to = encodeURIComponent(new Date(timeRange.to).toISOString());
+    return `from=${from}&to=${to}`;
+  }
+  return `timeRange=${timeRange}`;
+}
+
+/**
+ * Data source backed by the wp-performance-dashboard REST API of an external WordPress site
+ */
+class WpApiDataSource {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - WordPress site URL
+   * @param {string} [options.username] - Basic auth username
+   * @param {string} [options.password] - Basic auth password (application password)
+   * @param {Function} [options.fetchImpl] - fetch implementation, defaults to node-fetch
+   */
+  constructor({ baseUrl, username, password, fetchImpl = fetch }) {
+    this.baseUrl = baseUrl;
+    this.username = username;
+    this.password = password;
+    this.fetchImpl = fetchImpl;
+    this.demoMode = false;
+  }
+
+  async fetchFromWPApi(endpoint, method = 'GET', data = null) {
+    if (!this.baseUrl) {
+      throw new Error('WordPress API URL not configured');
+    }
+
+    const url = `${this.baseUrl}${endpoint}`;
+    const options = {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      }
+    };
+
+    // Add basic auth if credentials are provided
+    if (this.username && this.password) {
+      const auth = Buffer.from(`${this.username}:${this.password}`).toString('base64');
+      options.headers.Authorization = `Basic ${auth}`;
+    }
+
+    if (data && (method === 'POST' || method === 'PUT')) {
+      options.body = JSON.stringify(data);
+    }
+
+    const response = await this.fetchImpl(url, options);
+    if (!response.ok) {
+      throw new Error(`WP API request failed: ${response.status} ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  getMetrics({ timeRange, limit = 50 }) {
+    return this.fetchFromWPApi(`${API_PREFIX}/metrics?${rangeQuery(timeRange)}&limit=${limit}`);
+  }
+
+  getSlowQueries({ timeRange, limit }) {
+    return this.fetchFromWPApi(`${API_PREFIX}/slow-queries?limit=${limit}&${rangeQuery(timeRange)}`);
+  }
+
+  getAdminAjax({ timeRange, limit }) {
+    return this.fetchFromWPApi(`${API_PREFIX}/admin-ajax?${rangeQuery(timeRange)}&limit=${limit}`);
+  }
+
+  getPlugins({ timeRange, limit, includeInactive }) {
+    return this.fetchFromWPApi(`${API_PREFIX}/plugins?${rangeQuery(timeRange)}&limit=${limit}&includeInactive=${includeInactive}`);
+  }
+
+  getRealtimeMetrics() {
+    return this.fetchFromWPApi(`${API_PREFIX}/realtime-metrics`);
+  }
+
+  getSystemHealth({ timeRange }) {
+    return this.fetchFromWPApi(`${API_PREFIX}/system-health?${rangeQuery(timeRange)}`);
+  }
+
+  // The plugin API has no export endpoint, so rows come from the regular
+  // routes (one request each) and system health is its latest summary only
+  async* streamRows(table, { timeRange, limit, includeInactive }) {
+    const readers = {
+      performance_metrics: () => this.getMetrics({ timeRange, limit }),
+      slow_queries: () => this.getSlowQueries({ timeRange, limit }),
+      admin_ajax_calls: () => this.getAdminAjax({ timeRange, limit }),
+      plugin_performance: () => this.getPlugins({ timeRange, limit, includeInactive }),
+      system_health: async () => [await this.getSystemHealth({ timeRange })]
+    };
+    yield* await readers[table]();
+  }
+
+  /*
+   * The plugin API has no generic series endpoint, so metric values are
+   * derived from the regular routes: performance metrics and slow queries
+   * from the last 24 hours, system health from its latest summary only.
+   */
+  async getMetricValues(metric, { since = null, until = null, limit = 1000 } = {}) {
+    if (metric.table === 'system_health') {
+      const health = await this.getSystemHealth({ timeRange: '1h' });
+      const value = metric.compute ? metric.compute(health) : health[metric.column];
+      return value === undefined ? [] : [{ value, timestamp: new Date() }];
+    }
+
+    const rows = metric.table === 'slow_queries'
+      ? await this.getSlowQueries({ timeRange: '24h', limit })
+      : await this.getMetrics({ timeRange: '24h', limit });
+    const sinceMs = since ? new Date(since).getTime() : null;
+    const untilMs = until ? new Date(until).getTime() : null;
+
+    return rows
+      .filter(row => sinceMs === null || new Date(row.timestamp).getTime() > sinceMs)
+      .filter(row => untilMs === null || new Date(row.timestamp).getTime() <= untilMs)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .map(row => ({ value: row[metric.column], timestamp: row.timestamp }));
+  }
+
+  async countRows(table, { since }) {
+    const rows = table === 'slow_queries'
+      ? await this.getSlowQueries({ timeRange: '24h', limit: 1000 })
+      : await this.getMetrics({ timeRange: '24h', limit: 1000 });
+    const sinceMs = new Date(since).getTime();
+    return rows.filter(row => new Date(row.timestamp).getTime() > sinceMs).length;
+  }
+
+  async getLatestSample() {
+    const data = await this.getRealtimeMetrics();
+    if (!data || data.queries_per_second === undefined) {
+      return null;
+    }
+
+    return {
+      queries_per_second: data.queries_per_second,
+      avg_response_time: data.avg_response_time,
+      memory_usage: data.memory_usage,
+      timestamp: data.timestamp || new Date().toISOString(),
+      demo_mode: false
+    };
+  }
+}
+
+module.exports = { WpApiDataSource };
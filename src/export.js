@@ -0,0 +1,156 @@
+// Export names (as in the data routes) and the table each one reads
+const EXPORT_DATASETS = {
+  metrics: 'performance_metrics',
+  'slow-queries': 'slow_queries',
+  'admin-ajax': 'admin_ajax_calls',
+  plugins: 'plugin_performance',
+  'system-health': 'system_health',
+  // From the annotation store rather than the site's data source
+  annotations: 'annotations'
+};
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Rows in one export when no limit is given, and the most a limit may ask for
+const MAX_EXPORT_ROWS = 100000;
+
+function serializeValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value;
+}
+
+// RFC 4180 quoting; text that spreadsheets would run as a formula gets a leading quote
+function csvField(value) {
+  const serialized = serializeValue(value);
+  if (serialized === null || serialized === undefined) {
+    return '';
+  }
+  let text = typeof serialized === 'object' ? JSON.stringify(serialized) : String(serialized);
+  if (typeof serialized === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function jsonRow(row) {
+  return JSON.stringify(row, (key, value) => serializeValue(value));
+}
+
+/**
+ * Turn rows into chunks of one export format. CSV columns come from the first row.
+ * @param {AsyncIterable<Object>} rows
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {AsyncGenerator<string>}
+ */
+async function* formatRows(rows, format) {
+  let columns = null;
+  let first = true;
+  for await (const row of rows) {
+    if (format === 'csv') {
+      if (!columns) {
+        columns = Object.keys(row);
+        yield `${columns.map(csvField).join(',')}\r\n`;
+      }
+      yield `${columns.map(column => csvField(row[column])).join(',')}\r\n`;
+    } else if (format === 'ndjson') {
+      yield `${jsonRow(row)}\n`;
+    } else {
+      yield `${first ? '[\n' : ',\n'}${jsonRow(row)}`;
+    }
+    first = false;
+  }
+  if (format === 'json') {
+    yield first ? '[]\n' : '\n]\n';
+  }
+}
+
+/**
+ * Download name such as `slow-queries-shop-2024-05-01T10-00-00Z`
+ * @param {string} dataset - Key of EXPORT_DATASETS
+ * @param {string|null} site - Site id, 'demo' or null
+ * @param {number} [now]
+ */
+function exportFilename(dataset, site, now = Date.now()) {
+  const stamp = new Date(now).toISOString().replace(/\.\d+/, '').replace(/:/g, '-');
+  const siteName = site ? `-${String(site).replace(/[^\w-]/g, '_')}` : '';
+  return `${dataset}${siteName}-${stamp}`;
+}
+
+function downloadHeaders(format, filename) {
+  return {
+    'Content-Type': EXPORT_FORMATS[format],
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+    'Cache-Control': 'no-store'
+  };
+}
+
+// Resolves once the response can take more data or the client has gone
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Stream rows to an HTTP response as a download, respecting backpressure.
+ * Stops early when the client goes away. Errors before the first chunk are
+ * thrown so the route can still answer with a status; later ones end the response.
+ * @param {Object} res - Express response
+ * @param {AsyncIterable<Object>} rows
+ * @param {Object} options
+ * @param {string} options.format - Key of EXPORT_FORMATS
+ * @param {string} options.filename - Download name without extension
+ */
+async function streamExport(res, rows, { format, filename }) {
+  const chunks = formatRows(rows, format);
+  let started = false;
+  try {
+    for await (const chunk of chunks) {
+      if (res.destroyed) {
+        return;
+      }
+      if (!started) {
+        res.set(downloadHeaders(format, filename));
+        started = true;
+      }
+      if (!res.write(chunk)) {
+        await drained(res);
+      }
+    }
+  } catch (error) {
+    if (!started) {
+      throw error;
+    }
+    console.error('Error streaming export:', error);
+    // Headers are gone, so cut the download short rather than end it looking complete
+    return res.destroy();
+  }
+
+  if (!started) {
+    // No rows: CSV and NDJSON downloads are empty files
+    res.set(downloadHeaders(format, filename));
+  }
+  res.end();
+}
+
+module.exports = {
+  EXPORT_DATASETS,
+  EXPORT_FORMATS,
+  MAX_EXPORT_ROWS,
+  exportFilename,
+  csvField,
+  formatRows,
+  streamExport
+};
@@ -0,0 +1,118 @@
+// Status severity used to put sites that need attention first
+const STATUS_SEVERITY = {
+  error: 2,
+  warning: 1,
+  healthy: 0
+};
+
+const SORT_FIELDS = {
+  status: site => STATUS_SEVERITY[site.status] || 0,
+  name: site => site.name.toLowerCase(),
+  slow_queries: site => site.slow_queries_1h,
+  active_plugins: site => site.active_plugins,
+  cache_hit_ratio: site => site.cache_hit_ratio,
+  avg_response_time: site => site.avg_response_time,
+  cpu_usage: site => site.cpu_usage,
+  memory_usage_percent: site => site.memory_usage_percent
+};
+
+/**
+ * Health roll-up for one site. Unreachable sites are reported with status
+ * 'error' instead of failing the whole fleet.
+ */
+async function getSiteHealth(site, dataSource, timeRange) {
+  const summary = {
+    id: site.id,
+    name: site.name,
+    type: site.type,
+    status: 'error',
+    slow_queries_1h: 0,
+    active_plugins: 0,
+    cache_hit_ratio: 0,
+    avg_response_time: 0,
+    cpu_usage: 0,
+    memory_usage_percent: 0,
+    error: null
+  };
+
+  try {
+    if (!dataSource) {
+      throw new Error('Database not available');
+    }
+    const health = await dataSource.getSystemHealth({ timeRange });
+
+    return {
+      ...summary,
+      status: health.status || 'healthy',
+      slow_queries_1h: Number(health.slow_queries_1h) || 0,
+      active_plugins: Number(health.active_plugins) || 0,
+      cache_hit_ratio: Number(health.cache_hit_ratio) || 0,
+      avg_response_time: Number(health.avg_response_time) || 0,
+      cpu_usage: Number(health.cpu_usage) || 0,
+      memory_usage_percent: Number(health.memory_usage_percent) || 0
+    };
+  } catch (error) {
+    console.error(`Error fetching fleet health for site ${site.id}:`, error);
+    return { ...summary, error: error.message };
+  }
+}
+
+/**
+ * Filter and sort fleet rows
+ * @param {Array<Object>} sites - Rows from getSiteHealth
+ * @param {Object} options
+ * @param {string} [options.status] - Only keep sites with this status
+ * @param {string} [options.search] - Case-insensitive match on site id or name
+ * @param {string} [options.sort='status'] - One of SORT_FIELDS
+ * @param {string} [options.order] - 'asc' or 'desc'; status defaults to desc, other fields to asc
+ */
+function filterAndSortFleet(sites, { status, search, sort = 'status', order } = {}) {
+  const key = SORT_FIELDS[sort] || SORT_FIELDS.status;
+  const direction = (order || (sort === 'status' ? 'desc' : 'asc')) === 'desc' ? -1 : 1;
+  const needle = search ? search.toLowerCase() : null;
+
+  return sites
+    .filter(site => !status || site.status === status)
+    .filter(site => !needle || site.id.toLowerCase().includes(needle) || site.name.toLowerCase().includes(needle))
+    .sort((a, b) => {
+      const left = key(a);
+      const right = key(b);
+      if (left < right) return -direction;
+      if (left > right) return direction;
+      return a.name.localeCompare(b.name);
+    });
+}
+
+/**
+ * Fleet overview across every registered site
+ * @param {Object} options
+ * @param {Object} options.registry - SiteRegistry
+ * @param {Function} options.resolveDataSource - Resolver from createDataSourceResolver
+ * @param {Object} options.query - Request query (timeRange, demo, status, search, sort, order)
+ * @param {string|Object} [options.timeRange] - Parsed time range, defaults to query.timeRange or '1h'
+ */
+async function getFleetOverview({ registry, resolveDataSource, query = {}, timeRange = query.timeRange || '1h' }) {
+  const sites = await Promise.all(registry.listSites().map(site => {
+    const dataSource = resolveDataSource({ query: { site: site.id, demo: query.demo } });
+    return getSiteHealth(site, dataSource, timeRange);
+  }));
+
+  const counts = { healthy: 0, warning: 0, error: 0 };
+  sites.forEach(site => {
+    counts[site.status] = (counts[site.status] || 0) + 1;
+  });
+
+  return {
+    total: sites.length,
+    counts,
+    sites: filterAndSortFleet(sites, query),
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  getSiteHealth,
+  filterAndSortFleet,
+  getFleetOverview
+};
@@ -0,0 +1,266 @@
+const { fingerprintQuery } = require('./query-fingerprint');
+
+// Words that can follow a table name but are never its alias
+const NOT_ALIASES = new Set([
+  'where', 'join', 'inner', 'left', 'right', 'outer', 'cross', 'straight_join', 'natural',
+  'on', 'using', 'order', 'group', 'having', 'limit', 'force', 'use', 'ignore', 'union'
+]);
+
+const PREDICATE = /^(?:`?(\w+)`?\.)?`?(\w+)`?\s*(<=>|!=|<>|<=|>=|=|<|>|not\s+like|like|not\s+in|in|between|is\s+not|is)\s*(.*)$/i;
+
+// MySQL identifiers are limited to 64 characters
+const MAX_INDEX_NAME = 64;
+
+/**
+ * Why a captured statement must not be sent to EXPLAIN, or null when it is safe:
+ * only single, plain SELECT statements are explained.
+ * @param {string} sql
+ * @returns {string|null}
+ */
+function explainableError(sql) {
+  const fingerprint = fingerprintQuery(sql);
+  if (!/^select\b/.test(fingerprint)) {
+    return 'Only SELECT statements can be explained';
+  }
+  if (fingerprint.includes(';')) {
+    return 'Multiple statements cannot be explained';
+  }
+  if (/\binto\s+(outfile|dumpfile|@)|\bfor\s+update\b|\block\s+in\s+share\s+mode\b/.test(fingerprint)) {
+    return 'Statements that write or lock rows cannot be explained';
+  }
+  return null;
+}
+
+// Replace string literals with tokens so keywords inside them cannot confuse the parser
+function maskStrings(sql) {
+  const strings = [];
+  const masked = sql
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/(--|#)[^\n]*/g, ' ')
+    .replace(/'(?:[^'\\]|\\.|'')*'|"(?:[^"\\]|\\.|"")*"/g, match => {
+      strings.push(match.slice(1, -1));
+      return `__str${strings.length - 1}__`;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+  return { masked, strings };
+}
+
+function clause(masked, start, ends) {
+  const match = masked.match(new RegExp(`\\b${start}\\b([\\s\\S]*?)(?=\\b(?:${ends.join('|')})\\b|$)`, 'i'));
+  return match ? match[1].trim() : '';
+}
+
+function splitPredicates(text) {
+  return text
+    .replace(/\bbetween\s+(\S+)\s+and\s+(\S+)/gi, 'between $1')
+    .split(/\band\b|\bor\b/i)
+    .map(part => part.trim().replace(/^\(+/, '').replace(/\)+$/, '').trim())
+    .filter(Boolean);
+}
+
+function parsePredicate(text, strings) {
+  const match = text.match(PREDICATE);
+  if (!match) {
+    return null;
+  }
+
+  const [, alias = null, column, rawOperator, value] = match;
+  const operator = rawOperator.toLowerCase().replace(/\s+/g, ' ');
+  const other = value.trim().match(/^`?(\w+)`?\.`?(\w+)`?$/);
+
+  if (other && operator === '=') {
+    return { alias, column, kind: 'join', other: { alias: other[1], column: other[2] } };
+  }
+  if (['=', '<=>', 'in', 'is'].includes(operator)) {
+    return { alias, column, kind: 'equality' };
+  }
+  if (['<', '>', '<=', '>=', 'between'].includes(operator)) {
+    return { alias, column, kind: 'range' };
+  }
+  if (operator === 'like') {
+    const token = value.trim().match(/^__str(\d+)__$/);
+    const pattern = token ? strings[Number(token[1])] : null;
+    if (pattern !== null && /^[%_]/.test(pattern)) {
+      return { alias, column, kind: 'leading_wildcard', pattern };
+    }
+    return { alias, column, kind: 'range' };
+  }
+  // != and NOT forms cannot use an index
+  return null;
+}
+
+function parseColumnList(text) {
+  return text
+    .split(',')
+    .map(part => part.trim().match(/^(?:`?(\w+)`?\.)?`?(\w+)`?(?:\s+(?:asc|desc))?$/i))
+    .filter(Boolean)
+    .map(([, alias = null, column]) => ({ alias, column }));
+}
+
+/**
+ * Light-weight parse of a SELECT statement: the tables it reads and the
+ * columns used for filtering, joining, sorting and grouping. It only needs
+ * to be good enough to propose index columns, not to validate SQL.
+ * @param {string} sql
+ * @returns {Object} { tables: [{ name, alias }], predicates, orderBy, groupBy }
+ */
+function parseSelect(sql) {
+  const { masked, strings } = maskStrings(sql);
+  const tables = [];
+
+  const tablePattern = /\b(?:from|join)\s+`?(\w+)`?(?:\s+(?:as\s+)?`?(\w+)`?)?/gi;
+  let match;
+  while ((match = tablePattern.exec(masked)) !== null) {
+    const alias = match[2] && !NOT_ALIASES.has(match[2].toLowerCase()) ? match[2] : match[1];
+    tables.push({ name: match[1], alias });
+  }
+
+  const whereText = clause(masked, 'where', ['order\\s+by', 'group\\s+by', 'having', 'limit']);
+  const onTexts = [];
+  const onPattern = /\bon\b([\s\S]*?)(?=\b(?:inner|left|right|cross|join|where|order|group|limit)\b|$)/gi;
+  while ((match = onPattern.exec(masked)) !== null) {
+    onTexts.push(match[1]);
+  }
+
+  const predicates = [whereText, ...onTexts]
+    .flatMap(splitPredicates)
+    .map(text => parsePredicate(text, strings))
+    .filter(Boolean);
+
+  return {
+    tables,
+    predicates,
+    orderBy: parseColumnList(clause(masked, 'order\\s+by', ['limit'])),
+    groupBy: parseColumnList(clause(masked, 'group\\s+by', ['having', 'order\\s+by', 'limit']))
+  };
+}
+
+/**
+ * Problems visible in tabular EXPLAIN output
+ * @param {Array<Object>} plan - EXPLAIN rows (id, select_type, table, type, possible_keys, key, rows, Extra)
+ * @returns {Array<Object>} { table, type, message }
+ */
+function findPlanIssues(plan) {
+  const issues = [];
+
+  plan.forEach(row => {
+    const extra = row.Extra || '';
+    const rows = Number(row.rows) || 0;
+
+    if (row.type === 'ALL') {
+      issues.push({ table: row.table, type: 'full_scan', message: `Full table scan on ${row.table} (~${rows} rows examined)` });
+    } else if (row.type === 'index') {
+      issues.push({ table: row.table, type: 'full_index_scan', message: `Full index scan on ${row.table} (~${rows} rows)` });
+    }
+    if (!row.key && !row.possible_keys && row.type === 'ALL') {
+      issues.push({ table: row.table, type: 'missing_index', message: `No index on ${row.table} matches the query's conditions` });
+    }
+    if (extra.includes('Using filesort')) {
+      issues.push({ table: row.table, type: 'filesort', message: `Rows from ${row.table} are sorted in a filesort instead of read in index order` });
+    }
+    if (extra.includes('Using temporary')) {
+      issues.push({ table: row.table, type: 'temporary', message: `A temporary table is built for ${row.table} (GROUP BY / DISTINCT / ORDER BY)` });
+    }
+    if (extra.includes('Using join buffer')) {
+      issues.push({ table: row.table, type: 'join_buffer', message: `${row.table} is joined without an index (join buffer)` });
+    }
+  });
+
+  return issues;
+}
+
+function indexStatement(table, columns) {
+  const name = `idx_${columns.join('_')}`.slice(0, MAX_INDEX_NAME);
+  return `ALTER TABLE \`${table}\` ADD INDEX \`${name}\` (${columns.map(column => `\`${column}\``).join(', ')});`;
+}
+
+/**
+ * Turn a parsed query and its plan into concrete advice
+ * @param {Object} options
+ * @param {string} options.sql - The statement that was explained
+ * @param {Array<Object>} options.plan - Tabular EXPLAIN rows
+ * @returns {Object} { issues, suggestions: [{ table, columns, statement, reason }], notes }
+ */
+function adviseIndexes({ sql, plan }) {
+  const parsed = parseSelect(sql);
+  const issues = findPlanIssues(plan);
+  const suggestions = [];
+  const notes = [];
+
+  const aliasToTable = new Map(parsed.tables.map(table => [table.alias, table.name]));
+  const singleTable = parsed.tables.length === 1 ? parsed.tables[0] : null;
+
+  // Columns that belong to a plan table: qualified by its alias, or unqualified in single-table queries
+  const belongsTo = (planTable) => ({ alias }) =>
+    (alias ? alias === planTable : !!singleTable && singleTable.alias === planTable);
+
+  parsed.predicates
+    .filter(predicate => predicate.kind === 'leading_wildcard')
+    .forEach(predicate => {
+      notes.push(
+        `LIKE '${predicate.pattern}' on ${predicate.column} starts with a wildcard, so no B-tree index can be used; ` +
+        'match a prefix instead or move the lookup to a FULLTEXT index'
+      );
+    });
+
+  const tablesWithIssues = [...new Set(issues.map(issue => issue.table))];
+  tablesWithIssues.forEach(planTable => {
+    const table = aliasToTable.get(planTable) || planTable;
+    const tableIssues = issues.filter(issue => issue.table === planTable).map(issue => issue.type);
+    const owned = belongsTo(planTable);
+
+    // Join columns work like equality filters, but only for tables read after
+    // the first one in the plan (the first table drives the join)
+    const drivenTable = plan.length > 0 && plan[0].table !== planTable;
+    const joinColumns = parsed.predicates
+      .filter(predicate => drivenTable && predicate.kind === 'join')
+      .flatMap(predicate => [predicate, predicate.other])
+      .filter(owned)
+      .map(predicate => predicate.column);
+    const equality = parsed.predicates.filter(p => p.kind === 'equality' && owned(p)).map(p => p.column);
+    const range = parsed.predicates.filter(p => p.kind === 'range' && owned(p)).map(p => p.column);
+    const wildcardOnly = parsed.predicates.some(p => p.kind === 'leading_wildcard' && owned(p));
+
+    // Equality columns first, then at most one range column; sort columns only
+    // help when no range column precedes them
+    const columns = [...equality, ...joinColumns];
+    const covers = columns.length ? ['filter/join'] : [];
+    if (range.length > 0) {
+      columns.push(range[0]);
+      covers.push('range');
+    } else if (tableIssues.includes('filesort') && parsed.orderBy.length && parsed.orderBy.every(owned)) {
+      columns.push(...parsed.orderBy.map(entry => entry.column));
+      covers.push('ORDER BY');
+    } else if (tableIssues.includes('temporary') && parsed.groupBy.length && parsed.groupBy.every(owned)) {
+      columns.push(...parsed.groupBy.map(entry => entry.column));
+      covers.push('GROUP BY');
+    }
+
+    // A sort-only index does not help when the filter itself forces a scan
+    const unique = [...new Set(columns)];
+    if (unique.length === 0 || (wildcardOnly && !equality.length && !joinColumns.length && !range.length)) {
+      return;
+    }
+
+    suggestions.push({
+      table,
+      columns: unique,
+      statement: indexStatement(table, unique),
+      reason: `Covers the ${covers.join(' and ')} columns on ${table} (${tableIssues.join(', ')})`
+    });
+  });
+
+  if (issues.length === 0) {
+    notes.push('The plan uses indexes for every table; no changes suggested');
+  }
+
+  return { issues, suggestions, notes };
+}
+
+module.exports = {
+  explainableError,
+  parseSelect,
+  findPlanIssues,
+  adviseIndexes
+};
@@ -0,0 +1,186 @@
+// Rows one POST /api/ingest request may carry across all sections
+const MAX_BATCH_ROWS = 1000;
+// How far ahead of the server clock a row's timestamp may be
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/*
+ * Sections of an ingest batch, the table each is written to and its fields.
+ * Every row also needs a timestamp (ISO 8601 string or epoch milliseconds).
+ */
+const INGEST_SECTIONS = {
+  metrics: {
+    table: 'performance_metrics',
+    fields: {
+      queries_per_second: { type: 'number' },
+      avg_response_time: { type: 'number' },
+      memory_usage: { type: 'number' }
+    }
+  },
+  slow_queries: {
+    table: 'slow_queries',
+    fields: {
+      query_text: { type: 'string', required: true, maxLength: 65535 },
+      execution_time: { type: 'number', required: true },
+      rows_examined: { type: 'integer' },
+      source_file: { type: 'string', maxLength: 255 }
+    }
+  },
+  admin_ajax: {
+    table: 'admin_ajax_calls',
+    fields: {
+      action_name: { type: 'string', required: true, maxLength: 100 },
+      call_count: { type: 'integer', required: true },
+      avg_response_time: { type: 'number' },
+      total_time: { type: 'number' }
+    }
+  },
+  plugins: {
+    table: 'plugin_performance',
+    fields: {
+      plugin_name: { type: 'string', required: true, maxLength: 100 },
+      impact_score: { type: 'integer' },
+      memory_usage: { type: 'number' },
+      query_count: { type: 'integer' },
+      load_time: { type: 'number' },
+      status: { type: 'string', enum: ['active', 'inactive'] }
+    }
+  },
+  system_health: {
+    table: 'system_health',
+    fields: {
+      cpu_usage: { type: 'number' },
+      memory_total: { type: 'number' },
+      memory_used: { type: 'number' },
+      disk_usage: { type: 'number' },
+      active_connections: { type: 'integer' },
+      cache_hit_ratio: { type: 'number' }
+    }
+  }
+};
+
+function parseTimestamp(value) {
+  if (typeof value === 'number' || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value))) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+function fieldError(value, spec) {
+  if (spec.type === 'string') {
+    if (typeof value !== 'string') {
+      return 'Must be a string';
+    }
+    if (spec.maxLength && value.length > spec.maxLength) {
+      return `Must be at most ${spec.maxLength} characters`;
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      return `Must be one of: ${spec.enum.join(', ')}`;
+    }
+    return null;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    return 'Must be a non-negative number';
+  }
+  if (spec.type === 'integer' && !Number.isInteger(value)) {
+    return 'Must be an integer';
+  }
+  return null;
+}
+
+/**
+ * Check an ingest batch: known sections holding arrays of rows, known fields
+ * of the right type, and timestamps that are neither in the future nor older
+ * than the site can still roll up
+ * @param {*} body - Parsed JSON body
+ * @param {number} [now]
+ * @param {Object} [options]
+ * @param {Function} [options.oldestTimestamp] - (table) => oldest accepted time in ms, or null for no limit
+ * @returns {Array<Object>} Validation errors as { field, message }; empty when valid
+ */
+function validateIngestBatch(body, now = Date.now(), { oldestTimestamp = () => null } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: 'body', message: 'Body must be a JSON object' }];
+  }
+
+  const errors = [];
+  let total = 0;
+  Object.keys(body).forEach((section) => {
+    const definition = INGEST_SECTIONS[section];
+    if (!definition) {
+      errors.push({ field: section, message: `Unknown section; expected ${Object.keys(INGEST_SECTIONS).join(', ')}` });
+      return;
+    }
+    if (!Array.isArray(body[section])) {
+      errors.push({ field: section, message: 'Must be an array' });
+      return;
+    }
+    total += body[section].length;
+    const oldest = oldestTimestamp(definition.table);
+
+    body[section].forEach((row, index) => {
+      const prefix = `${section}[${index}]`;
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        errors.push({ field: prefix, message: 'Must be an object' });
+        return;
+      }
+      const timestamp = parseTimestamp(row.timestamp);
+      if (!timestamp) {
+        errors.push({ field: `${prefix}.timestamp`, message: 'Must be an ISO 8601 date or epoch milliseconds' });
+      } else if (timestamp.getTime() > now + MAX_CLOCK_SKEW_MS) {
+        errors.push({ field: `${prefix}.timestamp`, message: 'Must not be in the future' });
+      } else if (oldest !== null && timestamp.getTime() < oldest) {
+        errors.push({ field: `${prefix}.timestamp`, message: `Must not be before ${new Date(oldest).toISOString()}; older rows are no longer rolled up` });
+      }
+      Object.keys(row).forEach((field) => {
+        if (field === 'timestamp') {
+          return;
+        }
+        const spec = definition.fields[field];
+        if (!spec) {
+          errors.push({ field: `${prefix}.${field}`, message: 'Unknown field' });
+          return;
+        }
+        const message = row[field] === null ? null : fieldError(row[field], spec);
+        if (message) {
+          errors.push({ field: `${prefix}.${field}`, message });
+        }
+      });
+      Object.entries(definition.fields).forEach(([field, spec]) => {
+        if (spec.required && (row[field] === undefined || row[field] === null)) {
+          errors.push({ field: `${prefix}.${field}`, message: 'Required' });
+        }
+      });
+    });
+  });
+
+  if (total === 0 && errors.length === 0) {
+    errors.push({ field: 'body', message: 'Batch has no rows' });
+  }
+  if (total > MAX_BATCH_ROWS) {
+    errors.push({ field: 'body', message: `Batch may hold at most ${MAX_BATCH_ROWS} rows` });
+  }
+  return errors;
+}
+
+/**
+ * Rows of a validated batch, grouped by the table they are written to
+ * @param {Object} body
+ * @returns {Array<{section: string, table: string, rows: Array<Object>}>}
+ */
+function batchTables(body) {
+  return Object.keys(INGEST_SECTIONS)
+    .filter(section => Array.isArray(body[section]) && body[section].length > 0)
+    .map(section => ({
+      section,
+      table: INGEST_SECTIONS[section].table,
+      rows: body[section].map(row => ({ ...row, timestamp: parseTimestamp(row.timestamp) }))
+    }));
+}
+
+module.exports = {
+  INGEST_SECTIONS,
+  MAX_BATCH_ROWS,
+  validateIngestBatch,
+  batchTables
+};
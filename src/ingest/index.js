@@ -0,0 +1,42 @@
+const { SITE_ATTRIBUTE, METRIC_MAPPINGS, validateOtlpRequest, mapOtlpMetrics } = require('./otlp');
+const { INGEST_SECTIONS, MAX_BATCH_ROWS, validateIngestBatch, batchTables } = require('./batch');
+const {
+  INGEST_TOKEN_PREFIX,
+  MIN_SECRET_LENGTH,
+  DEFAULT_TOKEN_DAYS,
+  MAX_TOKEN_DAYS,
+  createIngestToken,
+  verifyIngestToken
+} = require('./tokens');
+const { MySqlIngestStore, MemoryIngestStore } = require('./ingest-store');
+const { IngestLimiter } = require('./limiter');
+
+/**
+ * Idempotency store for the dashboard database, or an in-memory one when the
+ * dashboard has no MySQL connection of its own
+ * @param {Object|null} pool - mysql2/promise pool
+ */
+function createIngestStore(pool) {
+  return pool ? new MySqlIngestStore(pool) : new MemoryIngestStore();
+}
+
+module.exports = {
+  SITE_ATTRIBUTE,
+  METRIC_MAPPINGS,
+  validateOtlpRequest,
+  mapOtlpMetrics,
+  INGEST_SECTIONS,
+  MAX_BATCH_ROWS,
+  validateIngestBatch,
+  batchTables,
+  INGEST_TOKEN_PREFIX,
+  MIN_SECRET_LENGTH,
+  DEFAULT_TOKEN_DAYS,
+  MAX_TOKEN_DAYS,
+  createIngestToken,
+  verifyIngestToken,
+  MySqlIngestStore,
+  MemoryIngestStore,
+  IngestLimiter,
+  createIngestStore
+};
@@ -0,0 +1,151 @@
+function normalizeBatch(row) {
+  return {
+    ...row,
+    status: row.status === null ? null : Number(row.status),
+    response: typeof row.response === 'string' ? JSON.parse(row.response) : row.response
+  };
+}
+
+/**
+ * Idempotency records for /api/ingest batches, stored in the dashboard's
+ * MySQL database. A batch is claimed before its rows are written and
+ * completed with the response, so a retried request gets the same answer
+ * instead of writing the rows twice.
+ */
+class MySqlIngestStore {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async ensureSchema() {
+    await this.pool.execute(`
+      CREATE TABLE IF NOT EXISTS dashboard_ingest_batches (
+        site VARCHAR(100) NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        request_hash CHAR(64) NOT NULL,
+        status INT NULL,
+        response TEXT NULL,
+        received_at DATETIME NOT NULL,
+        PRIMARY KEY (site, idempotency_key),
+        INDEX idx_ingest_batches_received (received_at)
+      )
+    `);
+  }
+
+  async getBatch(site, key) {
+    const [rows] = await this.pool.execute(
+      'SELECT * FROM dashboard_ingest_batches WHERE site = ? AND idempotency_key = ?',
+      [site, key]
+    );
+    return rows[0] ? normalizeBatch(rows[0]) : null;
+  }
+
+  /**
+   * Claim an idempotency key. Claims left pending since before `staleBefore`
+   * (the request died mid-write) are taken over.
+   * @returns {Promise<Object|null>} null when claimed, otherwise the existing batch
+   */
+  async claimBatch({ site, key, requestHash, receivedAt, staleBefore }) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await this.pool.execute(
+          'INSERT INTO dashboard_ingest_batches (site, idempotency_key, request_hash, received_at) VALUES (?, ?, ?, ?)',
+          [site, key, requestHash, receivedAt]
+        );
+        return null;
+      } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY') {
+          throw error;
+        }
+      }
+      const [result] = await this.pool.execute(
+        'DELETE FROM dashboard_ingest_batches WHERE site = ? AND idempotency_key = ? AND status IS NULL AND received_at < ?',
+        [site, key, staleBefore]
+      );
+      if (result.affectedRows === 0) {
+        break;
+      }
+    }
+    return this.getBatch(site, key);
+  }
+
+  async completeBatch(site, key, { status, response }) {
+    await this.pool.execute(
+      'UPDATE dashboard_ingest_batches SET status = ?, response = ? WHERE site = ? AND idempotency_key = ?',
+      [status, JSON.stringify(response), site, key]
+    );
+  }
+
+  // Forget a claim whose rows could not be written, so the client can retry
+  async releaseBatch(site, key) {
+    await this.pool.execute(
+      'DELETE FROM dashboard_ingest_batches WHERE site = ? AND idempotency_key = ? AND status IS NULL',
+      [site, key]
+    );
+  }
+
+  async pruneBatches(before) {
+    await this.pool.execute('DELETE FROM dashboard_ingest_batches WHERE received_at < ?', [before]);
+  }
+}
+
+/**
+ * In-process idempotency records for deployments without a dashboard
+ * database, and for tests. Lost on restart.
+ */
+class MemoryIngestStore {
+  constructor() {
+    this.batches = new Map();
+  }
+
+  async ensureSchema() {}
+
+  async getBatch(site, key) {
+    const batch = this.batches.get(`${site}\u0000${key}`);
+    return batch ? { ...batch } : null;
+  }
+
+  async claimBatch({ site, key, requestHash, receivedAt, staleBefore }) {
+    const id = `${site}\u0000${key}`;
+    const existing = this.batches.get(id);
+    if (existing && !(existing.status === null && existing.received_at < staleBefore)) {
+      return { ...existing };
+    }
+    this.batches.set(id, {
+      site,
+      idempotency_key: key,
+      request_hash: requestHash,
+      status: null,
+      response: null,
+      received_at: receivedAt
+    });
+    return null;
+  }
+
+  async completeBatch(site, key, { status, response }) {
+    const batch = this.batches.get(`${site}\u0000${key}`);
+    if (batch) {
+      Object.assign(batch, { status, response });
+    }
+  }
+
+  async releaseBatch(site, key) {
+    const id = `${site}\u0000${key}`;
+    if (this.batches.has(id) && this.batches.get(id).status === null) {
+      this.batches.delete(id);
+    }
+  }
+
+  async pruneBatches(before) {
+    this.batches.forEach((batch, id) => {
+      if (batch.received_at < before) {
+        this.batches.delete(id);
+      }
+    });
+  }
+}
+
+module.exports = {
+  MySqlIngestStore,
+  MemoryIngestStore
+};
@@ -0,0 +1,61 @@
+const DEFAULT_BATCHES_PER_MINUTE = 60;
+const DEFAULT_MAX_IN_FLIGHT = 2;
+
+/**
+ * Backpressure for /api/ingest, per site: a token bucket refilled at
+ * `batchesPerMinute` (bursts up to one minute's worth) and a cap on batches
+ * being written at the same time. Refused batches are answered with 429 and
+ * Retry-After so the plugin backs off instead of piling up writes.
+ */
+class IngestLimiter {
+  constructor({
+    batchesPerMinute = DEFAULT_BATCHES_PER_MINUTE,
+    maxInFlight = DEFAULT_MAX_IN_FLIGHT,
+    now = () => Date.now()
+  } = {}) {
+    this.batchesPerMinute = batchesPerMinute;
+    this.maxInFlight = maxInFlight;
+    this.now = now;
+    // site -> { tokens, updatedAt, inFlight }
+    this.sites = new Map();
+  }
+
+  bucket(site) {
+    const now = this.now();
+    if (!this.sites.has(site)) {
+      this.sites.set(site, { tokens: this.batchesPerMinute, updatedAt: now, inFlight: 0 });
+    }
+    const bucket = this.sites.get(site);
+    const refill = ((now - bucket.updatedAt) / 60000) * this.batchesPerMinute;
+    bucket.tokens = Math.min(this.batchesPerMinute, bucket.tokens + refill);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  /**
+   * Take a slot for one batch; call release() once it has been handled
+   * @param {string} site
+   * @returns {number} 0 when acquired, otherwise seconds to wait before retrying
+   */
+  acquire(site) {
+    const bucket = this.bucket(site);
+    if (bucket.inFlight >= this.maxInFlight) {
+      return 1;
+    }
+    if (bucket.tokens < 1) {
+      return Math.ceil(((1 - bucket.tokens) / this.batchesPerMinute) * 60);
+    }
+    bucket.tokens -= 1;
+    bucket.inFlight += 1;
+    return 0;
+  }
+
+  release(site) {
+    const bucket = this.sites.get(site);
+    if (bucket && bucket.inFlight > 0) {
+      bucket.inFlight -= 1;
+    }
+  }
+}
+
+module.exports = { IngestLimiter };
@@ -0,0 +1,192 @@
+// Resource attribute naming the dashboard site a payload belongs to
+const SITE_ATTRIBUTE = 'wpd.site.id';
+const PLUGIN_ATTRIBUTE = 'wordpress.plugin.name';
+const PLUGIN_STATUS_ATTRIBUTE = 'wordpress.plugin.status';
+
+// Conversions from OTLP units to the units stored in the dashboard tables
+const UNIT_SCALES = {
+  milliseconds: { s: 1000, ms: 1, us: 0.001, ns: 0.000001 },
+  megabytes: { By: 1 / (1024 * 1024), KiBy: 1 / 1024, MiBy: 1, GiBy: 1024 },
+  percent: { 1: 100, '%': 1 }
+};
+
+/*
+ * OTLP metric names the dashboard understands and the column each one fills.
+ * `unit` is the column's unit (values are converted from the metric's own
+ * unit); `where` picks data points by attribute, e.g. only used memory.
+ * Anything else in a payload is ignored.
+ */
+const METRIC_MAPPINGS = {
+  'wordpress.db.queries.rate': { table: 'performance_metrics', column: 'queries_per_second' },
+  'http.server.request.duration': { table: 'performance_metrics', column: 'avg_response_time', unit: 'milliseconds' },
+  'process.memory.usage': { table: 'performance_metrics', column: 'memory_usage', unit: 'megabytes' },
+  'system.cpu.utilization': { table: 'system_health', column: 'cpu_usage', unit: 'percent' },
+  'system.memory.usage': { table: 'system_health', column: 'memory_used', unit: 'megabytes', where: { 'system.memory.state': 'used' } },
+  'system.memory.limit': { table: 'system_health', column: 'memory_total', unit: 'megabytes' },
+  'system.filesystem.utilization': { table: 'system_health', column: 'disk_usage', unit: 'percent' },
+  'db.client.connections.usage': { table: 'system_health', column: 'active_connections', where: { state: 'used' } },
+  'wordpress.cache.hit_ratio': { table: 'system_health', column: 'cache_hit_ratio', unit: 'percent' },
+  'wordpress.plugin.impact_score': { table: 'plugin_performance', column: 'impact_score' },
+  'wordpress.plugin.load_time': { table: 'plugin_performance', column: 'load_time', unit: 'milliseconds' },
+  'wordpress.plugin.memory_usage': { table: 'plugin_performance', column: 'memory_usage', unit: 'megabytes' },
+  'wordpress.plugin.query_count': { table: 'plugin_performance', column: 'query_count' }
+};
+
+// OTLP JSON attribute values are typed wrappers: { stringValue }, { intValue }, ...
+function attributeValue(value) {
+  if (!value) {
+    return undefined;
+  }
+  if (value.intValue !== undefined) {
+    return Number(value.intValue);
+  }
+  return [value.stringValue, value.doubleValue, value.boolValue].find(item => item !== undefined);
+}
+
+function attributesOf(list) {
+  const attributes = {};
+  (Array.isArray(list) ? list : []).forEach(({ key, value }) => {
+    attributes[key] = attributeValue(value);
+  });
+  return attributes;
+}
+
+// Gauge and sum points carry asDouble or asInt (a string for int64); histograms are averaged
+function pointValue(point, isHistogram) {
+  if (isHistogram) {
+    const count = Number(point.count);
+    return count > 0 ? Number(point.sum) / count : null;
+  }
+  const value = point.asDouble !== undefined ? point.asDouble : point.asInt;
+  return value === undefined ? null : Number(value);
+}
+
+function convertUnit(value, from, to) {
+  if (!to || !from) {
+    return value;
+  }
+  const scale = UNIT_SCALES[to][from];
+  return scale === undefined ? value : value * scale;
+}
+
+// timeUnixNano is a decimal string of nanoseconds since the epoch
+function pointTime(point) {
+  const nanos = String(point.timeUnixNano || '');
+  if (!/^\d+$/.test(nanos) || nanos === '0') {
+    return null;
+  }
+  return new Date(Number(BigInt(nanos) / 1000000n));
+}
+
+function dataPointsOf(metric) {
+  for (const kind of ['gauge', 'sum', 'histogram']) {
+    if (metric[kind] && Array.isArray(metric[kind].dataPoints)) {
+      return { points: metric[kind].dataPoints, isHistogram: kind === 'histogram' };
+    }
+  }
+  return { points: [], isHistogram: false };
+}
+
+/**
+ * Check the shape of an ExportMetricsServiceRequest
+ * @param {*} body - Parsed JSON body
+ * @returns {Array<Object>} Validation errors as { field, message }; empty when valid
+ */
+function validateOtlpRequest(body) {
+  if (!body || typeof body !== 'object' || !Array.isArray(body.resourceMetrics)) {
+    return [{ field: 'resourceMetrics', message: 'resourceMetrics must be an array' }];
+  }
+  const errors = [];
+  body.resourceMetrics.forEach((resourceMetrics, index) => {
+    if (!resourceMetrics || !Array.isArray(resourceMetrics.scopeMetrics)) {
+      errors.push({ field: `resourceMetrics[${index}].scopeMetrics`, message: 'scopeMetrics must be an array' });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Turn an OTLP/HTTP JSON metrics export into dashboard rows. Data points of
+ * one resource that share a timestamp (one collection cycle) become one row
+ * per table, and one row per plugin for plugin metrics.
+ * @param {Object} body - ExportMetricsServiceRequest, already validated
+ * @param {Object} [options]
+ * @param {string} [options.defaultSite] - Site for resources without the wpd.site.id attribute
+ * @param {Function} [options.oldestTimestamp] - (site, table) => oldest accepted time in ms, or null for no limit
+ * @returns {{batches: Array<{site: string, table: string, rows: Array<Object>}>, rejected: number, errors: Array<string>}}
+ */
+function mapOtlpMetrics(body, { defaultSite, oldestTimestamp = () => null } = {}) {
+  const rowsByKey = new Map();
+  const errors = [];
+  let rejected = 0;
+
+  body.resourceMetrics.forEach(({ resource, scopeMetrics }) => {
+    const site = attributesOf(resource && resource.attributes)[SITE_ATTRIBUTE] || defaultSite;
+
+    scopeMetrics.forEach((scope) => {
+      const metrics = scope && Array.isArray(scope.metrics) ? scope.metrics : [];
+      metrics.forEach((metric) => {
+        const mapping = metric && METRIC_MAPPINGS[metric.name];
+        if (!mapping) {
+          return;
+        }
+        const { points, isHistogram } = dataPointsOf(metric);
+
+        points.filter(Boolean).forEach((point) => {
+          const attributes = attributesOf(point.attributes);
+          if (mapping.where && Object.entries(mapping.where).some(([key, value]) => attributes[key] !== value)) {
+            return;
+          }
+          const raw = pointValue(point, isHistogram);
+          const timestamp = pointTime(point);
+          const plugin = attributes[PLUGIN_ATTRIBUTE];
+          if (raw === null || !Number.isFinite(raw) || !timestamp) {
+            rejected += 1;
+            errors.push(`${metric.name}: data points need a numeric value and timeUnixNano`);
+            return;
+          }
+          const oldest = oldestTimestamp(site, mapping.table);
+          if (oldest !== null && timestamp.getTime() < oldest) {
+            rejected += 1;
+            errors.push(`${metric.name}: data points before ${new Date(oldest).toISOString()} are no longer rolled up`);
+            return;
+          }
+          if (mapping.table === 'plugin_performance' && !plugin) {
+            rejected += 1;
+            errors.push(`${metric.name}: data points need the ${PLUGIN_ATTRIBUTE} attribute`);
+            return;
+          }
+
+          const key = [site, mapping.table, timestamp.getTime(), plugin || ''].join('\u0000');
+          if (!rowsByKey.has(key)) {
+            const row = { timestamp };
+            if (mapping.table === 'plugin_performance') {
+              row.plugin_name = plugin;
+              row.status = attributes[PLUGIN_STATUS_ATTRIBUTE] || 'active';
+            }
+            rowsByKey.set(key, { site, table: mapping.table, row });
+          }
+          rowsByKey.get(key).row[mapping.column] = convertUnit(raw, metric.unit, mapping.unit);
+        });
+      });
+    });
+  });
+
+  const batches = new Map();
+  rowsByKey.forEach(({ site, table, row }) => {
+    const batchKey = `${site}\u0000${table}`;
+    if (!batches.has(batchKey)) {
+      batches.set(batchKey, { site, table, rows: [] });
+    }
+    batches.get(batchKey).rows.push(row);
+  });
+
+  return { batches: Array.from(batches.values()), rejected, errors: Array.from(new Set(errors)) };
+}
+
+module.exports = {
+  SITE_ATTRIBUTE,
+  METRIC_MAPPINGS,
+  validateOtlpRequest,
+  mapOtlpMetrics
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// Makes ingest tokens recognisable in logs and secret scanners (API keys use wpd_)
+const INGEST_TOKEN_PREFIX = 'wpdi_';
+const MIN_SECRET_LENGTH = 32;
+const DEFAULT_TOKEN_DAYS = 365;
+const MAX_TOKEN_DAYS = 1825;
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Token a WordPress site sends as `Authorization: Bearer <token>` to push data.
+ * It names the site and is signed with that site's `ingest.secret`, so
+ * rotating the secret revokes every token issued for the site.
+ * @param {Object} options
+ * @param {string} options.site - Site id
+ * @param {string} options.secret - The site's ingest secret
+ * @param {Date} options.expiresAt
+ * @param {number} [options.now]
+ * @returns {string}
+ */
+function createIngestToken({ site, secret, expiresAt, now = Date.now() }) {
+  const payload = Buffer.from(JSON.stringify({
+    site,
+    iat: Math.floor(now / 1000),
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  })).toString('base64url');
+  return `${INGEST_TOKEN_PREFIX}${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Check an ingest token's signature and expiry
+ * @param {string} token
+ * @param {Function} secretFor - (siteId) => the site's secret, or null when it takes no tokens
+ * @param {number} [now]
+ * @returns {string|null} The site the token was issued for, or null when invalid
+ */
+function verifyIngestToken(token, secretFor, now = Date.now()) {
+  if (typeof token !== 'string' || !token.startsWith(INGEST_TOKEN_PREFIX)) {
+    return null;
+  }
+  const [payload, signature, extra] = token.slice(INGEST_TOKEN_PREFIX.length).split('.');
+  if (!payload || !signature || extra !== undefined) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  const secret = claims && typeof claims.site === 'string' ? secretFor(claims.site) : null;
+  if (!secret) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return Number(claims.exp) * 1000 > now ? claims.site : null;
+}
+
+module.exports = {
+  INGEST_TOKEN_PREFIX,
+  MIN_SECRET_LENGTH,
+  DEFAULT_TOKEN_DAYS,
+  MAX_TOKEN_DAYS,
+  createIngestToken,
+  verifyIngestToken
+};
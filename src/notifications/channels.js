@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const nodemailer = require('nodemailer');
+
+const SEVERITY_COLORS = {
+  info: '#58a6ff',
+  warning: '#d29922',
+  critical: '#f85149'
+};
+
+const EVENT_TITLES = {
+  opened: 'Alert opened',
+  acknowledged: 'Alert acknowledged',
+  resolved: 'Alert resolved'
+};
+
+function eventTitle(event) {
+  return `${EVENT_TITLES[event.type] || 'Alert'}: ${event.alert.rule_name} (${event.alert.site})`;
+}
+
+/**
+ * Error raised by a channel. `retryable` tells the notifier whether another
+ * attempt can succeed (network errors, 5xx, 429) or not (other 4xx).
+ */
+function deliveryError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+// Webhook URLs carry their secret in the path, so errors name only the host
+function urlHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'an invalid URL';
+  }
+}
+
+async function postJson(fetchImpl, label, url, body, headers = {}) {
+  const host = urlHost(url);
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body,
+      timeout: 10000
+    });
+  } catch (error) {
+    // node-fetch puts the full URL in its messages
+    throw deliveryError(`${label} request to ${host} failed: ${error.message.split(url).join(host)}`, true);
+  }
+
+  if (!response.ok) {
+    const retryable = response.status >= 500 || response.status === 429;
+    throw deliveryError(`${label} request to ${host} failed: ${response.status} ${response.statusText}`, retryable);
+  }
+}
+
+/**
+ * Sign a webhook body. Receivers recompute
+ * HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it to the
+ * X-Dashboard-Signature header.
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Generic JSON webhook, optionally HMAC signed
+ */
+class WebhookChannel {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Receiver URL
+   * @param {string} [options.secret] - Shared secret for the X-Dashboard-Signature header
+   * @param {Object} [options.headers] - Extra request headers
+   * @param {Function} [options.fetchImpl] - fetch implementation, defaults to node-fetch
+   */
+  constructor({ url, secret = null, headers = {}, fetchImpl = fetch }) {
+    if (!url) {
+      throw new Error('Webhook channel needs a url');
+    }
+    this.url = url;
+    this.secret = secret;
+    this.headers = headers;
+    this.fetchImpl = fetchImpl;
+  }
+
+  async send(event) {
+    const body = JSON.stringify({
+      event: event.type,
+      alert: event.alert,
+      sent_at: new Date().toISOString()
+    });
+    const headers = { ...this.headers };
+
+    if (this.secret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      headers['X-Dashboard-Timestamp'] = timestamp;
+      headers['X-Dashboard-Signature'] = signPayload(this.secret, timestamp, body);
+    }
+
+    await postJson(this.fetchImpl, 'Webhook', this.url, body, headers);
+  }
+}
+
+/**
+ * Slack or Microsoft Teams incoming webhook
+ */
+class ChatWebhookChannel {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Incoming webhook URL
+   * @param {string} [options.format='slack'] - 'slack' or 'teams'
+   * @param {string} [options.dashboardUrl] - Link added to the message
+   * @param {Function} [options.fetchImpl] - fetch implementation, defaults to node-fetch
+   */
+  constructor({ url, format = 'slack', dashboardUrl = null, fetchImpl = fetch }) {
+    if (!url) {
+      throw new Error('Chat webhook channel needs a url');
+    }
+    if (!['slack', 'teams'].includes(format)) {
+      throw new Error(`Unknown chat webhook format: ${format}`);
+    }
+    this.url = url;
+    this.format = format;
+    this.dashboardUrl = dashboardUrl;
+    this.fetchImpl = fetchImpl;
+  }
+
+  buildPayload(event) {
+    const { alert } = event;
+    const color = event.type === 'resolved' ? '#238636' : (SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.warning);
+    const facts = [
+      { title: 'Site', value: alert.site },
+      { title: 'Severity', value: alert.severity },
+      { title: 'State', value: alert.state },
+      { title: 'Value', value: String(alert.value) }
+    ];
+
+    if (this.format === 'teams') {
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        themeColor: color.replace('#', ''),
+        summary: eventTitle(event),
+        title: eventTitle(event),
+        text: alert.message,
+        sections: [{ facts: facts.map(fact => ({ name: fact.title, value: fact.value })) }],
+        potentialAction: this.dashboardUrl
+          ? [{ '@type': 'OpenUri', name: 'Open dashboard', targets: [{ os: 'default', uri: this.dashboardUrl }] }]
+          : []
+      };
+    }
+
+    return {
+      text: eventTitle(event),
+      attachments: [{
+        color,
+        title: eventTitle(event),
+        title_link: this.dashboardUrl || undefined,
+        text: alert.message,
+        fields: facts.map(fact => ({ ...fact, short: true }))
+      }]
+    };
+  }
+
+  async send(event) {
+    const label = this.format === 'teams' ? 'Teams webhook' : 'Slack webhook';
+    await postJson(this.fetchImpl, label, this.url, JSON.stringify(this.buildPayload(event)));
+  }
+}
+
+/**
+ * Email over SMTP
+ */
+class EmailChannel {
+  /**
+   * @param {Object} options
+   * @param {Object} options.smtp - nodemailer SMTP options: { host, port, secure, auth }
+   * @param {string} options.from - Sender address
+   * @param {string|Array<string>} options.to - Recipients
+   * @param {Object} [options.transport] - Prebuilt nodemailer transport (tests)
+   */
+  constructor({ smtp, from, to, transport = null }) {
+    if (!from || !to) {
+      throw new Error('Email channel needs from and to addresses');
+    }
+    this.from = from;
+    this.to = to;
+    this.transport = transport || nodemailer.createTransport(smtp);
+  }
+
+  async send(event) {
+    const { alert } = event;
+    const lines = [
+      alert.message,
+      '',
+      `Site: ${alert.site}`,
+      `Severity: ${alert.severity}`,
+      `State: ${alert.state}`,
+      `Value: ${alert.value}`,
+      `Opened: ${new Date(alert.opened_at).toISOString()}`
+    ];
+
+    try {
+      await this.transport.sendMail({
+        from: this.from,
+        to: this.to,
+        subject: `[${alert.severity.toUpperCase()}] ${eventTitle(event)}`,
+        text: lines.join('\n')
+      });
+    } catch (error) {
+      // 5xx SMTP replies are permanent failures
+      const retryable = !(error.responseCode >= 500 && error.responseCode < 600);
+      throw deliveryError(`Email delivery failed: ${error.message}`, retryable);
+    }
+  }
+}
+
+module.exports = {
+  WebhookChannel,
+  ChatWebhookChannel,
+  EmailChannel,
+  signPayload
+};
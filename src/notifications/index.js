@@ -0,0 +1,62 @@
+const fs = require('fs');
+const { WebhookChannel, ChatWebhookChannel, EmailChannel, signPayload } = require('./channels');
+const { Notifier, DEFAULT_RETRY, DEFAULT_RATE_LIMIT, DEFAULT_DEDUP_WINDOW_MS } = require('./notifier');
+
+const CHANNEL_TYPES = {
+  webhook: (options) => new WebhookChannel(options),
+  slack: (options) => new ChatWebhookChannel({ ...options, format: 'slack' }),
+  teams: (options) => new ChatWebhookChannel({ ...options, format: 'teams' }),
+  email: (options) => new EmailChannel(options)
+};
+
+/**
+ * Build a channel from its config entry: { type, name?, severities?, events?, ...options }
+ * @param {Object} config
+ * @param {Object} [overrides] - Extra options for every channel (e.g. fetchImpl in tests)
+ */
+function createChannel(config, overrides = {}) {
+  const { type, name, severities, events, ...options } = config;
+  const build = CHANNEL_TYPES[type];
+  if (!build) {
+    throw new Error(`Unknown notification channel type: ${type}`);
+  }
+
+  return { name: name || type, channel: build({ ...options, ...overrides }), severities, events };
+}
+
+/**
+ * Notifier from a config object: { retry, dedupWindowMs, rateLimit, channels: [...] }
+ */
+function createNotifier(config = {}, options = {}) {
+  const { channelOverrides, ...notifierOptions } = options;
+  return new Notifier({
+    retry: config.retry,
+    dedupWindowMs: config.dedupWindowMs,
+    rateLimit: config.rateLimit,
+    ...notifierOptions,
+    channels: (config.channels || []).map(channel => createChannel(channel, channelOverrides))
+  });
+}
+
+/**
+ * Notifier loaded from a JSON file (see config/notifications.example.json)
+ * @param {string} filePath
+ */
+function loadNotifier(filePath, options = {}) {
+  return createNotifier(JSON.parse(fs.readFileSync(filePath, 'utf8')), options);
+}
+
+module.exports = {
+  WebhookChannel,
+  ChatWebhookChannel,
+  EmailChannel,
+  Notifier,
+  DEFAULT_RETRY,
+  DEFAULT_RATE_LIMIT,
+  DEFAULT_DEDUP_WINDOW_MS,
+  CHANNEL_TYPES,
+  signPayload,
+  createChannel,
+  createNotifier,
+  loadNotifier
+};
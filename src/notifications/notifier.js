@@ -0,0 +1,126 @@
+const DEFAULT_RETRY = { attempts: 4, baseDelayMs: 1000, maxDelayMs: 30000 };
+const DEFAULT_RATE_LIMIT = { max: 20, windowMs: 60 * 60 * 1000 };
+const DEFAULT_DEDUP_WINDOW_MS = 15 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fans alert events out to notification channels. Each channel gets its own
+ * dedup cache and rate limit so a noisy webhook cannot starve email.
+ *
+ * - retry: failed sends marked retryable are retried with exponential backoff
+ * - dedup: the same alert/event pair is sent to a channel at most once per dedupWindowMs
+ * - rate limit: at most rateLimit.max sends per channel per rateLimit.windowMs; extra events are dropped
+ */
+class Notifier {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.channels - { name, channel, severities?, events? }
+   * @param {Object} [options.retry] - { attempts, baseDelayMs, maxDelayMs }
+   * @param {number} [options.dedupWindowMs]
+   * @param {Object} [options.rateLimit] - { max, windowMs }
+   * @param {Function} [options.now] - Clock, injectable for tests
+   * @param {Function} [options.sleep] - Delay between retries, injectable for tests
+   */
+  constructor({
+    channels = [],
+    retry = {},
+    dedupWindowMs = DEFAULT_DEDUP_WINDOW_MS,
+    rateLimit = {},
+    now = () => Date.now(),
+    sleep: sleepImpl = sleep
+  } = {}) {
+    this.channels = channels.map(entry => ({
+      ...entry,
+      sent: new Map(),
+      history: []
+    }));
+    this.retry = { ...DEFAULT_RETRY, ...retry };
+    this.dedupWindowMs = dedupWindowMs;
+    this.rateLimit = { ...DEFAULT_RATE_LIMIT, ...rateLimit };
+    this.now = now;
+    this.sleep = sleepImpl;
+  }
+
+  /**
+   * Deliver an alert event to every matching channel
+   * @param {Object} event - { type, alert } as emitted by AlertEngine
+   * @returns {Promise<Array<Object>>} Per-channel outcome: { channel, status, attempts?, error? }
+   */
+  async notify(event) {
+    return Promise.all(this.channels.map(entry => this.deliver(entry, event)));
+  }
+
+  async deliver(entry, event) {
+    const outcome = { channel: entry.name };
+
+    if (!this.matches(entry, event)) {
+      return { ...outcome, status: 'filtered' };
+    }
+
+    const timestamp = this.now();
+    this.expire(entry, timestamp);
+
+    const key = `${event.alert.id}:${event.type}`;
+    if (entry.sent.has(key)) {
+      return { ...outcome, status: 'duplicate' };
+    }
+
+    if (entry.history.length >= this.rateLimit.max) {
+      console.error(`Notification to ${entry.name} dropped: rate limit of ${this.rateLimit.max} reached`);
+      return { ...outcome, status: 'rate_limited' };
+    }
+
+    // Reserve the slot before sending so concurrent events count against the limit
+    entry.sent.set(key, timestamp);
+    entry.history.push(timestamp);
+
+    let attempt = 0;
+    while (true) {
+      attempt++;
+      try {
+        await entry.channel.send(event);
+        return { ...outcome, status: 'sent', attempts: attempt };
+      } catch (error) {
+        if (error.retryable === false || attempt >= this.retry.attempts) {
+          // Let a later event for the same alert try again
+          entry.sent.delete(key);
+          console.error(`Notification to ${entry.name} failed after ${attempt} attempt(s):`, error.message);
+          return { ...outcome, status: 'failed', attempts: attempt, error: error.message };
+        }
+        await this.sleep(this.backoff(attempt));
+      }
+    }
+  }
+
+  matches(entry, event) {
+    if (entry.events && !entry.events.includes(event.type)) {
+      return false;
+    }
+    if (entry.severities && !entry.severities.includes(event.alert.severity)) {
+      return false;
+    }
+    return true;
+  }
+
+  // Drop dedup keys and rate-limit entries that fell out of their windows
+  expire(entry, timestamp) {
+    for (const [key, sentAt] of entry.sent) {
+      if (timestamp - sentAt >= this.dedupWindowMs) {
+        entry.sent.delete(key);
+      }
+    }
+    entry.history = entry.history.filter(sentAt => timestamp - sentAt < this.rateLimit.windowMs);
+  }
+
+  backoff(attempt) {
+    return Math.min(this.retry.baseDelayMs * 2 ** (attempt - 1), this.retry.maxDelayMs);
+  }
+}
+
+module.exports = {
+  Notifier,
+  DEFAULT_RETRY,
+  DEFAULT_RATE_LIMIT,
+  DEFAULT_DEDUP_WINDOW_MS
+};
@@ -0,0 +1,180 @@
+const { formatMetrics } = require('./exposition');
+
+// Per-site gauges: metric name, help text and how to read the value from
+// /api/realtime-metrics (`realtime`) or /api/system-health (`health`)
+const SITE_GAUGES = [
+  ['wpd_queries_per_second', 'Average queries per second over the last 5 minutes', ({ realtime }) => realtime.avg_qps],
+  ['wpd_response_time_milliseconds', 'Average response time over the last 5 minutes', ({ realtime }) => realtime.avg_response],
+  ['wpd_memory_usage_megabytes', 'Average PHP memory usage over the last 5 minutes', ({ realtime }) => realtime.avg_memory],
+  ['wpd_cpu_usage_percent', 'Latest CPU usage of the WordPress host', ({ health }) => health.cpu_usage],
+  ['wpd_system_memory_used_megabytes', 'Latest memory in use on the WordPress host', ({ health }) => health.memory_used],
+  ['wpd_system_memory_total_megabytes', 'Memory installed on the WordPress host', ({ health }) => health.memory_total],
+  ['wpd_disk_usage_percent', 'Latest disk usage of the WordPress host', ({ health }) => health.disk_usage],
+  ['wpd_cache_hit_ratio_percent', 'Latest object cache hit ratio', ({ health }) => health.cache_hit_ratio],
+  ['wpd_active_connections', 'Latest number of open database connections', ({ health }) => health.active_connections],
+  ['wpd_slow_queries_1h', 'Slow queries captured in the last hour', ({ health }) => health.slow_queries_1h],
+  ['wpd_active_plugins', 'Active plugins', ({ health }) => health.active_plugins]
+];
+
+// The WordPress API reports real-time values under the sample names
+function normalizeRealtime(realtime = {}) {
+  return {
+    avg_qps: realtime.avg_qps !== undefined ? realtime.avg_qps : realtime.queries_per_second,
+    avg_response: realtime.avg_response !== undefined ? realtime.avg_response : realtime.avg_response_time,
+    avg_memory: realtime.avg_memory !== undefined ? realtime.avg_memory : realtime.memory_usage
+  };
+}
+
+// Newest impact score per plugin (rows are samples over time)
+function latestPluginScores(rows) {
+  const latest = new Map();
+  rows.forEach(row => {
+    const current = latest.get(row.plugin_name);
+    if (!current || new Date(row.timestamp) > new Date(current.timestamp)) {
+      latest.set(row.plugin_name, row);
+    }
+  });
+  return Array.from(latest.values());
+}
+
+/**
+ * Connection counts of a mysql2 pool. mysql2 keeps these in private fields,
+ * so anything that does not look like a mysql2 pool gives null.
+ * @param {Object} pool - mysql2 or mysql2/promise pool
+ * @returns {{used: number, free: number, queued: number, limit: number}|null}
+ */
+function poolStats(pool) {
+  const core = pool && (pool.pool || pool);
+  if (!core || !core._allConnections || !core._freeConnections) {
+    return null;
+  }
+  const total = core._allConnections.length;
+  const free = core._freeConnections.length;
+  return {
+    used: total - free,
+    free,
+    queued: core._connectionQueue ? core._connectionQueue.length : 0,
+    limit: core.config ? core.config.connectionLimit : undefined
+  };
+}
+
+/**
+ * Gathers everything served on /metrics: the latest per-site values the
+ * dashboard API computes, plus the server's own request latency, socket.io
+ * clients and database pool usage. Sites are read on every scrape; a site
+ * that fails is reported with wpd_site_up 0 and does not stop the others.
+ */
+class MetricsCollector {
+  /**
+   * @param {Object} options
+   * @param {Function} options.listSources - () => [{ site, dataSource }] to report on
+   * @param {Function} [options.listPools] - () => [{ name, pool }] MySQL pools to report on
+   * @param {RequestMetrics} [options.requestMetrics] - Request latency histogram
+   * @param {Object} [options.io] - socket.io server
+   */
+  constructor({ listSources, listPools = () => [], requestMetrics = null, io = null }) {
+    this.listSources = listSources;
+    this.listPools = listPools;
+    this.requestMetrics = requestMetrics;
+    this.io = io;
+  }
+
+  async readSite(site, dataSource) {
+    try {
+      const [realtime, health, plugins] = await Promise.all([
+        dataSource.getRealtimeMetrics(),
+        dataSource.getSystemHealth({ timeRange: '1h' }),
+        dataSource.getPlugins({ timeRange: '24h', limit: 1000, includeInactive: false })
+      ]);
+      return { site, up: 1, realtime: normalizeRealtime(realtime), health: health || {}, plugins: latestPluginScores(plugins || []) };
+    } catch (error) {
+      console.error(`Error collecting metrics for site ${site}:`, error);
+      return { site, up: 0 };
+    }
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Metric families for formatMetrics
+   */
+  async collect() {
+    const sources = this.listSources().filter(({ dataSource }) => dataSource);
+    const sites = await Promise.all(sources.map(({ site, dataSource }) => this.readSite(site, dataSource)));
+    const readable = sites.filter(result => result.up);
+
+    const families = [
+      {
+        name: 'wpd_site_up',
+        help: 'Whether the last read of the site\'s data succeeded',
+        type: 'gauge',
+        samples: sites.map(({ site, up }) => ({ labels: { site }, value: up }))
+      },
+      ...SITE_GAUGES.map(([name, help, read]) => ({
+        name,
+        help,
+        type: 'gauge',
+        samples: readable.map(result => ({ labels: { site: result.site }, value: read(result) }))
+      })),
+      {
+        name: 'wpd_plugin_impact_score',
+        help: 'Latest impact score of each active plugin',
+        type: 'gauge',
+        samples: readable.flatMap(({ site, plugins }) =>
+          plugins.map(plugin => ({ labels: { site, plugin: plugin.plugin_name }, value: plugin.impact_score })))
+      }
+    ];
+
+    if (this.requestMetrics) {
+      families.push({
+        name: 'wpd_http_request_duration_seconds',
+        help: 'Latency of dashboard API requests',
+        type: 'histogram',
+        samples: this.requestMetrics.samples()
+      });
+    }
+
+    if (this.io) {
+      families.push({
+        name: 'wpd_socketio_clients',
+        help: 'Connected socket.io clients',
+        type: 'gauge',
+        samples: [{ value: this.io.of('/').sockets.size }]
+      });
+    }
+
+    const pools = this.listPools()
+      .map(({ name, pool }) => ({ name, stats: poolStats(pool) }))
+      .filter(({ stats }) => stats);
+    families.push(
+      {
+        name: 'wpd_db_pool_connections',
+        help: 'Database pool connections by state',
+        type: 'gauge',
+        samples: pools.flatMap(({ name, stats }) => ['used', 'free', 'queued'].map(state => ({
+          labels: { pool: name, state },
+          value: stats[state]
+        })))
+      },
+      {
+        name: 'wpd_db_pool_connection_limit',
+        help: 'Most connections each database pool may open',
+        type: 'gauge',
+        samples: pools.map(({ name, stats }) => ({ labels: { pool: name }, value: stats.limit }))
+      }
+    );
+
+    return families;
+  }
+
+  /**
+   * @returns {Promise<string>} Prometheus text exposition
+   */
+  async render() {
+    return formatMetrics(await this.collect());
+  }
+}
+
+module.exports = {
+  SITE_GAUGES,
+  poolStats,
+  MetricsCollector
+};
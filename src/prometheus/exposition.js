@@ -0,0 +1,54 @@
+// Prometheus text exposition format 0.0.4
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Render metric families as Prometheus text. Samples whose value is not a
+ * finite number (missing columns, failed reads) are left out rather than
+ * reported as 0; families without samples are dropped.
+ * @param {Array<Object>} families - { name, help, type, samples: [{ labels, value, suffix }] }
+ * @returns {string}
+ */
+function formatMetrics(families) {
+  const lines = [];
+  families.forEach(({ name, help, type, samples }) => {
+    const rendered = samples
+      .filter(sample => sample.value !== null && sample.value !== undefined && !Number.isNaN(Number(sample.value)))
+      .map(sample => `${name}${sample.suffix || ''}${formatLabels(sample.labels)} ${formatValue(Number(sample.value))}`);
+    if (rendered.length === 0) {
+      return;
+    }
+    lines.push(`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} ${type}`, ...rendered);
+  });
+  return lines.length ? `${lines.join('\n')}\n` : '';
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  formatLabels,
+  formatMetrics
+};
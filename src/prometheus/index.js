@@ -0,0 +1,14 @@
+const { CONTENT_TYPE, formatLabels, formatMetrics } = require('./exposition');
+const { LATENCY_BUCKETS, RequestMetrics } = require('./request-metrics');
+const { SITE_GAUGES, poolStats, MetricsCollector } = require('./collector');
+
+module.exports = {
+  CONTENT_TYPE,
+  formatLabels,
+  formatMetrics,
+  LATENCY_BUCKETS,
+  RequestMetrics,
+  SITE_GAUGES,
+  poolStats,
+  MetricsCollector
+};
@@ -0,0 +1,82 @@
+// Upper bounds (seconds) of the request latency histogram buckets
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Latency histogram of HTTP requests keyed by method, route template and
+ * status. Route templates (`/api/slow-queries/:id/explain`) keep the label set
+ * small; requests that never reached a route are counted as `unmatched`.
+ * Server-Sent Events streams (/api/stream) are left out: each would count as
+ * one request lasting the whole connection.
+ */
+class RequestMetrics {
+  /**
+   * @param {Object} [options]
+   * @param {Array<number>} [options.buckets] - Histogram bucket bounds in seconds
+   * @param {Function} [options.clock] - Monotonic clock in nanoseconds (BigInt)
+   */
+  constructor({ buckets = LATENCY_BUCKETS, clock = () => process.hrtime.bigint() } = {}) {
+    this.buckets = buckets;
+    this.clock = clock;
+    this.series = new Map();
+  }
+
+  /**
+   * @param {Object} labels - { method, route, status }
+   * @param {number} seconds
+   */
+  observe(labels, seconds) {
+    const key = `${labels.method} ${labels.route} ${labels.status}`;
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    const series = this.series.get(key);
+    this.buckets.forEach((bound, index) => {
+      if (seconds <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += seconds;
+    series.count += 1;
+  }
+
+  // Express middleware timing every request that passes through it
+  middleware() {
+    return (req, res, next) => {
+      const start = this.clock();
+      res.on('finish', () => {
+        if (/^text\/event-stream\b/.test(res.get('Content-Type') || '')) {
+          return;
+        }
+        const seconds = Number(this.clock() - start) / 1e9;
+        this.observe({
+          method: req.method,
+          route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+          status: res.statusCode
+        }, seconds);
+      });
+      next();
+    };
+  }
+
+  /**
+   * Histogram samples for formatMetrics: cumulative buckets, sum and count per series
+   * @returns {Array<Object>}
+   */
+  samples() {
+    const samples = [];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      counts.forEach((bucketCount, index) => {
+        samples.push({ suffix: '_bucket', labels: { ...labels, le: this.buckets[index] }, value: bucketCount });
+      });
+      samples.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count });
+      samples.push({ suffix: '_sum', labels, value: sum });
+      samples.push({ suffix: '_count', labels, value: count });
+    });
+    return samples;
+  }
+}
+
+module.exports = {
+  LATENCY_BUCKETS,
+  RequestMetrics
+};
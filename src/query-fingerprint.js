@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { percentile, round } = require('./stats');
+
+// Most rows read when grouping one time range
+const MAX_GROUPED_ROWS = 10000;
+
+const GROUP_SORT_FIELDS = {
+  total_time: group => group.total_execution_time,
+  avg_time: group => group.avg_execution_time,
+  p95_time: group => group.p95_execution_time,
+  count: group => group.count,
+  rows_examined: group => group.max_rows_examined,
+  last_seen: group => new Date(group.last_seen).getTime()
+};
+
+/*
+ * Quoted strings (MySQL treats double quotes as strings by default), quoted
+ * identifiers and comments, matched in one pass so a # or -- inside a string
+ * or identifier is not taken for the start of a comment
+ */
+const STRINGS_AND_COMMENTS = /'(?:[^'\\]|\\.|'')*'|"(?:[^"\\]|\\.|"")*"|`[^`]*`|\/\*[\s\S]*?\*\/|(?:--|#)[^\n]*/g;
+
+// Strings become placeholders and comments whitespace; quoted identifiers stay
+function replaceStringOrComment(token) {
+  if (token[0] === '\'' || token[0] === '"') {
+    return '?';
+  }
+  return token[0] === '`' ? token : ' ';
+}
+
+/**
+ * Normalize a SQL statement so queries that differ only in literal values
+ * share one fingerprint: comments and literals are removed, IN lists and
+ * multi-row VALUES collapse, whitespace is squeezed and everything is lowercased.
+ *
+ *   SELECT * FROM wp_posts WHERE ID IN (1, 2, 3) AND post_status = "publish"
+ *   -> select * from wp_posts where id in (?+) and post_status = ?
+ *
+ * @param {string} sql
+ * @returns {string}
+ */
+function fingerprintQuery(sql) {
+  return String(sql || '')
+    .replace(STRINGS_AND_COMMENTS, replaceStringOrComment)
+    // Hex, then decimal numbers that are not part of an identifier
+    .replace(/\b0x[0-9a-f]+\b/gi, '?')
+    .replace(/(?<![\w$`.])-?\d+(?:\.\d+)?(?:e[+-]?\d+)?(?![\w$`])/gi, '?')
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+    .replace(/\bnull\b/g, '?')
+    .replace(/\b(in)\s*\(\s*\?(?:\s*,\s*\?)*\s*\)/g, '$1 (?+)')
+    .replace(/\b(values)\s*\([^()]*\)(?:\s*,\s*\([^()]*\))*/g, '$1 (?+)')
+    .replace(/\s*;\s*$/, '')
+    .trim();
+}
+
+/**
+ * Short stable id for a fingerprint, used in URLs and as a group key
+ * @param {string} fingerprint
+ * @returns {string} 16 hex characters
+ */
+function fingerprintHash(fingerprint) {
+  return crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 16);
+}
+
+/**
+ * Slow queries of a time range to group. Only the MAX_GROUPED_ROWS slowest
+ * are read; `truncated` says the range held more, so groups describe only those.
+ * @param {Object} dataSource
+ * @param {string|Object} timeRange
+ * @returns {Promise<{rows: Array<Object>, truncated: boolean}>}
+ */
+async function readGroupableSlowQueries(dataSource, timeRange) {
+  const rows = await dataSource.getSlowQueries({ timeRange, limit: MAX_GROUPED_ROWS + 1 });
+  return { rows: rows.slice(0, MAX_GROUPED_ROWS), truncated: rows.length > MAX_GROUPED_ROWS };
+}
+
+/**
+ * Group raw slow_queries rows by fingerprint
+ * @param {Array<Object>} rows - slow_queries rows
+ * @param {Object} [options]
+ * @param {string} [options.sort='total_time'] - Key of GROUP_SORT_FIELDS
+ * @param {number} [options.limit] - Max groups returned
+ * @returns {Array<Object>} Groups, largest first
+ */
+function groupSlowQueries(rows, { sort = 'total_time', limit = 20 } = {}) {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const fingerprint = fingerprintQuery(row.query_text);
+    if (!groups.has(fingerprint)) {
+      groups.set(fingerprint, { fingerprint, rows: [] });
+    }
+    groups.get(fingerprint).rows.push(row);
+  });
+
+  const summaries = Array.from(groups.values()).map(({ fingerprint, rows: groupRows }) => {
+    const times = groupRows.map(row => Number(row.execution_time) || 0).sort((a, b) => a - b);
+    const timestamps = groupRows.map(row => new Date(row.timestamp).getTime()).filter(Number.isFinite);
+    const slowest = groupRows.reduce((a, b) => (Number(b.execution_time) > Number(a.execution_time) ? b : a));
+    const total = times.reduce((sum, time) => sum + time, 0);
+
+    return {
+      hash: fingerprintHash(fingerprint),
+      fingerprint,
+      sample_query: slowest.query_text,
+      count: groupRows.length,
+      total_execution_time: round(total),
+      avg_execution_time: round(total / times.length),
+      p95_execution_time: round(percentile(times, 95)),
+      max_execution_time: round(times[times.length - 1]),
+      max_rows_examined: Math.max(0, ...groupRows.map(row => Number(row.rows_examined) || 0)),
+      source_files: [...new Set(groupRows.map(row => row.source_file).filter(Boolean))].sort(),
+      first_seen: timestamps.length ? new Date(Math.min(...timestamps)) : null,
+      last_seen: timestamps.length ? new Date(Math.max(...timestamps)) : null
+    };
+  });
+
+  const sortValue = GROUP_SORT_FIELDS[sort] || GROUP_SORT_FIELDS.total_time;
+  return summaries
+    .sort((a, b) => sortValue(b) - sortValue(a))
+    .slice(0, parseInt(limit));
+}
+
+module.exports = {
+  MAX_GROUPED_ROWS,
+  GROUP_SORT_FIELDS,
+  fingerprintQuery,
+  fingerprintHash,
+  readGroupableSlowQueries,
+  groupSlowQueries
+};
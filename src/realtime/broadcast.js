@@ -0,0 +1,99 @@
+// Socket.io room naming for per-site real-time updates
+function siteRoom(siteId) {
+  return `site:${siteId}`;
+}
+
+/**
+ * Emit an event to a room, numbered and kept in the replay buffer when there is one
+ * @param {Object} io - socket.io server
+ * @param {ReplayBuffer|null} replay
+ * @param {string} room
+ * @param {string} event
+ * @param {Object} payload
+ */
+function broadcast(io, replay, room, event, payload) {
+  io.to(room).emit(event, replay ? replay.record(room, event, payload) : payload);
+}
+
+/**
+ * Put every socket in its site's room. Clients start in the default site and
+ * switch with `socket.emit('subscribe-site', siteId)`. With a replay buffer,
+ * a reconnected client sends `resume { since }` with the last `seq` it saw
+ * and gets the site room's events after it, then
+ * `resumed { since, until, replayed, complete }`; `complete` is false when
+ * the buffer no longer reaches back that far.
+ * @param {Object} io - socket.io server
+ * @param {Object} registry - SiteRegistry
+ * @param {Object} [options]
+ * @param {ReplayBuffer} [options.replay]
+ */
+function attachSiteRooms(io, registry, { replay = null } = {}) {
+  io.on('connection', (socket) => {
+    console.log('Client connected:', socket.id);
+    socket.data.siteId = registry.defaultSiteId;
+    socket.join(siteRoom(registry.defaultSiteId));
+
+    socket.on('subscribe-site', (siteId) => {
+      if (!registry.has(siteId)) {
+        socket.emit('site-error', { error: `Unknown site: ${siteId}` });
+        return;
+      }
+
+      socket.leave(siteRoom(socket.data.siteId));
+      socket.data.siteId = siteId;
+      socket.join(siteRoom(siteId));
+      socket.emit('site-subscribed', { site: siteId });
+    });
+
+    if (replay) {
+      socket.on('resume', (request) => {
+        const since = (request || {}).since;
+        const { complete, events } = replay.since(since, [siteRoom(socket.data.siteId)]);
+        events.forEach(entry => socket.emit(entry.event, entry.payload));
+        socket.emit('resumed', { since: Number.isInteger(since) ? since : null, until: replay.lastSeq, replayed: events.length, complete });
+      });
+    }
+
+    socket.on('disconnect', () => {
+      console.log('Client disconnected:', socket.id);
+    });
+  });
+}
+
+/**
+ * Emit the latest 'real-time-metrics' sample to each site room that has event
+ * streams. Sockets read samples from the SubscriptionHub's `realtime` channel,
+ * so site rooms with only sockets are not polled. A failing site is logged and
+ * skipped so it cannot starve the others.
+ * @param {Object} io - socket.io server
+ * @param {Object} registry - SiteRegistry
+ * @param {Function} resolveDataSource - Resolver from createDataSourceResolver
+ * @param {Object} [options]
+ * @param {ReplayBuffer} [options.replay]
+ * @param {EventStreams} [options.streams] - Server-Sent Events clients, which get events through the replay buffer
+ */
+async function broadcastRealtimeMetrics(io, registry, resolveDataSource, { replay = null, streams = null } = {}) {
+  for (const { id } of registry.listSites()) {
+    const room = siteRoom(id);
+    if (!streams || !streams.has(room)) {
+      continue;
+    }
+
+    try {
+      const dataSource = resolveDataSource({ query: { site: id } });
+      const sample = dataSource ? await dataSource.getLatestSample() : null;
+      if (sample) {
+        broadcast(io, replay, room, 'real-time-metrics', { ...sample, site: id });
+      }
+    } catch (error) {
+      console.error(`Error broadcasting real-time data for site ${id}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  siteRoom,
+  broadcast,
+  attachSiteRooms,
+  broadcastRealtimeMetrics
+};
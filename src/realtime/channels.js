@@ -0,0 +1,71 @@
+// Rows a list channel keeps, as the REST routes return by default
+const SLOW_QUERY_LIMIT = 20;
+const PLUGIN_LIMIT = 100;
+
+function requireDataSource({ dataSource }) {
+  if (!dataSource) {
+    throw new Error('Database not available');
+  }
+  return dataSource;
+}
+
+/**
+ * Data a client can subscribe to over socket.io. Each channel reads what the
+ * REST route at `path` returns by default and needs the same access; `rate`
+ * is the default number of seconds between polls. List channels name the key
+ * of their rows (`keyOf`) so changes are sent per row, the others send
+ * changed fields. Channels with `timeRange` take a preset range.
+ * `usesDataSource: false` channels read the dashboard's own stores.
+ */
+const CHANNELS = {
+  realtime: {
+    path: '/realtime-metrics',
+    rate: 5,
+    fetch: async context => requireDataSource(context).getLatestSample()
+  },
+  health: {
+    path: '/system-health',
+    rate: 10,
+    timeRange: true,
+    fetch: async context => requireDataSource(context).getSystemHealth({ timeRange: context.timeRange })
+  },
+  'slow-queries': {
+    path: '/slow-queries',
+    rate: 15,
+    timeRange: true,
+    // Rows from the WordPress API have no id
+    keyOf: row => (row.id === undefined ? `${row.timestamp}|${row.query_text}` : row.id),
+    fetch: async (context) => {
+      const dataSource = requireDataSource(context);
+      const rows = await dataSource.getSlowQueries({ timeRange: context.timeRange, limit: SLOW_QUERY_LIMIT });
+      return rows.map(row => ({ ...row, query_text: context.redactor.redact(row.query_text) }));
+    }
+  },
+  plugins: {
+    path: '/plugins',
+    rate: 30,
+    timeRange: true,
+    keyOf: row => (row.id === undefined ? row.plugin_name : row.id),
+    fetch: async context => requireDataSource(context).getPlugins({
+      timeRange: context.timeRange,
+      limit: PLUGIN_LIMIT,
+      includeInactive: false
+    })
+  },
+  // Open and acknowledged alerts, as on the dashboard's alert card
+  alerts: {
+    path: '/alerts',
+    rate: 15,
+    usesDataSource: false,
+    keyOf: alert => alert.id,
+    fetch: async ({ alertStore, site }) => {
+      const [open, acknowledged] = await Promise.all([
+        alertStore.listAlerts({ state: 'open', site }),
+        alertStore.listAlerts({ state: 'acknowledged', site })
+      ]);
+      return [...open, ...acknowledged];
+    }
+  }
+};
+
+module.exports = { CHANNELS };
@@ -0,0 +1,69 @@
+// Values are compared by their JSON form, so Dates equal their ISO strings
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Fields of `next` that differ from `previous`; fields that disappeared are set to null
+ * @param {Object} previous
+ * @param {Object} next
+ * @returns {{set: Object}|null} null when nothing changed
+ */
+function diffObject(previous, next) {
+  const set = {};
+  for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+    const value = next[field] === undefined ? null : next[field];
+    if (!sameValue(previous[field], value)) {
+      set[field] = value;
+    }
+  }
+  return Object.keys(set).length ? { set } : null;
+}
+
+/**
+ * Rows added or changed in `next`, keys of rows it no longer has, and the new
+ * order of keys when that changed
+ * @param {Array<Object>} previous
+ * @param {Array<Object>} next
+ * @param {Function} keyOf - (row) => key identifying the row
+ * @returns {{upsert: Array<Object>, remove: Array, order?: Array}|null} null when nothing changed
+ */
+function diffList(previous, next, keyOf) {
+  const before = new Map(previous.map(row => [keyOf(row), row]));
+  const keys = next.map(keyOf);
+  const upsert = next.filter((row, i) => !before.has(keys[i]) || !sameValue(before.get(keys[i]), row));
+  const remaining = new Set(keys);
+  const remove = [...before.keys()].filter(key => !remaining.has(key));
+  // Without `order`, clients keep the rows they had in place and append new ones
+  const kept = [...before.keys()].filter(key => remaining.has(key));
+  const reordered = !sameValue([...kept, ...keys.filter(key => !before.has(key))], keys);
+
+  if (!upsert.length && !remove.length && !reordered) {
+    return null;
+  }
+  return reordered ? { upsert, remove, order: keys } : { upsert, remove };
+}
+
+/**
+ * Apply a delta from diffObject or diffList to the value it was computed from
+ * @param {Object|Array<Object>} value
+ * @param {Object} delta
+ * @param {Function} [keyOf] - Lists only
+ * @returns {Object|Array<Object>} A new value
+ */
+function applyDelta(value, delta, keyOf) {
+  if (!Array.isArray(value)) {
+    return { ...value, ...delta.set };
+  }
+
+  const rows = new Map(value.map(row => [keyOf(row), row]));
+  delta.remove.forEach(key => rows.delete(key));
+  delta.upsert.forEach(row => rows.set(keyOf(row), row));
+  return delta.order ? delta.order.map(key => rows.get(key)) : [...rows.values()];
+}
+
+module.exports = {
+  diffObject,
+  diffList,
+  applyDelta
+};
@@ -0,0 +1,141 @@
+const { siteRoom } = require('./broadcast');
+
+// Site room events carried by a stream: the broadcast loop's samples and alert state changes
+const STREAM_EVENTS = ['real-time-metrics', 'alert'];
+
+// Data a slow client may leave unread before its stream is closed; it reconnects and resumes
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * Server-Sent Events streams of a site room's 'real-time-metrics' and 'alert'
+ * events, for networks where socket.io cannot connect. Events come from the
+ * replay buffer, so each one has the same `seq` it has on the socket, sent as
+ * the event id. A client reconnecting with `Last-Event-ID` gets the events it
+ * missed first, then `resumed { since, until, replayed, complete }` as on the
+ * socket. Comments are sent every `heartbeatMs` so proxies keep idle streams open.
+ */
+class EventStreams {
+  /**
+   * @param {Object} options
+   * @param {ReplayBuffer} options.replay
+   * @param {number} [options.heartbeatMs=25000]
+   * @param {number} [options.retryMs=5000] - Reconnect delay suggested to clients
+   * @param {number} [options.maxBufferedBytes]
+   */
+  constructor({ replay, heartbeatMs = 25000, retryMs = 5000, maxBufferedBytes = MAX_BUFFERED_BYTES }) {
+    this.replay = replay;
+    this.heartbeatMs = heartbeatMs;
+    this.retryMs = retryMs;
+    this.maxBufferedBytes = maxBufferedBytes;
+    this.streams = new Set();
+    this.heartbeat = null;
+    this.onRecord = entry => this.deliver(entry);
+    replay.on('record', this.onRecord);
+  }
+
+  /**
+   * Whether a room has open streams
+   * @param {string} room
+   * @returns {boolean}
+   */
+  has(room) {
+    for (const stream of this.streams) {
+      if (stream.room === room) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Start a stream of a site's events on a response; it ends when the client disconnects
+   * @param {Object} req
+   * @param {Object} res
+   * @param {Object} options
+   * @param {string} options.site
+   * @param {number} [options.lastEventId] - Resume after this event
+   */
+  open(req, res, { site, lastEventId }) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // nginx would otherwise buffer the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${this.retryMs}\n\n`);
+
+    const stream = { room: siteRoom(site), res };
+    if (lastEventId !== undefined) {
+      const { complete, events } = this.replay.since(lastEventId, [stream.room]);
+      events.filter(entry => STREAM_EVENTS.includes(entry.event)).forEach(entry => this.write(stream, entry));
+      const until = this.replay.lastSeq;
+      this.write(stream, {
+        seq: until,
+        event: 'resumed',
+        payload: { since: Number.isInteger(lastEventId) ? lastEventId : null, until, replayed: events.length, complete }
+      });
+    }
+
+    this.streams.add(stream);
+    this.startHeartbeat();
+    req.on('close', () => this.remove(stream));
+  }
+
+  deliver(entry) {
+    if (!STREAM_EVENTS.includes(entry.event)) {
+      return;
+    }
+    this.streams.forEach((stream) => {
+      if (stream.room === entry.room) {
+        this.write(stream, entry);
+      }
+    });
+  }
+
+  write(stream, { seq, event, payload }) {
+    this.send(stream, `id: ${seq}\nevent: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  send(stream, chunk) {
+    if (stream.res.writableLength > this.maxBufferedBytes) {
+      stream.res.end();
+      this.remove(stream);
+      return;
+    }
+    stream.res.write(chunk);
+  }
+
+  remove(stream) {
+    this.streams.delete(stream);
+    if (this.streams.size === 0 && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  startHeartbeat() {
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => {
+        this.streams.forEach(stream => this.send(stream, ': heartbeat\n\n'));
+      }, this.heartbeatMs);
+    }
+  }
+
+  /**
+   * End every stream, e.g. on shutdown
+   */
+  close() {
+    this.streams.forEach(stream => stream.res.end());
+    this.streams.clear();
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    this.replay.off('record', this.onRecord);
+  }
+}
+
+module.exports = {
+  STREAM_EVENTS,
+  EventStreams
+};
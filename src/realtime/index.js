@@ -0,0 +1,15 @@
+const broadcast = require('./broadcast');
+const { CHANNELS } = require('./channels');
+const deltas = require('./deltas');
+const eventStreams = require('./event-streams');
+const { ReplayBuffer } = require('./replay-buffer');
+const subscriptions = require('./subscriptions');
+
+module.exports = {
+  ...broadcast,
+  ...deltas,
+  ...eventStreams,
+  ...subscriptions,
+  CHANNELS,
+  ReplayBuffer
+};
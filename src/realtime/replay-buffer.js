@@ -0,0 +1,77 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Recent socket.io broadcasts with sequence numbers, so clients that lost
+ * their connection can ask for what they missed. Events are kept up to
+ * `capacity` and for `maxAgeMs`. Sequence numbers start at the startup time
+ * in milliseconds, so they keep increasing across restarts and a number from
+ * before a restart reads as rolled over. Each recorded event is also emitted
+ * as 'record', for transports other than socket.io.
+ */
+class ReplayBuffer extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.capacity=2000]
+   * @param {number} [options.maxAgeMs=300000]
+   * @param {Function} [options.now]
+   */
+  constructor({ capacity = 2000, maxAgeMs = 5 * 60 * 1000, now = () => Date.now() } = {}) {
+    super();
+    this.capacity = capacity;
+    this.maxAgeMs = maxAgeMs;
+    this.now = now;
+    this.lastSeq = now();
+    this.events = [];
+  }
+
+  /**
+   * Number an event sent to a room and keep it
+   * @param {string} room
+   * @param {string} event
+   * @param {Object} payload
+   * @returns {Object} The payload with its `seq`, to emit
+   */
+  record(room, event, payload) {
+    this.lastSeq += 1;
+    const numbered = { ...payload, seq: this.lastSeq };
+    const entry = { seq: this.lastSeq, room, event, payload: numbered, at: this.now() };
+    this.events.push(entry);
+    this.prune();
+    this.emit('record', entry);
+    return numbered;
+  }
+
+  prune() {
+    const oldest = this.now() - this.maxAgeMs;
+    let drop = Math.max(0, this.events.length - this.capacity);
+    while (drop < this.events.length && this.events[drop].at < oldest) {
+      drop += 1;
+    }
+    if (drop > 0) {
+      this.events.splice(0, drop);
+    }
+  }
+
+  /**
+   * Events for some rooms after a sequence number, oldest first
+   * @param {number} seq - Last sequence number the client saw
+   * @param {Iterable<string>} rooms
+   * @returns {{complete: boolean, events: Array<Object>}} `complete` is false when
+   *   events after `seq` were already dropped (or the number is from another run)
+   */
+  since(seq, rooms) {
+    this.prune();
+    const first = this.events.length ? this.events[0].seq : this.lastSeq + 1;
+    if (!Number.isInteger(seq) || seq > this.lastSeq || seq < first - 1) {
+      return { complete: false, events: [] };
+    }
+
+    const wanted = new Set(rooms);
+    return {
+      complete: true,
+      events: this.events.filter(entry => entry.seq > seq && wanted.has(entry.room))
+    };
+  }
+}
+
+module.exports = { ReplayBuffer };
@@ -0,0 +1,285 @@
+const { CHANNELS } = require('./channels');
+const { diffObject, diffList } = require('./deltas');
+const { broadcast } = require('./broadcast');
+const { TIME_RANGES, DEFAULT_TIME_RANGE } = require('../time-range');
+const { QueryRedactor } = require('../redaction');
+const { hasRole, accessRule } = require('../auth/roles');
+
+// Seconds between polls a client may ask for
+const MIN_RATE = 2;
+const MAX_RATE = 300;
+
+function feedRoom(feedId) {
+  return `feed:${feedId}`;
+}
+
+// A subscriber needs the access the channel's REST route needs
+function canRead(user, path) {
+  const rule = accessRule('GET', path);
+  if (rule.role === null) {
+    return true;
+  }
+  if (!user || (user.type === 'api_key' && !(rule.scope && user.scopes.includes(rule.scope)))) {
+    return false;
+  }
+  return hasRole(user, rule.role);
+}
+
+/**
+ * Channel subscriptions over socket.io. Clients send
+ * `subscribe { channel, site, rate, timeRange, demo }` and `unsubscribe { channel }`;
+ * a socket has at most one subscription per channel. Subscriptions with the
+ * same channel, site, range and rate share one feed, polled once per `rate`
+ * seconds while it has subscribers. A feed's first result is sent as a
+ * 'snapshot' (and again to each socket joining later), after that only
+ * changes are sent as a 'delta', and nothing when nothing changed.
+ *
+ * With a replay buffer, events carry a `seq`. A client subscribing again after
+ * a reconnect can pass `resume { feed, seq }` from its last event; when the
+ * feed is unchanged and the buffer still reaches back that far, it gets the
+ * missed events instead of a snapshot, and 'subscribed' says `resumed: true`.
+ */
+class SubscriptionHub {
+  /**
+   * @param {Object} options
+   * @param {Object} options.registry - SiteRegistry
+   * @param {Function} options.resolveDataSource - Resolver from createDataSourceResolver
+   * @param {Object} options.alertStore - For the alerts channel
+   * @param {QueryRedactor} [options.redactor] - Masks slow query text; feeds never carry raw SQL
+   * @param {ReplayBuffer} [options.replay] - Keeps feed events for clients that reconnect
+   */
+  constructor({ registry, resolveDataSource, alertStore, redactor = new QueryRedactor(), replay = null }) {
+    this.registry = registry;
+    this.resolveDataSource = resolveDataSource;
+    this.alertStore = alertStore;
+    this.redactor = redactor;
+    this.replay = replay;
+    this.io = null;
+    this.feeds = new Map();
+  }
+
+  /**
+   * Handle subscriptions of every socket of a socket.io server
+   * @param {Object} io - socket.io server
+   */
+  attach(io) {
+    this.io = io;
+    io.on('connection', (socket) => {
+      socket.data.subscriptions = new Map();
+
+      socket.on('subscribe', (request) => {
+        this.subscribe(socket, request || {});
+      });
+      socket.on('unsubscribe', (request) => {
+        this.unsubscribe(socket, (request || {}).channel);
+      });
+      socket.on('disconnect', () => {
+        [...socket.data.subscriptions.keys()].forEach(channel => this.unsubscribe(socket, channel));
+      });
+    });
+  }
+
+  // The feed a request asks for, or { error } when it cannot be served to this socket
+  parseRequest(socket, { channel, site, rate, timeRange, demo }) {
+    const definition = CHANNELS[channel];
+    if (!definition) {
+      return { error: `Unknown channel: ${channel}` };
+    }
+    if (!canRead(socket.data.user, definition.path)) {
+      return { error: 'Insufficient permissions' };
+    }
+
+    const siteId = site || this.registry.defaultSiteId;
+    if (!this.registry.has(siteId)) {
+      return { error: `Unknown site: ${siteId}` };
+    }
+
+    const seconds = rate === undefined ? definition.rate : rate;
+    if (!Number.isInteger(seconds) || seconds < MIN_RATE || seconds > MAX_RATE) {
+      return { error: `rate must be a whole number of seconds from ${MIN_RATE} to ${MAX_RATE}` };
+    }
+
+    let range = null;
+    if (definition.timeRange) {
+      range = timeRange || DEFAULT_TIME_RANGE;
+      if (!TIME_RANGES[range]) {
+        return { error: `timeRange must be one of: ${Object.keys(TIME_RANGES).join(', ')}` };
+      }
+    }
+
+    const id = [channel, siteId, range, `${seconds}s`, demo === true ? 'demo' : null].filter(Boolean).join('/');
+    return { id, channel, site: siteId, rate: seconds, timeRange: range, demo: demo === true };
+  }
+
+  /**
+   * Subscribe a socket to a channel, replacing its previous subscription to it.
+   * Answers with 'subscribed' or 'subscription-error'.
+   * @param {Object} socket
+   * @param {Object} request - { channel, site, rate, timeRange, demo, resume }
+   */
+  subscribe(socket, request) {
+    const parsed = this.parseRequest(socket, request);
+    if (parsed.error) {
+      socket.emit('subscription-error', { channel: request.channel === undefined ? null : request.channel, error: parsed.error });
+      return;
+    }
+
+    const { id, channel, site, rate, timeRange } = parsed;
+    if (socket.data.subscriptions.get(channel) !== id) {
+      this.unsubscribe(socket, channel);
+    }
+
+    let feed = this.feeds.get(id);
+    if (!feed) {
+      feed = { ...parsed, sockets: new Set(), value: undefined, polling: null, pollAgain: false };
+      feed.timer = setInterval(() => this.poll(feed), rate * 1000);
+      this.feeds.set(id, feed);
+    }
+
+    const joining = !feed.sockets.has(socket.id);
+    feed.sockets.add(socket.id);
+    socket.data.subscriptions.set(channel, id);
+    socket.join(feedRoom(id));
+
+    // Until the first poll returns, its snapshot goes to the whole room
+    const missed = joining && feed.value !== undefined ? this.missedEvents(feed, request.resume) : null;
+    socket.emit('subscribed', { feed: id, channel, site, rate, timeRange, resumed: !!missed });
+    if (feed.value === undefined) {
+      this.poll(feed);
+    } else if (missed) {
+      missed.forEach(entry => socket.emit(entry.event, entry.payload));
+    } else if (joining) {
+      socket.emit('snapshot', { feed: id, channel, site, data: feed.value, ...(feed.seq ? { seq: feed.seq } : {}) });
+    }
+  }
+
+  // Buffered events of a feed after the client's last one, or null when they cannot all be replayed
+  missedEvents(feed, resume) {
+    if (!this.replay || !resume || resume.feed !== feed.id) {
+      return null;
+    }
+    const { complete, events } = this.replay.since(resume.seq, [feedRoom(feed.id)]);
+    return complete ? events : null;
+  }
+
+  /**
+   * Drop a socket's subscription to a channel; a feed stops polling with its last subscriber
+   * @param {Object} socket
+   * @param {string} channel
+   */
+  unsubscribe(socket, channel) {
+    const id = socket.data.subscriptions.get(channel);
+    if (!id) {
+      return;
+    }
+    socket.data.subscriptions.delete(channel);
+    socket.leave(feedRoom(id));
+
+    const feed = this.feeds.get(id);
+    if (feed) {
+      feed.sockets.delete(socket.id);
+      if (feed.sockets.size === 0) {
+        clearInterval(feed.timer);
+        this.feeds.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Poll a site's feeds now instead of waiting for their next tick, e.g. after
+   * an alert changed state
+   * @param {string} site
+   * @param {string} [channel] - Every channel when omitted
+   * @returns {Promise<void>}
+   */
+  async refresh(site, channel) {
+    const feeds = [...this.feeds.values()].filter(feed => feed.site === site && (!channel || feed.channel === channel));
+    await Promise.all(feeds.map(feed => this.poll(feed, true)));
+  }
+
+  /**
+   * Read a feed's channel once and send subscribers what changed. A tick
+   * during a running poll is skipped; a refresh runs again after it, so it
+   * sees the data that prompted it. Failures are logged and the feed keeps
+   * its last value.
+   * @param {Object} feed
+   * @param {boolean} [rerun=false] - Poll again when a poll is running
+   * @returns {Promise<void>}
+   */
+  poll(feed, rerun = false) {
+    if (feed.polling) {
+      feed.pollAgain = feed.pollAgain || rerun;
+      return feed.polling;
+    }
+
+    feed.polling = (async () => {
+      try {
+        const definition = CHANNELS[feed.channel];
+        const dataSource = definition.usesDataSource === false
+          ? null
+          : this.resolveDataSource({ query: { site: feed.site, ...(feed.demo ? { demo: 'true' } : {}) } });
+        const data = await definition.fetch({
+          dataSource,
+          alertStore: this.alertStore,
+          redactor: this.redactor,
+          site: feed.site,
+          timeRange: feed.timeRange
+        });
+        this.publish(feed, data);
+      } catch (error) {
+        console.error(`Error polling ${feed.channel} for site ${feed.site}:`, error);
+      }
+    })().finally(() => {
+      feed.polling = null;
+      if (feed.pollAgain && this.feeds.get(feed.id) === feed) {
+        feed.pollAgain = false;
+        return this.poll(feed);
+      }
+    });
+    return feed.polling;
+  }
+
+  publish(feed, data) {
+    if (data === null || data === undefined) {
+      return;
+    }
+    // Dates become ISO strings here, as they do on the wire
+    const value = JSON.parse(JSON.stringify(data));
+    const { id, channel, site } = feed;
+
+    if (feed.value === undefined) {
+      feed.value = value;
+      this.send(feed, 'snapshot', { feed: id, channel, site, data: value });
+      return;
+    }
+
+    const { keyOf } = CHANNELS[channel];
+    const delta = keyOf ? diffList(feed.value, value, keyOf) : diffObject(feed.value, value);
+    feed.value = value;
+    if (delta) {
+      this.send(feed, 'delta', { feed: id, channel, site, delta });
+    }
+  }
+
+  send(feed, event, payload) {
+    broadcast(this.io, this.replay, feedRoom(feed.id), event, payload);
+    if (this.replay) {
+      feed.seq = this.replay.lastSeq;
+    }
+  }
+
+  /**
+   * Stop every feed, e.g. on shutdown
+   */
+  close() {
+    this.feeds.forEach(feed => clearInterval(feed.timer));
+    this.feeds.clear();
+  }
+}
+
+module.exports = {
+  MIN_RATE,
+  MAX_RATE,
+  feedRoom,
+  SubscriptionHub
+};
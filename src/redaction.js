@@ -0,0 +1,158 @@
+const fs = require('fs');
+
+const MASK = '?';
+
+// WordPress columns whose values are personal data or secrets
+const DEFAULT_REDACTION = {
+  strings: true,
+  numbers: true,
+  emails: true,
+  columns: [
+    'user_pass',
+    'user_email',
+    'user_activation_key',
+    'user_login',
+    'user_nicename',
+    'display_name',
+    'user_url',
+    'comment_author_email',
+    'comment_author_IP',
+    'session_tokens'
+  ],
+  patterns: []
+};
+
+// Same literal syntax as query fingerprints: quoted strings, hex and decimal numbers
+const STRING_LITERAL = /'(?:[^'\\]|\\.|'')*'|"(?:[^"\\]|\\.|"")*"/g;
+const NUMBER_LITERAL = /\b0x[0-9a-f]+\b|(?<![\w$`.])-?\d+(?:\.\d+)?(?:e[+-]?\d+)?(?![\w$`])/gi;
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+const VALUE = `(?:${STRING_LITERAL.source}|[-\\w.]+|\\([^()]*\\))`;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Split a VALUES tuple body on commas outside quotes
+function splitTuple(body) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (quote) {
+      if (char === '\\') {
+        current += char + (body[++i] || '');
+        continue;
+      }
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === ',') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Masks personal data in captured SQL before it leaves the API: string and
+ * numeric literals, email addresses, values compared with or assigned to
+ * sensitive columns, and any extra patterns. Each step can be switched off.
+ *
+ *   SELECT * FROM wp_users WHERE user_email = "admin@example.com" LIMIT 1
+ *   -> SELECT * FROM wp_users WHERE user_email = ? LIMIT ?
+ */
+class QueryRedactor {
+  /**
+   * @param {Object} [config] - Overrides for DEFAULT_REDACTION
+   * @param {boolean} [config.strings] - Mask quoted string literals
+   * @param {boolean} [config.numbers] - Mask numeric literals
+   * @param {boolean} [config.emails] - Mask email addresses anywhere in the text
+   * @param {Array<string>} [config.columns] - Columns whose values are always masked
+   * @param {Array<string>} [config.patterns] - Extra regular expressions to mask
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_REDACTION, ...config };
+    const columns = this.config.columns.map(escapeRegExp).join('|');
+    this.columnPattern = columns
+      ? new RegExp(
+        `((?:\`?\\w+\`?\\.)?\`?(?:${columns})\`?\\s*(?:=|<=>|!=|<>|\\bnot\\s+like\\b|\\blike\\b|\\bnot\\s+in\\b|\\bin\\b)\\s*)${VALUE}`,
+        'gi'
+      )
+      : null;
+    this.sensitiveColumns = new Set(this.config.columns.map(column => column.toLowerCase()));
+    this.patterns = this.config.patterns.map(pattern => new RegExp(pattern, 'gi'));
+  }
+
+  // INSERT INTO t (a, b) VALUES (...), (...): mask the positions of sensitive columns
+  redactInsertValues(sql) {
+    return sql.replace(/(\binsert\b[^(]*\(([^()]*)\)\s*values\s*)((?:\([^()]*\)\s*,?\s*)+)/gi, (match, head, columnList, tuples) => {
+      const positions = columnList
+        .split(',')
+        .map((column, index) => (this.sensitiveColumns.has(column.trim().replace(/`/g, '').toLowerCase()) ? index : -1))
+        .filter(index => index >= 0);
+      if (positions.length === 0) {
+        return match;
+      }
+      return head + tuples.replace(/\(([^()]*)\)/g, (tuple, body) => {
+        const values = splitTuple(body);
+        positions.forEach(index => {
+          if (index < values.length) {
+            values[index] = values[index].replace(/\S[\s\S]*\S|\S/, MASK);
+          }
+        });
+        return `(${values.join(',')})`;
+      });
+    });
+  }
+
+  /**
+   * @param {string} sql
+   * @param {Object} [options]
+   * @param {boolean} [options.numbers] - Override numeric masking, e.g. to keep EXPLAIN ANALYZE timings
+   * @returns {string} Redacted text; non-strings are returned unchanged
+   */
+  redact(sql, { numbers = this.config.numbers } = {}) {
+    if (typeof sql !== 'string') {
+      return sql;
+    }
+    let text = sql;
+    if (this.columnPattern) {
+      text = this.redactInsertValues(text).replace(this.columnPattern, `$1${MASK}`);
+    }
+    if (this.config.emails) {
+      text = text.replace(EMAIL, MASK);
+    }
+    this.patterns.forEach(pattern => {
+      text = text.replace(pattern, MASK);
+    });
+    if (this.config.strings) {
+      text = text.replace(STRING_LITERAL, MASK);
+    }
+    if (numbers) {
+      text = text.replace(NUMBER_LITERAL, MASK);
+    }
+    return text;
+  }
+}
+
+/**
+ * Redactor from a JSON file (see config/redaction.example.json); the defaults without one
+ * @param {string} [filePath]
+ */
+function loadRedactor(filePath) {
+  return new QueryRedactor(filePath ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {});
+}
+
+module.exports = {
+  MASK,
+  DEFAULT_REDACTION,
+  QueryRedactor,
+  loadRedactor
+};
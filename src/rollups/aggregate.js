@@ -0,0 +1,76 @@
+const { percentile } = require('../stats');
+const { AGGREGATES } = require('./resolutions');
+
+function floorToBucket(timestamp, bucketMs) {
+  return Math.floor(new Date(timestamp).getTime() / bucketMs) * bucketMs;
+}
+
+/**
+ * Aggregate raw rows into fixed-width buckets
+ * @param {Array<Object>} rows - Raw rows with a timestamp and numeric columns
+ * @param {Array<string>} columns - Columns to aggregate
+ * @param {number} bucketMs - Bucket width
+ * @returns {Array<Object>} { bucket_start (Date), sample_count, <column>_avg|_min|_max|_p95 }, oldest first
+ */
+function aggregateBuckets(rows, columns, bucketMs) {
+  const buckets = new Map();
+  rows.forEach(row => {
+    const start = floorToBucket(row.timestamp, bucketMs);
+    if (!buckets.has(start)) {
+      buckets.set(start, []);
+    }
+    buckets.get(start).push(row);
+  });
+
+  return Array.from(buckets.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([start, bucketRows]) => {
+      const bucket = { bucket_start: new Date(start), sample_count: bucketRows.length };
+
+      columns.forEach(column => {
+        const values = bucketRows
+          .map(row => row[column])
+          .filter(value => value !== null && value !== undefined)
+          .map(Number)
+          .sort((a, b) => a - b);
+
+        if (values.length === 0) {
+          AGGREGATES.forEach(aggregate => { bucket[`${column}_${aggregate}`] = null; });
+          return;
+        }
+
+        bucket[`${column}_avg`] = values.reduce((sum, value) => sum + value, 0) / values.length;
+        bucket[`${column}_min`] = values[0];
+        bucket[`${column}_max`] = values[values.length - 1];
+        bucket[`${column}_p95`] = percentile(values, 95);
+      });
+
+      return bucket;
+    });
+}
+
+/**
+ * Present rollup rows like raw rows so existing consumers keep working:
+ * <column> carries the average, the other aggregates stay alongside it.
+ * @param {Array<Object>} rows - Rollup table rows
+ * @param {Array<string>} columns - Aggregated columns
+ * @param {string} resolution - Resolution the rows come from
+ */
+function toSeriesRows(rows, columns, resolution) {
+  return rows.map(row => {
+    const series = { timestamp: row.bucket_start, sample_count: row.sample_count, resolution };
+    columns.forEach(column => {
+      series[column] = row[`${column}_avg`];
+      series[`${column}_min`] = row[`${column}_min`];
+      series[`${column}_max`] = row[`${column}_max`];
+      series[`${column}_p95`] = row[`${column}_p95`];
+    });
+    return series;
+  });
+}
+
+module.exports = {
+  floorToBucket,
+  aggregateBuckets,
+  toSeriesRows
+};
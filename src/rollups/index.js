@@ -0,0 +1,53 @@
+const {
+  MINUTE_MS,
+  HOUR_MS,
+  DAY_MS,
+  RESOLUTIONS,
+  ROLLUP_SOURCES,
+  AGGREGATES,
+  DEFAULT_RETENTION_DAYS,
+  pickResolution,
+  resolutionForBucket,
+  rollupTableName,
+  retentionFromEnv
+} = require('./resolutions');
+const { floorToBucket, aggregateBuckets, toSeriesRows } = require('./aggregate');
+const { MySqlRollupStore, MAX_SERIES_POINTS } = require('./mysql-rollup-store');
+
+/**
+ * One rollup and retention pass over every data source that has a rollup
+ * store. A failing source is logged and does not stop the others.
+ * @param {Array<Object>} dataSources
+ */
+async function runRollups(dataSources) {
+  for (const dataSource of dataSources) {
+    if (!dataSource || !dataSource.rollups) {
+      continue;
+    }
+    try {
+      await dataSource.rollups.run();
+    } catch (error) {
+      console.error('Error rolling up metrics:', error);
+    }
+  }
+}
+
+module.exports = {
+  MINUTE_MS,
+  HOUR_MS,
+  DAY_MS,
+  RESOLUTIONS,
+  ROLLUP_SOURCES,
+  AGGREGATES,
+  DEFAULT_RETENTION_DAYS,
+  MAX_SERIES_POINTS,
+  pickResolution,
+  resolutionForBucket,
+  rollupTableName,
+  retentionFromEnv,
+  floorToBucket,
+  aggregateBuckets,
+  toSeriesRows,
+  MySqlRollupStore,
+  runRollups
+};
@@ -0,0 +1,278 @@
+const {
+  RESOLUTIONS,
+  ROLLUP_SOURCES,
+  AGGREGATES,
+  DEFAULT_RETENTION_DAYS,
+  DAY_MS,
+  rollupTableName
+} = require('./resolutions');
+const { floorToBucket, aggregateBuckets, toSeriesRows } = require('./aggregate');
+
+// Most buckets aggregated per table in one pass, so catching up after
+// downtime is spread over several passes
+const MAX_BUCKETS_PER_PASS = 1440;
+
+// Most raw rows read per table in one pass, so a first pass over years of raw
+// rows (or a coarse resolution) is not held in memory at once. A pass still
+// covers at least one bucket.
+const MAX_ROWS_PER_PASS = 50000;
+
+// Rows deleted per statement and statements per table when pruning
+const PRUNE_BATCH_SIZE = 10000;
+const MAX_PRUNE_BATCHES = 10;
+
+// Most rollup rows returned for one series
+const MAX_SERIES_POINTS = 2000;
+
+/**
+ * Rollup tables (<source>_1m, _1h, _1d) in the same database as the raw
+ * tables, plus the retention policy that prunes them.
+ *
+ * Progress is tracked per table in rollup_state, so a bucket is aggregated
+ * once, after it has closed. Pushed rows that land behind that watermark move
+ * it back (see rewind), so their buckets are aggregated again. Raw rows are
+ * only pruned once every resolution has rolled them up.
+ */
+class MySqlRollupStore {
+  /**
+   * @param {Object} pool - mysql2/promise pool
+   * @param {Object} [options]
+   * @param {Object} [options.retention] - Days kept per resolution (raw, 1m, 1h, 1d); null keeps forever
+   * @param {number} [options.maxRowsPerPass] - Raw rows read per table in one pass
+   * @param {Function} [options.now] - Clock, injectable for tests
+   */
+  constructor(pool, { retention = DEFAULT_RETENTION_DAYS, maxRowsPerPass = MAX_ROWS_PER_PASS, now = () => Date.now() } = {}) {
+    this.pool = pool;
+    this.retention = retention;
+    this.maxRowsPerPass = maxRowsPerPass;
+    this.now = now;
+    this.schemaReady = false;
+  }
+
+  async ensureSchema() {
+    await this.pool.execute(`
+      CREATE TABLE IF NOT EXISTS rollup_state (
+        table_name VARCHAR(100) PRIMARY KEY,
+        rolled_until DATETIME NOT NULL
+      )
+    `);
+
+    for (const [source, columns] of Object.entries(ROLLUP_SOURCES)) {
+      const aggregateColumns = columns
+        .flatMap(column => AGGREGATES.map(aggregate => `${column}_${aggregate} DOUBLE NULL`))
+        .join(',\n        ');
+
+      for (const resolution of Object.keys(RESOLUTIONS)) {
+        await this.pool.execute(`
+      CREATE TABLE IF NOT EXISTS ${rollupTableName(source, resolution)} (
+        bucket_start DATETIME NOT NULL PRIMARY KEY,
+        sample_count INT NOT NULL,
+        ${aggregateColumns}
+      )
+    `);
+      }
+    }
+    this.schemaReady = true;
+  }
+
+  async getWatermark(table) {
+    const [rows] = await this.pool.execute('SELECT rolled_until FROM rollup_state WHERE table_name = ?', [table]);
+    return rows[0] ? new Date(rows[0].rolled_until).getTime() : null;
+  }
+
+  /**
+   * Aggregate closed buckets of one raw table at one resolution
+   * @returns {Promise<number>} Buckets written
+   */
+  async rollup(source, resolution) {
+    const { ms } = RESOLUTIONS[resolution];
+    const table = rollupTableName(source, resolution);
+    const columns = ROLLUP_SOURCES[source];
+
+    let start = await this.getWatermark(table);
+    if (start === null) {
+      const [[{ first }]] = await this.pool.execute(`SELECT MIN(timestamp) AS first FROM ${source}`);
+      if (!first) {
+        return 0;
+      }
+      start = floorToBucket(first, ms);
+    }
+
+    let end = Math.min(floorToBucket(this.now(), ms), start + MAX_BUCKETS_PER_PASS * ms);
+    if (end <= start) {
+      return 0;
+    }
+
+    // Stop at the bucket holding the first row past the cap; the next pass continues there
+    const [[next]] = await this.pool.execute(
+      `SELECT timestamp FROM ${source} WHERE timestamp >= ? AND timestamp < ? ORDER BY timestamp LIMIT 1 OFFSET ${parseInt(this.maxRowsPerPass)}`,
+      [new Date(start), new Date(end)]
+    );
+    if (next) {
+      end = Math.max(start + ms, floorToBucket(next.timestamp, ms));
+    }
+
+    const [rows] = await this.pool.execute(
+      `SELECT timestamp, ${columns.join(', ')} FROM ${source} WHERE timestamp >= ? AND timestamp < ? ORDER BY timestamp`,
+      [new Date(start), new Date(end)]
+    );
+    const buckets = aggregateBuckets(rows, columns, ms);
+
+    const fields = ['bucket_start', 'sample_count', ...columns.flatMap(column => AGGREGATES.map(aggregate => `${column}_${aggregate}`))];
+    for (const bucket of buckets) {
+      await this.pool.execute(
+        `INSERT INTO ${table} (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})
+         ON DUPLICATE KEY UPDATE ${fields.slice(1).map(field => `${field} = VALUES(${field})`).join(', ')}`,
+        fields.map(field => bucket[field])
+      );
+    }
+
+    // A rewind during this pass wins, so rows written behind the watermark meanwhile are not skipped
+    await this.pool.execute(
+      `INSERT INTO rollup_state (table_name, rolled_until) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE rolled_until = IF(rolled_until = ?, VALUES(rolled_until), rolled_until)`,
+      [table, new Date(end), new Date(start)]
+    );
+    return buckets.length;
+  }
+
+  /**
+   * Move a source's watermarks back to the buckets holding `since`, so rows
+   * written behind them are rolled up again on the next passes
+   * @param {string} source - Raw table, e.g. 'performance_metrics'
+   * @param {Date|number} since - Oldest timestamp written
+   */
+  async rewind(source, since) {
+    for (const resolution of Object.keys(RESOLUTIONS)) {
+      const bucketStart = new Date(floorToBucket(since, RESOLUTIONS[resolution].ms));
+      try {
+        await this.pool.execute(
+          'UPDATE rollup_state SET rolled_until = ? WHERE table_name = ? AND rolled_until > ?',
+          [bucketStart, rollupTableName(source, resolution), bucketStart]
+        );
+      } catch (error) {
+        // Before the first pass there is nothing to rewind; it starts from the oldest raw row
+        if (error.code !== 'ER_NO_SUCH_TABLE') {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Oldest timestamp a pushed row may have. Rolling its buckets up again must
+   * not lose rows, so every daily bucket from here on still has all its raw rows.
+   * @returns {number|null} Time in ms, or null when raw rows are kept forever
+   */
+  backfillCutoff() {
+    if (!this.retention.raw) {
+      return null;
+    }
+    return floorToBucket(this.now() - this.retention.raw * DAY_MS, DAY_MS) + DAY_MS;
+  }
+
+  async deleteOlderThan(table, column, cutoff) {
+    let deleted = 0;
+    for (let batch = 0; batch < MAX_PRUNE_BATCHES; batch++) {
+      const [result] = await this.pool.execute(
+        `DELETE FROM ${table} WHERE ${column} < ? LIMIT ${PRUNE_BATCH_SIZE}`,
+        [cutoff]
+      );
+      deleted += result.affectedRows;
+      if (result.affectedRows < PRUNE_BATCH_SIZE) {
+        break;
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Apply the retention policy
+   * @returns {Promise<Object>} Rows deleted per table
+   */
+  async prune() {
+    const deleted = {};
+    const now = this.now();
+
+    for (const source of Object.keys(ROLLUP_SOURCES)) {
+      if (this.retention.raw) {
+        // Never prune raw rows that some resolution has not rolled up yet
+        const watermarks = await Promise.all(
+          Object.keys(RESOLUTIONS).map(resolution => this.getWatermark(rollupTableName(source, resolution)))
+        );
+        const rolledUntil = watermarks.some(mark => mark === null) ? null : Math.min(...watermarks);
+        if (rolledUntil !== null) {
+          const cutoff = new Date(Math.min(now - this.retention.raw * DAY_MS, rolledUntil));
+          deleted[source] = await this.deleteOlderThan(source, 'timestamp', cutoff);
+        }
+      }
+
+      for (const resolution of Object.keys(RESOLUTIONS)) {
+        const days = this.retention[resolution];
+        if (days) {
+          const table = rollupTableName(source, resolution);
+          deleted[table] = await this.deleteOlderThan(table, 'bucket_start', new Date(now - days * DAY_MS));
+        }
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * One maintenance pass: create tables if needed, roll up every source at
+   * every resolution, then prune
+   */
+  async run() {
+    if (!this.schemaReady) {
+      await this.ensureSchema();
+    }
+
+    const written = {};
+    for (const source of Object.keys(ROLLUP_SOURCES)) {
+      for (const resolution of Object.keys(RESOLUTIONS)) {
+        written[rollupTableName(source, resolution)] = await this.rollup(source, resolution);
+      }
+    }
+    return { written, deleted: await this.prune() };
+  }
+
+  /**
+   * Rolled-up series shaped like raw rows (newest first, average in <column>).
+   * Buckets after the rollup watermark (the open bucket, or a backlog left for
+   * later passes) are aggregated from raw rows, so the newest data is never missing.
+   * @param {string} source - Raw table, e.g. 'performance_metrics'
+   * @param {string} resolution - '1m', '1h' or '1d'
+   * @param {Object} options - { since, until, limit }
+   */
+  async getSeries(source, resolution, { since, until = null, limit } = {}) {
+    const table = rollupTableName(source, resolution);
+    const columns = ROLLUP_SOURCES[source];
+    const maxRows = parseInt(limit) || MAX_SERIES_POINTS;
+    const untilSql = until ? ' AND bucket_start <= ?' : '';
+    const [rows] = await this.pool.execute(
+      `SELECT * FROM ${table} WHERE bucket_start >= ?${untilSql} ORDER BY bucket_start DESC LIMIT ?`,
+      [since, ...(until ? [until] : []), maxRows]
+    );
+    const series = toSeriesRows(rows, columns, resolution);
+
+    const watermark = await this.getWatermark(table);
+    const end = until ? new Date(until).getTime() : this.now();
+    if (watermark === null || watermark >= end) {
+      return series;
+    }
+
+    const start = Math.max(watermark, new Date(since).getTime());
+    const [raw] = await this.pool.execute(
+      `SELECT timestamp, ${columns.join(', ')} FROM ${source} WHERE timestamp >= ? AND timestamp <= ? ORDER BY timestamp`,
+      [new Date(start), new Date(end)]
+    );
+    const recent = toSeriesRows(aggregateBuckets(raw, columns, RESOLUTIONS[resolution].ms), columns, resolution).reverse();
+    return [...recent, ...series].slice(0, maxRows);
+  }
+}
+
+module.exports = {
+  MySqlRollupStore,
+  MAX_SERIES_POINTS
+};
@@ -0,0 +1,108 @@
+const { getTimeRangeMs } = require('../time-range');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Rollup resolutions, finest first
+const RESOLUTIONS = {
+  '1m': { ms: MINUTE_MS, suffix: '1m' },
+  '1h': { ms: HOUR_MS, suffix: '1h' },
+  '1d': { ms: DAY_MS, suffix: '1d' }
+};
+
+// Raw tables that are rolled up and the numeric columns aggregated for each
+const ROLLUP_SOURCES = {
+  performance_metrics: ['avg_response_time', 'queries_per_second', 'memory_usage', 'avg_execution_time', 'total_queries', 'slow_queries'],
+  system_health: ['cpu_usage', 'memory_total', 'memory_used', 'disk_usage', 'active_connections', 'cache_hit_ratio']
+};
+
+// Aggregates stored per column: <column>_avg, <column>_min, <column>_max, <column>_p95
+const AGGREGATES = ['avg', 'min', 'max', 'p95'];
+
+// How long each resolution is kept, in days (null keeps it forever). Raw rows
+// are kept until an operator sets RETENTION_RAW_DAYS, so upgrading never deletes data.
+const DEFAULT_RETENTION_DAYS = {
+  raw: null,
+  '1m': 30,
+  '1h': 365,
+  '1d': null
+};
+
+/*
+ * Resolution served for a range. The longest range each one covers keeps
+ * charts between ~60 and ~1500 points: raw samples for the last hour,
+ * minutes up to a day, hours up to a month, days beyond.
+ */
+const RESOLUTION_STEPS = [
+  { maxRangeMs: HOUR_MS, resolution: 'raw' },
+  { maxRangeMs: DAY_MS, resolution: '1m' },
+  { maxRangeMs: 31 * DAY_MS, resolution: '1h' },
+  { maxRangeMs: Infinity, resolution: '1d' }
+];
+
+/**
+ * Pick the resolution for a time range
+ * @param {string|number} range - Time range key such as '7d', or a length in ms
+ * @returns {string} 'raw', '1m', '1h' or '1d'
+ */
+function pickResolution(range) {
+  const rangeMs = typeof range === 'number' ? range : getTimeRangeMs(range);
+  if (!rangeMs) {
+    return 'raw';
+  }
+  return RESOLUTION_STEPS.find(step => rangeMs <= step.maxRangeMs).resolution;
+}
+
+/**
+ * Coarsest resolution that still divides a bucket width evenly, so bucketed
+ * series read as few rows as possible. Ranges short enough for raw samples
+ * keep reading them, since the newest rollup buckets lag behind.
+ * @param {number} bucketMs - Bucket width in ms
+ * @param {number} [rangeMs] - Length of the charted range in ms
+ * @returns {string} 'raw', '1m', '1h' or '1d'
+ */
+function resolutionForBucket(bucketMs, rangeMs) {
+  if (rangeMs !== undefined && pickResolution(rangeMs) === 'raw') {
+    return 'raw';
+  }
+  const fitting = Object.keys(RESOLUTIONS)
+    .filter(resolution => bucketMs % RESOLUTIONS[resolution].ms === 0);
+  return fitting.length ? fitting[fitting.length - 1] : 'raw';
+}
+
+function rollupTableName(source, resolution) {
+  return `${source}_${RESOLUTIONS[resolution].suffix}`;
+}
+
+/**
+ * Retention policy from RETENTION_RAW_DAYS, RETENTION_1M_DAYS, RETENTION_1H_DAYS
+ * and RETENTION_1D_DAYS; 0 keeps a resolution forever
+ * @param {Object} env - Usually process.env
+ * @returns {Object} Days per resolution, null for forever
+ */
+function retentionFromEnv(env) {
+  const retention = { ...DEFAULT_RETENTION_DAYS };
+  Object.keys(retention).forEach(resolution => {
+    const value = env[`RETENTION_${resolution.toUpperCase()}_DAYS`];
+    if (value !== undefined && value !== '') {
+      const days = Number(value);
+      retention[resolution] = Number.isFinite(days) && days > 0 ? days : null;
+    }
+  });
+  return retention;
+}
+
+module.exports = {
+  MINUTE_MS,
+  HOUR_MS,
+  DAY_MS,
+  RESOLUTIONS,
+  ROLLUP_SOURCES,
+  AGGREGATES,
+  DEFAULT_RETENTION_DAYS,
+  pickResolution,
+  resolutionForBucket,
+  rollupTableName,
+  retentionFromEnv
+};
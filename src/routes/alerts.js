@@ -0,0 +1,138 @@
+const express = require('express');
+const { METRICS, OPERATORS, SEVERITIES, validateRule } = require('../alerts');
+const { validateRequest } = require('../validation');
+
+/**
+ * Alert history and alert rule management, mounted under /api
+ * @param {Object} options
+ * @param {Object} options.store - Alert store
+ * @param {Object} options.engine - AlertEngine (acknowledge/resolve emit socket events)
+ * @param {Object} options.registry - SiteRegistry, used to validate rule sites
+ * @returns {express.Router}
+ */
+function createAlertsRouter({ store, engine, registry }) {
+  const router = express.Router();
+
+  function validateSite(rule, errors) {
+    if (rule.site && !registry.has(rule.site)) {
+      errors.push({ field: 'site', message: `Unknown site: ${rule.site}` });
+    }
+    return errors;
+  }
+
+  router.get('/alerts', validateRequest, async (req, res) => {
+    try {
+      const { state, site, limit } = req.validated;
+      res.json(await store.listAlerts({ state, site, limit }));
+    } catch (error) {
+      console.error('Error fetching alerts:', error);
+      res.status(500).json({ error: 'Failed to fetch alerts' });
+    }
+  });
+
+  router.post('/alerts/:id/acknowledge', validateRequest, async (req, res) => {
+    try {
+      const { id } = req.validated;
+      // Signed-in users acknowledge as themselves; acknowledged_by is kept for unauthenticated setups
+      const acknowledgedBy = req.user ? req.user.username : (req.body && req.body.acknowledged_by);
+      const alert = await engine.acknowledge(id, acknowledgedBy || null);
+      if (!alert) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      res.json(alert);
+    } catch (error) {
+      console.error('Error acknowledging alert:', error);
+      res.status(500).json({ error: 'Failed to acknowledge alert' });
+    }
+  });
+
+  router.post('/alerts/:id/resolve', validateRequest, async (req, res) => {
+    try {
+      const { id } = req.validated;
+      const alert = await engine.resolve(id);
+      if (!alert) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      res.json(alert);
+    } catch (error) {
+      console.error('Error resolving alert:', error);
+      res.status(500).json({ error: 'Failed to resolve alert' });
+    }
+  });
+
+  // Metrics, operators and severities a rule can use
+  router.get('/alert-rules/options', validateRequest, (req, res) => {
+    res.json({
+      metrics: Object.entries(METRICS).map(([id, metric]) => ({
+        id,
+        label: metric.label,
+        unit: metric.unit,
+        aggregate: metric.aggregate || null
+      })),
+      operators: Object.keys(OPERATORS),
+      severities: SEVERITIES
+    });
+  });
+
+  router.get('/alert-rules', validateRequest, async (req, res) => {
+    try {
+      res.json(await store.listRules());
+    } catch (error) {
+      console.error('Error fetching alert rules:', error);
+      res.status(500).json({ error: 'Failed to fetch alert rules' });
+    }
+  });
+
+  router.post('/alert-rules', validateRequest, async (req, res) => {
+    try {
+      const rule = req.body || {};
+      const errors = validateSite(rule, validateRule(rule));
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+      }
+
+      res.status(201).json(await store.createRule(rule));
+    } catch (error) {
+      console.error('Error creating alert rule:', error);
+      res.status(500).json({ error: 'Failed to create alert rule' });
+    }
+  });
+
+  router.put('/alert-rules/:id', validateRequest, async (req, res) => {
+    try {
+      const { id } = req.validated;
+      const existing = await store.getRule(id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+      }
+
+      const changes = req.body || {};
+      const errors = validateSite(changes, validateRule({ ...existing, ...changes }));
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+      }
+
+      res.json(await store.updateRule(id, changes));
+    } catch (error) {
+      console.error('Error updating alert rule:', error);
+      res.status(500).json({ error: 'Failed to update alert rule' });
+    }
+  });
+
+  router.delete('/alert-rules/:id', validateRequest, async (req, res) => {
+    try {
+      const { id } = req.validated;
+      if (!(await store.deleteRule(id))) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+      }
+      res.status(204).end();
+    } catch (error) {
+      console.error('Error deleting alert rule:', error);
+      res.status(500).json({ error: 'Failed to delete alert rule' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAlertsRouter };
@@ -0,0 +1,59 @@
+const express = require('express');
+const { validateAnnotation } = require('../annotations');
+const { parseIsoDate } = require('../time-range');
+const { validateRequest } = require('../validation');
+
+/**
+ * Deploy and release annotations, mounted under /api. CI jobs and WordPress
+ * hooks post them with an API key; the dashboard draws them on its charts.
+ * @param {Object} options
+ * @param {Object} options.store - Annotation store
+ * @param {Object} options.registry - SiteRegistry, used to validate sites
+ * @returns {express.Router}
+ */
+function createAnnotationsRouter({ store, registry }) {
+  const router = express.Router();
+
+  router.get('/annotations', validateRequest, async (req, res) => {
+    try {
+      const site = req.validated.site || registry.defaultSiteId;
+      if (!registry.has(site)) {
+        return res.status(404).json({ error: `Unknown site: ${site}` });
+      }
+      res.json(await store.listAnnotations({ site, timeRange: req.timeRange, limit: req.validated.limit }));
+    } catch (error) {
+      console.error('Error fetching annotations:', error);
+      res.status(500).json({ error: 'Failed to fetch annotations' });
+    }
+  });
+
+  router.post('/annotations', validateRequest, async (req, res) => {
+    try {
+      const annotation = req.body || {};
+      const errors = validateAnnotation(annotation);
+      const site = annotation.site || registry.defaultSiteId;
+      if (typeof site === 'string' && !registry.has(site)) {
+        errors.push({ field: 'site', message: `Unknown site: ${site}` });
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid annotation', details: errors });
+      }
+
+      res.status(201).json(await store.createAnnotation({
+        site,
+        type: annotation.type,
+        message: annotation.message.trim(),
+        plugin_name: annotation.plugin_name || null,
+        timestamp: annotation.timestamp ? parseIsoDate(annotation.timestamp) : new Date(),
+        created_by: req.user ? req.user.username : null
+      }));
+    } catch (error) {
+      console.error('Error creating annotation:', error);
+      res.status(500).json({ error: 'Failed to create annotation' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAnnotationsRouter };
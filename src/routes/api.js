@@ -0,0 +1,299 @@
+const express = require('express');
+const { getFleetOverview } = require('../fleet');
+const { readGroupableSlowQueries, groupSlowQueries } = require('../query-fingerprint');
+const { explainableError, adviseIndexes } = require('../index-advisor');
+const { resolutionForBucket, ROLLUP_SOURCES } = require('../rollups/resolutions');
+const { getTimeRangeBounds } = require('../time-range');
+const { MAX_BUCKET_ROWS, parseBucket, bucketSeries } = require('../series');
+const { detectAnomalies } = require('../anomalies');
+const { parseComparisonWindows, compareWindows } = require('../comparison');
+const { QueryRedactor } = require('../redaction');
+const { hasRole } = require('../auth/roles');
+const { EXPORT_DATASETS, exportFilename, streamExport } = require('../export');
+const { validateRequest } = require('../validation');
+const { ALL_SITES, cacheResponse } = require('../cache');
+
+// Seconds a response may be reused; the cache is also cleared when a site receives data
+const CACHE_TTLS = {
+  realtime: 5,
+  health: 10,
+  data: 15,
+  plugins: 30,
+  anomalies: 60
+};
+
+/**
+ * Wrap a data-source call in the shared route boilerplate: pick up the
+ * request's data source, reject when none is available and map failures to 500.
+ * @param {string} label - Human readable name used in logs and error messages
+ * @param {Function} handler - (dataSource, req) => Promise<payload>
+ */
+function dataSourceRoute(label, handler) {
+  return async (req, res) => {
+    try {
+      const dataSource = req.dataSource;
+      if (!dataSource) {
+        return res.status(400).json({ error: 'Database not available' });
+      }
+
+      res.json(await handler(dataSource, req));
+    } catch (error) {
+      console.error(`Error fetching ${label}:`, error);
+      res.status(500).json({ error: `Failed to fetch ${label}` });
+    }
+  };
+}
+
+/**
+ * Slow query text is redacted unless an admin asks for `?raw=true`. Sets
+ * `req.redact` to the function responses must pass query text through.
+ * @param {QueryRedactor} redactor
+ */
+function withRedaction(redactor) {
+  return (req, res, next) => {
+    if (req.validated.raw) {
+      if (!hasRole(req.user, 'admin')) {
+        return res.status(403).json({ error: 'Raw query text is only available to admins' });
+      }
+      req.redact = sql => sql;
+    } else {
+      req.redact = (sql, options) => redactor.redact(sql, options);
+    }
+    next();
+  };
+}
+
+async function* redactQueryRows(rows, redact) {
+  for await (const row of rows) {
+    yield { ...row, query_text: redact(row.query_text) };
+  }
+}
+
+/**
+ * Dashboard data routes, mounted under /api. Each request is bound to a data source once by
+ * `resolveDataSource`, so routes never need to know which backend serves them.
+ * @param {Object} options
+ * @param {Function} options.resolveDataSource - (req) => data source or null
+ * @param {Object} options.registry - SiteRegistry listing the monitored sites
+ * @param {QueryRedactor} [options.redactor] - Masks personal data in slow query text
+ * @param {Object} [options.cache] - Response cache (src/cache); responses are not cached without one
+ * @param {Object} [options.annotations] - Annotation store, for the annotations export
+ * @returns {express.Router}
+ */
+function createApiRouter({ resolveDataSource, registry, redactor = new QueryRedactor(), cache = null, annotations = null }) {
+  const router = express.Router();
+  const redaction = withRedaction(redactor);
+
+  // Entries are dropped per site, so demo data is kept apart from the site the request named
+  const siteScope = req => (req.dataSource && req.dataSource.demoMode ? 'demo' : req.validated.site || registry.defaultSiteId);
+  const cached = (ttl, scope = siteScope) => (cache ? cacheResponse({ cache, ttl, scope }) : (req, res, next) => next());
+
+  router.use((req, res, next) => {
+    try {
+      req.dataSource = resolveDataSource(req);
+    } catch (error) {
+      // Unknown sites carry a status; anything else is unexpected
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      return next(error);
+    }
+    next();
+  });
+
+  // Monitored sites for the site picker (no credentials)
+  router.get('/sites', validateRequest, (req, res) => {
+    res.json(registry.listSites());
+  });
+
+  // Long ranges come from rollup tables where available; `resolution` (raw, 1m, 1h, 1d) overrides the choice.
+  // `bucket` (e.g. 5m) returns an evenly spaced series with empty buckets kept as nulls.
+  router.get('/metrics', validateRequest, cached(CACHE_TTLS.data), dataSourceRoute('metrics', async (dataSource, req) => {
+    const { limit, resolution, bucket } = req.validated;
+    if (bucket === undefined) {
+      return dataSource.getMetrics({ timeRange: req.timeRange, limit, resolution });
+    }
+
+    const bucketMs = parseBucket(bucket);
+    const bounds = getTimeRangeBounds(req.timeRange);
+    const rows = await dataSource.getMetrics({
+      timeRange: req.timeRange,
+      limit: MAX_BUCKET_ROWS,
+      resolution: resolution || resolutionForBucket(bucketMs, bounds ? bounds.to - bounds.from : undefined)
+    });
+    return bucketSeries(rows, ROLLUP_SOURCES.performance_metrics, {
+      ...bounds,
+      bucketMs
+    });
+  }));
+
+  router.get('/slow-queries', validateRequest, redaction, cached(CACHE_TTLS.data), dataSourceRoute('slow queries', async (dataSource, req) => {
+    const rows = await dataSource.getSlowQueries({
+      timeRange: req.timeRange,
+      limit: req.validated.limit
+    });
+    return rows.map(row => ({ ...row, query_text: req.redact(row.query_text) }));
+  }));
+
+  // Slow queries grouped by normalized fingerprint; each group says whether the range had more rows than were grouped
+  router.get('/slow-queries/grouped', validateRequest, redaction, cached(CACHE_TTLS.data), dataSourceRoute('slow query groups', async (dataSource, req) => {
+    const { rows, truncated } = await readGroupableSlowQueries(dataSource, req.timeRange);
+    return groupSlowQueries(rows, { sort: req.validated.sort, limit: req.validated.limit })
+      .map(group => ({ ...group, sample_query: req.redact(group.sample_query), truncated }));
+  }));
+
+  // EXPLAIN plan and index advice for one captured slow query (local/demo MySQL only)
+  router.get('/slow-queries/:id/explain', validateRequest, redaction, async (req, res) => {
+    const dataSource = req.dataSource;
+    if (!dataSource) {
+      return res.status(400).json({ error: 'Database not available' });
+    }
+    if (!dataSource.allowExplain || !dataSource.explainQuery) {
+      return res.status(400).json({ error: 'EXPLAIN is only available for local or demo MySQL sources' });
+    }
+
+    try {
+      const { id } = req.validated;
+      const query = await dataSource.getSlowQuery(id);
+      if (!query) {
+        return res.status(404).json({ error: 'Slow query not found' });
+      }
+
+      const unsafe = explainableError(query.query_text);
+      if (unsafe) {
+        return res.status(400).json({ error: unsafe });
+      }
+
+      const { version, plan, analyze } = await dataSource.explainQuery(query.query_text, {
+        analyze: req.validated.analyze
+      });
+
+      // EXPLAIN needs the real statement; only the response is redacted
+      const advice = adviseIndexes({ sql: query.query_text, plan });
+      res.json({
+        id,
+        query_text: req.redact(query.query_text),
+        mysql_version: version,
+        plan,
+        // Keep the row counts and timings, mask the filter values
+        analyze: analyze && req.redact(analyze, { numbers: false }),
+        ...advice,
+        notes: advice.notes.map(note => req.redact(note))
+      });
+    } catch (error) {
+      // SQL errors (missing tables, syntax) are a property of the captured query
+      if (error.sqlMessage) {
+        return res.status(422).json({ error: `EXPLAIN failed: ${error.sqlMessage}` });
+      }
+      console.error('Error explaining slow query:', error);
+      res.status(500).json({ error: 'Failed to explain slow query' });
+    }
+  });
+
+  router.get('/admin-ajax', validateRequest, cached(CACHE_TTLS.data), dataSourceRoute('admin-ajax data', (dataSource, req) =>
+    dataSource.getAdminAjax({
+      timeRange: req.timeRange,
+      limit: req.validated.limit
+    })
+  ));
+
+  router.get('/plugins', validateRequest, cached(CACHE_TTLS.plugins), dataSourceRoute('plugin data', (dataSource, req) =>
+    dataSource.getPlugins({
+      timeRange: req.timeRange,
+      limit: req.validated.limit,
+      includeInactive: req.validated.includeInactive
+    })
+  ));
+
+  // Real-time metrics endpoint
+  router.get('/realtime-metrics', validateRequest, cached(CACHE_TTLS.realtime), dataSourceRoute('realtime metrics', (dataSource) =>
+    dataSource.getRealtimeMetrics()
+  ));
+
+  // System health endpoint
+  router.get('/system-health', validateRequest, cached(CACHE_TTLS.health), dataSourceRoute('system health', (dataSource, req) =>
+    dataSource.getSystemHealth({
+      timeRange: req.timeRange
+    })
+  ));
+
+  // Statistically unusual points; `metric` takes a comma-separated list and defaults to every metric
+  router.get('/anomalies', validateRequest, cached(CACHE_TTLS.anomalies), dataSourceRoute('anomalies', async (dataSource, req) => {
+    const options = {
+      metrics: req.validated.metric,
+      timeRange: req.timeRange,
+      model: req.validated.model,
+      threshold: req.validated.threshold
+    };
+    return { ...options, anomalies: await detectAnomalies({ dataSource, ...options }) };
+  }));
+
+  // Before/after deltas between a baseline and a comparison window; slow query text is redacted as on /slow-queries
+  router.get('/compare', validateRequest, redaction, cached(CACHE_TTLS.data), dataSourceRoute('comparison', (dataSource, req) => {
+    const { baseline, comparison } = parseComparisonWindows(req.validated);
+    return compareWindows(dataSource, {
+      baseline,
+      comparison,
+      threshold: req.validated.threshold,
+      limit: req.validated.limit,
+      redact: req.redact
+    });
+  }));
+
+  // Streamed download of one table's rows: `format` is csv (default), json or ndjson and
+  // timeRange/limit filter as on the data routes, with up to MAX_EXPORT_ROWS rows by default.
+  // Slow query text is redacted exactly as on /slow-queries.
+  router.get('/export/:dataset', (req, res, next) => {
+    if (!EXPORT_DATASETS[req.params.dataset] || (req.params.dataset === 'annotations' && !annotations)) {
+      return res.status(404).json({ error: `Unknown export: ${req.params.dataset}` });
+    }
+    next();
+  }, validateRequest, redaction, async (req, res) => {
+    const { dataset } = req.params;
+    const table = EXPORT_DATASETS[dataset];
+    const dataSource = req.dataSource;
+    // Annotations belong to the site, whichever database its data is read from
+    if (table === 'annotations') {
+      const site = req.validated.site || registry.defaultSiteId;
+      try {
+        const rows = annotations.streamAnnotations({ site, timeRange: req.timeRange, limit: req.validated.limit });
+        return await streamExport(res, rows, { format: req.validated.format, filename: exportFilename(dataset, site) });
+      } catch (error) {
+        console.error(`Error exporting ${dataset}:`, error);
+        return res.status(500).json({ error: `Failed to export ${dataset}` });
+      }
+    }
+    if (!dataSource) {
+      return res.status(400).json({ error: 'Database not available' });
+    }
+
+    try {
+      const rows = dataSource.streamRows(table, {
+        timeRange: req.timeRange,
+        limit: req.validated.limit,
+        includeInactive: req.validated.includeInactive
+      });
+      await streamExport(res, table === 'slow_queries' ? redactQueryRows(rows, req.redact) : rows, {
+        format: req.validated.format,
+        filename: exportFilename(dataset, dataSource.demoMode ? 'demo' : req.validated.site || registry.defaultSiteId)
+      });
+    } catch (error) {
+      console.error(`Error exporting ${dataset}:`, error);
+      res.status(500).json({ error: `Failed to export ${dataset}` });
+    }
+  });
+
+  // Health roll-up across every monitored site
+  router.get('/fleet', validateRequest, cached(CACHE_TTLS.data, () => ALL_SITES), async (req, res) => {
+    try {
+      res.json(await getFleetOverview({ registry, resolveDataSource, query: req.query, timeRange: req.timeRange }));
+    } catch (error) {
+      console.error('Error fetching fleet overview:', error);
+      res.status(500).json({ error: 'Failed to fetch fleet overview' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter, dataSourceRoute };
@@ -0,0 +1,196 @@
+const express = require('express');
+const { SESSION_COOKIE, hasRole, parseCookies, validateApiKey, validateUser } = require('../auth');
+const { validateRequest } = require('../validation');
+
+function cookieOptions(req) {
+  return { httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/' };
+}
+
+/**
+ * Login sessions, user management, API keys and the audit log, mounted under /api.
+ * Access to each route is decided by the authorize middleware (see ACCESS_RULES).
+ * @param {Object} options
+ * @param {AuthService} options.auth
+ * @returns {express.Router}
+ */
+function createAuthRouter({ auth }) {
+  const router = express.Router();
+
+  router.post('/auth/login', validateRequest, async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ error: 'username and password are required' });
+      }
+
+      const retryAfter = auth.loginRetryAfter(username);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Too many failed logins, try again later' });
+      }
+
+      const session = await auth.login(username, password);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+
+      res.cookie(SESSION_COOKIE, session.token, { ...cookieOptions(req), maxAge: auth.sessionTtlMs });
+      res.json({ user: session.user, expires_at: session.expires_at });
+    } catch (error) {
+      console.error('Error logging in:', error);
+      res.status(500).json({ error: 'Failed to log in' });
+    }
+  });
+
+  router.post('/auth/logout', validateRequest, async (req, res) => {
+    try {
+      await auth.logout(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+      res.clearCookie(SESSION_COOKIE, cookieOptions(req));
+      res.status(204).end();
+    } catch (error) {
+      console.error('Error logging out:', error);
+      res.status(500).json({ error: 'Failed to log out' });
+    }
+  });
+
+  router.get('/auth/me', validateRequest, (req, res) => {
+    res.json(req.user);
+  });
+
+  router.get('/users', validateRequest, async (req, res) => {
+    try {
+      res.json(await auth.listUsers());
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      res.status(500).json({ error: 'Failed to fetch users' });
+    }
+  });
+
+  router.post('/users', validateRequest, async (req, res) => {
+    try {
+      const user = { role: 'viewer', ...(req.body || {}) };
+      const errors = validateUser(user);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid user', details: errors });
+      }
+
+      res.status(201).json(await auth.createUser(user));
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'Username already exists' });
+      }
+      console.error('Error creating user:', error);
+      res.status(500).json({ error: 'Failed to create user' });
+    }
+  });
+
+  router.put('/users/:id', validateRequest, async (req, res) => {
+    try {
+      const { id } = req.validated;
+      const { password, role } = req.body || {};
+      const errors = validateUser({ password, role }, { partial: true });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid user', details: errors });
+      }
+
+      const existing = await auth.getUser(id);
+      if (!existing) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      // Keep at least one account that can manage users
+      if (existing.role === 'admin' && role && role !== 'admin' && await auth.countAdmins() <= 1) {
+        return res.status(409).json({ error: 'Cannot demote the last admin' });
+      }
+
+      res.json(await auth.updateUser(id, { password, role }));
+    } catch (error) {
+      console.error('Error updating user:', error);
+      res.status(500).json({ error: 'Failed to update user' });
+    }
+  });
+
+  router.delete('/users/:id', validateRequest, async (req, res) => {
+    try {
+      const { id } = req.validated;
+      if (req.user.type === 'session' && req.user.id === id) {
+        return res.status(409).json({ error: 'Cannot delete your own account' });
+      }
+      const existing = await auth.getUser(id);
+      if (!existing) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (existing.role === 'admin' && await auth.countAdmins() <= 1) {
+        return res.status(409).json({ error: 'Cannot delete the last admin' });
+      }
+
+      await auth.deleteUser(id);
+      res.status(204).end();
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      res.status(500).json({ error: 'Failed to delete user' });
+    }
+  });
+
+  // Admins see every key, other users their own
+  router.get('/keys', validateRequest, async (req, res) => {
+    try {
+      const userId = hasRole(req.user, 'admin') ? undefined : req.user.id;
+      res.json(await auth.listApiKeys({ userId }));
+    } catch (error) {
+      console.error('Error fetching API keys:', error);
+      res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+  });
+
+  // The plaintext key is only returned in this response
+  router.post('/keys', validateRequest, async (req, res) => {
+    try {
+      const { name, scopes, expires_in_days: expiresInDays } = req.body || {};
+      const errors = validateApiKey({ name, scopes, expires_in_days: expiresInDays }, req.user);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid API key', details: errors });
+      }
+
+      res.status(201).json(await auth.createApiKey({
+        user: req.user,
+        name: name.trim(),
+        scopes: [...new Set(scopes)],
+        expiresInDays
+      }));
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      res.status(500).json({ error: 'Failed to create API key' });
+    }
+  });
+
+  // Revoked keys stay listed so audit entries keep pointing at them
+  router.delete('/keys/:id', validateRequest, async (req, res) => {
+    try {
+      const { id } = req.validated;
+      const apiKey = await auth.getApiKey(id);
+      if (!apiKey || apiKey.revoked_at || (apiKey.user_id !== req.user.id && !hasRole(req.user, 'admin'))) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+
+      await auth.revokeApiKey(id);
+      res.status(204).end();
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+  });
+
+  router.get('/audit-log', validateRequest, async (req, res) => {
+    try {
+      const { username, api_key_id: apiKeyId, limit } = req.validated;
+      res.json(await auth.listAuditLog({ username, apiKeyId, limit }));
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const express = require('express');
+const {
+  validateOtlpRequest,
+  mapOtlpMetrics,
+  validateIngestBatch,
+  batchTables,
+  createIngestToken,
+  verifyIngestToken,
+  MemoryIngestStore,
+  IngestLimiter,
+  DEFAULT_TOKEN_DAYS,
+  MAX_TOKEN_DAYS
+} = require('../ingest');
+const { validateRequest } = require('../validation');
+
+// A claimed Idempotency-Key with no response after this long belongs to a request that died
+const STALE_CLAIM_MS = 60 * 1000;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(String(req.headers.authorization || '').trim());
+  return match ? match[1] : null;
+}
+
+/**
+ * Pushed data, mounted under /api. Agents export OTLP/HTTP JSON metrics to
+ * /api/otlp/v1/metrics, and the WordPress plugin posts batches to /api/ingest
+ * with a per-site signed token; rows are written to the site's own MySQL
+ * tables, so the dashboard reads them like any other data.
+ * @param {Object} options
+ * @param {Object} options.registry - SiteRegistry; only sites with `ingest` set accept data
+ * @param {Object} [options.store] - Idempotency store (src/ingest)
+ * @param {IngestLimiter} [options.limiter] - Per-site backpressure for /api/ingest
+ * @param {Function} [options.onIngest] - (siteId) => void, called once rows were written for a site
+ * @param {Function} [options.now]
+ * @returns {express.Router}
+ */
+function createIngestRouter({
+  registry,
+  store = new MemoryIngestStore(),
+  limiter = new IngestLimiter(),
+  onIngest = () => {},
+  now = () => Date.now()
+}) {
+  const router = express.Router();
+
+  // Admin only (default access rule); the token is only returned in this response
+  router.post('/sites/:id/ingest-tokens', validateRequest, (req, res) => {
+    if (!registry.has(req.params.id)) {
+      return res.status(404).json({ error: `Unknown site: ${req.params.id}` });
+    }
+    const secret = registry.ingestSecret(req.params.id);
+    if (!secret) {
+      return res.status(409).json({ error: `Site ${req.params.id} has no ingest secret configured` });
+    }
+    const { expires_in_days: expiresInDays = DEFAULT_TOKEN_DAYS } = req.body || {};
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_TOKEN_DAYS) {
+      return res.status(400).json({
+        error: 'Invalid ingest token request',
+        details: [{ field: 'expires_in_days', message: `Must be a whole number of days between 1 and ${MAX_TOKEN_DAYS}` }]
+      });
+    }
+
+    const issuedAt = now();
+    const expiresAt = new Date(issuedAt + expiresInDays * DAY_MS);
+    res.status(201).json({
+      site: req.params.id,
+      token: createIngestToken({ site: req.params.id, secret, expiresAt, now: issuedAt }),
+      expires_at: expiresAt.toISOString()
+    });
+  });
+
+  router.post('/ingest', validateRequest, async (req, res) => {
+    const site = verifyIngestToken(bearerToken(req), siteId => registry.ingestSecret(siteId), now());
+    if (!site) {
+      return res.status(401).json({ error: 'Invalid or expired ingest token' });
+    }
+    const retryAfter = limiter.acquire(site);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many ingest batches; retry later' });
+    }
+
+    try {
+      if (!req.is('application/json')) {
+        return res.status(415).json({ error: 'Ingest batches must be sent as JSON' });
+      }
+      const key = req.get('Idempotency-Key');
+      const errors = !key || key.length > MAX_IDEMPOTENCY_KEY_LENGTH
+        ? [{ field: 'Idempotency-Key', message: `Header is required (at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters)` }]
+        : [];
+      const dataSource = registry.getDataSource(site);
+      errors.push(...validateIngestBatch(req.body, now(), { oldestTimestamp: table => dataSource.backfillCutoff(table) }));
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid ingest batch', details: errors });
+      }
+
+      const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body)).digest('hex');
+      const existing = await store.claimBatch({
+        site,
+        key,
+        requestHash,
+        receivedAt: new Date(now()),
+        staleBefore: new Date(now() - STALE_CLAIM_MS)
+      });
+      if (existing) {
+        if (existing.request_hash !== requestHash) {
+          return res.status(422).json({ error: 'Idempotency-Key was already used for a different batch' });
+        }
+        if (existing.status === null) {
+          res.set('Retry-After', '1');
+          return res.status(409).json({ error: 'A batch with this Idempotency-Key is still being processed' });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.status).json(existing.response);
+      }
+
+      const tables = batchTables(req.body);
+      try {
+        await dataSource.insertBatches(tables);
+      } catch (error) {
+        await store.releaseBatch(site, key);
+        throw error;
+      }
+
+      onIngest(site);
+
+      const accepted = {};
+      tables.forEach(({ section, rows }) => {
+        accepted[section] = rows.length;
+      });
+      const response = { site, accepted };
+      await store.completeBatch(site, key, { status: 200, response });
+      res.json(response);
+    } catch (error) {
+      console.error('Error ingesting batch:', error);
+      res.status(500).json({ error: 'Failed to ingest batch' });
+    } finally {
+      limiter.release(site);
+    }
+  });
+
+  router.post('/otlp/v1/metrics', validateRequest, async (req, res) => {
+    if (!req.is('application/json')) {
+      return res.status(415).json({ error: 'Only OTLP/HTTP JSON is supported; set the exporter protocol to http/json' });
+    }
+    const errors = validateOtlpRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid OTLP payload', details: errors });
+    }
+
+    const { batches, rejected, errors: pointErrors } = mapOtlpMetrics(req.body, {
+      defaultSite: req.validated.site || registry.defaultSiteId,
+      // Points older than a site can still roll up are dropped like malformed ones
+      oldestTimestamp: (site, table) => (registry.has(site) && registry.getSite(site).ingest
+        ? registry.getDataSource(site).backfillCutoff(table)
+        : null)
+    });
+
+    // Refuse the whole export before writing anything when a site cannot take it
+    for (const { site } of batches) {
+      if (!registry.has(site)) {
+        return res.status(404).json({ error: `Unknown site: ${site}` });
+      }
+      if (!registry.getSite(site).ingest) {
+        return res.status(409).json({ error: `Site ${site} does not accept pushed data` });
+      }
+    }
+
+    // Each site's tables are written in one transaction, like a signed ingest batch
+    const tablesBySite = new Map();
+    batches.forEach(({ site, table, rows }) => {
+      tablesBySite.set(site, [...(tablesBySite.get(site) || []), { table, rows }]);
+    });
+
+    const written = new Set();
+    try {
+      for (const [site, tables] of tablesBySite) {
+        await registry.getDataSource(site).insertBatches(tables);
+        written.add(site);
+      }
+    } catch (error) {
+      console.error('Error ingesting OTLP metrics:', error);
+      return res.status(500).json({ error: 'Failed to ingest metrics' });
+    } finally {
+      // Sites written before a failure still have new rows
+      written.forEach(site => onIngest(site));
+    }
+
+    // ExportMetricsServiceResponse: partialSuccess only when data points were dropped
+    res.json(rejected > 0
+      ? { partialSuccess: { rejectedDataPoints: rejected, errorMessage: pointErrors.join('; ') } }
+      : {});
+  });
+
+  return router;
+}
+
+module.exports = { createIngestRouter };
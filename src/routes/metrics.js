@@ -0,0 +1,26 @@
+const express = require('express');
+const { CONTENT_TYPE } = require('../prometheus');
+
+/**
+ * Prometheus scrape endpoint, mounted at the root as /metrics
+ * @param {Object} options
+ * @param {MetricsCollector} options.collector
+ * @returns {express.Router}
+ */
+function createMetricsRouter({ collector }) {
+  const router = express.Router();
+
+  router.get('/metrics', async (req, res) => {
+    try {
+      const body = await collector.render();
+      res.set('Content-Type', CONTENT_TYPE).send(body);
+    } catch (error) {
+      console.error('Error collecting metrics:', error);
+      res.status(500).json({ error: 'Failed to collect metrics' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMetricsRouter };
@@ -0,0 +1,23 @@
+const express = require('express');
+const { API_ROUTES, buildOpenApiSpec, validateRequest } = require('../validation');
+const { version } = require('../../package.json');
+
+/**
+ * The OpenAPI document for /api, mounted under /api. It is built once from the
+ * route declarations; /api-explorer.html renders it.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.routes=API_ROUTES]
+ * @returns {express.Router}
+ */
+function createOpenApiRouter({ routes = API_ROUTES } = {}) {
+  const router = express.Router();
+  const spec = buildOpenApiSpec(routes, { version });
+
+  router.get('/openapi.json', validateRequest, (req, res) => {
+    res.json(spec);
+  });
+
+  return router;
+}
+
+module.exports = { createOpenApiRouter };
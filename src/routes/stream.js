@@ -0,0 +1,29 @@
+const express = require('express');
+const { validateRequest } = require('../validation');
+
+/**
+ * Server-Sent Events fallback for the real-time socket events, mounted under /api
+ * @param {Object} options
+ * @param {Object} options.streams - EventStreams
+ * @param {Object} options.registry - SiteRegistry
+ * @returns {express.Router}
+ */
+function createStreamRouter({ streams, registry }) {
+  const router = express.Router();
+
+  router.get('/stream', validateRequest, (req, res) => {
+    const site = req.validated.site || registry.defaultSiteId;
+    if (!registry.has(site)) {
+      return res.status(404).json({ error: `Unknown site: ${site}` });
+    }
+
+    // EventSource sends Last-Event-ID when it reconnects; the query parameter is for the first connection
+    const header = req.get('Last-Event-ID');
+    const lastEventId = header !== undefined ? Number(header) : req.validated.lastEventId;
+    streams.open(req, res, { site, lastEventId });
+  });
+
+  return router;
+}
+
+module.exports = { createStreamRouter };
@@ -0,0 +1,110 @@
+const { floorToBucket } = require('./rollups');
+
+const BUCKET_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+const MIN_BUCKET_MS = 10 * 1000;
+
+// Most points in one bucketed series, and most rows read to build it
+const MAX_BUCKETS = 2000;
+const MAX_BUCKET_ROWS = 50000;
+
+/**
+ * Width of a `bucket` parameter such as '30s', '5m', '1h' or '1d'
+ * @param {string} value
+ * @returns {number|null} Milliseconds, or null when the value is not a bucket width
+ */
+function parseBucket(value) {
+  const match = /^(\d+)([smhd])$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const ms = Number(match[1]) * BUCKET_UNITS[match[2]];
+  return ms >= MIN_BUCKET_MS ? ms : null;
+}
+
+/**
+ * Check a bucket width against a range
+ * @param {string} bucket - Bucket parameter
+ * @param {{from: number, to: number}} bounds - Range in ms
+ * @returns {Array<Object>} Validation errors as { field, message }; empty when valid
+ */
+function validateBucket(bucket, bounds) {
+  const bucketMs = parseBucket(bucket);
+  if (!bucketMs) {
+    return [{ field: 'bucket', message: 'bucket must be a width such as 30s, 5m, 1h or 1d (at least 10s)' }];
+  }
+  const count = Math.ceil((bounds.to - floorToBucket(bounds.from, bucketMs)) / bucketMs);
+  if (count > MAX_BUCKETS) {
+    return [{ field: 'bucket', message: `bucket ${bucket} gives ${count} points for this range; the maximum is ${MAX_BUCKETS}` }];
+  }
+  return [];
+}
+
+/**
+ * Evenly spaced series over a range: rows are averaged into fixed-width
+ * buckets and buckets without rows are kept with null values, so charts show
+ * gaps instead of joining distant points. Rollup rows are weighted by their
+ * sample_count.
+ * @param {Array<Object>} rows - Raw or rollup rows with a timestamp
+ * @param {Array<string>} columns - Columns to average
+ * @param {Object} options
+ * @param {number} options.from - Range start in ms
+ * @param {number} options.to - Range end in ms
+ * @param {number} options.bucketMs - Bucket width
+ * @returns {Array<Object>} { timestamp, sample_count, <column> }, newest first like /api/metrics
+ */
+function bucketSeries(rows, columns, { from, to, bucketMs }) {
+  const first = floorToBucket(from, bucketMs);
+  const buckets = new Map();
+
+  rows.forEach(row => {
+    const time = new Date(row.timestamp).getTime();
+    if (time < first || time > to) {
+      return;
+    }
+    const start = floorToBucket(time, bucketMs);
+    if (!buckets.has(start)) {
+      buckets.set(start, []);
+    }
+    buckets.get(start).push(row);
+  });
+
+  const series = [];
+  for (let start = first; start < to; start += bucketMs) {
+    const bucketRows = buckets.get(start) || [];
+    const point = {
+      timestamp: new Date(start),
+      sample_count: bucketRows.reduce((sum, row) => sum + (Number(row.sample_count) || 1), 0)
+    };
+
+    columns.forEach(column => {
+      let total = 0;
+      let weight = 0;
+      bucketRows.forEach(row => {
+        if (row[column] !== null && row[column] !== undefined) {
+          const rowWeight = Number(row.sample_count) || 1;
+          total += Number(row[column]) * rowWeight;
+          weight += rowWeight;
+        }
+      });
+      point[column] = weight > 0 ? total / weight : null;
+    });
+
+    series.push(point);
+  }
+
+  return series.reverse();
+}
+
+module.exports = {
+  MAX_BUCKETS,
+  MAX_BUCKET_ROWS,
+  parseBucket,
+  validateBucket,
+  bucketSeries
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const mysql = require('mysql2/promise');
+const { MySqlDataSource, WpApiDataSource } = require('./data-sources');
+const { MySqlRollupStore, DEFAULT_RETENTION_DAYS } = require('./rollups');
+const { MIN_SECRET_LENGTH } = require('./ingest');
+
+const DEFAULT_SITE_ID = 'default';
+
+// Pool settings applied to every per-site MySQL connection
+const POOL_DEFAULTS = {
+  waitForConnections: true,
+  connectionLimit: 10,
+  queueLimit: 0
+};
+
+/**
+ * Registry of monitored WordPress sites. Each site is backed either by a
+ * direct MySQL connection (`db`) or by the plugin REST API (`wpApi`).
+ * Data sources and pools are created lazily the first time a site is used.
+ */
+class SiteRegistry {
+  /**
+   * @param {Array<Object>} sites - Site definitions: { id, name, db, allowExplain, ingest } or { id, name, wpApi }.
+   *   `ingest` is true, or { secret } to also accept signed tokens at /api/ingest
+   * @param {Object} [options]
+   * @param {string} [options.defaultSiteId] - Site used when a request names none
+   * @param {Function} [options.createPool] - Pool factory, defaults to mysql2 createPool
+   * @param {Object} [options.retention] - Rollup retention policy for MySQL sites
+   */
+  constructor(sites, { defaultSiteId, createPool = mysql.createPool, retention = DEFAULT_RETENTION_DAYS } = {}) {
+    if (!Array.isArray(sites) || sites.length === 0) {
+      throw new Error('Site registry requires at least one site');
+    }
+
+    this.sites = new Map();
+    sites.forEach(site => {
+      if (!site.id) {
+        throw new Error('Every site needs an id');
+      }
+      if (this.sites.has(site.id)) {
+        throw new Error(`Duplicate site id: ${site.id}`);
+      }
+      if (!site.db && !site.wpApi) {
+        throw new Error(`Site ${site.id} needs either db or wpApi settings`);
+      }
+      if (site.ingest && !site.db) {
+        throw new Error(`Site ${site.id} needs db settings to accept pushed data`);
+      }
+      const secret = site.ingest && site.ingest.secret;
+      if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+        throw new Error(`Site ${site.id} ingest secret must be at least ${MIN_SECRET_LENGTH} characters`);
+      }
+      this.sites.set(site.id, { ...site, name: site.name || site.id });
+    });
+
+    this.defaultSiteId = defaultSiteId || sites[0].id;
+    if (!this.sites.has(this.defaultSiteId)) {
+      throw new Error(`Default site not registered: ${this.defaultSiteId}`);
+    }
+
+    this.createPool = createPool;
+    this.retention = retention;
+    this.pools = new Map();
+    this.dataSources = new Map();
+  }
+
+  /**
+   * Registry with a single site built from the legacy DB_* / WP_API_* variables
+   * @param {Object} env - Usually process.env
+   */
+  static fromEnv(env, options = {}) {
+    const site = env.WP_API_URL
+      ? {
+        id: DEFAULT_SITE_ID,
+        name: env.SITE_NAME || 'WordPress',
+        wpApi: {
+          baseUrl: env.WP_API_URL,
+          username: env.WP_API_USERNAME,
+          password: env.WP_API_PASSWORD
+        }
+      }
+      : {
+        id: DEFAULT_SITE_ID,
+        name: env.SITE_NAME || 'WordPress',
+        allowExplain: env.ALLOW_EXPLAIN === 'true',
+        db: {
+          host: env.DB_HOST || 'localhost',
+          user: env.DB_USER || 'root',
+          password: env.DB_PASSWORD || 'password',
+          database: env.DB_NAME || 'wordpress_performance'
+        }
+      };
+
+    return new SiteRegistry([site], options);
+  }
+
+  /**
+   * Registry loaded from a JSON file: { "defaultSite": "...", "sites": [...] }
+   * @param {string} filePath - Path to the sites configuration file
+   */
+  static fromFile(filePath, options = {}) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new SiteRegistry(config.sites, { defaultSiteId: config.defaultSite, ...options });
+  }
+
+  has(siteId) {
+    return this.sites.has(siteId);
+  }
+
+  getSite(siteId = this.defaultSiteId) {
+    const site = this.sites.get(siteId);
+    if (!site) {
+      const error = new Error(`Unknown site: ${siteId}`);
+      error.status = 404;
+      throw error;
+    }
+    return site;
+  }
+
+  // Public site list, never includes credentials
+  listSites() {
+    return Array.from(this.sites.values()).map(site => ({
+      id: site.id,
+      name: site.name,
+      type: site.wpApi ? 'wp-api' : 'mysql',
+      default: site.id === this.defaultSiteId
+    }));
+  }
+
+  // Secret signing the site's ingest tokens, or null when it takes none
+  ingestSecret(siteId) {
+    const site = this.sites.get(siteId);
+    return (site && site.ingest && site.ingest.secret) || null;
+  }
+
+  getPool(siteId = this.defaultSiteId) {
+    const site = this.getSite(siteId);
+    if (!site.db) {
+      return null;
+    }
+    if (!this.pools.has(site.id)) {
+      this.pools.set(site.id, this.createPool({ ...POOL_DEFAULTS, ...site.db }));
+    }
+    return this.pools.get(site.id);
+  }
+
+  // Pools opened so far, named by site id
+  listPools() {
+    return Array.from(this.pools, ([name, pool]) => ({ name, pool }));
+  }
+
+  getDataSource(siteId = this.defaultSiteId) {
+    const site = this.getSite(siteId);
+    if (!this.dataSources.has(site.id)) {
+      const dataSource = site.wpApi
+        ? new WpApiDataSource(site.wpApi)
+        : new MySqlDataSource(this.getPool(site.id), {
+          allowExplain: !!site.allowExplain,
+          rollups: new MySqlRollupStore(this.getPool(site.id), { retention: this.retention })
+        });
+      this.dataSources.set(site.id, dataSource);
+    }
+    return this.dataSources.get(site.id);
+  }
+
+  async close() {
+    const pools = Array.from(this.pools.values());
+    this.pools.clear();
+    this.dataSources.clear();
+    await Promise.all(pools.map(pool => pool.end()));
+  }
+}
+
+module.exports = { SiteRegistry, DEFAULT_SITE_ID };
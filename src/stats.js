@@ -0,0 +1,21 @@
+/**
+ * Nearest-rank percentile over an ascending array
+ * @param {Array<number>} sorted - Values, smallest first
+ * @param {number} p - Percentile from 0 to 100
+ * @returns {number|null} null for an empty array
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+// Two decimals, as shown in API responses
+const round = value => Math.round(value * 100) / 100;
+
+module.exports = {
+  percentile,
+  round
+};
@@ -0,0 +1,122 @@
+// Supported dashboard time ranges, shared by every data source
+const TIME_RANGES = {
+  '1h': { interval: '1 HOUR', ms: 60 * 60 * 1000 },
+  '6h': { interval: '6 HOUR', ms: 6 * 60 * 60 * 1000 },
+  '24h': { interval: '24 HOUR', ms: 24 * 60 * 60 * 1000 },
+  '7d': { interval: '7 DAY', ms: 7 * 24 * 60 * 60 * 1000 },
+  '30d': { interval: '30 DAY', ms: 30 * 24 * 60 * 60 * 1000 },
+  '90d': { interval: '90 DAY', ms: 90 * 24 * 60 * 60 * 1000 }
+};
+
+const DEFAULT_TIME_RANGE = '1h';
+
+// Absolute ranges take ISO 8601 dates or date-times, e.g. 2024-05-01 or 2024-05-01T12:00:00Z
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Absolute ranges are either { from, to } objects or preset keys
+function isAbsoluteRange(timeRange) {
+  return !!timeRange && typeof timeRange === 'object';
+}
+
+/**
+ * MySQL INTERVAL expression for a preset time range, or null for unknown and absolute ranges
+ * @param {string} timeRange - Time range key such as '1h' or '7d'
+ * @returns {string|null}
+ */
+function getTimeRangeInterval(timeRange) {
+  return TIME_RANGES[timeRange] ? TIME_RANGES[timeRange].interval : null;
+}
+
+/**
+ * Length of a time range in milliseconds, or null when the range is unknown
+ * @param {string|Object} timeRange - Time range key such as '1h', or { from, to }
+ * @returns {number|null}
+ */
+function getTimeRangeMs(timeRange) {
+  if (isAbsoluteRange(timeRange)) {
+    return new Date(timeRange.to).getTime() - new Date(timeRange.from).getTime();
+  }
+  return TIME_RANGES[timeRange] ? TIME_RANGES[timeRange].ms : null;
+}
+
+/**
+ * Start and end of a time range in milliseconds; presets end now
+ * @param {string|Object} timeRange - Time range key such as '1h', or { from, to }
+ * @param {number} [now] - Current time in ms
+ * @returns {{from: number, to: number}|null} null when the range is unknown
+ */
+function getTimeRangeBounds(timeRange, now = Date.now()) {
+  if (isAbsoluteRange(timeRange)) {
+    return { from: new Date(timeRange.from).getTime(), to: new Date(timeRange.to).getTime() };
+  }
+  const rangeMs = getTimeRangeMs(timeRange);
+  return rangeMs ? { from: now - rangeMs, to: now } : null;
+}
+
+/**
+ * SQL condition restricting a timestamp column to a time range. Presets are
+ * relative to the database clock, absolute ranges are bound as parameters.
+ * @param {string|Object} timeRange - Time range key such as '1h', or { from, to }
+ * @param {string} [column='timestamp'] - Trusted column name
+ * @returns {{sql: string, params: Array}|null} null when the range is unknown
+ */
+function getTimeRangeCondition(timeRange, column = 'timestamp') {
+  if (isAbsoluteRange(timeRange)) {
+    return { sql: `${column} >= ? AND ${column} <= ?`, params: [new Date(timeRange.from), new Date(timeRange.to)] };
+  }
+  const interval = getTimeRangeInterval(timeRange);
+  return interval ? { sql: `${column} > DATE_SUB(NOW(), INTERVAL ${interval})`, params: [] } : null;
+}
+
+function parseIsoDate(value) {
+  if (typeof value !== 'string' || !ISO_DATE.test(value.trim())) {
+    return null;
+  }
+  const date = new Date(value.trim());
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read the time range of a request: `from`/`to` ISO timestamps (`to` defaults
+ * to now) or a `timeRange` preset, defaulting to the last hour
+ * @param {Object} query - Request query
+ * @param {number} [now] - Current time in ms
+ * @returns {{timeRange: string|Object|null, errors: Array<Object>}} Errors as { field, message }
+ */
+function parseTimeRangeQuery(query = {}, now = Date.now()) {
+  const errors = [];
+
+  if (query.from === undefined && query.to === undefined) {
+    const timeRange = query.timeRange || DEFAULT_TIME_RANGE;
+    if (!TIME_RANGES[timeRange]) {
+      errors.push({ field: 'timeRange', message: `timeRange must be one of: ${Object.keys(TIME_RANGES).join(', ')}` });
+    }
+    return { timeRange: errors.length ? null : timeRange, errors };
+  }
+
+  const from = parseIsoDate(query.from);
+  const to = query.to === undefined ? new Date(now) : parseIsoDate(query.to);
+
+  if (!from) {
+    errors.push({ field: 'from', message: 'from must be an ISO 8601 timestamp' });
+  }
+  if (!to) {
+    errors.push({ field: 'to', message: 'to must be an ISO 8601 timestamp' });
+  }
+  if (from && to && from >= to) {
+    errors.push({ field: 'from', message: 'from must be before to' });
+  }
+  return { timeRange: errors.length ? null : { from, to }, errors };
+}
+
+module.exports = {
+  TIME_RANGES,
+  DEFAULT_TIME_RANGE,
+  isAbsoluteRange,
+  getTimeRangeInterval,
+  getTimeRangeMs,
+  getTimeRangeBounds,
+  getTimeRangeCondition,
+  parseIsoDate,
+  parseTimeRangeQuery
+};
@@ -0,0 +1,94 @@
+const { accessRule } = require('../auth/roles');
+
+function describeType(param) {
+  switch (param.type) {
+    case 'integer':
+      return param.max === undefined ? `integer ≥ ${param.min}` : `integer ${param.min}–${param.max}`;
+    case 'number':
+      return param.exclusiveMin === undefined ? 'number' : `number > ${param.exclusiveMin}`;
+    case 'enum':
+      return param.values.map(value => `\`${value}\``).join(' \\| ');
+    case 'list':
+      return 'comma-separated list';
+    case 'string':
+      return param.maxLength ? `string (≤ ${param.maxLength})` : 'string';
+    default:
+      return param.type;
+  }
+}
+
+function describeDefault(param) {
+  if (param.required) {
+    return 'required';
+  }
+  if (param.default === undefined) {
+    return '';
+  }
+  return `\`${Array.isArray(param.default) ? 'all' : param.default}\``;
+}
+
+// Who may call a route, from ACCESS_RULES
+function describeAccess(route) {
+  const rule = accessRule(route.method, route.path);
+  if (rule.role === null) {
+    return 'public';
+  }
+  return rule.scope ? `${rule.role}, \`${rule.scope}\` scope for API keys` : `${rule.role}, sessions only`;
+}
+
+// Successful response bodies by schema name, e.g. '200 `SystemHealth`'
+function describeResponses(route) {
+  return Object.entries(route.responses || {})
+    .filter(([status]) => Number(status) < 300)
+    .map(([status, declared]) => {
+      if (declared === null) {
+        return `${status} no content`;
+      }
+      return typeof declared === 'string' ? `${status} \`${declared}\`` : `${status} ${declared.description}`;
+    })
+    .join(', ');
+}
+
+// Table cells cannot hold raw pipes
+function cell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+/**
+ * Markdown API reference for route declarations: one section per route with
+ * its access rule and a table of parameters
+ * @param {Array<Object>} routes - API_ROUTES
+ * @returns {string}
+ */
+function renderApiReference(routes) {
+  const lines = [
+    '# API reference',
+    '',
+    '<!-- Generated from src/validation/routes.js by `npm run docs:api`; do not edit by hand. -->',
+    '',
+    'Paths are relative to `/api`. Response schemas are in the OpenAPI document at `/api/openapi.json`, which `/api-explorer.html` renders. Invalid parameters are answered with `400 { "error": "Invalid request parameters", "details": [{ "field", "message" }] }` listing every bad field; parameters a route does not list are ignored.',
+    ''
+  ];
+
+  routes.forEach((route) => {
+    lines.push(`## ${route.method} ${route.path}`, '', `${route.summary}.`, '', `Access: ${describeAccess(route)}.`);
+    if (route.body) {
+      lines.push('', `Body: \`${route.body}\``);
+    }
+    if (route.responses) {
+      lines.push('', `Response: ${describeResponses(route)}.`);
+    }
+    const params = route.params || [];
+    if (params.length > 0) {
+      lines.push('', '| Parameter | In | Type | Default | Description |', '|-----------|----|------|---------|-------------|');
+      params.forEach((param) => {
+        lines.push(`| \`${param.name}\` | ${param.in} | ${describeType(param)} | ${describeDefault(param)} | ${cell(param.description || '')} |`);
+      });
+    }
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = { describeAccess, renderApiReference };
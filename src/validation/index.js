@@ -0,0 +1,21 @@
+const { PARAM_TYPES, parseParams } = require('./params');
+const { MAX_LIST_LIMIT, MAX_METRICS_LIMIT, API_ROUTES, findRoute } = require('./routes');
+const { validateRequest } = require('./middleware');
+const { renderApiReference } = require('./docs');
+const { RESPONSE_SCHEMAS, SOCKET_EVENTS } = require('./schemas');
+const { buildOpenApiSpec, schemaErrors } = require('./openapi');
+
+module.exports = {
+  PARAM_TYPES,
+  parseParams,
+  MAX_LIST_LIMIT,
+  MAX_METRICS_LIMIT,
+  API_ROUTES,
+  findRoute,
+  validateRequest,
+  renderApiReference,
+  RESPONSE_SCHEMAS,
+  SOCKET_EVENTS,
+  buildOpenApiSpec,
+  schemaErrors
+};
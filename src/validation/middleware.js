@@ -0,0 +1,35 @@
+const { parseTimeRangeQuery } = require('../time-range');
+const { parseParams } = require('./params');
+const { findRoute } = require('./routes');
+
+/**
+ * Route middleware checking the request's query and path parameters against
+ * its API_ROUTES declaration. Typed values, with defaults applied, are set on
+ * `req.validated` and the resolved time range on `req.timeRange`; anything
+ * invalid is a 400 listing every bad field. Parameters a route does not
+ * declare are ignored.
+ */
+function validateRequest(req, res, next) {
+  const route = findRoute(req.method, req.route.path);
+  if (!route) {
+    return next(new Error(`No parameter declaration for ${req.method} ${req.route.path}`));
+  }
+
+  const { values, errors } = parseParams(route.params || [], { query: req.query, path: req.params });
+  if (route.timeRange && !errors.some(error => ['timeRange', 'from', 'to'].includes(error.field))) {
+    const { timeRange, errors: rangeErrors } = parseTimeRangeQuery(req.query);
+    errors.push(...rangeErrors);
+    req.timeRange = timeRange;
+  }
+  if (errors.length === 0 && route.check) {
+    errors.push(...route.check(values, req));
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid request parameters', details: errors });
+  }
+
+  req.validated = values;
+  next();
+}
+
+module.exports = { validateRequest };
@@ -0,0 +1,265 @@
+const { accessRule } = require('../auth/roles');
+const { SESSION_COOKIE } = require('../auth/auth-service');
+const { RESPONSE_SCHEMAS, SOCKET_EVENTS } = require('./schemas');
+const { describeAccess } = require('./docs');
+
+const SCHEMA_PREFIX = '#/components/schemas/';
+
+const STATUS_DESCRIPTIONS = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No content',
+  400: 'Invalid request',
+  401: 'Not signed in',
+  403: 'Role or API key scope not allowed',
+  404: 'Not found',
+  408: 'Timed out',
+  409: 'Conflict',
+  415: 'Unsupported content type',
+  422: 'Unprocessable request',
+  429: 'Too many requests; see Retry-After',
+  500: 'Server error'
+};
+
+function paramSchema(param) {
+  switch (param.type) {
+    case 'integer':
+      return { type: 'integer', minimum: param.min, maximum: param.max };
+    case 'number':
+      return param.exclusiveMin === undefined
+        ? { type: 'number' }
+        : { type: 'number', minimum: param.exclusiveMin, exclusiveMinimum: true };
+    case 'enum':
+      return { type: 'string', enum: param.values };
+    case 'list':
+      return { type: 'array', items: { type: 'string', enum: param.values } };
+    case 'string':
+      return { type: 'string', maxLength: param.maxLength };
+    default:
+      return { type: param.type };
+  }
+}
+
+function toParameter(param) {
+  const schema = JSON.parse(JSON.stringify({ ...paramSchema(param), default: param.default }));
+  return {
+    name: param.name,
+    in: param.in,
+    required: param.in === 'path' || !!param.required,
+    description: param.description,
+    schema,
+    // `metric=a,b` rather than `metric=a&metric=b`
+    ...(param.type === 'list' ? { style: 'form', explode: false } : {})
+  };
+}
+
+// 'Name' and 'Name[]' from the route declarations as $refs
+function toSchemaRef(name) {
+  return name.endsWith('[]')
+    ? { type: 'array', items: { $ref: `${SCHEMA_PREFIX}${name.slice(0, -2)}` } }
+    : { $ref: `${SCHEMA_PREFIX}${name}` };
+}
+
+function toResponse(status, declared) {
+  if (declared === null) {
+    return { description: STATUS_DESCRIPTIONS[status] };
+  }
+  if (typeof declared === 'object') {
+    return declared;
+  }
+  return {
+    description: STATUS_DESCRIPTIONS[status] || String(status),
+    content: { 'application/json': { schema: toSchemaRef(declared) } }
+  };
+}
+
+// Declared responses plus the errors every route of its kind can answer with
+function routeResponses(route) {
+  const rule = accessRule(route.method, route.path);
+  const params = route.params || [];
+  const statuses = {
+    ...(params.length > 0 || route.body ? { 400: 'Error' } : {}),
+    ...(rule.role === null ? {} : { 401: 'Error', 403: 'Error' }),
+    ...(params.some(param => param.in === 'path') ? { 404: 'Error' } : {}),
+    ...route.responses,
+    500: 'Error'
+  };
+
+  const responses = {};
+  Object.keys(statuses).forEach((status) => {
+    responses[status] = toResponse(Number(status), statuses[status]);
+  });
+  return responses;
+}
+
+function operationId(route) {
+  const words = route.path.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+  return route.method.toLowerCase() + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+function toOperation(route) {
+  const rule = accessRule(route.method, route.path);
+  const operation = {
+    operationId: operationId(route),
+    summary: route.summary,
+    description: `Access: ${describeAccess(route)}.`,
+    tags: [route.path.split('/')[1]],
+    parameters: (route.params || []).map(toParameter),
+    responses: routeResponses(route)
+  };
+
+  if (route.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: { type: 'object', description: route.body } } }
+    };
+  }
+  if (rule.role === null) {
+    operation.security = [];
+  } else {
+    operation['x-required-role'] = rule.role;
+    // API keys are refused on session-only routes
+    operation.security = rule.scope ? [{ session: [] }, { apiKey: [] }] : [{ session: [] }];
+    if (rule.scope) {
+      operation['x-api-key-scope'] = rule.scope;
+    }
+  }
+  return operation;
+}
+
+function toSocketEvents(events) {
+  const documented = {};
+  Object.entries(events).forEach(([name, event]) => {
+    documented[name] = {
+      description: event.description,
+      payload: typeof event.schema === 'string' ? toSchemaRef(event.schema) : event.schema
+    };
+  });
+  return documented;
+}
+
+/**
+ * OpenAPI 3.0 document for route declarations. Paths are relative to the
+ * `/api` server; the socket.io events are described under `x-socket-io`.
+ * @param {Array<Object>} routes - API_ROUTES
+ * @param {Object} [options]
+ * @param {string} [options.version='1.0.0'] - API version, normally the package version
+ * @returns {Object}
+ */
+function buildOpenApiSpec(routes, { version = '1.0.0' } = {}) {
+  const paths = {};
+  routes.forEach((route) => {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = toOperation(route);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'WordPress Performance Dashboard API',
+      version,
+      description: 'Invalid parameters are answered with 400 and every bad field in `details`; parameters a route does not list are ignored.'
+    },
+    servers: [{ url: '/api' }],
+    paths,
+    components: {
+      schemas: RESPONSE_SCHEMAS,
+      securitySchemes: {
+        session: { type: 'apiKey', in: 'cookie', name: SESSION_COOKIE, description: 'Set by POST /auth/login' },
+        apiKey: { type: 'http', scheme: 'bearer', description: 'API key from POST /keys' }
+      }
+    },
+    'x-socket-io': {
+      path: '/socket.io',
+      description: 'Authenticated like the API; events are scoped to the socket\'s site',
+      emits: toSocketEvents(SOCKET_EVENTS.emits),
+      accepts: toSocketEvents(SOCKET_EVENTS.accepts)
+    }
+  };
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Check a value against an OpenAPI schema. Covers the subset the dashboard's
+ * documents use: type, nullable, enum, format date-time, properties,
+ * required, additionalProperties, items, oneOf, allOf and $ref.
+ * @param {Object} schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} spec - Document resolving `#/components/schemas/...` references
+ * @param {string} [path='$'] - Location reported in errors
+ * @returns {Array<string>} One message per mismatch, e.g. '$.status: must be one of healthy, warning'
+ */
+function schemaErrors(schema, value, spec, path = '$') {
+  if (schema.$ref) {
+    return schemaErrors(spec.components.schemas[schema.$ref.slice(SCHEMA_PREFIX.length)], value, spec, path);
+  }
+  if (schema.allOf) {
+    return schema.allOf.flatMap(part => schemaErrors(part, value, spec, path));
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => schemaErrors(option, value, spec, path).length === 0);
+    return matches.length === 1 ? [] : [`${path}: must match exactly one schema (matched ${matches.length})`];
+  }
+  if (value === null) {
+    return schema.nullable ? [] : [`${path}: must not be null`];
+  }
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [`${path}: expected ${schema.type}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: must be one of ${schema.enum.join(', ')}`];
+  }
+  if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+    return [`${path}: must be a date-time`];
+  }
+
+  const errors = [];
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...schemaErrors(schema.items, item, spec, `${path}[${index}]`)));
+  }
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((name) => {
+      if (!(name in value)) {
+        errors.push(`${path}.${name}: is required`);
+      }
+    });
+    Object.entries(value).forEach(([name, property]) => {
+      const propertySchema = properties[name] || schema.additionalProperties;
+      if (propertySchema === false) {
+        errors.push(`${path}.${name}: is not allowed`);
+      } else if (propertySchema && propertySchema !== true) {
+        errors.push(...schemaErrors(propertySchema, property, spec, `${path}.${name}`));
+      }
+    });
+  }
+  return errors;
+}
+
+module.exports = {
+  buildOpenApiSpec,
+  schemaErrors
+};
@@ -0,0 +1,100 @@
+/*
+ * Parameter types for request validation. Query and path values arrive as
+ * strings; each type checks one and returns the typed value or an error
+ * message phrased after the parameter's name.
+ */
+const PARAM_TYPES = {
+  string(value, param) {
+    if (param.maxLength && value.length > param.maxLength) {
+      return { error: `${param.name} must be at most ${param.maxLength} characters` };
+    }
+    if (param.pattern && !param.pattern.test(value)) {
+      return { error: `${param.name} must be ${param.format || `in the form ${param.pattern}`}` };
+    }
+    return { value };
+  },
+
+  integer(value, param) {
+    const number = /^-?\d+$/.test(value.trim()) ? Number(value) : NaN;
+    const min = param.min === undefined ? -Infinity : param.min;
+    const max = param.max === undefined ? Infinity : param.max;
+    if (!Number.isSafeInteger(number) || number < min || number > max) {
+      const bounds = param.max === undefined ? `of at least ${min}` : `from ${min} to ${max}`;
+      return { error: `${param.name} must be a whole number ${bounds}` };
+    }
+    return { value: number };
+  },
+
+  number(value, param) {
+    const number = value.trim() === '' ? NaN : Number(value);
+    if (!Number.isFinite(number) || (param.exclusiveMin !== undefined && number <= param.exclusiveMin)) {
+      return { error: `${param.name} must be a ${param.exclusiveMin === 0 ? 'positive ' : ''}number` };
+    }
+    return { value: number };
+  },
+
+  boolean(value, param) {
+    if (value !== 'true' && value !== 'false') {
+      return { error: `${param.name} must be true or false` };
+    }
+    return { value: value === 'true' };
+  },
+
+  enum(value, param) {
+    if (!param.values.includes(value)) {
+      return { error: `${param.name} must be one of: ${param.values.join(', ')}` };
+    }
+    return { value };
+  },
+
+  // Comma-separated values, each from `values`
+  list(value, param) {
+    const items = value.split(',').map(item => item.trim()).filter(Boolean);
+    if (items.length === 0 || items.some(item => !param.values.includes(item))) {
+      return { error: `${param.name} must be a comma-separated list of: ${param.values.join(', ')}` };
+    }
+    return { value: items };
+  }
+};
+
+/**
+ * Check and convert request parameters against their declarations
+ * @param {Array<Object>} params - Declarations: { name, in, type, required, default, ... }
+ * @param {Object} sources - { query, path } as received by Express
+ * @returns {{values: Object, errors: Array<Object>}} Typed values (defaults applied) and errors as { field, message }
+ */
+function parseParams(params, { query = {}, path = {} } = {}) {
+  const values = {};
+  const errors = [];
+
+  params.forEach((param) => {
+    const raw = (param.in === 'path' ? path : query)[param.name];
+    if (raw === undefined || raw === '') {
+      if (param.required) {
+        errors.push({ field: param.name, message: `${param.name} is required` });
+      } else if (param.default !== undefined) {
+        values[param.name] = param.default;
+      }
+      return;
+    }
+    // ?limit=1&limit=2 and ?limit[a]=1 arrive as arrays and objects
+    if (typeof raw !== 'string') {
+      errors.push({ field: param.name, message: `${param.name} must be given once` });
+      return;
+    }
+
+    const result = PARAM_TYPES[param.type](raw, param);
+    if (result.error) {
+      errors.push({ field: param.name, message: result.error });
+    } else {
+      values[param.name] = result.value;
+    }
+  });
+
+  return { values, errors };
+}
+
+module.exports = {
+  PARAM_TYPES,
+  parseParams
+};
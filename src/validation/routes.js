@@ -0,0 +1,359 @@
+const { TIME_RANGES, DEFAULT_TIME_RANGE, getTimeRangeBounds } = require('../time-range');
+const { RESOLUTIONS } = require('../rollups/resolutions');
+const { validateBucket } = require('../series');
+const { GROUP_SORT_FIELDS } = require('../query-fingerprint');
+const { ANOMALY_METRICS, ANOMALY_MODELS, DEFAULT_ANOMALY_OPTIONS } = require('../anomalies');
+const { EXPORT_DATASETS, EXPORT_FORMATS, MAX_EXPORT_ROWS } = require('../export');
+const { ALERT_STATES } = require('../alerts');
+const { ANNOTATION_TYPES } = require('../annotations');
+const { DEFAULT_REGRESSION_THRESHOLD, parseComparisonWindows } = require('../comparison');
+
+// Upper bound for `limit` on list routes; the metrics series allows more points
+const MAX_LIST_LIMIT = 1000;
+const MAX_METRICS_LIMIT = 5000;
+
+function limitParam(defaultValue, max = MAX_LIST_LIMIT) {
+  return {
+    name: 'limit',
+    in: 'query',
+    type: 'integer',
+    min: 1,
+    max,
+    default: defaultValue,
+    description: 'Most rows to return'
+  };
+}
+
+function idParam(description) {
+  return { name: 'id', in: 'path', type: 'integer', min: 1, required: true, description };
+}
+
+// Every data route can name the site it reads, or the demo database
+const SITE_PARAM = { name: 'site', in: 'query', type: 'string', maxLength: 100, description: 'Site id from /api/sites; defaults to the default site' };
+const DEMO_PARAM = { name: 'demo', in: 'query', type: 'boolean', description: 'Read the demo database instead of a site' };
+const SITE_PARAMS = [SITE_PARAM, DEMO_PARAM];
+
+// Checked together by parseTimeRangeQuery once their types are valid
+const TIME_RANGE_PARAMS = [
+  { name: 'timeRange', in: 'query', type: 'enum', values: Object.keys(TIME_RANGES), default: DEFAULT_TIME_RANGE, description: 'Preset range ending now' },
+  { name: 'from', in: 'query', type: 'string', maxLength: 40, description: 'Start of an absolute range (ISO 8601); overrides timeRange' },
+  { name: 'to', in: 'query', type: 'string', maxLength: 40, description: 'End of an absolute range (ISO 8601); defaults to now' }
+];
+
+const RAW_PARAM = { name: 'raw', in: 'query', type: 'boolean', default: false, description: 'Unredacted query text (admins only)' };
+const INCLUDE_INACTIVE_PARAM = { name: 'includeInactive', in: 'query', type: 'boolean', default: false, description: 'Include inactive plugins' };
+
+// Exports stream rows in the requested format instead of a JSON body
+const EXPORT_RESPONSES = {
+  200: {
+    description: 'Rows of the dataset, newest first, as an attachment',
+    content: {
+      'text/csv': { schema: { type: 'string' } },
+      'application/json': { schema: { type: 'array', items: { type: 'object' } } },
+      'application/x-ndjson': { schema: { type: 'string' } }
+    }
+  },
+  404: 'Error'
+};
+
+/**
+ * Every /api route with its parameters, relative to the /api mount point like
+ * ACCESS_RULES. The validateRequest middleware checks requests against these
+ * declarations and the API reference (docs/api.md) is generated from them.
+ *
+ * `timeRange: true` resolves the time range parameters into req.timeRange;
+ * `check(values, req)` adds errors that depend on several parameters; `body`
+ * describes a JSON body, which the route validates itself. `responses` maps
+ * status codes to a RESPONSE_SCHEMAS name ('Name[]' for arrays, null for no
+ * body) or an OpenAPI response object; see buildOpenApiSpec.
+ */
+const API_ROUTES = [
+  {
+    method: 'POST',
+    path: '/auth/login',
+    summary: 'Sign in and receive a session cookie',
+    body: '{ username, password }',
+    responses: { 200: 'Session', 401: 'Error', 429: 'Error' }
+  },
+  { method: 'POST', path: '/auth/logout', summary: 'End the current session', responses: { 204: null } },
+  { method: 'GET', path: '/auth/me', summary: 'The signed-in user or API key owner', responses: { 200: 'Principal' } },
+  { method: 'GET', path: '/users', summary: 'List dashboard users', responses: { 200: 'User[]' } },
+  {
+    method: 'POST',
+    path: '/users',
+    summary: 'Create a user',
+    body: '{ username, password, role }',
+    responses: { 201: 'User', 409: 'Error' }
+  },
+  {
+    method: 'PUT',
+    path: '/users/:id',
+    summary: 'Change a user\'s password or role',
+    params: [idParam('User id')],
+    body: '{ password?, role? }',
+    responses: { 200: 'User', 409: 'Error' }
+  },
+  { method: 'DELETE', path: '/users/:id', summary: 'Delete a user', params: [idParam('User id')], responses: { 204: null, 409: 'Error' } },
+  { method: 'GET', path: '/keys', summary: 'List API keys (admins see every key)', responses: { 200: 'ApiKey[]' } },
+  {
+    method: 'POST',
+    path: '/keys',
+    summary: 'Create an API key; the key is only shown in this response',
+    body: '{ name, scopes, expires_in_days? }',
+    responses: { 201: 'NewApiKey' }
+  },
+  { method: 'DELETE', path: '/keys/:id', summary: 'Revoke an API key', params: [idParam('API key id')], responses: { 204: null } },
+  {
+    method: 'GET',
+    path: '/audit-log',
+    summary: 'Privileged calls, newest first',
+    params: [
+      { name: 'username', in: 'query', type: 'string', maxLength: 100, description: 'Only calls by this user' },
+      { name: 'api_key_id', in: 'query', type: 'integer', min: 1, description: 'Only calls made with this API key' },
+      limitParam(100)
+    ],
+    responses: { 200: 'AuditEntry[]' }
+  },
+  { method: 'GET', path: '/sites', summary: 'Monitored sites for the site picker', responses: { 200: 'Site[]' } },
+  {
+    method: 'GET',
+    path: '/metrics',
+    summary: 'Performance samples, newest first, or an evenly spaced series with `bucket`',
+    timeRange: true,
+    params: [
+      ...SITE_PARAMS,
+      ...TIME_RANGE_PARAMS,
+      { ...limitParam(undefined, MAX_METRICS_LIMIT), description: 'Most rows to return (50 raw rows by default)' },
+      { name: 'resolution', in: 'query', type: 'enum', values: ['raw', ...Object.keys(RESOLUTIONS)], description: 'Force raw rows or a rollup table' },
+      { name: 'bucket', in: 'query', type: 'string', maxLength: 10, description: 'Bucket width such as 30s, 5m, 1h or 1d' }
+    ],
+    check: ({ bucket }, req) => (bucket === undefined ? [] : validateBucket(bucket, getTimeRangeBounds(req.timeRange))),
+    responses: { 200: 'PerformanceMetric[]' }
+  },
+  {
+    method: 'GET',
+    path: '/slow-queries',
+    summary: 'Slowest captured queries',
+    timeRange: true,
+    params: [...SITE_PARAMS, ...TIME_RANGE_PARAMS, limitParam(20), RAW_PARAM],
+    responses: { 200: 'SlowQuery[]' }
+  },
+  {
+    method: 'GET',
+    path: '/slow-queries/grouped',
+    summary: 'Slow queries grouped by normalized fingerprint',
+    timeRange: true,
+    params: [
+      ...SITE_PARAMS,
+      ...TIME_RANGE_PARAMS,
+      { name: 'sort', in: 'query', type: 'enum', values: Object.keys(GROUP_SORT_FIELDS), default: 'total_time', description: 'Order of the groups' },
+      limitParam(20),
+      RAW_PARAM
+    ],
+    responses: { 200: 'SlowQueryGroup[]' }
+  },
+  {
+    method: 'GET',
+    path: '/slow-queries/:id/explain',
+    summary: 'EXPLAIN plan and index advice for one slow query (local or demo MySQL only)',
+    params: [
+      idParam('Slow query id'),
+      ...SITE_PARAMS,
+      { name: 'analyze', in: 'query', type: 'boolean', default: false, description: 'Run EXPLAIN ANALYZE (MySQL 8.0.18+)' },
+      RAW_PARAM
+    ],
+    responses: { 200: 'ExplainResult', 422: 'Error' }
+  },
+  {
+    method: 'GET',
+    path: '/admin-ajax',
+    summary: 'admin-ajax.php actions by call count',
+    timeRange: true,
+    params: [...SITE_PARAMS, ...TIME_RANGE_PARAMS, limitParam(20)],
+    responses: { 200: 'AdminAjaxCall[]' }
+  },
+  {
+    method: 'GET',
+    path: '/plugins',
+    summary: 'Plugins by impact score',
+    timeRange: true,
+    params: [...SITE_PARAMS, ...TIME_RANGE_PARAMS, limitParam(100), INCLUDE_INACTIVE_PARAM],
+    responses: { 200: 'PluginPerformance[]' }
+  },
+  {
+    method: 'GET',
+    path: '/realtime-metrics',
+    summary: 'Averages over the last 5 minutes',
+    params: SITE_PARAMS,
+    responses: { 200: 'RealtimeMetrics' }
+  },
+  {
+    method: 'GET',
+    path: '/system-health',
+    summary: 'CPU, memory, disk, connection and cache figures',
+    timeRange: true,
+    params: [...SITE_PARAMS, ...TIME_RANGE_PARAMS],
+    responses: { 200: 'SystemHealth' }
+  },
+  {
+    method: 'GET',
+    path: '/anomalies',
+    summary: 'Statistically unusual points',
+    timeRange: true,
+    params: [
+      ...SITE_PARAMS,
+      ...TIME_RANGE_PARAMS,
+      { name: 'metric', in: 'query', type: 'list', values: ANOMALY_METRICS, default: ANOMALY_METRICS, description: 'Comma-separated metrics; defaults to all' },
+      { name: 'model', in: 'query', type: 'enum', values: ANOMALY_MODELS, default: DEFAULT_ANOMALY_OPTIONS.model, description: 'Baseline model' },
+      { name: 'threshold', in: 'query', type: 'number', exclusiveMin: 0, default: DEFAULT_ANOMALY_OPTIONS.threshold, description: 'Score, in standard deviations, that counts as anomalous' }
+    ],
+    responses: { 200: 'AnomalyReport' }
+  },
+  {
+    method: 'GET',
+    path: '/compare',
+    summary: 'Before/after deltas between two windows (needs the read:queries scope)',
+    params: [
+      ...SITE_PARAMS,
+      { name: 'baseline_from', in: 'query', type: 'string', maxLength: 40, required: true, description: 'Start of the baseline window (ISO 8601)' },
+      { name: 'baseline_to', in: 'query', type: 'string', maxLength: 40, required: true, description: 'End of the baseline window (ISO 8601)' },
+      { name: 'comparison_from', in: 'query', type: 'string', maxLength: 40, required: true, description: 'Start of the comparison window (ISO 8601)' },
+      { name: 'comparison_to', in: 'query', type: 'string', maxLength: 40, description: 'End of the comparison window (ISO 8601); defaults to now' },
+      { name: 'threshold', in: 'query', type: 'number', exclusiveMin: 0, default: DEFAULT_REGRESSION_THRESHOLD, description: 'Percent growth in average time that marks a slow query group as regressed' },
+      limitParam(20),
+      RAW_PARAM
+    ],
+    check: values => parseComparisonWindows(values).errors,
+    responses: { 200: 'Comparison' }
+  },
+  {
+    method: 'GET',
+    path: '/export/:dataset',
+    summary: 'Streamed download of one table (slow queries need the read:queries scope)',
+    timeRange: true,
+    params: [
+      { name: 'dataset', in: 'path', type: 'string', required: true, description: `One of: ${Object.keys(EXPORT_DATASETS).join(', ')}` },
+      ...SITE_PARAMS,
+      ...TIME_RANGE_PARAMS,
+      { name: 'format', in: 'query', type: 'enum', values: Object.keys(EXPORT_FORMATS), default: 'csv', description: 'File format' },
+      limitParam(MAX_EXPORT_ROWS, MAX_EXPORT_ROWS),
+      INCLUDE_INACTIVE_PARAM,
+      RAW_PARAM
+    ],
+    responses: EXPORT_RESPONSES
+  },
+  {
+    method: 'GET',
+    path: '/fleet',
+    summary: 'Health roll-up across every monitored site',
+    timeRange: true,
+    params: [DEMO_PARAM, ...TIME_RANGE_PARAMS],
+    responses: { 200: 'FleetOverview' }
+  },
+  {
+    method: 'GET',
+    path: '/alerts',
+    summary: 'Alert history, newest first',
+    params: [
+      { name: 'state', in: 'query', type: 'enum', values: ALERT_STATES, description: 'Only alerts in this state' },
+      { ...SITE_PARAM, description: 'Only alerts for this site' },
+      limitParam(100)
+    ],
+    responses: { 200: 'Alert[]' }
+  },
+  { method: 'POST', path: '/alerts/:id/acknowledge', summary: 'Acknowledge an open alert', params: [idParam('Alert id')], responses: { 200: 'Alert' } },
+  { method: 'POST', path: '/alerts/:id/resolve', summary: 'Resolve an alert', params: [idParam('Alert id')], responses: { 200: 'Alert' } },
+  { method: 'GET', path: '/alert-rules/options', summary: 'Metrics, operators and severities a rule can use', responses: { 200: 'AlertRuleOptions' } },
+  { method: 'GET', path: '/alert-rules', summary: 'List alert rules', responses: { 200: 'AlertRule[]' } },
+  {
+    method: 'POST',
+    path: '/alert-rules',
+    summary: 'Create an alert rule',
+    body: '{ name, metric, operator, threshold, site?, duration_seconds?, severity?, enabled? }',
+    responses: { 201: 'AlertRule' }
+  },
+  {
+    method: 'PUT',
+    path: '/alert-rules/:id',
+    summary: 'Change an alert rule',
+    params: [idParam('Alert rule id')],
+    body: 'Any alert rule fields',
+    responses: { 200: 'AlertRule' }
+  },
+  { method: 'DELETE', path: '/alert-rules/:id', summary: 'Delete an alert rule', params: [idParam('Alert rule id')], responses: { 204: null } },
+  {
+    method: 'GET',
+    path: '/annotations',
+    summary: 'Deploy and release annotations of a site, newest first',
+    timeRange: true,
+    params: [SITE_PARAM, ...TIME_RANGE_PARAMS, limitParam(100)],
+    responses: { 200: 'Annotation[]', 404: 'Error' }
+  },
+  {
+    method: 'POST',
+    path: '/annotations',
+    summary: 'Record a deploy, release or plugin update to show on the charts',
+    body: `{ type, message, site?, timestamp?, plugin_name? } where type is one of: ${ANNOTATION_TYPES.join(', ')}; timestamp defaults to now`,
+    responses: { 201: 'Annotation' }
+  },
+  {
+    method: 'POST',
+    path: '/sites/:id/ingest-tokens',
+    summary: 'Issue an ingest token for a site with an ingest secret',
+    params: [{ name: 'id', in: 'path', type: 'string', required: true, description: 'Site id' }],
+    body: '{ expires_in_days? }',
+    responses: { 201: 'IngestToken', 409: 'Error' }
+  },
+  {
+    method: 'POST',
+    path: '/ingest',
+    summary: 'Batch of rows pushed by the WordPress plugin (ingest token and Idempotency-Key header)',
+    body: '{ metrics?, slow_queries?, admin_ajax?, plugins?, system_health? }',
+    responses: { 200: 'IngestResult', 401: 'Error', 409: 'Error', 415: 'Error', 422: 'Error', 429: 'Error' }
+  },
+  {
+    method: 'POST',
+    path: '/otlp/v1/metrics',
+    summary: 'OTLP/HTTP JSON metrics export',
+    params: [{ ...SITE_PARAM, description: 'Site for resources without wpd.site.id' }],
+    body: 'ExportMetricsServiceRequest',
+    responses: { 200: 'OtlpResult', 409: 'Error', 415: 'Error' }
+  },
+  {
+    method: 'GET',
+    path: '/stream',
+    summary: 'Server-Sent Events stream of a site\'s real-time-metrics and alert events, for clients that cannot use socket.io',
+    params: [
+      SITE_PARAM,
+      { name: 'lastEventId', in: 'query', type: 'integer', min: 0, description: 'Resume after this event id; the Last-Event-ID header takes precedence' }
+    ],
+    responses: {
+      200: {
+        description: 'Event stream; each event has its socket.io `seq` as id and the socket.io payload as JSON data',
+        content: { 'text/event-stream': { schema: { type: 'string' } } }
+      },
+      404: 'Error'
+    }
+  },
+  { method: 'GET', path: '/demo-status', summary: 'Demo environment availability', responses: { 200: 'DemoStatus' } },
+  { method: 'POST', path: '/demo-refresh', summary: 'Regenerate the demo data', responses: { 200: 'DemoRefresh', 408: 'Error' } },
+  { method: 'GET', path: '/openapi.json', summary: 'This API as an OpenAPI 3 document', responses: { 200: { description: 'OpenAPI document' } } }
+];
+
+/**
+ * Declaration for a route
+ * @param {string} method - HTTP method; HEAD is treated as GET
+ * @param {string} path - Express route path below /api, e.g. '/alerts/:id/resolve'
+ * @returns {Object|undefined}
+ */
+function findRoute(method, path) {
+  const routeMethod = method === 'HEAD' ? 'GET' : method;
+  return API_ROUTES.find(route => route.method === routeMethod && route.path === path);
+}
+
+module.exports = {
+  MAX_LIST_LIMIT,
+  MAX_METRICS_LIMIT,
+  API_ROUTES,
+  findRoute
+};
@@ -0,0 +1,414 @@
+const { TIME_RANGES } = require('../time-range');
+const { ANOMALY_METRICS, ANOMALY_MODELS } = require('../anomalies');
+const { ALERT_STATES } = require('../alerts');
+const { ANNOTATION_TYPES } = require('../annotations');
+const { ROLES } = require('../auth/roles');
+const { CHANNELS } = require('../realtime/channels');
+const { MIN_RATE, MAX_RATE } = require('../realtime/subscriptions');
+const { MAX_GROUPED_ROWS } = require('../query-fingerprint');
+
+// Shorthands for OpenAPI 3.0 schemas; MySQL columns without NOT NULL are nullable
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullable = schema => ({ ...schema, nullable: true });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = items => ({ type: 'array', items });
+// Sequence number of a broadcast kept for replay (see ReplayBuffer)
+const seq = { ...integer, description: 'Send the last one seen to resume after a reconnect' };
+
+function object(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required };
+}
+
+/**
+ * Response bodies of the /api routes and the socket.io events, as OpenAPI
+ * component schemas. Routes name them in their `responses`; see
+ * buildOpenApiSpec. Objects may carry properties beyond those listed.
+ */
+const RESPONSE_SCHEMAS = {
+  Error: {
+    type: 'object',
+    properties: {
+      error: string,
+      details: arrayOf(object({ field: string, message: string }))
+    },
+    required: ['error']
+  },
+  Site: object({ id: string, name: string, type: { type: 'string', enum: ['mysql', 'wp-api'] }, default: boolean }),
+
+  PerformanceMetric: {
+    type: 'object',
+    description: 'A raw sample, a rollup row (with `resolution`, `sample_count` and `<column>_min/_max/_p95`) or a `bucket` point (with `sample_count`)',
+    properties: {
+      id: integer,
+      query_type: nullable(string),
+      avg_execution_time: nullable(number),
+      total_queries: nullable(number),
+      slow_queries: nullable(number),
+      queries_per_second: nullable(number),
+      avg_response_time: nullable(number),
+      memory_usage: nullable(number),
+      sample_count: integer,
+      resolution: string,
+      timestamp: dateTime
+    },
+    required: ['timestamp']
+  },
+  SlowQuery: object({
+    id: integer,
+    query_text: string,
+    execution_time: number,
+    rows_examined: nullable(integer),
+    source_file: nullable(string),
+    timestamp: dateTime
+  }, ['id', 'query_text', 'execution_time', 'timestamp']),
+  SlowQueryGroup: object({
+    hash: string,
+    fingerprint: string,
+    sample_query: string,
+    count: integer,
+    total_execution_time: number,
+    avg_execution_time: number,
+    p95_execution_time: number,
+    max_execution_time: number,
+    max_rows_examined: integer,
+    source_files: arrayOf(string),
+    first_seen: nullable(dateTime),
+    last_seen: nullable(dateTime),
+    truncated: { ...boolean, description: `The range held more than ${MAX_GROUPED_ROWS} slow queries; groups then cover only the slowest` }
+  }),
+  ExplainResult: object({
+    id: integer,
+    query_text: string,
+    mysql_version: string,
+    plan: arrayOf({ type: 'object' }),
+    analyze: nullable(string),
+    issues: arrayOf(object({ table: string, type: string, message: string })),
+    suggestions: arrayOf(object({ table: string, columns: arrayOf(string), statement: string, reason: string })),
+    notes: arrayOf(string)
+  }),
+  AdminAjaxCall: object({
+    id: integer,
+    action_name: string,
+    call_count: integer,
+    avg_response_time: nullable(number),
+    total_time: nullable(number),
+    timestamp: dateTime
+  }, ['id', 'action_name', 'call_count', 'timestamp']),
+  PluginPerformance: object({
+    id: integer,
+    plugin_name: string,
+    impact_score: nullable(number),
+    memory_usage: nullable(number),
+    query_count: nullable(integer),
+    load_time: nullable(number),
+    status: { type: 'string', enum: ['active', 'inactive'] },
+    timestamp: dateTime
+  }, ['id', 'plugin_name', 'status', 'timestamp']),
+  RealtimeMetrics: object({
+    avg_qps: nullable(number),
+    avg_response: nullable(number),
+    avg_memory: nullable(number)
+  }),
+  SystemHealth: object({
+    slow_queries_1h: integer,
+    active_plugins: integer,
+    avg_response_time: number,
+    cpu_usage: number,
+    memory_total: number,
+    memory_used: number,
+    memory_usage_percent: number,
+    disk_usage: number,
+    cache_hit_ratio: number,
+    active_connections: integer,
+    status: { type: 'string', enum: ['healthy', 'warning'] },
+    demo_mode: boolean
+  }),
+  Anomaly: object({
+    metric: { type: 'string', enum: ANOMALY_METRICS },
+    timestamp: dateTime,
+    value: number,
+    expected: number,
+    score: number,
+    direction: { type: 'string', enum: ['high', 'low'] }
+  }),
+  AnomalyReport: object({
+    metrics: arrayOf({ type: 'string', enum: ANOMALY_METRICS }),
+    timeRange: {
+      oneOf: [
+        { type: 'string', enum: Object.keys(TIME_RANGES) },
+        object({ from: dateTime, to: dateTime })
+      ]
+    },
+    model: { type: 'string', enum: ANOMALY_MODELS },
+    threshold: number,
+    anomalies: arrayOf(ref('Anomaly'))
+  }),
+  Delta: object({
+    baseline: nullable(number),
+    comparison: nullable(number),
+    change: nullable(number),
+    change_percent: { ...nullable(number), description: 'Null when the baseline is missing or zero' }
+  }),
+  ComparedSlowQuery: object({
+    hash: string,
+    fingerprint: string,
+    sample_query: string,
+    count: { oneOf: [integer, ref('Delta')] },
+    avg_execution_time: { oneOf: [number, ref('Delta')] },
+    p95_execution_time: { oneOf: [number, ref('Delta')] }
+  }),
+  Comparison: object({
+    baseline: object({ from: dateTime, to: dateTime }),
+    comparison: object({ from: dateTime, to: dateTime }),
+    threshold: number,
+    metrics: object({
+      sample_count: ref('Delta'),
+      avg_response_time: ref('Delta'),
+      queries_per_second: ref('Delta'),
+      memory_usage: ref('Delta'),
+      p95_response_time: ref('Delta')
+    }),
+    slow_queries: {
+      ...object({
+        new: arrayOf(ref('ComparedSlowQuery')),
+        gone: arrayOf(ref('ComparedSlowQuery')),
+        regressed: arrayOf(ref('ComparedSlowQuery')),
+        truncated: { ...boolean, description: `A window held more than ${MAX_GROUPED_ROWS} slow queries; groups then cover only the slowest` }
+      }),
+      description: 'Regressed groups carry deltas for count and execution times'
+    },
+    admin_ajax: arrayOf(object({ action_name: string, call_count: ref('Delta'), avg_response_time: ref('Delta') })),
+    plugins: arrayOf(object({ plugin_name: string, impact_score: ref('Delta') }))
+  }),
+  FleetSite: object({
+    id: string,
+    name: string,
+    type: string,
+    status: { type: 'string', enum: ['healthy', 'warning', 'error'] },
+    slow_queries_1h: integer,
+    active_plugins: integer,
+    cache_hit_ratio: number,
+    avg_response_time: number,
+    cpu_usage: number,
+    memory_usage_percent: number,
+    error: nullable(string)
+  }),
+  FleetOverview: object({
+    total: integer,
+    counts: { type: 'object', additionalProperties: integer },
+    sites: arrayOf(ref('FleetSite')),
+    timestamp: dateTime
+  }),
+
+  Alert: object({
+    id: integer,
+    rule_id: integer,
+    rule_name: nullable(string),
+    site: string,
+    metric: string,
+    operator: nullable(string),
+    threshold: nullable(number),
+    severity: nullable(string),
+    state: { type: 'string', enum: ALERT_STATES },
+    value: nullable(number),
+    message: nullable(string),
+    opened_at: dateTime,
+    acknowledged_at: nullable(dateTime),
+    acknowledged_by: nullable(string),
+    resolved_at: nullable(dateTime)
+  }, ['id', 'rule_id', 'site', 'metric', 'state', 'opened_at']),
+  AlertRule: object({
+    id: integer,
+    name: string,
+    site: nullable(string),
+    metric: string,
+    operator: string,
+    threshold: number,
+    duration_seconds: integer,
+    severity: string,
+    enabled: boolean,
+    created_at: dateTime,
+    updated_at: dateTime
+  }),
+  AlertRuleOptions: object({
+    metrics: arrayOf(object({ id: string, label: string, unit: string, aggregate: nullable(string) })),
+    operators: arrayOf(string),
+    severities: arrayOf(string)
+  }),
+  Annotation: object({
+    id: integer,
+    site: string,
+    type: { type: 'string', enum: ANNOTATION_TYPES },
+    message: string,
+    plugin_name: nullable(string),
+    timestamp: dateTime,
+    created_by: nullable(string),
+    created_at: dateTime
+  }),
+
+  User: object({
+    id: integer,
+    username: string,
+    role: { type: 'string', enum: ROLES },
+    created_at: dateTime,
+    last_login_at: nullable(dateTime)
+  }),
+  Session: object({ user: ref('User'), expires_at: dateTime }),
+  Principal: object({
+    id: integer,
+    username: string,
+    role: { type: 'string', enum: ROLES },
+    type: { type: 'string', enum: ['session', 'api_key'] },
+    api_key_id: integer,
+    scopes: arrayOf(string)
+  }, ['id', 'username', 'role', 'type']),
+  ApiKey: object({
+    id: integer,
+    user_id: integer,
+    name: string,
+    key_prefix: string,
+    scopes: arrayOf(string),
+    expires_at: nullable(dateTime),
+    last_used_at: nullable(dateTime),
+    revoked_at: nullable(dateTime),
+    created_at: dateTime
+  }),
+  NewApiKey: {
+    allOf: [ref('ApiKey'), object({ key: { type: 'string', description: 'Plaintext key; only returned once' } })]
+  },
+  AuditEntry: object({
+    id: integer,
+    created_at: dateTime,
+    user_id: nullable(integer),
+    username: nullable(string),
+    api_key_id: nullable(integer),
+    method: string,
+    path: string,
+    status: nullable(integer),
+    ip: nullable(string)
+  }),
+
+  IngestToken: object({ site: string, token: string, expires_at: dateTime }),
+  IngestResult: object({ site: string, accepted: { type: 'object', additionalProperties: integer } }),
+  OtlpResult: {
+    type: 'object',
+    description: 'ExportMetricsServiceResponse; `partialSuccess` only when data points were dropped',
+    properties: {
+      partialSuccess: object({ rejectedDataPoints: integer, errorMessage: string })
+    },
+    required: []
+  },
+
+  DemoStatus: object({
+    available: boolean,
+    services: object({ mysql: boolean, wordpress: boolean, nginx: boolean }),
+    mode: { type: 'string', enum: ['active', 'detection'] },
+    connection: nullable(string),
+    lastCheck: dateTime,
+    demoDataCount: integer
+  }, ['available', 'services', 'mode', 'connection', 'lastCheck']),
+  DemoRefresh: object({ success: boolean, message: string, output: string }),
+
+  // socket.io events
+  RealtimeSample: object({
+    queries_per_second: nullable(number),
+    avg_response_time: nullable(number),
+    memory_usage: nullable(number),
+    timestamp: dateTime,
+    demo_mode: boolean,
+    site: string,
+    seq
+  }, ['queries_per_second', 'avg_response_time', 'memory_usage', 'timestamp', 'demo_mode', 'site']),
+  AlertEvent: object({
+    type: { type: 'string', enum: ['opened', 'acknowledged', 'resolved'] },
+    alert: ref('Alert'),
+    seq
+  }, ['type', 'alert']),
+  SiteSubscribed: object({ site: string }),
+  SiteError: object({ error: string }),
+  Subscription: {
+    type: 'object',
+    properties: {
+      channel: { type: 'string', enum: Object.keys(CHANNELS) },
+      site: { ...string, description: 'Defaults to the default site' },
+      rate: { ...integer, minimum: MIN_RATE, maximum: MAX_RATE, description: 'Seconds between polls; each channel has its own default' },
+      timeRange: { type: 'string', enum: Object.keys(TIME_RANGES), default: '1h', description: 'health, slow-queries and plugins only' },
+      demo: { ...boolean, description: 'Read the demo database' },
+      resume: {
+        ...object({ feed: string, seq }),
+        description: 'After a reconnect: the feed and last `seq` seen, to get the missed events instead of a snapshot'
+      }
+    },
+    required: ['channel']
+  },
+  Subscribed: object({
+    feed: string,
+    channel: string,
+    site: string,
+    rate: integer,
+    timeRange: nullable(string),
+    resumed: { ...boolean, description: 'The missed events follow instead of a snapshot' }
+  }),
+  Resumed: object({
+    since: nullable(integer),
+    until: integer,
+    replayed: integer,
+    complete: { ...boolean, description: 'False when events after `since` were no longer kept' }
+  }),
+  SubscriptionError: object({ channel: nullable(string), error: string }),
+  ChannelSnapshot: object({
+    feed: string,
+    channel: string,
+    site: string,
+    data: { description: "The channel's current value, as its REST route returns it" },
+    seq
+  }, ['feed', 'channel', 'site', 'data']),
+  ChannelDelta: object({
+    feed: string,
+    channel: string,
+    site: string,
+    delta: {
+      oneOf: [
+        { ...object({ set: { type: 'object' } }), description: 'realtime and health: changed fields' },
+        {
+          ...object({ upsert: arrayOf({ type: 'object' }), remove: arrayOf({}), order: arrayOf({}) }, ['upsert', 'remove']),
+          description: 'List channels: new and changed rows, keys of removed rows and, when rows moved, every key in order'
+        }
+      ]
+    },
+    seq
+  }, ['feed', 'channel', 'site', 'delta'])
+};
+
+/**
+ * socket.io events, documented under `x-socket-io` in the OpenAPI document.
+ * `emits` are sent by the server, `accepts` by clients.
+ */
+const SOCKET_EVENTS = {
+  emits: {
+    'real-time-metrics': { schema: 'RealtimeSample', description: 'Latest sample for the subscribed site, every 5 seconds while the site has /api/stream clients; subscribe to the realtime channel instead' },
+    alert: { schema: 'AlertEvent', description: 'An alert for the subscribed site changed state' },
+    'site-subscribed': { schema: 'SiteSubscribed', description: 'Answer to subscribe-site' },
+    'site-error': { schema: 'SiteError', description: 'subscribe-site named an unknown site' },
+    subscribed: { schema: 'Subscribed', description: 'Answer to subscribe' },
+    'subscription-error': { schema: 'SubscriptionError', description: 'subscribe named an unknown channel or site, a bad rate or range, or a channel the user may not read' },
+    snapshot: { schema: 'ChannelSnapshot', description: 'Full value of a subscribed feed, first after subscribing' },
+    delta: { schema: 'ChannelDelta', description: 'What changed in a subscribed feed since the last snapshot or delta; nothing is sent when nothing changed' },
+    resumed: { schema: 'Resumed', description: 'Answer to resume, after the replayed site room events' }
+  },
+  accepts: {
+    'subscribe-site': { schema: { type: 'string' }, description: 'Site id to receive events for; sockets start in the default site' },
+    subscribe: { schema: 'Subscription', description: 'Receive a channel for a site; replaces the socket\'s previous subscription to the channel' },
+    unsubscribe: { schema: object({ channel: string }), description: 'Stop receiving a channel' },
+    resume: { schema: object({ since: integer }), description: 'After a reconnect: replay the site room\'s real-time-metrics and alert events after this seq' }
+  }
+};
+
+module.exports = {
+  RESPONSE_SCHEMAS,
+  SOCKET_EVENTS
+};
@@ -0,0 +1,332 @@
+/**
+ * Tests for the server-side alert rules engine and /api/alerts routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+    AlertEngine,
+    MemoryAlertStore,
+    MySqlAlertStore,
+    DEFAULT_RULES,
+    validateRule,
+    describeRule
+} = require('../src/alerts');
+const { createAlertsRouter } = require('../src/routes/alerts');
+const { SiteRegistry } = require('../src/site-registry');
+const { MemoryDataSource } = require('../src/data-sources');
+
+describe('Alerting', () => {
+    const now = new Date('2024-01-01T12:00:00Z').getTime();
+    const minutesAgo = (minutes) => new Date(now - minutes * 60 * 1000);
+
+    let registry;
+    let store;
+    let sources;
+    let engine;
+
+    function metricsRow(minutes, avgResponseTime) {
+        return { avg_response_time: avgResponseTime, queries_per_second: 10, memory_usage: 100, timestamp: minutesAgo(minutes) };
+    }
+
+    beforeEach(() => {
+        registry = new SiteRegistry([
+            { id: 'shop', db: {} },
+            { id: 'blog', db: {} }
+        ], { createPool: () => ({}) });
+        store = new MemoryAlertStore({ now: () => now });
+        sources = {
+            shop: new MemoryDataSource({}, { now: () => now }),
+            blog: new MemoryDataSource({}, { now: () => now })
+        };
+        engine = new AlertEngine({
+            store,
+            listSources: () => registry.listSites().map(({ id }) => ({ site: id, dataSource: sources[id] })),
+            now: () => now
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('validateRule', () => {
+        test('should accept a complete rule', () => {
+            expect(validateRule({
+                name: 'Slow responses',
+                metric: 'performance_metrics.avg_response_time',
+                operator: '>',
+                threshold: 2000,
+                duration_seconds: 300,
+                severity: 'critical'
+            })).toEqual([]);
+        });
+
+        test('should list every invalid field', () => {
+            const errors = validateRule({ name: '', metric: 'wp_users.user_pass', operator: '=~', threshold: 'high', severity: 'page' });
+
+            expect(errors.map(e => e.field)).toEqual(['name', 'metric', 'operator', 'threshold', 'severity']);
+        });
+
+        test('should require a window for count metrics', () => {
+            const errors = validateRule({ name: 'Slow query burst', metric: 'slow_queries.count', operator: '>', threshold: 10 });
+
+            expect(errors).toEqual([{ field: 'duration_seconds', message: 'count metrics need a duration_seconds window' }]);
+        });
+
+        test('should describe rules in plain language', () => {
+            expect(describeRule(DEFAULT_RULES[0])).toBe('Avg response time > 2000ms for 5 minutes');
+        });
+    });
+
+    describe('AlertEngine', () => {
+        async function addRule(overrides = {}) {
+            return store.createRule({
+                name: 'Slow responses',
+                metric: 'performance_metrics.avg_response_time',
+                operator: '>',
+                threshold: 2000,
+                duration_seconds: 300,
+                severity: 'warning',
+                ...overrides
+            });
+        }
+
+        test('should only fire when every sample in the window breaches', async () => {
+            await addRule({ site: 'shop' });
+            sources.shop.tables.performance_metrics.push(metricsRow(1, 2500), metricsRow(3, 1500), metricsRow(6, 2200));
+
+            expect(await engine.evaluate()).toEqual([]);
+
+            sources.shop.tables.performance_metrics[1].avg_response_time = 2100;
+            const events = await engine.evaluate();
+
+            expect(events).toHaveLength(1);
+            expect(events[0]).toMatchObject({
+                type: 'opened',
+                alert: { site: 'shop', state: 'open', value: 2500, severity: 'warning' }
+            });
+            expect(events[0].alert.message).toContain('Avg response time > 2000ms for 5 minutes');
+        });
+
+        test('should ignore samples older than the last one before the window', async () => {
+            await addRule({ site: 'shop' });
+            sources.shop.tables.performance_metrics.push(metricsRow(1, 2500), metricsRow(6, 2400), metricsRow(10, 100));
+
+            const events = await engine.evaluate();
+
+            expect(events.map(e => e.type)).toEqual(['opened']);
+        });
+
+        test('should not count a breaching sample from before a gap as covering the window', async () => {
+            await addRule({ site: 'shop' });
+            sources.shop.tables.performance_metrics.push(metricsRow(3 * 24 * 60, 2500), metricsRow(1, 2600));
+
+            expect(await engine.evaluate()).toEqual([]);
+
+            sources.shop.tables.performance_metrics.push(metricsRow(6, 2400));
+            expect((await engine.evaluate()).map(e => e.type)).toEqual(['opened']);
+        });
+
+        test('should check every sample of a dense window', async () => {
+            await addRule({ site: 'shop' });
+            const dense = Array.from({ length: 1500 }, (_, i) => metricsRow(i / 1000, 2500));
+            sources.shop.tables.performance_metrics.push(...dense, metricsRow(3, 100), metricsRow(6, 2500));
+
+            expect(await engine.evaluate()).toEqual([]);
+        });
+
+        test('should not fire when the window holds more samples than it can read', async () => {
+            const limited = new AlertEngine({
+                store,
+                listSources: () => [{ site: 'shop', dataSource: sources.shop }],
+                maxWindowSamples: 3,
+                now: () => now
+            });
+            await addRule({ site: 'shop' });
+            sources.shop.tables.performance_metrics.push(
+                metricsRow(0.5, 2500), metricsRow(1, 2500), metricsRow(1.5, 2500), metricsRow(3, 100), metricsRow(6, 2500)
+            );
+
+            expect(await limited.evaluate()).toEqual([]);
+        });
+
+        test('should not fire until breaching samples cover the whole window', async () => {
+            await addRule({ site: 'shop' });
+            sources.shop.tables.performance_metrics.push(metricsRow(1, 2500));
+
+            expect(await engine.evaluate()).toEqual([]);
+
+            sources.shop.tables.performance_metrics.push(metricsRow(10, 100));
+            expect(await engine.evaluate()).toEqual([]);
+        });
+
+        test('should evaluate rules without a site against every site', async () => {
+            await addRule({ duration_seconds: 0 });
+            sources.shop.tables.performance_metrics.push(metricsRow(1, 2500));
+            sources.blog.tables.performance_metrics.push(metricsRow(1, 3000));
+
+            const events = await engine.evaluate();
+
+            expect(events.map(e => e.alert.site).sort()).toEqual(['blog', 'shop']);
+        });
+
+        test('should evaluate only the sources it is given, such as the demo database in demo mode', async () => {
+            const demo = new MemoryDataSource({ performance_metrics: [metricsRow(1, 2500)] }, { now: () => now });
+            const demoEngine = new AlertEngine({ store, listSources: () => [{ site: 'demo', dataSource: demo }], now: () => now });
+            await addRule({ duration_seconds: 0 });
+            await addRule({ site: 'shop', duration_seconds: 0 });
+
+            const events = await demoEngine.evaluate();
+
+            expect(events.map(e => e.alert.site)).toEqual(['demo']);
+        });
+
+        test('should not reopen an active alert and resolve it on recovery', async () => {
+            await addRule({ site: 'shop', duration_seconds: 0 });
+            const listener = jest.fn();
+            engine.on('alert', listener);
+
+            sources.shop.tables.performance_metrics.push(metricsRow(1, 2500));
+            await engine.evaluate();
+            await engine.evaluate();
+            expect(await store.listAlerts()).toHaveLength(1);
+
+            sources.shop.tables.performance_metrics.push(metricsRow(0, 900));
+            await engine.evaluate();
+
+            const [alert] = await store.listAlerts();
+            expect(alert.state).toBe('resolved');
+            expect(alert.resolved_at).toEqual(new Date(now));
+            expect(listener.mock.calls.map(([event]) => event.type)).toEqual(['opened', 'resolved']);
+        });
+
+        test('should count slow queries inside the window', async () => {
+            await addRule({ site: 'blog', metric: 'slow_queries.count', operator: '>=', threshold: 2, duration_seconds: 600 });
+            sources.blog.tables.slow_queries.push(
+                { execution_time: 900, timestamp: minutesAgo(1) },
+                { execution_time: 900, timestamp: minutesAgo(5) },
+                { execution_time: 900, timestamp: minutesAgo(30) }
+            );
+
+            const events = await engine.evaluate();
+
+            expect(events[0].alert).toMatchObject({ site: 'blog', metric: 'slow_queries.count', value: 2 });
+        });
+
+        test('should compute derived metrics such as memory usage percent', async () => {
+            await addRule({ site: 'shop', metric: 'system_health.memory_usage_percent', threshold: 80, duration_seconds: 0 });
+            sources.shop.tables.system_health.push({ memory_total: 1000, memory_used: 900, timestamp: minutesAgo(1) });
+
+            const events = await engine.evaluate();
+
+            expect(events[0].alert.value).toBe(90);
+        });
+
+        test('should skip disabled rules', async () => {
+            await addRule({ site: 'shop', duration_seconds: 0, enabled: false });
+            sources.shop.tables.performance_metrics.push(metricsRow(1, 2500));
+
+            expect(await engine.evaluate()).toEqual([]);
+        });
+
+        test('should acknowledge open alerts and emit the change', async () => {
+            await addRule({ site: 'shop', duration_seconds: 0 });
+            sources.shop.tables.performance_metrics.push(metricsRow(1, 2500));
+            const [{ alert }] = await engine.evaluate();
+            const listener = jest.fn();
+            engine.on('alert', listener);
+
+            const acknowledged = await engine.acknowledge(alert.id, 'oncall');
+
+            expect(acknowledged).toMatchObject({ state: 'acknowledged', acknowledged_by: 'oncall' });
+            expect(listener).toHaveBeenCalledWith({ type: 'acknowledged', alert: acknowledged });
+        });
+    });
+
+    describe('MySqlAlertStore', () => {
+        test('should create tables and seed the default rules once', async () => {
+            const pool = {
+                execute: jest.fn(async (sql) => {
+                    if (sql.startsWith('SELECT COUNT(*)')) return [[{ total: 0 }]];
+                    if (sql.startsWith('INSERT')) return [{ insertId: 1 }];
+                    if (sql.startsWith('SELECT * FROM alert_rules WHERE id')) {
+                        return [[{ id: 1, threshold: '2000', duration_seconds: 300, enabled: 1, site: null }]];
+                    }
+                    return [[]];
+                })
+            };
+
+            await new MySqlAlertStore(pool).ensureSchema();
+            const statements = pool.execute.mock.calls.map(([sql]) => sql);
+
+            expect(statements.some(sql => sql.includes('CREATE TABLE IF NOT EXISTS alert_rules'))).toBe(true);
+            expect(statements.some(sql => sql.includes('CREATE TABLE IF NOT EXISTS alerts'))).toBe(true);
+            expect(statements.filter(sql => sql.startsWith('INSERT INTO alert_rules'))).toHaveLength(DEFAULT_RULES.length);
+        });
+    });
+
+    describe('Alert routes', () => {
+        let app;
+
+        beforeEach(() => {
+            app = express();
+            app.use(express.json());
+            app.use('/api', createAlertsRouter({ store, engine, registry }));
+        });
+
+        test('should create, update and delete rules', async () => {
+            const created = await request(app)
+                .post('/api/alert-rules')
+                .send({ name: 'CPU', metric: 'system_health.cpu_usage', operator: '>', threshold: 90, severity: 'critical' })
+                .expect(201);
+
+            expect(created.body).toMatchObject({ id: 1, enabled: true, site: null, duration_seconds: 0 });
+
+            const updated = await request(app)
+                .put(`/api/alert-rules/${created.body.id}`)
+                .send({ threshold: 95, enabled: false })
+                .expect(200);
+            expect(updated.body).toMatchObject({ threshold: 95, enabled: false });
+
+            await request(app).delete(`/api/alert-rules/${created.body.id}`).expect(204);
+            await request(app).delete(`/api/alert-rules/${created.body.id}`).expect(404);
+        });
+
+        test('should reject invalid rules with field details', async () => {
+            const response = await request(app)
+                .post('/api/alert-rules')
+                .send({ name: 'Bad', metric: 'system_health.cpu_usage', operator: '>', threshold: 90, site: 'missing' })
+                .expect(400);
+
+            expect(response.body).toEqual({
+                error: 'Invalid alert rule',
+                details: [{ field: 'site', message: 'Unknown site: missing' }]
+            });
+        });
+
+        test('should list alerts by state and acknowledge them', async () => {
+            await store.createRule({ name: 'Slow', site: 'shop', metric: 'performance_metrics.avg_response_time', operator: '>', threshold: 2000 });
+            sources.shop.tables.performance_metrics.push(metricsRow(1, 2500));
+            await engine.evaluate();
+
+            const open = await request(app).get('/api/alerts?state=open').expect(200);
+            expect(open.body).toHaveLength(1);
+
+            await request(app).post(`/api/alerts/${open.body[0].id}/acknowledge`).expect(200);
+
+            const stillOpen = await request(app).get('/api/alerts?state=open').expect(200);
+            expect(stillOpen.body).toHaveLength(0);
+            await request(app).get('/api/alerts?state=closed').expect(400);
+            await request(app).post('/api/alerts/999/acknowledge').expect(404);
+        });
+
+        test('should expose the rule options catalog', async () => {
+            const response = await request(app).get('/api/alert-rules/options').expect(200);
+
+            expect(response.body.operators).toContain('>=');
+            expect(response.body.metrics.map(m => m.id)).toContain('slow_queries.count');
+        });
+    });
+});
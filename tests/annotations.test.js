@@ -0,0 +1,156 @@
+/**
+ * Tests for deploy and release annotations and the /api/annotations routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { MemoryAnnotationStore, MySqlAnnotationStore, validateAnnotation } = require('../src/annotations');
+const { createAnnotationsRouter } = require('../src/routes/annotations');
+const { createApiRouter } = require('../src/routes/api');
+const { MemoryDataSource } = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+const { accessRule } = require('../src/auth/roles');
+const { API_ROUTES, buildOpenApiSpec, schemaErrors } = require('../src/validation');
+
+describe('Annotations', () => {
+    const now = new Date('2024-05-01T12:00:00Z').getTime();
+    const minutesAgo = minutes => new Date(now - minutes * 60 * 1000).toISOString();
+
+    let registry;
+    let store;
+    let app;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        registry = new SiteRegistry([{ id: 'shop', db: {} }, { id: 'blog', db: {} }], { createPool: () => ({}) });
+        store = new MemoryAnnotationStore({ now: () => now });
+        app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.user = { username: 'ci', role: 'operator', type: 'api_key', scopes: ['write:annotations'] };
+            next();
+        });
+        app.use('/api', createAnnotationsRouter({ store, registry }));
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('validateAnnotation', () => {
+        test('should accept an annotation with only a type and message', () => {
+            expect(validateAnnotation({ type: 'deploy', message: 'v2.4.0' })).toEqual([]);
+        });
+
+        test('should list every invalid field', () => {
+            expect(validateAnnotation({ type: 'rollback', message: ' ', site: 3, timestamp: 'yesterday', plugin_name: 'x'.repeat(101) })
+                .map(error => error.field)).toEqual(['type', 'message', 'site', 'timestamp', 'plugin_name']);
+        });
+    });
+
+    describe('routes', () => {
+        test('should store a posted annotation for the default site with the poster and current time', async () => {
+            const response = await request(app)
+                .post('/api/annotations')
+                .send({ type: 'plugin_update', message: ' WooCommerce 8.9.1 ', plugin_name: 'woocommerce' })
+                .expect(201);
+
+            expect(response.body).toMatchObject({
+                id: 1,
+                site: 'shop',
+                type: 'plugin_update',
+                message: 'WooCommerce 8.9.1',
+                plugin_name: 'woocommerce',
+                created_by: 'ci'
+            });
+            expect(Math.abs(new Date(response.body.timestamp).getTime() - Date.now())).toBeLessThan(5000);
+        });
+
+        test('should reject invalid annotations and unknown sites', async () => {
+            const response = await request(app)
+                .post('/api/annotations')
+                .send({ type: 'deploy', message: 'v2', site: 'missing' })
+                .expect(400);
+
+            expect(response.body).toEqual({ error: 'Invalid annotation', details: [{ field: 'site', message: 'Unknown site: missing' }] });
+            expect(store.annotations).toHaveLength(0);
+        });
+
+        test('should list a site\'s annotations in the time range, newest first', async () => {
+            await store.createAnnotation({ site: 'blog', type: 'deploy', message: 'old', timestamp: minutesAgo(120) });
+            await store.createAnnotation({ site: 'blog', type: 'release', message: 'v1', timestamp: minutesAgo(30) });
+            await store.createAnnotation({ site: 'blog', type: 'deploy', message: 'v2', timestamp: minutesAgo(10) });
+            await store.createAnnotation({ site: 'shop', type: 'deploy', message: 'shop', timestamp: minutesAgo(10) });
+
+            const response = await request(app)
+                .get(`/api/annotations?site=blog&from=${minutesAgo(60)}&to=${minutesAgo(0)}`)
+                .expect(200);
+
+            expect(response.body.map(annotation => annotation.message)).toEqual(['v2', 'v1']);
+            await request(app).get('/api/annotations?site=missing').expect(404);
+        });
+
+        test('should match the documented annotation schema', async () => {
+            const spec = buildOpenApiSpec(API_ROUTES);
+            const response = await request(app)
+                .post('/api/annotations')
+                .send({ type: 'deploy', message: 'v2.4.0', site: 'blog', timestamp: '2024-05-01T11:00:00Z' })
+                .expect(201);
+
+            expect(schemaErrors(spec.components.schemas.Annotation, response.body, spec)).toEqual([]);
+        });
+
+        test('should need the write:annotations scope to post and read:metrics to list', () => {
+            expect(accessRule('POST', '/annotations')).toMatchObject({ role: 'operator', scope: 'write:annotations' });
+            expect(accessRule('GET', '/annotations')).toMatchObject({ role: 'viewer', scope: 'read:metrics' });
+        });
+    });
+
+    describe('export', () => {
+        test('should download a site\'s annotations with the other datasets', async () => {
+            await store.createAnnotation({ site: 'shop', type: 'deploy', message: 'v2, hotfix', timestamp: minutesAgo(5) });
+            await store.createAnnotation({ site: 'blog', type: 'deploy', message: 'blog', timestamp: minutesAgo(5) });
+            const exportApp = express();
+            exportApp.use('/api', createApiRouter({ resolveDataSource: () => new MemoryDataSource(), registry, annotations: store }));
+
+            const response = await request(exportApp)
+                .get(`/api/export/annotations?site=shop&from=${minutesAgo(60)}&to=${minutesAgo(0)}`)
+                .expect(200);
+
+            expect(response.headers['content-disposition']).toMatch(/^attachment; filename="annotations-shop-.+\.csv"$/);
+            const [header, row] = response.text.trim().split('\r\n');
+            expect(header).toBe('id,site,type,message,plugin_name,timestamp,created_by,created_at');
+            expect(row).toContain('"v2, hotfix"');
+        });
+
+        test('should not offer annotations without a store', async () => {
+            const exportApp = express();
+            exportApp.use('/api', createApiRouter({ resolveDataSource: () => new MemoryDataSource(), registry }));
+
+            await request(exportApp).get('/api/export/annotations').expect(404, { error: 'Unknown export: annotations' });
+        });
+    });
+
+    describe('MySqlAnnotationStore', () => {
+        test('should read one site within the range and insert with nullable fields', async () => {
+            const pool = {
+                execute: jest.fn(async (sql) => {
+                    if (sql.startsWith('INSERT')) return [{ insertId: 7 }];
+                    return [[{ id: 7, site: 'shop', type: 'deploy', message: 'v2', plugin_name: null, created_by: null }]];
+                })
+            };
+            const mysqlStore = new MySqlAnnotationStore(pool);
+
+            await mysqlStore.listAnnotations({ site: 'shop', timeRange: '24h', limit: 50 });
+            expect(pool.execute).toHaveBeenLastCalledWith(
+                'SELECT * FROM annotations WHERE site = ? AND timestamp > DATE_SUB(NOW(), INTERVAL 24 HOUR) ORDER BY timestamp DESC, id DESC LIMIT ?',
+                ['shop', 50]
+            );
+
+            const timestamp = new Date(now);
+            const created = await mysqlStore.createAnnotation({ site: 'shop', type: 'deploy', message: 'v2', timestamp });
+            expect(pool.execute.mock.calls[1][1]).toEqual(['shop', 'deploy', 'v2', null, timestamp, null]);
+            expect(created.id).toBe(7);
+        });
+    });
+});
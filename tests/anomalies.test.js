@@ -0,0 +1,159 @@
+/**
+ * Tests for baseline anomaly detection and the /api/anomalies route
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+    detectAnomalies,
+    detectRollingAnomalies,
+    ANOMALY_METRICS
+} = require('../src/anomalies');
+const { createApiRouter } = require('../src/routes/api');
+const { MemoryDataSource } = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+
+describe('Anomaly detection', () => {
+    const now = new Date('2024-01-08T12:00:00Z').getTime();
+    const MINUTE = 60 * 1000;
+    const HOUR = 60 * MINUTE;
+
+    // Small deterministic wobble so the baseline has a non-zero spread
+    const wobble = (i) => [0, 4, -3, 2, -5, 3][i % 6];
+
+    function responseSeries(count, stepMs, valueAt) {
+        return Array.from({ length: count }, (_, i) => ({
+            avg_response_time: valueAt(i),
+            queries_per_second: 10,
+            memory_usage: 64,
+            timestamp: new Date(now - (count - 1 - i) * stepMs)
+        }));
+    }
+
+    describe('rolling model', () => {
+        test('should flag a spike that stays under the static 2000ms threshold', async () => {
+            // Two hours of one-minute samples around 300ms with a 600ms spike ten minutes ago
+            const rows = responseSeries(120, MINUTE, i => (i === 109 ? 600 : 300 + wobble(i)));
+            const dataSource = new MemoryDataSource({ performance_metrics: rows }, { now: () => now });
+
+            const anomalies = await detectAnomalies({
+                dataSource,
+                metrics: ['performance_metrics.avg_response_time'],
+                timeRange: '1h',
+                now
+            });
+
+            expect(anomalies).toHaveLength(1);
+            expect(anomalies[0]).toMatchObject({
+                metric: 'performance_metrics.avg_response_time',
+                value: 600,
+                direction: 'high'
+            });
+            expect(anomalies[0].timestamp).toEqual(rows[109].timestamp);
+            expect(anomalies[0].expected).toBeCloseTo(300, 0);
+        });
+
+        test('should flag drops as low anomalies', () => {
+            const points = Array.from({ length: 40 }, (_, i) => ({
+                timestamp: new Date(i * MINUTE),
+                time: i * MINUTE,
+                value: i === 35 ? 20 : 87 + wobble(i) / 5
+            }));
+
+            const anomalies = detectRollingAnomalies(points, { from: 0, window: 30, threshold: 3, minSamples: 10 });
+
+            expect(anomalies.map(a => [a.value, a.direction])).toEqual([[20, 'low']]);
+        });
+
+        test('should not score points until the window has enough samples', () => {
+            const points = [100, 100, 5000].map((value, i) => ({ timestamp: new Date(i), time: i, value }));
+
+            expect(detectRollingAnomalies(points, { from: 0, window: 30, threshold: 3, minSamples: 10 })).toEqual([]);
+        });
+    });
+
+    describe('seasonal model', () => {
+        test('should accept a recurring hourly pattern and flag breaks from it', async () => {
+            // Five weeks of hourly samples: a nightly 02:00 backup doubles response time
+            const rows = responseSeries(5 * 7 * 24 + 1, HOUR, i => {
+                const hour = new Date(now - (5 * 7 * 24 - i) * HOUR).getUTCHours();
+                return (hour === 2 ? 800 : 400) + wobble(i);
+            });
+            // Noon today regresses without crossing any static threshold
+            rows[rows.length - 1].avg_response_time = 700;
+            const dataSource = new MemoryDataSource({ performance_metrics: rows }, { now: () => now });
+
+            const anomalies = await detectAnomalies({
+                dataSource,
+                metrics: ['performance_metrics.avg_response_time'],
+                timeRange: '24h',
+                model: 'seasonal',
+                now
+            });
+
+            expect(anomalies.map(a => a.value)).toEqual([700]);
+            expect(anomalies[0].expected).toBeCloseTo(400, -1);
+        });
+    });
+
+    describe('baseline resolution', () => {
+        test('should read hourly rollups for the seasonal model and follow the range for the rolling one', async () => {
+            const dataSource = { getMetricValues: jest.fn().mockResolvedValue([]) };
+            const metrics = ['performance_metrics.avg_response_time'];
+
+            await detectAnomalies({ dataSource, metrics, timeRange: '1h', model: 'seasonal', now });
+            await detectAnomalies({ dataSource, metrics, timeRange: '1h', now });
+            await detectAnomalies({ dataSource, metrics, timeRange: '30d', now });
+
+            expect(dataSource.getMetricValues.mock.calls.map(([, options]) => options.resolution)).toEqual(['1h', 'raw', '1h']);
+            expect(dataSource.getMetricValues.mock.calls[0][1].since).toEqual(new Date(now - HOUR - 4 * 7 * 24 * HOUR));
+        });
+    });
+
+    describe('ANOMALY_METRICS', () => {
+        test('should exclude count metrics from the series catalog', () => {
+            expect(ANOMALY_METRICS).toContain('system_health.cpu_usage');
+            expect(ANOMALY_METRICS).not.toContain('slow_queries.count');
+        });
+    });
+
+    describe('GET /api/anomalies', () => {
+        const registry = new SiteRegistry([{ id: 'shop', db: {} }], { createPool: () => ({}) });
+        let app;
+
+        beforeEach(() => {
+            const realNow = Date.now();
+            const rows = Array.from({ length: 90 }, (_, i) => ({
+                avg_response_time: i === 85 ? 900 : 200 + wobble(i),
+                timestamp: new Date(realNow - (89 - i) * MINUTE)
+            }));
+            const dataSource = new MemoryDataSource({ performance_metrics: rows });
+            app = express();
+            app.use('/api', createApiRouter({ resolveDataSource: () => dataSource, registry }));
+        });
+
+        test('should return anomalies with the options used', async () => {
+            const response = await request(app)
+                .get('/api/anomalies?metric=performance_metrics.avg_response_time&timeRange=1h')
+                .expect(200);
+
+            expect(response.body).toMatchObject({
+                metrics: ['performance_metrics.avg_response_time'],
+                timeRange: '1h',
+                model: 'rolling',
+                threshold: 3
+            });
+            expect(response.body.anomalies.map(a => a.value)).toEqual([900]);
+        });
+
+        test('should reject invalid queries with field details', async () => {
+            const response = await request(app).get('/api/anomalies?model=magic&threshold=abc').expect(400);
+
+            expect(response.body.error).toBe('Invalid request parameters');
+            expect(response.body.details.map(d => d.field)).toEqual(['model', 'threshold']);
+
+            const unknown = await request(app).get('/api/anomalies?metric=slow_queries.count&timeRange=2y').expect(400);
+            expect(unknown.body.details.map(d => d.field)).toEqual(['timeRange', 'metric']);
+        });
+    });
+});
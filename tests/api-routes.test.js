@@ -0,0 +1,133 @@
+/**
+ * Tests for the /api data routes using an injected in-memory data source
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { createApiRouter } = require('../src/routes/api');
+const { MemoryDataSource } = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+
+describe('API Routes', () => {
+    let dataSource;
+    let app;
+
+    const registry = new SiteRegistry([
+        { id: 'shop', name: 'Shop', db: { host: 'shop-db', password: 'secret' } },
+        { id: 'blog', name: 'Blog', wpApi: { baseUrl: 'https://blog.example.com' } }
+    ], { createPool: () => ({}) });
+
+    function createApp(resolveDataSource) {
+        const testApp = express();
+        testApp.use(express.json());
+        testApp.use('/api', createApiRouter({ resolveDataSource, registry }));
+        return testApp;
+    }
+
+    beforeEach(() => {
+        dataSource = new MemoryDataSource({
+            performance_metrics: [
+                { queries_per_second: 12, avg_response_time: 150, memory_usage: 64, timestamp: new Date() }
+            ],
+            slow_queries: [
+                { query_text: 'SELECT * FROM wp_options', execution_time: 670.8, rows_examined: 2300, timestamp: new Date() }
+            ],
+            admin_ajax_calls: [
+                { action_name: 'heartbeat', call_count: 450, timestamp: new Date() }
+            ],
+            plugin_performance: [
+                { plugin_name: 'WooCommerce', impact_score: 85, status: 'active', timestamp: new Date() },
+                { plugin_name: 'Hello Dolly', impact_score: 5, status: 'inactive', timestamp: new Date() }
+            ],
+            system_health: [
+                { cpu_usage: 45, memory_total: 8192, memory_used: 3567, disk_usage: 78.5, cache_hit_ratio: 87.3, timestamp: new Date() }
+            ]
+        });
+        app = createApp(() => dataSource);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    test('should serve every data route from the injected source', async () => {
+        const metrics = await request(app).get('/api/metrics').expect(200);
+        const queries = await request(app).get('/api/slow-queries').expect(200);
+        const ajax = await request(app).get('/api/admin-ajax').expect(200);
+        const plugins = await request(app).get('/api/plugins').expect(200);
+        const realtime = await request(app).get('/api/realtime-metrics').expect(200);
+
+        expect(metrics.body).toHaveLength(1);
+        expect(queries.body[0].query_text).toBe('SELECT * FROM wp_options');
+        expect(ajax.body[0].action_name).toBe('heartbeat');
+        expect(plugins.body.map(p => p.plugin_name)).toEqual(['WooCommerce']);
+        expect(realtime.body.avg_qps).toBe(12);
+    });
+
+    test('should pass query parameters through to the data source', async () => {
+        const response = await request(app)
+            .get('/api/plugins?includeInactive=true&limit=1')
+            .expect(200);
+
+        expect(response.body.map(p => p.plugin_name)).toEqual(['WooCommerce']);
+
+        const all = await request(app).get('/api/plugins?includeInactive=true').expect(200);
+        expect(all.body).toHaveLength(2);
+    });
+
+    test('should return the system health summary', async () => {
+        const response = await request(app).get('/api/system-health').expect(200);
+
+        expect(response.body).toMatchObject({
+            slow_queries_1h: 1,
+            active_plugins: 1,
+            cpu_usage: 45,
+            status: 'healthy',
+            demo_mode: false
+        });
+    });
+
+    test('should resolve the data source once per request', async () => {
+        const resolveDataSource = jest.fn(() => dataSource);
+        const trackedApp = createApp(resolveDataSource);
+
+        await request(trackedApp).get('/api/metrics?demo=true').expect(200);
+
+        expect(resolveDataSource).toHaveBeenCalledTimes(1);
+        expect(resolveDataSource.mock.calls[0][0].query.demo).toBe('true');
+    });
+
+    test('should list registered sites without credentials', async () => {
+        const response = await request(app).get('/api/sites').expect(200);
+
+        expect(response.body).toEqual([
+            { id: 'shop', name: 'Shop', type: 'mysql', default: true },
+            { id: 'blog', name: 'Blog', type: 'wp-api', default: false }
+        ]);
+    });
+
+    test('should return 404 for unknown sites', async () => {
+        const siteApp = createApp((req) => registry.getDataSource(req.query.site));
+
+        const response = await request(siteApp).get('/api/metrics?site=missing').expect(404);
+
+        expect(response.body).toEqual({ error: 'Unknown site: missing' });
+    });
+
+    test('should return 400 when no data source is available', async () => {
+        const response = await request(createApp(() => null))
+            .get('/api/metrics')
+            .expect(400);
+
+        expect(response.body).toEqual({ error: 'Database not available' });
+    });
+
+    test('should return 500 with a route-specific message when the source fails', async () => {
+        dataSource.getSlowQueries = jest.fn().mockRejectedValue(new Error('boom'));
+
+        const response = await request(app).get('/api/slow-queries').expect(500);
+
+        expect(response.body).toEqual({ error: 'Failed to fetch slow queries' });
+    });
+});
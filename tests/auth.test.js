@@ -0,0 +1,449 @@
+/**
+ * Tests for login sessions, scoped API keys, the audit log and role-based access to /api routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+    AuthService,
+    MemoryAuthStore,
+    hashPassword,
+    verifyPassword,
+    hasRole,
+    requiredRole,
+    authenticate,
+    authorize,
+    auditLog,
+    authenticateSocket
+} = require('../src/auth');
+const { accessRule } = require('../src/auth/roles');
+const { createAuthRouter } = require('../src/routes/auth');
+const { createApiRouter } = require('../src/routes/api');
+const { createAlertsRouter } = require('../src/routes/alerts');
+const { AlertEngine, MemoryAlertStore } = require('../src/alerts');
+const { MemoryDataSource } = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+
+const PASSWORD = 'correct horse battery';
+
+describe('Authentication', () => {
+    let now;
+    let auth;
+    let app;
+    let alertStore;
+
+    // Same middleware order as server.js
+    function createApp() {
+        const registry = new SiteRegistry([{ id: 'shop', db: {} }], { createPool: () => ({}) });
+        const dataSource = new MemoryDataSource({
+            slow_queries: [{ id: 1, timestamp: new Date(), execution_time: 3, query_text: 'SELECT 1' }]
+        });
+        const engine = new AlertEngine({ store: alertStore, listSources: () => [{ site: 'shop', dataSource }] });
+        const server = express();
+        server.use(express.json());
+        server.use('/api', authenticate(auth), auditLog(auth), authorize);
+        server.use('/api', createAuthRouter({ auth }));
+        server.use('/api', createApiRouter({ resolveDataSource: () => dataSource, registry }));
+        server.use('/api', createAlertsRouter({ store: alertStore, engine, registry }));
+        server.post('/api/demo-refresh', (req, res) => res.json({ success: true }));
+        return server;
+    }
+
+    async function loginAs(username) {
+        const agent = request.agent(app);
+        await agent.post('/api/auth/login').send({ username, password: PASSWORD }).expect(200);
+        return agent;
+    }
+
+    async function createKey(agent, body) {
+        const response = await agent.post('/api/keys').send(body).expect(201);
+        return response.body;
+    }
+
+    beforeEach(async () => {
+        now = new Date('2024-01-01T12:00:00Z').getTime();
+        auth = new AuthService({ store: new MemoryAuthStore({ now: () => now }), now: () => now });
+        alertStore = new MemoryAlertStore();
+        await alertStore.ensureSchema();
+        await auth.createUser({ username: 'admin', password: PASSWORD, role: 'admin' });
+        await auth.createUser({ username: 'ops', password: PASSWORD, role: 'operator' });
+        await auth.createUser({ username: 'viewer', password: PASSWORD, role: 'viewer' });
+        app = createApp();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('passwords', () => {
+        test('should store salted scrypt hashes and verify them', async () => {
+            const first = await hashPassword(PASSWORD);
+            const second = await hashPassword(PASSWORD);
+
+            expect(first).toMatch(/^scrypt\$16384\$8\$1\$/);
+            expect(first).not.toBe(second);
+            expect(await verifyPassword(PASSWORD, first)).toBe(true);
+            expect(await verifyPassword('wrong password', first)).toBe(false);
+            expect(await verifyPassword(PASSWORD, 'plaintext')).toBe(false);
+        });
+
+        test('should never return password hashes from the store through the service', async () => {
+            const users = await auth.listUsers();
+
+            expect(users).toHaveLength(3);
+            users.forEach(user => expect(user).not.toHaveProperty('password_hash'));
+        });
+    });
+
+    describe('roles', () => {
+        test('should rank viewer < operator < admin', () => {
+            expect(hasRole({ role: 'admin' }, 'operator')).toBe(true);
+            expect(hasRole({ role: 'operator' }, 'operator')).toBe(true);
+            expect(hasRole({ role: 'viewer' }, 'operator')).toBe(false);
+            expect(hasRole({ role: 'root' }, 'viewer')).toBe(false);
+            expect(hasRole(null, 'viewer')).toBe(false);
+        });
+
+        test('should map routes to the role they need and default to admin', () => {
+            expect(requiredRole('POST', '/auth/login')).toBeNull();
+            expect(requiredRole('GET', '/metrics')).toBe('viewer');
+            expect(requiredRole('HEAD', '/metrics')).toBe('viewer');
+            expect(requiredRole('GET', '/slow-queries/7/explain')).toBe('operator');
+            expect(requiredRole('PUT', '/alert-rules/3')).toBe('operator');
+            expect(requiredRole('POST', '/demo-refresh')).toBe('operator');
+            expect(requiredRole('GET', '/users')).toBe('admin');
+            expect(requiredRole('GET', '/audit-log')).toBe('admin');
+            expect(requiredRole('POST', '/keys')).toBe('viewer');
+            expect(requiredRole('POST', '/something-new')).toBe('admin');
+        });
+
+        test('should match rules the way Express matches routes, ignoring case and a trailing slash', () => {
+            expect(requiredRole('GET', '/slow-queries/7/explain/')).toBe('operator');
+            expect(requiredRole('GET', '/Slow-Queries/7/Explain')).toBe('operator');
+            expect(requiredRole('GET', '/USERS')).toBe('admin');
+            expect(requiredRole('GET', '/AUDIT-LOG/')).toBe('admin');
+            expect(requiredRole('POST', '/Auth/Login/')).toBeNull();
+        });
+
+        test('should match rules against the percent-decoded path route parameters see', () => {
+            expect(accessRule('GET', '/export/slow%2Dqueries').scope).toBe('read:queries');
+            expect(accessRule('GET', '/export/%73low-queries/').scope).toBe('read:queries');
+            expect(accessRule('GET', '/export/%E0%A4%A').scope).toBe('read:metrics');
+        });
+    });
+
+    describe('sessions', () => {
+        test('should reject anonymous API requests', async () => {
+            const response = await request(app).get('/api/slow-queries').expect(401);
+
+            expect(response.body).toEqual({ error: 'Authentication required' });
+        });
+
+        test('should log in with an HttpOnly session cookie and log out', async () => {
+            const login = await request(app).post('/api/auth/login').send({ username: 'viewer', password: PASSWORD }).expect(200);
+            const cookie = login.headers['set-cookie'][0];
+
+            expect(cookie).toMatch(/^wpd_session=/);
+            expect(cookie).toContain('HttpOnly');
+            expect(cookie).toContain('SameSite=Lax');
+            expect(login.body.user).toMatchObject({ username: 'viewer', role: 'viewer' });
+            expect(login.body.user).not.toHaveProperty('password_hash');
+
+            const me = await request(app).get('/api/auth/me').set('Cookie', cookie).expect(200);
+            expect(me.body).toMatchObject({ username: 'viewer', role: 'viewer', type: 'session' });
+
+            await request(app).post('/api/auth/logout').set('Cookie', cookie).expect(204);
+            await request(app).get('/api/auth/me').set('Cookie', cookie).expect(401);
+        });
+
+        test('should reject bad credentials without saying which part was wrong', async () => {
+            const wrongPassword = await request(app).post('/api/auth/login').send({ username: 'viewer', password: 'nope' }).expect(401);
+            const unknownUser = await request(app).post('/api/auth/login').send({ username: 'ghost', password: PASSWORD }).expect(401);
+
+            expect(wrongPassword.body).toEqual(unknownUser.body);
+        });
+
+        test('should lock a username out after repeated failures', async () => {
+            for (let i = 0; i < 5; i++) {
+                await request(app).post('/api/auth/login').send({ username: 'viewer', password: 'nope' }).expect(401);
+            }
+
+            const locked = await request(app).post('/api/auth/login').send({ username: 'viewer', password: PASSWORD }).expect(429);
+            expect(locked.headers['retry-after']).toBe('900');
+
+            now += 15 * 60 * 1000;
+            await request(app).post('/api/auth/login').send({ username: 'viewer', password: PASSWORD }).expect(200);
+        });
+
+        test('should forget failed logins once a lockout period has passed', async () => {
+            await auth.login('ghost', 'nope');
+            await auth.login('viewer', 'nope');
+            expect(Array.from(auth.loginFailures.keys())).toEqual(['ghost', 'viewer']);
+
+            now += 10 * 60 * 1000;
+            await auth.login('ghost', 'nope');
+            now += 5 * 60 * 1000;
+            await auth.login('other', 'nope');
+
+            expect(Array.from(auth.loginFailures.keys())).toEqual(['ghost', 'other']);
+            expect(auth.loginFailures.get('ghost').count).toBe(2);
+        });
+
+        test('should expire sessions', async () => {
+            const agent = await loginAs('viewer');
+
+            now += 13 * 60 * 60 * 1000;
+
+            await agent.get('/api/auth/me').expect(401);
+        });
+
+        test('should sign a user out everywhere when the password changes', async () => {
+            const viewer = await loginAs('viewer');
+            const admin = await loginAs('admin');
+            const [user] = (await auth.listUsers()).filter(u => u.username === 'viewer');
+
+            await admin.put(`/api/users/${user.id}`).send({ password: 'a new long password' }).expect(200);
+
+            await viewer.get('/api/auth/me').expect(401);
+        });
+    });
+
+    describe('role-based access', () => {
+        test('should let viewers read but not change anything', async () => {
+            const viewer = await loginAs('viewer');
+
+            await viewer.get('/api/slow-queries').expect(200);
+            await viewer.get('/api/alert-rules').expect(200);
+            const refresh = await viewer.post('/api/demo-refresh').expect(403);
+            expect(refresh.body).toEqual({ error: 'Insufficient permissions', required_role: 'operator' });
+            await viewer.post('/api/alert-rules').send({}).expect(403);
+            await viewer.delete('/api/alert-rules/1').expect(403);
+            await viewer.get('/api/slow-queries/1/explain').expect(403);
+            await viewer.get('/api/users').expect(403);
+        });
+
+        test('should let operators refresh demo data and manage alert rules but not users', async () => {
+            const operator = await loginAs('ops');
+
+            await operator.post('/api/demo-refresh').expect(200);
+            await operator.delete('/api/alert-rules/1').expect(204);
+            await operator.get('/api/users').expect(403);
+            await operator.get('/api/audit-log').expect(403);
+        });
+
+        test('should not let a different case or a trailing slash get around a rule', async () => {
+            const viewer = await loginAs('viewer');
+
+            await viewer.get('/api/slow-queries/1/explain/').expect(403);
+            await viewer.get('/api/Slow-Queries/1/Explain').expect(403);
+            await viewer.get('/api/USERS').expect(403);
+            await viewer.get('/api/AUDIT-LOG').expect(403);
+            await viewer.get('/api/Slow-Queries/').expect(200);
+        });
+
+        test('should record who acknowledged an alert', async () => {
+            const alert = await alertStore.createAlert({ rule_id: 1, site: 'shop', metric: 'm', message: 'slow', opened_at: new Date() });
+            const operator = await loginAs('ops');
+
+            const response = await operator
+                .post(`/api/alerts/${alert.id}/acknowledge`)
+                .send({ acknowledged_by: 'someone-else' })
+                .expect(200);
+
+            expect(response.body.acknowledged_by).toBe('ops');
+        });
+    });
+
+    describe('user management', () => {
+        test('should let admins create users with validated fields', async () => {
+            const admin = await loginAs('admin');
+
+            const created = await admin.post('/api/users').send({ username: 'new.user', password: PASSWORD }).expect(201);
+            expect(created.body).toMatchObject({ username: 'new.user', role: 'viewer' });
+
+            const invalid = await admin.post('/api/users').send({ username: 'bad name', password: 'short', role: 'root' }).expect(400);
+            expect(invalid.body.details.map(d => d.field)).toEqual(['username', 'password', 'role']);
+
+            await admin.post('/api/users').send({ username: 'new.user', password: PASSWORD }).expect(409);
+        });
+
+        test('should keep at least one admin', async () => {
+            const admin = await loginAs('admin');
+            const [self] = (await auth.listUsers()).filter(u => u.username === 'admin');
+
+            await admin.delete(`/api/users/${self.id}`).expect(409);
+            await admin.put(`/api/users/${self.id}`).send({ role: 'viewer' }).expect(409);
+        });
+
+        test('should bootstrap an admin only when there are no users', async () => {
+            const empty = new AuthService({ store: new MemoryAuthStore() });
+
+            const created = await empty.ensureAdmin();
+            expect(created).toMatchObject({ username: 'admin', generated: true });
+            expect(created.password.length).toBeGreaterThanOrEqual(32);
+            expect(await empty.login('admin', created.password)).not.toBeNull();
+            expect(await empty.ensureAdmin({ password: PASSWORD })).toBeNull();
+        });
+    });
+
+    describe('API keys', () => {
+        test('should authenticate scripts with scoped keys shown only once', async () => {
+            const viewer = await loginAs('viewer');
+
+            const created = await createKey(viewer, { name: 'ci', scopes: ['read:metrics'] });
+            expect(created.key).toMatch(/^wpd_/);
+            expect(created).toMatchObject({ name: 'ci', scopes: ['read:metrics'], key_prefix: created.key.slice(0, 12) });
+            expect(new Date(created.expires_at).getTime()).toBe(now + 90 * 24 * 60 * 60 * 1000);
+
+            const listed = await viewer.get('/api/keys').expect(200);
+            expect(listed.body).toHaveLength(1);
+            expect(listed.body[0]).not.toHaveProperty('key');
+            expect(listed.body[0]).not.toHaveProperty('key_hash');
+
+            const bearer = `Bearer ${created.key}`;
+            await request(app).get('/api/metrics').set('Authorization', bearer).expect(200);
+            await request(app).get('/api/system-health').set('Authorization', bearer).expect(200);
+            const denied = await request(app).get('/api/slow-queries').set('Authorization', bearer).expect(403);
+            expect(denied.body).toEqual({ error: 'API key is missing the required scope', required_scope: 'read:queries' });
+        });
+
+        test('should not let keys manage keys or users', async () => {
+            const admin = await loginAs('admin');
+            const { key } = await createKey(admin, { name: 'all', scopes: ['read:metrics', 'read:queries', 'write:alerts', 'admin:demo'] });
+
+            await request(app).post('/api/demo-refresh').set('Authorization', `Bearer ${key}`).expect(200);
+            await request(app).post('/api/keys').set('Authorization', `Bearer ${key}`).send({ name: 'x', scopes: ['read:metrics'] }).expect(403);
+            await request(app).get('/api/users').set('Authorization', `Bearer ${key}`).expect(403);
+        });
+
+        test('should enforce scopes on case and trailing-slash variants of a path', async () => {
+            const admin = await loginAs('admin');
+            const { key } = await createKey(admin, { name: 'metrics', scopes: ['read:metrics'] });
+            const bearer = `Bearer ${key}`;
+
+            for (const path of ['/api/SLOW-QUERIES', '/api/Slow-Queries/1/Explain', '/api/slow-queries/1/explain/', '/api/Export/Slow-Queries']) {
+                const denied = await request(app).get(path).set('Authorization', bearer).expect(403);
+                expect(denied.body.required_scope).toBe('read:queries');
+            }
+            await request(app).get('/api/USERS/').set('Authorization', bearer).expect(403);
+            await request(app).get('/api/Metrics/').set('Authorization', bearer).expect(200);
+        });
+
+        test('should enforce scopes on percent-encoded route parameters', async () => {
+            const admin = await loginAs('admin');
+            const { key } = await createKey(admin, { name: 'metrics', scopes: ['read:metrics'] });
+
+            for (const path of ['/api/export/slow%2Dqueries?format=json', '/api/Export/%73low-queries']) {
+                const denied = await request(app).get(path).set('Authorization', `Bearer ${key}`).expect(403);
+                expect(denied.body.required_scope).toBe('read:queries');
+            }
+        });
+
+        test('should only grant scopes the owner\'s role allows, and follow role changes', async () => {
+            const viewer = await loginAs('viewer');
+            const invalid = await viewer.post('/api/keys').send({ name: 'x', scopes: ['admin:demo', 'write:everything'], expires_in_days: 0 }).expect(400);
+            expect(invalid.body.details).toEqual([
+                { field: 'scopes', message: 'admin:demo needs the operator role' },
+                { field: 'scopes', message: 'Unknown scope: write:everything' },
+                { field: 'expires_in_days', message: 'expires_in_days must be a whole number from 1 to 365' }
+            ]);
+
+            const operator = await loginAs('ops');
+            const { key } = await createKey(operator, { name: 'demo', scopes: ['admin:demo'] });
+            const [ops] = (await auth.listUsers()).filter(u => u.username === 'ops');
+            await auth.updateUser(ops.id, { role: 'viewer' });
+
+            await request(app).post('/api/demo-refresh').set('Authorization', `Bearer ${key}`).expect(403);
+        });
+
+        test('should reject expired and revoked keys and track last use', async () => {
+            const viewer = await loginAs('viewer');
+            const expiring = await createKey(viewer, { name: 'short', scopes: ['read:metrics'], expires_in_days: 1 });
+            const revoked = await createKey(viewer, { name: 'old', scopes: ['read:metrics'] });
+
+            await request(app).get('/api/metrics').set('Authorization', `Bearer ${expiring.key}`).expect(200);
+            expect((await auth.getApiKey(expiring.id)).last_used_at).toEqual(new Date(now));
+
+            await viewer.delete(`/api/keys/${revoked.id}`).expect(204);
+            await viewer.delete(`/api/keys/${revoked.id}`).expect(404);
+            await request(app).get('/api/metrics').set('Authorization', `Bearer ${revoked.key}`).expect(401);
+
+            now += 24 * 60 * 60 * 1000;
+            await request(app).get('/api/metrics').set('Authorization', `Bearer ${expiring.key}`).expect(401);
+        });
+
+        test('should only let owners and admins revoke a key', async () => {
+            const viewer = await loginAs('viewer');
+            const operator = await loginAs('ops');
+            const admin = await loginAs('admin');
+            const first = await createKey(viewer, { name: 'first', scopes: ['read:metrics'] });
+            const second = await createKey(viewer, { name: 'second', scopes: ['read:metrics'] });
+
+            await operator.delete(`/api/keys/${first.id}`).expect(404);
+            expect((await operator.get('/api/keys').expect(200)).body).toEqual([]);
+            expect((await admin.get('/api/keys').expect(200)).body).toHaveLength(2);
+            await admin.delete(`/api/keys/${second.id}`).expect(204);
+        });
+
+        test('should not fall back to the session cookie when a bearer key is invalid', async () => {
+            const admin = await loginAs('admin');
+
+            await admin.get('/api/users').set('Authorization', 'Bearer wpd_unknown').expect(401);
+        });
+    });
+
+    describe('audit log', () => {
+        test('should record privileged calls with the key and status, but not reads', async () => {
+            const operator = await loginAs('ops');
+            const { id, key } = await createKey(operator, { name: 'script', scopes: ['admin:demo'] });
+
+            await request(app).post('/api/demo-refresh').set('Authorization', `Bearer ${key}`).expect(200);
+            await operator.delete('/api/alert-rules/1').expect(204);
+            await operator.get('/api/users').expect(403);
+            await operator.get('/api/metrics').expect(200);
+
+            const admin = await loginAs('admin');
+            const log = await admin.get('/api/audit-log').expect(200);
+            const entries = log.body.map(entry => [entry.username, entry.api_key_id, entry.method, entry.path, entry.status]);
+
+            expect(entries).toEqual(expect.arrayContaining([
+                ['ops', null, 'POST', '/api/keys', 201],
+                ['ops', id, 'POST', '/api/demo-refresh', 200],
+                ['ops', null, 'DELETE', '/api/alert-rules/1', 204],
+                ['ops', null, 'GET', '/api/users', 403]
+            ]));
+            expect(entries.some(entry => entry[3] === '/api/metrics')).toBe(false);
+
+            const byKey = await admin.get(`/api/audit-log?api_key_id=${id}`).expect(200);
+            expect(byKey.body.map(entry => entry.path)).toEqual(['/api/demo-refresh']);
+            expect(new Date(byKey.body[0].created_at).getTime()).toBe(now);
+        });
+    });
+
+    describe('socket.io', () => {
+        function handshake({ cookie, token } = {}) {
+            return { handshake: { headers: cookie ? { cookie } : {}, auth: token ? { token } : {} }, data: {} };
+        }
+
+        test('should accept the session cookie or a read:metrics key and reject other sockets', async () => {
+            const middleware = authenticateSocket(auth);
+            const session = await auth.login('viewer', PASSWORD);
+            const { key } = await auth.createApiKey({ user: session.user, name: 'script', scopes: ['read:metrics'] });
+            const queriesOnly = await auth.createApiKey({ user: session.user, name: 'queries', scopes: ['read:queries'] });
+
+            const browser = handshake({ cookie: `wpd_session=${session.token}` });
+            const script = handshake({ token: key });
+            const unscoped = handshake({ token: queriesOnly.key });
+            const anonymous = handshake();
+            const results = [];
+            for (const socket of [browser, script, unscoped, anonymous]) {
+                await middleware(socket, (error) => results.push(error ? error.message : 'ok'));
+            }
+
+            expect(results).toEqual(['ok', 'ok', 'API key is missing the required scope', 'Authentication required']);
+            expect(browser.data.user).toMatchObject({ username: 'viewer', role: 'viewer' });
+            expect(script.data.user).toMatchObject({ username: 'viewer', type: 'api_key', scopes: ['read:metrics'] });
+        });
+    });
+});
@@ -0,0 +1,217 @@
+/**
+ * Tests for before/after comparisons of two time windows and /api/compare
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { diff, parseComparisonWindows, compareWindows } = require('../src/comparison');
+const { createApiRouter } = require('../src/routes/api');
+const { MemoryDataSource } = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+const { accessRule } = require('../src/auth/roles');
+const { API_ROUTES, buildOpenApiSpec, schemaErrors } = require('../src/validation');
+
+describe('Comparisons', () => {
+    const now = new Date('2024-05-01T12:00:00Z').getTime();
+    const minutesAgo = minutes => new Date(now - minutes * 60 * 1000);
+    const baseline = { from: minutesAgo(120), to: minutesAgo(60) };
+    const comparison = { from: minutesAgo(60), to: minutesAgo(0) };
+
+    let dataSource;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        dataSource = new MemoryDataSource({
+            performance_metrics: [
+                { avg_response_time: 100, queries_per_second: 10, memory_usage: 50, timestamp: minutesAgo(100) },
+                { avg_response_time: 300, queries_per_second: 30, memory_usage: 70, timestamp: minutesAgo(80) },
+                { avg_response_time: 400, queries_per_second: 20, memory_usage: 90, timestamp: minutesAgo(30) }
+            ],
+            slow_queries: [
+                { id: 1, query_text: 'SELECT * FROM wp_posts WHERE ID = 5', execution_time: 100, timestamp: minutesAgo(90) },
+                { id: 2, query_text: 'SELECT * FROM wp_posts WHERE ID = 9', execution_time: 150, timestamp: minutesAgo(20) },
+                { id: 3, query_text: 'SELECT * FROM wp_options WHERE autoload = \'yes\'', execution_time: 80, timestamp: minutesAgo(90) },
+                { id: 4, query_text: 'SELECT * FROM wp_users WHERE user_email = \'jane@example.com\'', execution_time: 200, timestamp: minutesAgo(10) }
+            ],
+            admin_ajax_calls: [
+                { action_name: 'heartbeat', call_count: 10, avg_response_time: 100, timestamp: minutesAgo(90) },
+                { action_name: 'heartbeat', call_count: 30, avg_response_time: 200, timestamp: minutesAgo(30) },
+                { action_name: 'autosave', call_count: 5, avg_response_time: 50, timestamp: minutesAgo(90) },
+                { action_name: 'autosave', call_count: 5, avg_response_time: 70, timestamp: minutesAgo(30) },
+                { action_name: 'woo_cart', call_count: 8, avg_response_time: 90, timestamp: minutesAgo(30) }
+            ],
+            plugin_performance: [
+                { plugin_name: 'woocommerce', impact_score: 4, status: 'active', timestamp: minutesAgo(90) },
+                { plugin_name: 'woocommerce', impact_score: 7, status: 'active', timestamp: minutesAgo(30) },
+                { plugin_name: 'akismet', impact_score: 2, status: 'active', timestamp: minutesAgo(90) },
+                { plugin_name: 'akismet', impact_score: 2, status: 'active', timestamp: minutesAgo(30) },
+                { plugin_name: 'hello-dolly', impact_score: 9, status: 'inactive', timestamp: minutesAgo(30) }
+            ]
+        }, { now: () => now });
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('diff', () => {
+        test('should give the change and percent change between windows', () => {
+            expect(diff(200, 150)).toEqual({ baseline: 200, comparison: 150, change: -50, change_percent: -25 });
+        });
+
+        test('should leave the percent change out for a zero or missing baseline', () => {
+            expect(diff(0, 5)).toEqual({ baseline: 0, comparison: 5, change: 5, change_percent: null });
+            expect(diff(null, 5)).toEqual({ baseline: null, comparison: 5, change: null, change_percent: null });
+        });
+    });
+
+    describe('parseComparisonWindows', () => {
+        test('should read both windows and end the comparison window now by default', () => {
+            const windows = parseComparisonWindows({
+                baseline_from: baseline.from.toISOString(),
+                baseline_to: baseline.to.toISOString(),
+                comparison_from: comparison.from.toISOString()
+            }, now);
+
+            expect(windows).toEqual({ baseline, comparison, errors: [] });
+        });
+
+        test('should name the window of each invalid field', () => {
+            const { errors } = parseComparisonWindows({
+                baseline_from: '2024-05-01T12:00:00Z',
+                baseline_to: '2024-05-01T11:00:00Z',
+                comparison_from: 'yesterday'
+            }, now);
+
+            expect(errors).toEqual([
+                { field: 'baseline_from', message: 'baseline_from must be before baseline_to' },
+                { field: 'comparison_from', message: 'comparison_from must be an ISO 8601 timestamp' }
+            ]);
+        });
+    });
+
+    describe('compareWindows', () => {
+        test('should compare the performance averages and p95 response time', async () => {
+            const { metrics } = await compareWindows(dataSource, { baseline, comparison });
+
+            expect(metrics.avg_response_time).toEqual({ baseline: 200, comparison: 400, change: 200, change_percent: 100 });
+            expect(metrics.p95_response_time).toEqual({ baseline: 300, comparison: 400, change: 100, change_percent: 33.33 });
+            expect(metrics.queries_per_second.change).toBe(0);
+            expect(metrics.memory_usage.change_percent).toBe(50);
+            expect(metrics.sample_count).toMatchObject({ baseline: 2, comparison: 1 });
+        });
+
+        test('should weight rollup rows by their sample count and use their p95', async () => {
+            const rollups = {
+                getMetrics: async ({ timeRange }) => (timeRange === baseline
+                    ? [
+                        { avg_response_time: 100, avg_response_time_p95: 180, sample_count: 3, timestamp: minutesAgo(100) },
+                        { avg_response_time: 200, avg_response_time_p95: 250, sample_count: 1, timestamp: minutesAgo(70) }
+                    ]
+                    : []),
+                getSlowQueries: async () => [],
+                getAdminAjax: async () => [],
+                getPlugins: async () => []
+            };
+
+            const { metrics } = await compareWindows(rollups, { baseline, comparison });
+
+            expect(metrics.avg_response_time.baseline).toBe(125);
+            expect(metrics.p95_response_time.baseline).toBe(250);
+            expect(metrics.sample_count.baseline).toBe(4);
+            expect(metrics.avg_response_time).toMatchObject({ comparison: null, change: null });
+        });
+
+        test('should list slow query fingerprints that are new, gone or regressed', async () => {
+            const { slow_queries: slowQueries } = await compareWindows(dataSource, { baseline, comparison, threshold: 50 });
+
+            expect(slowQueries.new.map(group => group.fingerprint)).toEqual(['select * from wp_users where user_email = ?']);
+            expect(slowQueries.gone.map(group => group.fingerprint)).toEqual(['select * from wp_options where autoload = ?']);
+            expect(slowQueries.regressed).toHaveLength(1);
+            expect(slowQueries.regressed[0]).toMatchObject({
+                fingerprint: 'select * from wp_posts where id = ?',
+                avg_execution_time: { baseline: 100, comparison: 150, change: 50, change_percent: 50 }
+            });
+
+            const stricter = await compareWindows(dataSource, { baseline, comparison, threshold: 60 });
+            expect(stricter.slow_queries.regressed).toEqual([]);
+        });
+
+        test('should say when a window held more slow queries than are grouped', async () => {
+            const busy = {
+                getMetrics: async () => [],
+                getSlowQueries: async ({ limit }) => Array.from({ length: limit }, (_, i) => ({
+                    id: i, query_text: 'SELECT 1', execution_time: 1, timestamp: minutesAgo(90)
+                })),
+                getAdminAjax: async () => [],
+                getPlugins: async () => []
+            };
+
+            const { slow_queries: truncated } = await compareWindows(busy, { baseline, comparison });
+            const { slow_queries: complete } = await compareWindows(dataSource, { baseline, comparison });
+
+            expect(truncated.truncated).toBe(true);
+            expect(complete.truncated).toBe(false);
+        });
+
+        test('should list admin-ajax actions whose call count changed, largest change first', async () => {
+            const { admin_ajax: adminAjax } = await compareWindows(dataSource, { baseline, comparison });
+
+            expect(adminAjax.map(action => action.action_name)).toEqual(['heartbeat', 'woo_cart']);
+            expect(adminAjax[0]).toEqual({
+                action_name: 'heartbeat',
+                call_count: { baseline: 10, comparison: 30, change: 20, change_percent: 200 },
+                avg_response_time: { baseline: 100, comparison: 200, change: 100, change_percent: 100 }
+            });
+            expect(adminAjax[1].call_count).toEqual({ baseline: 0, comparison: 8, change: 8, change_percent: null });
+        });
+
+        test('should list active plugins whose impact score changed', async () => {
+            const { plugins } = await compareWindows(dataSource, { baseline, comparison });
+
+            expect(plugins).toEqual([
+                { plugin_name: 'woocommerce', impact_score: { baseline: 4, comparison: 7, change: 3, change_percent: 75 } }
+            ]);
+        });
+    });
+
+    describe('GET /api/compare', () => {
+        let app;
+        const query = () => new URLSearchParams({
+            baseline_from: baseline.from.toISOString(),
+            baseline_to: baseline.to.toISOString(),
+            comparison_from: comparison.from.toISOString(),
+            comparison_to: comparison.to.toISOString()
+        }).toString();
+
+        beforeEach(() => {
+            const registry = new SiteRegistry([{ id: 'shop', db: {} }], { createPool: () => ({}) });
+            app = express();
+            app.use('/api', createApiRouter({ resolveDataSource: () => dataSource, registry }));
+        });
+
+        test('should return the deltas with redacted slow query samples', async () => {
+            const response = await request(app).get(`/api/compare?${query()}`).expect(200);
+
+            expect(response.body.threshold).toBe(20);
+            expect(response.body.slow_queries.new[0].sample_query).not.toContain('jane@example.com');
+
+            const spec = buildOpenApiSpec(API_ROUTES);
+            expect(schemaErrors(spec.components.schemas.Comparison, response.body, spec)).toEqual([]);
+        });
+
+        test('should reject missing and inverted windows', async () => {
+            const missing = await request(app).get('/api/compare?baseline_from=2024-05-01T10:00:00Z').expect(400);
+            expect(missing.body.details.map(error => error.field)).toEqual(['baseline_to', 'comparison_from']);
+
+            const inverted = await request(app)
+                .get('/api/compare?baseline_from=2024-05-01T11:00:00Z&baseline_to=2024-05-01T10:00:00Z&comparison_from=2024-05-01T11:00:00Z')
+                .expect(400);
+            expect(inverted.body.details).toEqual([{ field: 'baseline_from', message: 'baseline_from must be before baseline_to' }]);
+        });
+
+        test('should need the read:queries scope', () => {
+            expect(accessRule('GET', '/compare')).toMatchObject({ role: 'viewer', scope: 'read:queries' });
+        });
+    });
+});
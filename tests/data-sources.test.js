@@ -0,0 +1,246 @@
+/**
+ * Tests for the data-source adapter layer behind the /api routes
+ */
+
+const {
+    createDataSourceResolver,
+    MySqlDataSource,
+    DemoDataSource,
+    WpApiDataSource,
+    MemoryDataSource
+} = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+
+describe('Data Sources', () => {
+    describe('createDataSourceResolver', () => {
+        const pool = { execute: jest.fn() };
+        const demoPool = { execute: jest.fn() };
+
+        function createRegistry() {
+            return new SiteRegistry([
+                { id: 'shop', db: { host: 'shop-db' } },
+                { id: 'blog', wpApi: { baseUrl: 'https://wp.example.com' } }
+            ], { createPool: () => pool });
+        }
+
+        test('should use the default site when none is requested', () => {
+            const resolve = createDataSourceResolver({ registry: createRegistry(), demoPool });
+            const source = resolve({ query: {} });
+
+            expect(source).toBeInstanceOf(MySqlDataSource);
+            expect(source).not.toBeInstanceOf(DemoDataSource);
+            expect(source.pool).toBe(pool);
+        });
+
+        test('should use the requested site', () => {
+            const resolve = createDataSourceResolver({ registry: createRegistry(), demoPool });
+
+            expect(resolve({ query: { site: 'blog' } })).toBeInstanceOf(WpApiDataSource);
+        });
+
+        test('should reuse one data source per site', () => {
+            const resolve = createDataSourceResolver({ registry: createRegistry(), demoPool });
+
+            expect(resolve({ query: { site: 'shop' } })).toBe(resolve({ query: {} }));
+        });
+
+        test('should use the demo pool when demo=true is requested', () => {
+            const resolve = createDataSourceResolver({ registry: createRegistry(), demoPool });
+            const source = resolve({ query: { demo: 'true', site: 'blog' } });
+
+            expect(source).toBeInstanceOf(DemoDataSource);
+            expect(source.pool).toBe(demoPool);
+        });
+
+        test('should always use the demo source in demo mode', () => {
+            const resolve = createDataSourceResolver({ registry: createRegistry(), demoPool, isDemoMode: true });
+
+            expect(resolve({ query: {} })).toBeInstanceOf(DemoDataSource);
+            expect(resolve(null)).toBeInstanceOf(DemoDataSource);
+        });
+
+        test('should return null for demo requests without a demo database', () => {
+            const resolve = createDataSourceResolver({ registry: createRegistry() });
+
+            expect(resolve({ query: { demo: 'true' } })).toBeNull();
+        });
+
+        test('should reject unknown sites with a 404 error', () => {
+            const resolve = createDataSourceResolver({ registry: createRegistry(), demoPool });
+
+            expect(() => resolve({ query: { site: 'missing' } })).toThrow('Unknown site: missing');
+        });
+    });
+
+    describe('MySqlDataSource', () => {
+        test('should filter metrics by time range and parse the limit', async () => {
+            const pool = { execute: jest.fn().mockResolvedValue([[{ id: 1 }]]) };
+            const source = new MySqlDataSource(pool);
+
+            const rows = await source.getMetrics({ timeRange: '6h', limit: '25' });
+
+            expect(rows).toEqual([{ id: 1 }]);
+            expect(pool.execute.mock.calls[0][0]).toContain('INTERVAL 6 HOUR');
+            expect(pool.execute.mock.calls[0][1]).toEqual([25]);
+        });
+
+        test('should skip the time filter for unknown ranges', async () => {
+            const pool = { execute: jest.fn().mockResolvedValue([[]]) };
+            const source = new MySqlDataSource(pool);
+
+            await source.getSlowQueries({ timeRange: 'forever', limit: 20 });
+
+            expect(pool.execute.mock.calls[0][0]).not.toContain('INTERVAL');
+        });
+
+        test('should only include inactive plugins when asked', async () => {
+            const pool = { execute: jest.fn().mockResolvedValue([[]]) };
+            const source = new MySqlDataSource(pool);
+
+            await source.getPlugins({ timeRange: '1h', limit: 100, includeInactive: false });
+            await source.getPlugins({ timeRange: '1h', limit: 100, includeInactive: true });
+
+            expect(pool.execute.mock.calls[0][0]).toContain('status = "active"');
+            expect(pool.execute.mock.calls[1][0]).not.toContain('status = "active"');
+        });
+
+        test('should compute system health status from the aggregates', async () => {
+            const pool = {
+                execute: jest.fn()
+                    .mockResolvedValueOnce([[{ total: 4 }]])
+                    .mockResolvedValueOnce([[{ total: 9 }]])
+                    .mockResolvedValueOnce([[{ avg: 2500 }]])
+                    .mockResolvedValueOnce([[{ cpu_usage: 40, memory_total: 8192, memory_used: 4096 }]])
+            };
+            const source = new DemoDataSource(pool);
+
+            const health = await source.getSystemHealth({ timeRange: '1h' });
+
+            expect(health).toMatchObject({
+                slow_queries_1h: 4,
+                active_plugins: 9,
+                avg_response_time: 2500,
+                memory_usage_percent: 50,
+                status: 'warning',
+                demo_mode: true
+            });
+        });
+
+        test('should return null when there is no sample to broadcast', async () => {
+            const pool = { execute: jest.fn().mockResolvedValue([[]]) };
+            const source = new MySqlDataSource(pool);
+
+            await expect(source.getLatestSample()).resolves.toBeNull();
+        });
+    });
+
+    describe('WpApiDataSource', () => {
+        function createFetch(body, ok = true) {
+            return jest.fn().mockResolvedValue({
+                ok,
+                status: ok ? 200 : 503,
+                statusText: ok ? 'OK' : 'Service Unavailable',
+                json: () => Promise.resolve(body)
+            });
+        }
+
+        test('should call the plugin REST endpoint with basic auth', async () => {
+            const fetchImpl = createFetch([{ id: 1 }]);
+            const source = new WpApiDataSource({
+                baseUrl: 'https://wp.example.com',
+                username: 'api',
+                password: 'secret',
+                fetchImpl
+            });
+
+            const rows = await source.getMetrics({ timeRange: '24h', limit: 10 });
+
+            expect(rows).toEqual([{ id: 1 }]);
+            const [url, options] = fetchImpl.mock.calls[0];
+            expect(url).toBe('https://wp.example.com/wp-json/wp-performance-dashboard/v1/metrics?timeRange=24h&limit=10');
+            expect(options.headers.Authorization).toBe(`Basic ${Buffer.from('api:secret').toString('base64')}`);
+        });
+
+        test('should reject on non-OK responses', async () => {
+            const source = new WpApiDataSource({ baseUrl: 'https://wp.example.com', fetchImpl: createFetch({}, false) });
+
+            await expect(source.getSystemHealth({ timeRange: '1h' }))
+                .rejects.toThrow('WP API request failed: 503 Service Unavailable');
+        });
+
+        test('should ignore realtime payloads without queries_per_second', async () => {
+            const source = new WpApiDataSource({ baseUrl: 'https://wp.example.com', fetchImpl: createFetch({}) });
+
+            await expect(source.getLatestSample()).resolves.toBeNull();
+        });
+    });
+
+    describe('MemoryDataSource', () => {
+        const now = new Date('2024-01-01T12:00:00Z').getTime();
+        const minutesAgo = (minutes) => new Date(now - minutes * 60 * 1000);
+
+        function createSource() {
+            return new MemoryDataSource({
+                performance_metrics: [
+                    { queries_per_second: 10, avg_response_time: 100, memory_usage: 50, timestamp: minutesAgo(2) },
+                    { queries_per_second: 20, avg_response_time: 300, memory_usage: 70, timestamp: minutesAgo(30) },
+                    { queries_per_second: 30, avg_response_time: 900, memory_usage: 90, timestamp: minutesAgo(600) }
+                ],
+                slow_queries: [
+                    { query_text: 'SELECT 1', execution_time: 200, timestamp: minutesAgo(10) },
+                    { query_text: 'SELECT 2', execution_time: 900, timestamp: minutesAgo(20) },
+                    { query_text: 'SELECT 3', execution_time: 1500, timestamp: minutesAgo(300) }
+                ],
+                plugin_performance: [
+                    { plugin_name: 'A', impact_score: 10, status: 'active', timestamp: minutesAgo(1) },
+                    { plugin_name: 'B', impact_score: 90, status: 'inactive', timestamp: minutesAgo(1) }
+                ],
+                system_health: [
+                    { cpu_usage: 20, memory_total: 1000, memory_used: 900, timestamp: minutesAgo(1) },
+                    { cpu_usage: 95, memory_total: 1000, memory_used: 100, timestamp: minutesAgo(60) }
+                ]
+            }, { now: () => now });
+        }
+
+        test('should filter and order rows like the SQL queries', async () => {
+            const source = createSource();
+
+            const metrics = await source.getMetrics({ timeRange: '1h', limit: 50 });
+            const queries = await source.getSlowQueries({ timeRange: '1h', limit: 1 });
+
+            expect(metrics.map(m => m.queries_per_second)).toEqual([10, 20]);
+            expect(queries.map(q => q.query_text)).toEqual(['SELECT 2']);
+        });
+
+        test('should exclude inactive plugins unless requested', async () => {
+            const source = createSource();
+
+            const active = await source.getPlugins({ timeRange: '1h', limit: 100, includeInactive: false });
+            const all = await source.getPlugins({ timeRange: '1h', limit: 100, includeInactive: true });
+
+            expect(active.map(p => p.plugin_name)).toEqual(['A']);
+            expect(all.map(p => p.plugin_name)).toEqual(['B', 'A']);
+        });
+
+        test('should summarize system health from the latest row', async () => {
+            const health = await createSource().getSystemHealth({ timeRange: '1h' });
+
+            expect(health).toMatchObject({
+                slow_queries_1h: 2,
+                active_plugins: 1,
+                avg_response_time: 200,
+                cpu_usage: 20,
+                status: 'warning'
+            });
+        });
+
+        test('should expose inserted rows as the latest sample', async () => {
+            const source = createSource();
+            source.insert('performance_metrics', { queries_per_second: 99, avg_response_time: 1, memory_usage: 2 });
+
+            const sample = await source.getLatestSample();
+
+            expect(sample).toMatchObject({ queries_per_second: 99, demo_mode: false });
+        });
+    });
+});
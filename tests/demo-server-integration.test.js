@@ -1,5 +1,6 @@
 const { spawn } = require('child_process');
 const fetch = require('node-fetch');
+const { schemaErrors } = require('../src/validation');
 
 describe('Demo Server Integration', () => {
     let serverProcess;
@@ -12,7 +13,9 @@ describe('Demo Server Integration', () => {
                 ...process.env,
                 PORT: serverPort,
                 DEMO_MODE: 'true',
-                NODE_ENV: 'test'
+                NODE_ENV: 'test',
+                ADMIN_USERNAME: 'admin',
+                ADMIN_PASSWORD: 'integration-password'
             },
             stdio: 'pipe'
         });
@@ -58,15 +61,40 @@ describe('Demo Server Integration', () => {
         }
     });
 
-    test('should serve demo status endpoint', async () => {
+    test('should require a login for the demo status endpoint', async () => {
         try {
             const response = await fetch(`http://localhost:${serverPort}/api/demo-status`);
+
+            expect(response.status).toBe(401);
+        } catch (error) {
+            // If server isn't running, skip this test
+            console.warn('Server not available for integration test:', error.message);
+            expect(true).toBe(true); // Pass the test
+        }
+    });
+
+    test('should serve demo status endpoint', async () => {
+        try {
+            const login = await fetch(`http://localhost:${serverPort}/api/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: 'admin', password: 'integration-password' })
+            });
+            const cookie = login.headers.get('set-cookie').split(';')[0];
+            const response = await fetch(`http://localhost:${serverPort}/api/demo-status`, {
+                headers: { Cookie: cookie }
+            });
             const data = await response.json();
             
             expect(response.status).toBe(200);
             expect(data).toHaveProperty('mode');
             expect(data).toHaveProperty('available');
             expect(data).toHaveProperty('services');
+
+            // The server's own OpenAPI document describes the payload
+            const spec = await (await fetch(`http://localhost:${serverPort}/api/openapi.json`)).json();
+            const schema = spec.paths['/demo-status'].get.responses['200'].content['application/json'].schema;
+            expect(schemaErrors(schema, data, spec)).toEqual([]);
         } catch (error) {
             // If server isn't running, skip this test
             console.warn('Server not available for integration test:', error.message);
@@ -0,0 +1,202 @@
+/**
+ * Tests for the streamed CSV/JSON/NDJSON exports under /api/export
+ */
+
+const http = require('http');
+const { Readable } = require('stream');
+const request = require('supertest');
+const express = require('express');
+const { createApiRouter } = require('../src/routes/api');
+const { MemoryDataSource, MySqlDataSource, WpApiDataSource } = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+const { accessRule } = require('../src/auth/roles');
+const { csvField, formatRows, exportFilename } = require('../src/export');
+
+async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) {
+        items.push(item);
+    }
+    return items;
+}
+
+// mysql2/promise pool whose connection streams the given rows
+function streamingPool(rows) {
+    const query = jest.fn(() => ({ stream: () => Readable.from(rows) }));
+    const connection = { connection: { query }, release: jest.fn(), destroy: jest.fn() };
+    return { pool: { getConnection: jest.fn(async () => connection) }, connection, query };
+}
+
+describe('Data export', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('formatting', () => {
+        test('should quote CSV fields and neutralise spreadsheet formulas', () => {
+            expect(csvField('plain')).toBe('plain');
+            expect(csvField('a,"b"\nc')).toBe('"a,""b""\nc"');
+            expect(csvField('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+            expect(csvField(-5)).toBe('-5');
+            expect(csvField(null)).toBe('');
+            expect(csvField(new Date('2024-05-01T10:00:00Z'))).toBe('2024-05-01T10:00:00.000Z');
+        });
+
+        test('should produce CSV, JSON and NDJSON from the same rows', async () => {
+            const rows = [
+                { id: 1, name: 'a', timestamp: new Date('2024-05-01T10:00:00Z') },
+                { id: 2, name: 'b', timestamp: new Date('2024-05-01T09:00:00Z') }
+            ];
+            expect((await collect(formatRows(rows, 'csv'))).join(''))
+                .toBe('id,name,timestamp\r\n1,a,2024-05-01T10:00:00.000Z\r\n2,b,2024-05-01T09:00:00.000Z\r\n');
+            expect(JSON.parse((await collect(formatRows(rows, 'json'))).join(''))[1].timestamp).toBe('2024-05-01T09:00:00.000Z');
+            expect((await collect(formatRows(rows, 'ndjson'))).join('').trim().split('\n').map(JSON.parse).map(row => row.id)).toEqual([1, 2]);
+            expect(JSON.parse((await collect(formatRows([], 'json'))).join(''))).toEqual([]);
+        });
+
+        test('should name downloads after the data set, site and time', () => {
+            expect(exportFilename('slow-queries', 'shop', Date.parse('2024-05-01T10:00:00.123Z')))
+                .toBe('slow-queries-shop-2024-05-01T10-00-00Z');
+        });
+    });
+
+    describe('data sources', () => {
+        test('should stream MySQL rows on a pool connection and release it', async () => {
+            const { pool, connection, query } = streamingPool([{ id: 1 }, { id: 2 }]);
+            const dataSource = new MySqlDataSource(pool);
+
+            const rows = await collect(dataSource.streamRows('plugin_performance', { timeRange: '1h', limit: 10 }));
+
+            expect(rows).toEqual([{ id: 1 }, { id: 2 }]);
+            const [sql, params] = query.mock.calls[0];
+            expect(sql).toMatch(/^SELECT \* FROM plugin_performance WHERE status = "active" AND timestamp .* ORDER BY timestamp DESC LIMIT \?$/);
+            expect(params[params.length - 1]).toBe(10);
+            expect(connection.release).toHaveBeenCalled();
+            expect(connection.destroy).not.toHaveBeenCalled();
+        });
+
+        test('should export the latest system health summary from the WordPress API', async () => {
+            const fetchImpl = jest.fn(async () => ({ ok: true, json: async () => ({ cpu_usage: 40 }) }));
+            const dataSource = new WpApiDataSource({ baseUrl: 'https://blog.example.com', fetchImpl });
+
+            expect(await collect(dataSource.streamRows('system_health', { timeRange: '1h', limit: 10 })))
+                .toEqual([{ cpu_usage: 40 }]);
+        });
+    });
+
+    describe('GET /api/export/:dataset', () => {
+        const registry = new SiteRegistry([{ id: 'shop', name: 'Shop', db: { host: 'shop-db' } }], { createPool: () => ({}) });
+        let dataSource;
+        let user;
+        let app;
+
+        beforeEach(() => {
+            const now = Date.now();
+            dataSource = new MemoryDataSource({
+                performance_metrics: [
+                    { queries_per_second: 10, avg_response_time: 120, memory_usage: 60, timestamp: new Date(now - 60000) },
+                    { queries_per_second: 12, avg_response_time: 150, memory_usage: 64, timestamp: new Date(now - 30000) },
+                    { queries_per_second: 9, avg_response_time: 90, memory_usage: 58, timestamp: new Date(now - 3 * 3600000) }
+                ],
+                slow_queries: [
+                    { id: 1, query_text: "SELECT * FROM wp_users WHERE user_email = 'admin@example.com'", execution_time: 900, timestamp: new Date(now - 1000) }
+                ],
+                plugin_performance: [
+                    { plugin_name: 'WooCommerce', impact_score: 85, status: 'active', timestamp: new Date(now - 1000) },
+                    { plugin_name: 'Hello Dolly', impact_score: 5, status: 'inactive', timestamp: new Date(now - 1000) }
+                ]
+            });
+            user = { id: 1, username: 'alice', role: 'viewer', type: 'session' };
+            app = express();
+            app.use((req, res, next) => {
+                req.user = user;
+                next();
+            });
+            app.use('/api', createApiRouter({ resolveDataSource: () => dataSource, registry }));
+        });
+
+        test('should download CSV for the time range, newest first', async () => {
+            const response = await request(app).get('/api/export/metrics?timeRange=1h').expect(200);
+
+            expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+            expect(response.headers['content-disposition']).toMatch(/^attachment; filename="metrics-shop-.+\.csv"$/);
+            const lines = response.text.trim().split('\r\n');
+            expect(lines[0]).toBe('queries_per_second,avg_response_time,memory_usage,timestamp');
+            expect(lines.slice(1).map(line => line.split(',')[0])).toEqual(['12', '10']);
+        });
+
+        test('should download JSON and NDJSON with the limit applied', async () => {
+            const json = await request(app).get('/api/export/metrics?format=json&timeRange=24h&limit=2').expect(200);
+            expect(JSON.parse(json.text).map(row => row.queries_per_second)).toEqual([12, 10]);
+
+            const ndjson = await request(app).get('/api/export/plugins?format=ndjson&includeInactive=true').expect(200);
+            expect(ndjson.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+            expect(ndjson.text.trim().split('\n').map(line => JSON.parse(line).plugin_name).sort()).toEqual(['Hello Dolly', 'WooCommerce']);
+        });
+
+        test('should redact slow query text unless an admin asks for raw text', async () => {
+            const redacted = await request(app).get('/api/export/slow-queries?format=json').expect(200);
+            expect(JSON.parse(redacted.text)[0].query_text).toBe('SELECT * FROM wp_users WHERE user_email = ?');
+
+            await request(app).get('/api/export/slow-queries?raw=true').expect(403);
+
+            user = { ...user, role: 'admin' };
+            const raw = await request(app).get('/api/export/slow-queries?format=json&raw=true').expect(200);
+            expect(JSON.parse(raw.text)[0].query_text).toContain('admin@example.com');
+        });
+
+        test('should reject unknown data sets and invalid parameters', async () => {
+            await request(app).get('/api/export/wp_users').expect(404);
+            const invalid = await request(app).get('/api/export/metrics?format=xml&limit=-1').expect(400);
+            expect(invalid.body.details.map(detail => detail.field)).toEqual(['format', 'limit']);
+            await request(app).get('/api/export/metrics?limit=100001').expect(400);
+            await request(app).get('/api/export/metrics?timeRange=1y').expect(400);
+        });
+
+        test('should answer 500 when the data source fails before streaming', async () => {
+            dataSource.streamRows = async function* () {
+                throw new Error('connection lost');
+            };
+            const response = await request(app).get('/api/export/admin-ajax').expect(500);
+            expect(response.body.error).toBe('Failed to export admin-ajax');
+        });
+
+        test('should give up the MySQL connection when the client aborts a download', async () => {
+            function* manyRows() {
+                for (let id = 0; id < 100000; id++) {
+                    yield { id, query_text: 'SELECT 1', padding: 'x'.repeat(200), timestamp: new Date() };
+                }
+            }
+            const { pool, connection } = streamingPool(manyRows());
+            dataSource = new MySqlDataSource(pool);
+            const server = app.listen(0);
+            try {
+                const { port } = server.address();
+                const destroyed = new Promise(resolve => connection.destroy.mockImplementation(resolve));
+                await new Promise((resolve, reject) => {
+                    const req = http.get(`http://127.0.0.1:${port}/api/export/metrics`, response => {
+                        response.once('data', () => {
+                            req.destroy();
+                            resolve();
+                        });
+                    });
+                    req.on('error', error => (error.code === 'ECONNRESET' ? resolve() : reject(error)));
+                });
+
+                await destroyed;
+                expect(connection.release).not.toHaveBeenCalled();
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+
+        test('should need the read:queries scope to export slow queries', () => {
+            expect(accessRule('GET', '/export/slow-queries').scope).toBe('read:queries');
+            expect(accessRule('GET', '/export/metrics').scope).toBe('read:metrics');
+        });
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for the cross-site fleet overview
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { getFleetOverview, filterAndSortFleet } = require('../src/fleet');
+const { createApiRouter } = require('../src/routes/api');
+const { SiteRegistry } = require('../src/site-registry');
+const { MemoryDataSource } = require('../src/data-sources');
+
+describe('Fleet Overview', () => {
+    let registry;
+    let sources;
+
+    function healthRow(overrides) {
+        return { cpu_usage: 20, memory_total: 1000, memory_used: 200, cache_hit_ratio: 90, timestamp: new Date(), ...overrides };
+    }
+
+    function resolveDataSource(req) {
+        return sources[req.query.site];
+    }
+
+    beforeEach(() => {
+        registry = new SiteRegistry([
+            { id: 'shop', name: 'Shop', db: {} },
+            { id: 'blog', name: 'Blog', db: {} },
+            { id: 'news', name: 'News', wpApi: { baseUrl: 'https://news.example.com' } }
+        ], { createPool: () => ({}) });
+
+        sources = {
+            shop: new MemoryDataSource({
+                system_health: [healthRow({ cpu_usage: 95 })],
+                slow_queries: [
+                    { execution_time: 900, timestamp: new Date() },
+                    { execution_time: 700, timestamp: new Date() }
+                ],
+                plugin_performance: [{ plugin_name: 'WooCommerce', status: 'active', timestamp: new Date() }]
+            }),
+            blog: new MemoryDataSource({
+                system_health: [healthRow({ cache_hit_ratio: 60 })]
+            }),
+            news: { getSystemHealth: jest.fn().mockRejectedValue(new Error('WP API request failed: 502 Bad Gateway')) }
+        };
+
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    test('should roll up health for every site with the worst status first', async () => {
+        const fleet = await getFleetOverview({ registry, resolveDataSource });
+
+        expect(fleet.total).toBe(3);
+        expect(fleet.counts).toEqual({ healthy: 1, warning: 1, error: 1 });
+        expect(fleet.sites.map(site => site.id)).toEqual(['news', 'shop', 'blog']);
+        expect(fleet.sites[1]).toMatchObject({
+            status: 'warning',
+            slow_queries_1h: 2,
+            active_plugins: 1,
+            cache_hit_ratio: 90
+        });
+    });
+
+    test('should report unreachable sites as errors instead of failing', async () => {
+        const fleet = await getFleetOverview({ registry, resolveDataSource });
+        const news = fleet.sites.find(site => site.id === 'news');
+
+        expect(news).toMatchObject({
+            status: 'error',
+            type: 'wp-api',
+            error: 'WP API request failed: 502 Bad Gateway'
+        });
+    });
+
+    test('should filter by status and search text', () => {
+        const sites = [
+            { id: 'shop', name: 'Shop', status: 'warning' },
+            { id: 'blog', name: 'Blog', status: 'healthy' },
+            { id: 'shop-eu', name: 'Shop EU', status: 'healthy' }
+        ];
+
+        expect(filterAndSortFleet(sites, { status: 'healthy' }).map(s => s.id)).toEqual(['blog', 'shop-eu']);
+        expect(filterAndSortFleet(sites, { search: 'SHOP' }).map(s => s.id)).toEqual(['shop', 'shop-eu']);
+    });
+
+    test('should sort by any metric in either direction', () => {
+        const sites = [
+            { id: 'a', name: 'A', cache_hit_ratio: 80 },
+            { id: 'b', name: 'B', cache_hit_ratio: 40 },
+            { id: 'c', name: 'C', cache_hit_ratio: 95 }
+        ];
+
+        expect(filterAndSortFleet(sites, { sort: 'cache_hit_ratio' }).map(s => s.id)).toEqual(['b', 'a', 'c']);
+        expect(filterAndSortFleet(sites, { sort: 'cache_hit_ratio', order: 'desc' }).map(s => s.id)).toEqual(['c', 'a', 'b']);
+    });
+
+    test('should serve the fleet from /api/fleet', async () => {
+        const app = express();
+        app.use('/api', createApiRouter({ resolveDataSource, registry }));
+
+        const response = await request(app)
+            .get('/api/fleet?status=healthy')
+            .expect(200);
+
+        expect(response.body.total).toBe(3);
+        expect(response.body.sites.map(site => site.id)).toEqual(['blog']);
+    });
+});
@@ -0,0 +1,219 @@
+/**
+ * Tests for the EXPLAIN-based index advisor and /api/slow-queries/:id/explain
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { explainableError, parseSelect, findPlanIssues, adviseIndexes } = require('../src/index-advisor');
+const { createApiRouter } = require('../src/routes/api');
+const { MySqlDataSource, DemoDataSource, MemoryDataSource } = require('../src/data-sources');
+const { supportsExplainAnalyze } = require('../src/data-sources/mysql-data-source');
+const { SiteRegistry } = require('../src/site-registry');
+
+const fullScan = (table, rows, extra = 'Using where') => ({
+    id: 1, select_type: 'SIMPLE', table, type: 'ALL', possible_keys: null, key: null, rows, filtered: 10, Extra: extra
+});
+
+describe('Index advisor', () => {
+    describe('explainableError', () => {
+        test('should only allow single plain SELECT statements', () => {
+            expect(explainableError('SELECT * FROM wp_posts WHERE ID = 1;')).toBeNull();
+            expect(explainableError('DELETE FROM wp_posts')).toBe('Only SELECT statements can be explained');
+            expect(explainableError('SELECT 1; DROP TABLE wp_users')).toBe('Multiple statements cannot be explained');
+            expect(explainableError('SELECT * FROM wp_users FOR UPDATE')).toBe('Statements that write or lock rows cannot be explained');
+        });
+
+        test('should ignore semicolons inside string literals', () => {
+            expect(explainableError('SELECT * FROM wp_options WHERE option_value = "a;b"')).toBeNull();
+        });
+    });
+
+    describe('parseSelect', () => {
+        test('should resolve aliases and classify predicates', () => {
+            const parsed = parseSelect(
+                'SELECT COUNT(*) FROM wp_posts p JOIN wp_postmeta pm ON p.ID = pm.post_id ' +
+                'WHERE p.post_type = "product" AND p.post_date > "2024-01-01" AND pm.meta_value != "x"'
+            );
+
+            expect(parsed.tables).toEqual([{ name: 'wp_posts', alias: 'p' }, { name: 'wp_postmeta', alias: 'pm' }]);
+            expect(parsed.predicates).toEqual([
+                { alias: 'p', column: 'post_type', kind: 'equality' },
+                { alias: 'p', column: 'post_date', kind: 'range' },
+                { alias: 'p', column: 'ID', kind: 'join', other: { alias: 'pm', column: 'post_id' } }
+            ]);
+        });
+
+        test('should not treat keywords inside strings as clauses', () => {
+            const parsed = parseSelect('SELECT * FROM wp_options WHERE option_name = "order by limit" ORDER BY option_id DESC');
+
+            expect(parsed.orderBy).toEqual([{ alias: null, column: 'option_id' }]);
+        });
+    });
+
+    describe('findPlanIssues', () => {
+        test('should report full scans, filesorts, temporary tables and join buffers', () => {
+            const issues = findPlanIssues([
+                fullScan('wp_options', 2300, 'Using where; Using temporary; Using filesort'),
+                { table: 'pm', type: 'ALL', possible_keys: null, key: null, rows: 25000, Extra: 'Using join buffer (hash join)' },
+                { table: 'wp_users', type: 'const', possible_keys: 'PRIMARY', key: 'PRIMARY', rows: 1, Extra: null }
+            ]);
+
+            expect(issues.map(issue => `${issue.table}:${issue.type}`)).toEqual([
+                'wp_options:full_scan',
+                'wp_options:missing_index',
+                'wp_options:filesort',
+                'wp_options:temporary',
+                'pm:full_scan',
+                'pm:missing_index',
+                'pm:join_buffer'
+            ]);
+        });
+    });
+
+    describe('adviseIndexes', () => {
+        test('should index the autoload filter and sort column of the autoloaded options query', () => {
+            const sql = 'SELECT * FROM wp_options WHERE autoload = "yes" ORDER BY option_name';
+            const advice = adviseIndexes({ sql, plan: [fullScan('wp_options', 2300, 'Using where; Using filesort')] });
+
+            expect(advice.suggestions).toEqual([{
+                table: 'wp_options',
+                columns: ['autoload', 'option_name'],
+                statement: 'ALTER TABLE `wp_options` ADD INDEX `idx_autoload_option_name` (`autoload`, `option_name`);',
+                reason: 'Covers the filter/join and ORDER BY columns on wp_options (full_scan, missing_index, filesort)'
+            }]);
+        });
+
+        test('should explain why a leading wildcard LIKE cannot be indexed', () => {
+            const sql = 'SELECT * FROM wp_postmeta WHERE meta_key LIKE "%_transient%" ORDER BY meta_id';
+            const advice = adviseIndexes({ sql, plan: [fullScan('wp_postmeta', 8500, 'Using where; Using filesort')] });
+
+            expect(advice.suggestions).toEqual([]);
+            expect(advice.notes[0]).toContain("LIKE '%_transient%' on meta_key starts with a wildcard");
+        });
+
+        test('should index the join column of the driven table only', () => {
+            const sql = 'SELECT COUNT(*) FROM wp_posts p JOIN wp_postmeta pm ON p.ID = pm.post_id WHERE p.post_type = "product"';
+            const advice = adviseIndexes({
+                sql,
+                plan: [
+                    fullScan('p', 1000),
+                    { table: 'pm', type: 'ALL', possible_keys: null, key: null, rows: 25000, Extra: 'Using join buffer (hash join)' }
+                ]
+            });
+
+            expect(advice.suggestions.map(s => [s.table, s.columns])).toEqual([
+                ['wp_posts', ['post_type']],
+                ['wp_postmeta', ['post_id']]
+            ]);
+        });
+
+        test('should say so when the plan is already indexed', () => {
+            const advice = adviseIndexes({
+                sql: 'SELECT * FROM wp_users WHERE ID = 1',
+                plan: [{ table: 'wp_users', type: 'const', possible_keys: 'PRIMARY', key: 'PRIMARY', rows: 1, Extra: null }]
+            });
+
+            expect(advice).toEqual({ issues: [], suggestions: [], notes: ['The plan uses indexes for every table; no changes suggested'] });
+        });
+    });
+
+    describe('MySqlDataSource.explainQuery', () => {
+        function stubPool(version) {
+            const connection = {
+                query: jest.fn(async (sql) => {
+                    if (sql.startsWith('SELECT VERSION()')) return [[{ version }]];
+                    if (sql.startsWith('SELECT @@SESSION.max_execution_time')) return [[{ previous: 0 }]];
+                    if (sql.startsWith('EXPLAIN ANALYZE')) return [[{ EXPLAIN: '-> Table scan on wp_options  (actual time=0.1..2.3 rows=2300 loops=1)' }]];
+                    if (sql.startsWith('EXPLAIN')) return [[fullScan('wp_options', 2300)]];
+                    return [[]];
+                }),
+                release: jest.fn()
+            };
+            return { connection, pool: { getConnection: jest.fn(async () => connection) } };
+        }
+
+        test('should run EXPLAIN ANALYZE read-only on MySQL 8.0.18+', async () => {
+            const { pool, connection } = stubPool('8.0.35');
+            const result = await new DemoDataSource(pool).explainQuery('SELECT * FROM wp_options', { analyze: true });
+            const statements = connection.query.mock.calls.map(([sql]) => sql);
+
+            expect(result.plan).toHaveLength(1);
+            expect(result.analyze).toContain('Table scan on wp_options');
+            expect(statements).toEqual(expect.arrayContaining(['START TRANSACTION READ ONLY', 'ROLLBACK']));
+            expect(connection.release).toHaveBeenCalled();
+        });
+
+        test('should restore the session time limit before releasing the connection', async () => {
+            const { pool, connection } = stubPool('8.0.35');
+            connection.query.mockImplementation(async (sql) => {
+                if (sql.startsWith('SELECT VERSION()')) return [[{ version: '8.0.35' }]];
+                if (sql.startsWith('SELECT @@SESSION.max_execution_time')) return [[{ previous: 0 }]];
+                if (sql.startsWith('EXPLAIN ANALYZE')) throw new Error('Query execution was interrupted');
+                return [[fullScan('wp_options', 2300)]];
+            });
+
+            await expect(new DemoDataSource(pool).explainQuery('SELECT * FROM wp_options', { analyze: true }))
+                .rejects.toThrow('Query execution was interrupted');
+
+            const calls = connection.query.mock.calls;
+            expect(calls[calls.length - 1]).toEqual(['SET SESSION max_execution_time = ?', [0]]);
+            expect(connection.release).toHaveBeenCalled();
+        });
+
+        test('should skip EXPLAIN ANALYZE where it is not supported', async () => {
+            const { pool } = stubPool('10.11.6-MariaDB');
+            const result = await new DemoDataSource(pool).explainQuery('SELECT 1', { analyze: true });
+
+            expect(result.analyze).toBeNull();
+            expect(supportsExplainAnalyze('8.0.17')).toBe(false);
+            expect(supportsExplainAnalyze('8.4.0')).toBe(true);
+        });
+    });
+
+    describe('GET /api/slow-queries/:id/explain', () => {
+        const registry = new SiteRegistry([{ id: 'shop', db: {} }], { createPool: () => ({}) });
+        const sql = 'SELECT * FROM wp_options WHERE autoload = "yes" ORDER BY option_name';
+        let dataSource;
+        let app;
+
+        beforeEach(() => {
+            dataSource = new MySqlDataSource({}, { allowExplain: true });
+            dataSource.getSlowQuery = jest.fn(async (id) => (id === 7 ? { id: 7, query_text: sql } : null));
+            dataSource.explainQuery = jest.fn(async () => ({
+                version: '8.0.35',
+                plan: [fullScan('wp_options', 2300, 'Using where; Using filesort')],
+                analyze: null
+            }));
+            app = express();
+            app.use('/api', createApiRouter({ resolveDataSource: () => dataSource, registry }));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            console.error.mockRestore();
+        });
+
+        test('should return the plan with index suggestions', async () => {
+            const response = await request(app).get('/api/slow-queries/7/explain?analyze=true').expect(200);
+
+            expect(dataSource.explainQuery).toHaveBeenCalledWith(sql, { analyze: true });
+            expect(response.body).toMatchObject({ id: 7, mysql_version: '8.0.35', analyze: null });
+            expect(response.body.suggestions[0].columns).toEqual(['autoload', 'option_name']);
+        });
+
+        test('should return 404 for unknown queries and 422 for SQL errors', async () => {
+            await request(app).get('/api/slow-queries/99/explain').expect(404);
+
+            dataSource.explainQuery.mockRejectedValue(Object.assign(new Error('x'), { sqlMessage: "Table 'wp.wp_options' doesn't exist" }));
+            const response = await request(app).get('/api/slow-queries/7/explain').expect(422);
+            expect(response.body.error).toBe("EXPLAIN failed: Table 'wp.wp_options' doesn't exist");
+        });
+
+        test('should refuse sources that do not allow EXPLAIN', async () => {
+            dataSource = new MemoryDataSource();
+            const response = await request(app).get('/api/slow-queries/7/explain').expect(400);
+
+            expect(response.body.error).toBe('EXPLAIN is only available for local or demo MySQL sources');
+        });
+    });
+});
@@ -0,0 +1,273 @@
+/**
+ * Tests for batches pushed by the WordPress plugin to /api/ingest
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+    validateIngestBatch,
+    createIngestToken,
+    verifyIngestToken,
+    IngestLimiter,
+    MemoryIngestStore
+} = require('../src/ingest');
+const { createIngestRouter } = require('../src/routes/ingest');
+const { SiteRegistry } = require('../src/site-registry');
+const { MemoryDataSource, MySqlDataSource } = require('../src/data-sources');
+const { accessRule } = require('../src/auth/roles');
+
+const NOW = new Date('2024-05-01T10:00:00Z').getTime();
+const SECRET = 'agency-ingest-secret-0123456789abcdef';
+const TOKEN_LIFETIME = new Date(NOW + 24 * 60 * 60 * 1000);
+
+const BATCH = {
+    metrics: [{ timestamp: '2024-05-01T09:59:00Z', queries_per_second: 14.5, avg_response_time: 120 }],
+    slow_queries: [{ timestamp: NOW - 1000, query_text: 'SELECT * FROM wp_posts', execution_time: 2.4, rows_examined: 5000 }],
+    plugins: [{ timestamp: '2024-05-01T09:59:00Z', plugin_name: 'WooCommerce', impact_score: 85, status: 'active' }]
+};
+
+describe('Plugin ingest API', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('ingest tokens', () => {
+        const secretFor = site => (site === 'agency' ? SECRET : null);
+
+        test('should verify tokens for their own site until they expire', () => {
+            const token = createIngestToken({ site: 'agency', secret: SECRET, expiresAt: TOKEN_LIFETIME, now: NOW });
+
+            expect(token.startsWith('wpdi_')).toBe(true);
+            expect(verifyIngestToken(token, secretFor, NOW)).toBe('agency');
+            expect(verifyIngestToken(token, secretFor, TOKEN_LIFETIME.getTime())).toBeNull();
+        });
+
+        test('should reject tampered tokens and tokens signed with another secret', () => {
+            const token = createIngestToken({ site: 'agency', secret: SECRET, expiresAt: TOKEN_LIFETIME, now: NOW });
+            const [payload, signature] = token.slice('wpdi_'.length).split('.');
+            const forged = Buffer.from(JSON.stringify({ site: 'agency', iat: 0, exp: 9999999999 })).toString('base64url');
+
+            expect(verifyIngestToken(`wpdi_${forged}.${signature}`, secretFor, NOW)).toBeNull();
+            expect(verifyIngestToken(`wpdi_${payload}.${signature}x`, secretFor, NOW)).toBeNull();
+            expect(verifyIngestToken(
+                createIngestToken({ site: 'agency', secret: 'x'.repeat(32), expiresAt: TOKEN_LIFETIME, now: NOW }),
+                secretFor,
+                NOW
+            )).toBeNull();
+            expect(verifyIngestToken('wpd_0123', secretFor, NOW)).toBeNull();
+        });
+    });
+
+    describe('validateIngestBatch', () => {
+        test('should accept a well-formed batch', () => {
+            expect(validateIngestBatch(BATCH, NOW)).toEqual([]);
+        });
+
+        test('should report each problem with the field it belongs to', () => {
+            const errors = validateIngestBatch({
+                metrics: [{ timestamp: 'yesterday', queries_per_second: -1 }],
+                admin_ajax: [{ timestamp: NOW + 10 * 60 * 1000, call_count: 1.5, referer: 'x' }],
+                plugins: [{ timestamp: NOW, plugin_name: 'Akismet', status: 'broken' }],
+                comments: []
+            }, NOW);
+
+            expect(errors).toEqual([
+                { field: 'metrics[0].timestamp', message: 'Must be an ISO 8601 date or epoch milliseconds' },
+                { field: 'metrics[0].queries_per_second', message: 'Must be a non-negative number' },
+                { field: 'admin_ajax[0].timestamp', message: 'Must not be in the future' },
+                { field: 'admin_ajax[0].call_count', message: 'Must be an integer' },
+                { field: 'admin_ajax[0].referer', message: 'Unknown field' },
+                { field: 'admin_ajax[0].action_name', message: 'Required' },
+                { field: 'plugins[0].status', message: 'Must be one of: active, inactive' },
+                { field: 'comments', message: 'Unknown section; expected metrics, slow_queries, admin_ajax, plugins, system_health' }
+            ]);
+        });
+
+        test('should refuse empty and oversized batches', () => {
+            expect(validateIngestBatch({}, NOW)[0].message).toBe('Batch has no rows');
+            const rows = Array.from({ length: 1001 }, () => ({ timestamp: NOW }));
+            expect(validateIngestBatch({ metrics: rows }, NOW)[0].message).toBe('Batch may hold at most 1000 rows');
+        });
+    });
+
+    describe('IngestLimiter', () => {
+        test('should refill the bucket over time and cap batches in flight', () => {
+            let now = NOW;
+            const limiter = new IngestLimiter({ batchesPerMinute: 2, maxInFlight: 1, now: () => now });
+
+            expect(limiter.acquire('agency')).toBe(0);
+            expect(limiter.acquire('agency')).toBe(1);
+            limiter.release('agency');
+            expect(limiter.acquire('agency')).toBe(0);
+            limiter.release('agency');
+            expect(limiter.acquire('agency')).toBe(30);
+            expect(limiter.acquire('shop')).toBe(0);
+
+            now += 30 * 1000;
+            expect(limiter.acquire('agency')).toBe(0);
+        });
+    });
+
+    describe('POST /api/ingest', () => {
+        let dataSource;
+        let store;
+        let limiter;
+        let app;
+        let token;
+
+        function ingest(body, key = 'batch-1') {
+            return request(app)
+                .post('/api/ingest')
+                .set('Authorization', `Bearer ${token}`)
+                .set('Idempotency-Key', key)
+                .send(body);
+        }
+
+        beforeEach(() => {
+            const registry = new SiteRegistry([
+                { id: 'shop', db: { host: 'shop-db' } },
+                { id: 'agency', ingest: { secret: SECRET }, db: { host: 'dashboard-db' } }
+            ], { createPool: () => ({}) });
+            dataSource = new MemoryDataSource({}, { now: () => NOW });
+            registry.dataSources.set('agency', dataSource);
+            store = new MemoryIngestStore();
+            limiter = new IngestLimiter({ batchesPerMinute: 60, now: () => NOW });
+            token = createIngestToken({ site: 'agency', secret: SECRET, expiresAt: TOKEN_LIFETIME, now: NOW });
+
+            app = express();
+            app.use(express.json());
+            app.use('/api', createIngestRouter({ registry, store, limiter, now: () => NOW }));
+        });
+
+        test('should write every section of a batch to the site tables', async () => {
+            const response = await ingest(BATCH).expect(200);
+
+            expect(response.body).toEqual({ site: 'agency', accepted: { metrics: 1, slow_queries: 1, plugins: 1 } });
+            expect(dataSource.tables.slow_queries).toEqual([{
+                timestamp: new Date(NOW - 1000),
+                query_text: 'SELECT * FROM wp_posts',
+                execution_time: 2.4,
+                rows_examined: 5000
+            }]);
+            expect(dataSource.tables.performance_metrics[0].timestamp).toEqual(new Date('2024-05-01T09:59:00Z'));
+        });
+
+        test('should replay the first answer for a repeated Idempotency-Key', async () => {
+            await ingest(BATCH).expect(200);
+            const replay = await ingest(BATCH).expect(200);
+
+            expect(replay.headers['idempotent-replayed']).toBe('true');
+            expect(replay.body.accepted.metrics).toBe(1);
+            expect(dataSource.tables.performance_metrics).toHaveLength(1);
+
+            const conflict = await ingest({ metrics: BATCH.metrics }).expect(422);
+            expect(conflict.body.error).toBe('Idempotency-Key was already used for a different batch');
+        });
+
+        test('should let a failed batch be retried with the same key', async () => {
+            jest.spyOn(dataSource, 'insertBatches').mockRejectedValueOnce(new Error('Deadlock found'));
+
+            await ingest(BATCH).expect(500);
+            await ingest(BATCH).expect(200);
+
+            expect(dataSource.tables.plugin_performance).toHaveLength(1);
+        });
+
+        test('should refuse rolled-up rows older than the site can still roll up', async () => {
+            jest.spyOn(dataSource, 'backfillCutoff').mockImplementation(table => (table === 'performance_metrics' ? NOW - 1000 : null));
+
+            const response = await ingest(BATCH).expect(400);
+
+            expect(response.body.details).toEqual([{
+                field: 'metrics[0].timestamp',
+                message: `Must not be before ${new Date(NOW - 1000).toISOString()}; older rows are no longer rolled up`
+            }]);
+            expect(dataSource.tables.performance_metrics).toEqual([]);
+        });
+
+        test('should answer 429 with Retry-After when the site sends too much', async () => {
+            limiter.batchesPerMinute = 1;
+            limiter.sites.clear();
+
+            await ingest(BATCH, 'batch-1').expect(200);
+            const response = await ingest(BATCH, 'batch-2').expect(429);
+
+            expect(response.headers['retry-after']).toBe('60');
+            expect(await store.getBatch('agency', 'batch-2')).toBeNull();
+        });
+
+        test('should refuse bad tokens, missing keys and invalid batches', async () => {
+            await request(app).post('/api/ingest').send(BATCH).expect(401);
+            token = createIngestToken({ site: 'shop', secret: SECRET, expiresAt: TOKEN_LIFETIME, now: NOW });
+            await ingest(BATCH).expect(401);
+
+            token = createIngestToken({ site: 'agency', secret: SECRET, expiresAt: TOKEN_LIFETIME, now: NOW });
+            const missingKey = await request(app)
+                .post('/api/ingest')
+                .set('Authorization', `Bearer ${token}`)
+                .send(BATCH)
+                .expect(400);
+            expect(missingKey.body.details[0].field).toBe('Idempotency-Key');
+
+            const invalid = await ingest({ metrics: [{ queries_per_second: 'fast' }] }).expect(400);
+            expect(invalid.body.error).toBe('Invalid ingest batch');
+            expect(dataSource.tables.performance_metrics).toHaveLength(0);
+        });
+
+        test('should issue tokens only for sites with an ingest secret', async () => {
+            const response = await request(app)
+                .post('/api/sites/agency/ingest-tokens')
+                .send({ expires_in_days: 30 })
+                .expect(201);
+
+            expect(response.body.expires_at).toBe('2024-05-31T10:00:00.000Z');
+            token = response.body.token;
+            await ingest(BATCH).expect(200);
+
+            await request(app).post('/api/sites/shop/ingest-tokens').send({}).expect(409);
+            await request(app).post('/api/sites/nope/ingest-tokens').send({}).expect(404);
+            await request(app).post('/api/sites/agency/ingest-tokens').send({ expires_in_days: 0 }).expect(400);
+        });
+
+        test('should leave token checks to the route and token issuing to admins', () => {
+            expect(accessRule('POST', '/ingest').role).toBeNull();
+            expect(accessRule('POST', '/sites/agency/ingest-tokens').role).toBe('admin');
+        });
+    });
+
+    describe('MySqlDataSource.insertBatches', () => {
+        test('should roll back every table when one insert fails', async () => {
+            const connection = {
+                beginTransaction: jest.fn().mockResolvedValue(),
+                query: jest.fn().mockResolvedValueOnce([]).mockRejectedValueOnce(new Error('Lock wait timeout')),
+                commit: jest.fn(),
+                rollback: jest.fn().mockResolvedValue(),
+                release: jest.fn()
+            };
+            const pool = { execute: jest.fn().mockResolvedValue([]), getConnection: jest.fn().mockResolvedValue(connection) };
+
+            await expect(new MySqlDataSource(pool).insertBatches([
+                { table: 'performance_metrics', rows: [{ queries_per_second: 1 }] },
+                { table: 'slow_queries', rows: [{ query_text: 'SELECT 1', execution_time: 2 }] }
+            ])).rejects.toThrow('Lock wait timeout');
+
+            expect(connection.query.mock.calls[1][0]).toBe(
+                'INSERT INTO slow_queries (query_text, execution_time, rows_examined, source_file, timestamp) VALUES (?, ?, ?, ?, ?)'
+            );
+            expect(connection.commit).not.toHaveBeenCalled();
+            expect(connection.rollback).toHaveBeenCalled();
+            expect(connection.release).toHaveBeenCalled();
+        });
+    });
+
+    describe('SiteRegistry', () => {
+        test('should refuse short ingest secrets', () => {
+            expect(() => new SiteRegistry([{ id: 'agency', ingest: { secret: 'short' }, db: {} }]))
+                .toThrow('Site agency ingest secret must be at least 32 characters');
+        });
+    });
+});
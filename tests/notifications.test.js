@@ -0,0 +1,285 @@
+/**
+ * Tests for alert notification channels and the notifier's retry, dedup and rate limiting
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { SMTPServer } = require('smtp-server');
+const {
+    Notifier,
+    WebhookChannel,
+    ChatWebhookChannel,
+    EmailChannel,
+    createNotifier
+} = require('../src/notifications');
+
+function alertEvent(overrides = {}, type = 'opened') {
+    return {
+        type,
+        alert: {
+            id: 1,
+            rule_id: 1,
+            rule_name: 'Slow responses',
+            site: 'shop',
+            metric: 'performance_metrics.avg_response_time',
+            severity: 'critical',
+            state: 'open',
+            value: 2500,
+            message: 'Slow responses: Avg response time > 2000ms for 5 minutes (current 2500)',
+            opened_at: new Date('2024-01-01T12:00:00Z'),
+            ...overrides
+        }
+    };
+}
+
+// Local HTTP receiver that records requests and answers with queued status codes
+function startHttpStub() {
+    const stub = { requests: [], statuses: [] };
+    stub.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            stub.requests.push({ headers: req.headers, body });
+            res.statusCode = stub.statuses.shift() || 200;
+            res.end();
+        });
+    });
+    return new Promise(resolve => {
+        stub.server.listen(0, '127.0.0.1', () => {
+            stub.url = `http://127.0.0.1:${stub.server.address().port}/hook`;
+            resolve(stub);
+        });
+    });
+}
+
+function startSmtpStub() {
+    const stub = { messages: [] };
+    stub.server = new SMTPServer({
+        authOptional: true,
+        disabledCommands: ['STARTTLS'],
+        logger: false,
+        onData(stream, session, callback) {
+            let data = '';
+            stream.on('data', chunk => { data += chunk; });
+            stream.on('end', () => {
+                stub.messages.push({ from: session.envelope.mailFrom.address, to: session.envelope.rcptTo.map(r => r.address), data });
+                callback();
+            });
+        }
+    });
+    return new Promise(resolve => {
+        stub.server.listen(0, '127.0.0.1', () => {
+            stub.port = stub.server.server.address().port;
+            resolve(stub);
+        });
+    });
+}
+
+describe('Alert notifications', () => {
+    let stub;
+
+    beforeEach(async () => {
+        stub = await startHttpStub();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => stub.server.close(resolve));
+        console.error.mockRestore();
+    });
+
+    describe('WebhookChannel', () => {
+        test('should post the event signed with HMAC-SHA256', async () => {
+            const channel = new WebhookChannel({ url: stub.url, secret: 's3cret' });
+
+            await channel.send(alertEvent());
+
+            const [{ headers, body }] = stub.requests;
+            const expected = 'sha256=' + crypto.createHmac('sha256', 's3cret')
+                .update(`${headers['x-dashboard-timestamp']}.${body}`)
+                .digest('hex');
+            expect(headers['content-type']).toBe('application/json');
+            expect(headers['x-dashboard-signature']).toBe(expected);
+            expect(JSON.parse(body)).toMatchObject({ event: 'opened', alert: { id: 1, site: 'shop' } });
+        });
+
+        test('should omit the signature without a secret', async () => {
+            await new WebhookChannel({ url: stub.url }).send(alertEvent());
+
+            expect(stub.requests[0].headers['x-dashboard-signature']).toBeUndefined();
+        });
+
+        test('should mark 5xx failures retryable and 4xx failures permanent', async () => {
+            const channel = new WebhookChannel({ url: stub.url });
+            stub.statuses.push(503, 400);
+
+            await expect(channel.send(alertEvent())).rejects.toMatchObject({ retryable: true });
+            await expect(channel.send(alertEvent())).rejects.toMatchObject({ retryable: false });
+        });
+
+        test('should keep the webhook URL out of delivery errors', async () => {
+            const secretUrl = 'https://hooks.slack.com/services/T000/B000/s3cretToken';
+            const refused = new ChatWebhookChannel({
+                url: secretUrl,
+                fetchImpl: async () => {
+                    throw new Error(`request to ${secretUrl} failed, reason: connect ECONNREFUSED`);
+                }
+            });
+            const rejected = new WebhookChannel({
+                url: secretUrl,
+                fetchImpl: async () => ({ ok: false, status: 404, statusText: 'Not Found' })
+            });
+
+            const network = await refused.send(alertEvent()).catch(error => error);
+            expect(network.message).toBe('Slack webhook request to hooks.slack.com failed: request to hooks.slack.com failed, reason: connect ECONNREFUSED');
+            const status = await rejected.send(alertEvent()).catch(error => error);
+            expect(status.message).toBe('Webhook request to hooks.slack.com failed: 404 Not Found');
+        });
+    });
+
+    describe('ChatWebhookChannel', () => {
+        test('should build a Slack attachment payload', async () => {
+            await new ChatWebhookChannel({ url: stub.url, dashboardUrl: 'https://dash.example.com' }).send(alertEvent());
+
+            const payload = JSON.parse(stub.requests[0].body);
+            expect(payload.text).toBe('Alert opened: Slow responses (shop)');
+            expect(payload.attachments[0]).toMatchObject({ color: '#f85149', title_link: 'https://dash.example.com' });
+            expect(payload.attachments[0].fields).toContainEqual({ title: 'Site', value: 'shop', short: true });
+        });
+
+        test('should build a Teams MessageCard payload', () => {
+            const payload = new ChatWebhookChannel({ url: stub.url, format: 'teams' })
+                .buildPayload(alertEvent({ state: 'resolved' }, 'resolved'));
+
+            expect(payload).toMatchObject({ '@type': 'MessageCard', themeColor: '238636', title: 'Alert resolved: Slow responses (shop)' });
+            expect(payload.sections[0].facts).toContainEqual({ name: 'State', value: 'resolved' });
+        });
+    });
+
+    describe('EmailChannel', () => {
+        test('should deliver the alert through SMTP', async () => {
+            const smtp = await startSmtpStub();
+            try {
+                const channel = new EmailChannel({
+                    smtp: { host: '127.0.0.1', port: smtp.port, secure: false, ignoreTLS: true },
+                    from: 'alerts@example.com',
+                    to: ['oncall@example.com']
+                });
+
+                await channel.send(alertEvent());
+
+                expect(smtp.messages).toHaveLength(1);
+                expect(smtp.messages[0]).toMatchObject({ from: 'alerts@example.com', to: ['oncall@example.com'] });
+                expect(smtp.messages[0].data).toContain('Subject: [CRITICAL] Alert opened: Slow responses (shop)');
+                expect(smtp.messages[0].data).toContain('Site: shop');
+            } finally {
+                await new Promise(resolve => smtp.server.close(resolve));
+            }
+        });
+    });
+
+    describe('Notifier', () => {
+        let clock;
+        let delays;
+
+        function createTestNotifier(options = {}) {
+            return new Notifier({
+                channels: [{ name: 'hook', channel: new WebhookChannel({ url: stub.url }) }],
+                now: () => clock,
+                sleep: async (ms) => { delays.push(ms); },
+                ...options
+            });
+        }
+
+        beforeEach(() => {
+            clock = new Date('2024-01-01T12:00:00Z').getTime();
+            delays = [];
+        });
+
+        test('should retry retryable failures with exponential backoff', async () => {
+            stub.statuses.push(500, 502);
+            const notifier = createTestNotifier({ retry: { attempts: 4, baseDelayMs: 100 } });
+
+            const [outcome] = await notifier.notify(alertEvent());
+
+            expect(outcome).toEqual({ channel: 'hook', status: 'sent', attempts: 3 });
+            expect(delays).toEqual([100, 200]);
+            expect(stub.requests).toHaveLength(3);
+        });
+
+        test('should give up after the last attempt and on permanent failures', async () => {
+            stub.statuses.push(500, 500, 404);
+            const notifier = createTestNotifier({ retry: { attempts: 2, baseDelayMs: 100 } });
+
+            const [exhausted] = await notifier.notify(alertEvent());
+            const [permanent] = await notifier.notify(alertEvent({ id: 2 }));
+
+            expect(exhausted).toMatchObject({ status: 'failed', attempts: 2 });
+            expect(permanent).toMatchObject({ status: 'failed', attempts: 1 });
+        });
+
+        test('should suppress duplicate events inside the dedup window', async () => {
+            const notifier = createTestNotifier({ dedupWindowMs: 60000 });
+
+            await notifier.notify(alertEvent());
+            const [duplicate] = await notifier.notify(alertEvent());
+            const [resolved] = await notifier.notify(alertEvent({}, 'resolved'));
+            clock += 60000;
+            const [again] = await notifier.notify(alertEvent());
+
+            expect(duplicate.status).toBe('duplicate');
+            expect(resolved.status).toBe('sent');
+            expect(again.status).toBe('sent');
+            expect(stub.requests).toHaveLength(3);
+        });
+
+        test('should drop events over the per-channel rate limit', async () => {
+            const notifier = createTestNotifier({ rateLimit: { max: 2, windowMs: 60000 } });
+
+            const outcomes = [];
+            for (const id of [1, 2, 3]) {
+                outcomes.push(...await notifier.notify(alertEvent({ id })));
+            }
+            clock += 60000;
+            outcomes.push(...await notifier.notify(alertEvent({ id: 4 })));
+
+            expect(outcomes.map(o => o.status)).toEqual(['sent', 'sent', 'rate_limited', 'sent']);
+        });
+
+        test('should only send to channels matching severity and event filters', async () => {
+            const email = { send: jest.fn() };
+            const notifier = createTestNotifier({
+                channels: [
+                    { name: 'critical-only', channel: email, severities: ['critical'] },
+                    { name: 'opened-only', channel: email, events: ['opened'] }
+                ]
+            });
+
+            const warning = await notifier.notify(alertEvent({ severity: 'warning' }));
+            const resolved = await notifier.notify(alertEvent({ id: 2 }, 'resolved'));
+
+            expect(warning.map(o => o.status)).toEqual(['filtered', 'sent']);
+            expect(resolved.map(o => o.status)).toEqual(['sent', 'filtered']);
+        });
+    });
+
+    describe('createNotifier', () => {
+        test('should build channels from config', () => {
+            const notifier = createNotifier({
+                rateLimit: { max: 5 },
+                channels: [
+                    { type: 'webhook', url: stub.url, secret: 'x' },
+                    { type: 'teams', name: 'ops', url: stub.url, severities: ['critical'] }
+                ]
+            });
+
+            expect(notifier.channels.map(c => c.name)).toEqual(['webhook', 'ops']);
+            expect(notifier.channels[1].channel.format).toBe('teams');
+            expect(notifier.rateLimit).toEqual({ max: 5, windowMs: 60 * 60 * 1000 });
+        });
+
+        test('should reject unknown channel types', () => {
+            expect(() => createNotifier({ channels: [{ type: 'pager' }] })).toThrow('Unknown notification channel type: pager');
+        });
+    });
+});
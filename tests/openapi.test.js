@@ -0,0 +1,231 @@
+/**
+ * Contract tests: real /api responses checked against the OpenAPI document
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { API_ROUTES, buildOpenApiSpec, schemaErrors } = require('../src/validation');
+const { createApiRouter } = require('../src/routes/api');
+const { createAlertsRouter } = require('../src/routes/alerts');
+const { createAuthRouter } = require('../src/routes/auth');
+const { createIngestRouter } = require('../src/routes/ingest');
+const { createOpenApiRouter } = require('../src/routes/openapi');
+const { AlertEngine, MemoryAlertStore } = require('../src/alerts');
+const { AuthService, MemoryAuthStore, authenticate, auditLog, authorize } = require('../src/auth');
+const { MemoryDataSource } = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+const { broadcastRealtimeMetrics } = require('../src/realtime');
+const { createIngestToken } = require('../src/ingest');
+const { version } = require('../package.json');
+
+const PASSWORD = 'correct horse battery';
+const SECRET = 'agency-ingest-secret-0123456789abcdef';
+
+describe('OpenAPI document', () => {
+    const spec = buildOpenApiSpec(API_ROUTES, { version });
+    let dataSource;
+    let alertStore;
+    let auth;
+    let app;
+
+    // A response must be documented for its status and match the documented body
+    function expectContract(response, method, path) {
+        const operation = spec.paths[path][method];
+        expect(Object.keys(operation.responses)).toContain(String(response.status));
+
+        const content = operation.responses[response.status].content;
+        const schema = content && content['application/json'] && content['application/json'].schema;
+        expect({ route: `${method.toUpperCase()} ${path}`, errors: schema ? schemaErrors(schema, response.body, spec) : [] })
+            .toEqual({ route: `${method.toUpperCase()} ${path}`, errors: [] });
+    }
+
+    function minutesAgo(minutes) {
+        return new Date(Date.now() - minutes * 60 * 1000);
+    }
+
+    beforeEach(async () => {
+        dataSource = new MemoryDataSource({
+            performance_metrics: [1, 2, 3].map(id => ({
+                id,
+                query_type: 'SELECT',
+                avg_execution_time: 0.02,
+                total_queries: 1200,
+                slow_queries: 3,
+                queries_per_second: 14.5,
+                avg_response_time: 180 + id,
+                memory_usage: 256,
+                timestamp: minutesAgo(id)
+            })),
+            slow_queries: [
+                { id: 1, query_text: "SELECT * FROM wp_posts WHERE post_title = 'x'", execution_time: 2.4, rows_examined: 5000, source_file: null, timestamp: minutesAgo(2) }
+            ],
+            admin_ajax_calls: [{ id: 1, action_name: 'heartbeat', call_count: 40, avg_response_time: 120, total_time: 4800, timestamp: minutesAgo(2) }],
+            plugin_performance: [
+                { id: 1, plugin_name: 'WooCommerce', impact_score: 85, memory_usage: 12.5, query_count: 40, load_time: 120, status: 'active', timestamp: minutesAgo(2) },
+                { id: 2, plugin_name: 'Hello Dolly', impact_score: 1, memory_usage: 0.1, query_count: 0, load_time: 1, status: 'inactive', timestamp: minutesAgo(2) }
+            ],
+            system_health: [{ id: 1, cpu_usage: 35, memory_total: 8192, memory_used: 4096, disk_usage: 60, active_connections: 12, cache_hit_ratio: 92, timestamp: minutesAgo(1) }]
+        });
+        const registry = new SiteRegistry([
+            { id: 'shop', db: { host: 'shop-db' } },
+            { id: 'agency', ingest: { secret: SECRET }, db: { host: 'dashboard-db' } }
+        ], { createPool: () => ({}) });
+        registry.dataSources.set('shop', dataSource);
+        registry.dataSources.set('agency', new MemoryDataSource());
+
+        auth = new AuthService({ store: new MemoryAuthStore() });
+        await auth.createUser({ username: 'admin', password: PASSWORD, role: 'admin' });
+        alertStore = new MemoryAlertStore();
+        await alertStore.ensureSchema();
+        await alertStore.createAlert({
+            rule_id: 1,
+            rule_name: 'Slow responses',
+            site: 'shop',
+            metric: 'performance_metrics.avg_response_time',
+            operator: '>',
+            threshold: 150,
+            severity: 'warning',
+            value: 183,
+            message: 'Average response time is 183 ms',
+            opened_at: minutesAgo(1)
+        });
+        const resolveDataSource = req => registry.getDataSource((req.query && req.query.site) || 'shop');
+        const engine = new AlertEngine({ store: alertStore, listSources: () => [{ site: 'shop', dataSource: resolveDataSource({}) }] });
+
+        // Same middleware order as server.js
+        app = express();
+        app.use(express.json());
+        app.use('/api', authenticate(auth), auditLog(auth), authorize);
+        app.use('/api', createAuthRouter({ auth }));
+        app.use('/api', createApiRouter({ resolveDataSource, registry }));
+        app.use('/api', createAlertsRouter({ store: alertStore, engine, registry }));
+        app.use('/api', createIngestRouter({ registry }));
+        app.use('/api', createOpenApiRouter());
+
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    async function loginAsAdmin() {
+        const agent = request.agent(app);
+        const login = await agent.post('/api/auth/login').send({ username: 'admin', password: PASSWORD }).expect(200);
+        expectContract(login, 'post', '/auth/login');
+        return agent;
+    }
+
+    test('should describe every declared route and resolve every schema reference', () => {
+        const operations = Object.values(spec.paths).flatMap(methods => Object.keys(methods));
+        const refs = JSON.stringify(spec).match(/#\/components\/schemas\/\w+/g);
+
+        expect(operations).toHaveLength(API_ROUTES.length);
+        expect(spec.paths['/slow-queries/{id}/explain'].get.parameters[0]).toMatchObject({ name: 'id', in: 'path', required: true });
+        refs.forEach(ref => expect(Object.keys(spec.components.schemas)).toContain(ref.split('/').pop()));
+    });
+
+    test('should serve the document without credentials', async () => {
+        const response = await request(app).get('/api/openapi.json').expect(200);
+
+        expect(response.body).toEqual(JSON.parse(JSON.stringify(spec)));
+        expect(response.body.paths['/system-health'].get['x-api-key-scope']).toBe('read:metrics');
+    });
+
+    test('should match the documented responses of the read routes', async () => {
+        const agent = await loginAsAdmin();
+        const urls = [
+            '/sites',
+            '/metrics',
+            '/metrics?bucket=5m',
+            '/slow-queries',
+            '/slow-queries/grouped',
+            '/admin-ajax',
+            '/plugins?includeInactive=true',
+            '/realtime-metrics',
+            '/system-health',
+            '/anomalies?timeRange=24h',
+            '/fleet',
+            '/alerts',
+            '/alert-rules',
+            '/alert-rules/options',
+            '/auth/me',
+            '/users',
+            '/keys',
+            '/audit-log'
+        ];
+
+        for (const url of urls) {
+            const response = await agent.get(`/api${url}`).expect(200);
+            expectContract(response, 'get', url.split('?')[0]);
+        }
+    });
+
+    test('should report system health with the documented fields', async () => {
+        const agent = await loginAsAdmin();
+        const response = await agent.get('/api/system-health').expect(200);
+
+        expectContract(response, 'get', '/system-health');
+        expect(response.body).toMatchObject({ memory_usage_percent: 50, status: 'healthy', demo_mode: false });
+    });
+
+    test('should match the documented responses of the write routes', async () => {
+        const agent = await loginAsAdmin();
+
+        expectContract(await agent.post('/api/keys').send({ name: 'CI', scopes: ['read:metrics'] }).expect(201), 'post', '/keys');
+        expectContract(await agent.post('/api/users').send({ username: 'ops', password: PASSWORD, role: 'operator' }).expect(201), 'post', '/users');
+        expectContract(await agent.post('/api/alerts/1/acknowledge').expect(200), 'post', '/alerts/{id}/acknowledge');
+        expectContract(await agent.post('/api/alert-rules').send({
+            name: 'Busy CPU',
+            metric: 'system_health.cpu_usage',
+            operator: '>',
+            threshold: 90
+        }).expect(201), 'post', '/alert-rules');
+
+        const issued = await agent.post('/api/sites/agency/ingest-tokens').send({}).expect(201);
+        expectContract(issued, 'post', '/sites/{id}/ingest-tokens');
+        const ingested = await request(app)
+            .post('/api/ingest')
+            .set('Authorization', `Bearer ${issued.body.token}`)
+            .set('Idempotency-Key', 'batch-1')
+            .send({ metrics: [{ timestamp: minutesAgo(1).toISOString(), queries_per_second: 3 }] })
+            .expect(200);
+        expectContract(ingested, 'post', '/ingest');
+    });
+
+    test('should match the documented error responses', async () => {
+        const agent = await loginAsAdmin();
+
+        expectContract(await request(app).get('/api/system-health').expect(401), 'get', '/system-health');
+        expectContract(await agent.get('/api/plugins?limit=abc').expect(400), 'get', '/plugins');
+        expectContract(await agent.post('/api/alerts/99/resolve').expect(404), 'post', '/alerts/{id}/resolve');
+        expectContract(await agent.post('/api/sites/shop/ingest-tokens').send({}).expect(409), 'post', '/sites/{id}/ingest-tokens');
+        const token = createIngestToken({ site: 'agency', secret: 'x'.repeat(32), expiresAt: new Date(Date.now() + 60000) });
+        expectContract(await request(app).post('/api/ingest').set('Authorization', `Bearer ${token}`).send({}).expect(401), 'post', '/ingest');
+    });
+
+    test('should match the documented real-time-metrics socket payload', async () => {
+        const emit = jest.fn();
+        const io = { to: () => ({ emit }) };
+        const registry = new SiteRegistry([{ id: 'shop', db: {} }], { createPool: () => ({}) });
+
+        await broadcastRealtimeMetrics(io, registry, () => dataSource, { streams: { has: room => room === 'site:shop' } });
+        const [event, payload] = emit.mock.calls[0];
+
+        expect(event).toBe('real-time-metrics');
+        expect(schemaErrors(spec['x-socket-io'].emits[event].payload, JSON.parse(JSON.stringify(payload)), spec)).toEqual([]);
+    });
+
+    describe('schemaErrors', () => {
+        test('should name the path and reason of each mismatch', () => {
+            const health = { $ref: '#/components/schemas/SystemHealth' };
+
+            expect(schemaErrors(health, { status: 'on fire', memory_usage_percent: '50' }, spec)).toEqual(expect.arrayContaining([
+                '$.slow_queries_1h: is required',
+                '$.status: must be one of healthy, warning',
+                '$.memory_usage_percent: expected number, got string'
+            ]));
+            expect(schemaErrors({ type: 'array', items: health }, [null], spec)).toEqual(['$[0]: must not be null']);
+        });
+    });
+});
@@ -0,0 +1,270 @@
+/**
+ * Tests for OTLP/HTTP JSON metrics ingestion at /api/otlp/v1/metrics
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { mapOtlpMetrics, validateOtlpRequest } = require('../src/ingest');
+const { createIngestRouter } = require('../src/routes/ingest');
+const { SiteRegistry } = require('../src/site-registry');
+const { MySqlDataSource } = require('../src/data-sources');
+const { accessRule } = require('../src/auth/roles');
+
+const TIME = '1714557600000000000'; // 2024-05-01T10:00:00Z
+const LATER = '1714557660000000000';
+
+function attribute(key, value) {
+    return { key, value: typeof value === 'number' ? { doubleValue: value } : { stringValue: value } };
+}
+
+function gauge(name, unit, points) {
+    return { name, unit, gauge: { dataPoints: points } };
+}
+
+function exportRequest(metrics, resourceAttributes = [attribute('wpd.site.id', 'agency')]) {
+    return {
+        resourceMetrics: [{
+            resource: { attributes: resourceAttributes },
+            scopeMetrics: [{ scope: { name: 'wordpress' }, metrics }]
+        }]
+    };
+}
+
+describe('OTLP ingestion', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('mapOtlpMetrics', () => {
+        test('should merge points of one collection cycle into rows with converted units', () => {
+            const { batches, rejected } = mapOtlpMetrics(exportRequest([
+                gauge('wordpress.db.queries.rate', '{query}/s', [{ timeUnixNano: TIME, asDouble: 14.5 }]),
+                {
+                    name: 'http.server.request.duration',
+                    unit: 's',
+                    histogram: { dataPoints: [{ timeUnixNano: TIME, count: '4', sum: 1.2 }] }
+                },
+                gauge('process.memory.usage', 'By', [{ timeUnixNano: TIME, asInt: '67108864' }]),
+                gauge('system.cpu.utilization', '1', [{ timeUnixNano: TIME, asDouble: 0.42 }]),
+                gauge('system.memory.usage', 'By', [
+                    { timeUnixNano: TIME, asInt: '2147483648', attributes: [attribute('system.memory.state', 'used')] },
+                    { timeUnixNano: TIME, asInt: '1073741824', attributes: [attribute('system.memory.state', 'free')] }
+                ]),
+                gauge('process.cpu.time', 's', [{ timeUnixNano: TIME, asDouble: 3 }])
+            ]));
+
+            expect(rejected).toBe(0);
+            expect(batches).toEqual([
+                {
+                    site: 'agency',
+                    table: 'performance_metrics',
+                    rows: [{
+                        timestamp: new Date('2024-05-01T10:00:00Z'),
+                        queries_per_second: 14.5,
+                        avg_response_time: 300,
+                        memory_usage: 64
+                    }]
+                },
+                {
+                    site: 'agency',
+                    table: 'system_health',
+                    rows: [{ timestamp: new Date('2024-05-01T10:00:00Z'), cpu_usage: 42, memory_used: 2048 }]
+                }
+            ]);
+        });
+
+        test('should write one plugin row per plugin and cycle and reject incomplete points', () => {
+            const { batches, rejected, errors } = mapOtlpMetrics(exportRequest([
+                gauge('wordpress.plugin.impact_score', '1', [
+                    { timeUnixNano: TIME, asInt: '85', attributes: [attribute('wordpress.plugin.name', 'WooCommerce')] },
+                    { timeUnixNano: LATER, asInt: '80', attributes: [attribute('wordpress.plugin.name', 'WooCommerce')] },
+                    { timeUnixNano: TIME, asInt: '12' }
+                ]),
+                gauge('wordpress.plugin.load_time', 's', [
+                    { timeUnixNano: TIME, asDouble: 0.25, attributes: [attribute('wordpress.plugin.name', 'WooCommerce'), attribute('wordpress.plugin.status', 'inactive')] }
+                ]),
+                gauge('wordpress.db.queries.rate', '{query}/s', [{ asDouble: 3 }])
+            ], []), { defaultSite: 'shop' });
+
+            expect(rejected).toBe(2);
+            expect(errors).toEqual([
+                'wordpress.plugin.impact_score: data points need the wordpress.plugin.name attribute',
+                'wordpress.db.queries.rate: data points need a numeric value and timeUnixNano'
+            ]);
+            expect(batches).toHaveLength(1);
+            expect(batches[0].site).toBe('shop');
+            expect(batches[0].rows).toEqual([
+                { timestamp: new Date('2024-05-01T10:00:00Z'), plugin_name: 'WooCommerce', status: 'active', impact_score: 85, load_time: 250 },
+                { timestamp: new Date('2024-05-01T10:01:00Z'), plugin_name: 'WooCommerce', status: 'active', impact_score: 80 }
+            ]);
+        });
+
+        test('should validate the export request shape', () => {
+            expect(validateOtlpRequest({ resourceMetrics: [] })).toEqual([]);
+            expect(validateOtlpRequest({})[0].field).toBe('resourceMetrics');
+            expect(validateOtlpRequest({ resourceMetrics: [{}] })[0].field).toBe('resourceMetrics[0].scopeMetrics');
+        });
+    });
+
+    describe('POST /api/otlp/v1/metrics', () => {
+        let pools;
+        let connection;
+        let app;
+
+        beforeEach(() => {
+            // Rollups only take points from the days still kept raw
+            jest.spyOn(Date, 'now').mockReturnValue(new Date('2024-05-01T10:05:00Z').getTime());
+            pools = {};
+            connection = {
+                beginTransaction: jest.fn(),
+                query: jest.fn().mockResolvedValue([]),
+                commit: jest.fn(),
+                rollback: jest.fn(),
+                release: jest.fn()
+            };
+            const registry = new SiteRegistry([
+                { id: 'shop', name: 'Shop', db: { host: 'shop-db' } },
+                { id: 'agency', name: 'Agency', ingest: true, db: { host: 'dashboard-db' } }
+            ], {
+                retention: { raw: 7, '1m': 30, '1h': 365, '1d': null },
+                createPool: (config) => {
+                    pools[config.host] = { execute: jest.fn().mockResolvedValue([]), getConnection: jest.fn().mockResolvedValue(connection) };
+                    return pools[config.host];
+                }
+            });
+            app = express();
+            app.use(express.json());
+            app.use('/api', createIngestRouter({ registry }));
+        });
+
+        test('should create the tables once and insert the mapped rows', async () => {
+            const body = exportRequest([
+                gauge('system.cpu.utilization', '1', [{ timeUnixNano: TIME, asDouble: 0.5 }]),
+                gauge('wordpress.cache.hit_ratio', '1', [{ timeUnixNano: TIME, asDouble: 0.9 }])
+            ]);
+
+            const response = await request(app).post('/api/otlp/v1/metrics').send(body).expect(200);
+            await request(app).post('/api/otlp/v1/metrics').send(body).expect(200);
+
+            expect(response.body).toEqual({});
+            const pool = pools['dashboard-db'];
+            const created = pool.execute.mock.calls.filter(([sql]) => sql.includes('CREATE TABLE'));
+            expect(created).toHaveLength(5);
+            expect(created[0][0]).toContain('CREATE TABLE IF NOT EXISTS performance_metrics');
+            const [sql, params] = connection.query.mock.calls[0];
+            expect(sql).toBe('INSERT INTO system_health (cpu_usage, memory_total, memory_used, disk_usage, active_connections, cache_hit_ratio, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?)');
+            expect(params).toEqual([50, null, null, null, null, 90, new Date('2024-05-01T10:00:00Z')]);
+        });
+
+        test('should write all tables of a site in one transaction and roll back on failure', async () => {
+            const body = exportRequest([
+                gauge('system.cpu.utilization', '1', [{ timeUnixNano: TIME, asDouble: 0.5 }]),
+                gauge('wordpress.db.queries.rate', '1/s', [{ timeUnixNano: TIME, asDouble: 12 }])
+            ]);
+
+            await request(app).post('/api/otlp/v1/metrics').send(body).expect(200);
+            expect(connection.beginTransaction).toHaveBeenCalledTimes(1);
+            expect(connection.query.mock.calls.map(([sql]) => sql.split(' (')[0]).sort())
+                .toEqual(['INSERT INTO performance_metrics', 'INSERT INTO system_health']);
+            expect(connection.commit).toHaveBeenCalledTimes(1);
+
+            connection.query.mockResolvedValueOnce([]).mockRejectedValueOnce(new Error('Lock wait timeout'));
+            await request(app).post('/api/otlp/v1/metrics').send(body).expect(500);
+            expect(connection.rollback).toHaveBeenCalledTimes(1);
+            expect(connection.commit).toHaveBeenCalledTimes(1);
+        });
+
+        afterEach(() => {
+            Date.now.mockRestore();
+        });
+
+        test('should drop points older than the site can still roll up', async () => {
+            const weekAgo = String(BigInt(TIME) - 7n * 24n * 3600n * 1000000000n);
+            const response = await request(app)
+                .post('/api/otlp/v1/metrics')
+                .send(exportRequest([gauge('system.cpu.utilization', '1', [
+                    { timeUnixNano: weekAgo, asDouble: 0.4 },
+                    { timeUnixNano: TIME, asDouble: 0.5 }
+                ])]))
+                .expect(200);
+
+            expect(response.body.partialSuccess).toEqual({
+                rejectedDataPoints: 1,
+                errorMessage: 'system.cpu.utilization: data points before 2024-04-25T00:00:00.000Z are no longer rolled up'
+            });
+            expect(connection.query).toHaveBeenCalledTimes(1);
+            expect(connection.query.mock.calls[0][1][6]).toEqual(new Date('2024-05-01T10:00:00Z'));
+        });
+
+        test('should move the rollup watermarks back to the oldest point written', async () => {
+            await request(app)
+                .post('/api/otlp/v1/metrics')
+                .send(exportRequest([gauge('system.cpu.utilization', '1', [{ timeUnixNano: TIME, asDouble: 0.5 }])]))
+                .expect(200);
+
+            const rewinds = pools['dashboard-db'].execute.mock.calls.filter(([sql]) => sql.startsWith('UPDATE rollup_state'));
+            expect(rewinds.map(([, params]) => params[1])).toEqual(['system_health_1m', 'system_health_1h', 'system_health_1d']);
+            expect(rewinds[0][1][0]).toEqual(new Date('2024-05-01T10:00:00Z'));
+        });
+
+        test('should report dropped data points as a partial success', async () => {
+            const response = await request(app)
+                .post('/api/otlp/v1/metrics')
+                .send(exportRequest([gauge('system.cpu.utilization', '1', [{ timeUnixNano: TIME, asDouble: 'busy' }])]))
+                .expect(200);
+
+            expect(response.body.partialSuccess).toEqual({
+                rejectedDataPoints: 1,
+                errorMessage: 'system.cpu.utilization: data points need a numeric value and timeUnixNano'
+            });
+            expect(pools['dashboard-db']).toBeUndefined();
+        });
+
+        test('should refuse sites that do not accept pushed data', async () => {
+            const cpu = [gauge('system.cpu.utilization', '1', [{ timeUnixNano: TIME, asDouble: 0.5 }])];
+
+            const closed = await request(app).post('/api/otlp/v1/metrics').send(exportRequest(cpu, [])).expect(409);
+            expect(closed.body.error).toBe('Site shop does not accept pushed data');
+
+            await request(app).post('/api/otlp/v1/metrics').send(exportRequest(cpu, [attribute('wpd.site.id', 'nope')])).expect(404);
+            expect(pools['shop-db']).toBeUndefined();
+        });
+
+        test('should reject protobuf and malformed payloads', async () => {
+            await request(app)
+                .post('/api/otlp/v1/metrics')
+                .set('Content-Type', 'application/x-protobuf')
+                .send(Buffer.from([1, 2, 3]))
+                .expect(415);
+
+            const invalid = await request(app).post('/api/otlp/v1/metrics').send({ resourceMetrics: 'x' }).expect(400);
+            expect(invalid.body.error).toBe('Invalid OTLP payload');
+        });
+
+        test('should need an operator key with the write:metrics scope', () => {
+            expect(accessRule('POST', '/otlp/v1/metrics')).toMatchObject({ role: 'operator', scope: 'write:metrics' });
+        });
+    });
+
+    describe('SiteRegistry', () => {
+        test('should only accept pushed data for sites with a database', () => {
+            expect(() => new SiteRegistry([{ id: 'blog', ingest: true, wpApi: { baseUrl: 'https://blog.example.com' } }]))
+                .toThrow('Site blog needs db settings to accept pushed data');
+        });
+    });
+
+    describe('MySqlDataSource.insertRows', () => {
+        test('should skip empty batches and unknown tables', async () => {
+            const pool = { execute: jest.fn(), query: jest.fn() };
+            const dataSource = new MySqlDataSource(pool);
+
+            await expect(dataSource.insertRows('system_health', [])).resolves.toBe(0);
+            await expect(dataSource.insertRows('wp_users', [{}])).rejects.toThrow('Unknown table: wp_users');
+            expect(pool.execute).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for the Prometheus /metrics endpoint and its collectors
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { formatMetrics, RequestMetrics, MetricsCollector, poolStats } = require('../src/prometheus');
+const { createMetricsRouter } = require('../src/routes/metrics');
+const { MemoryDataSource } = require('../src/data-sources');
+const { AuthService, MemoryAuthStore, authenticate, requireAccess } = require('../src/auth');
+
+// Value of one sample line, e.g. sampleValue(text, 'wpd_cpu_usage_percent{site="shop"}')
+function sampleValue(text, series) {
+    const line = text.split('\n').find(entry => entry.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+describe('Prometheus metrics', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('formatMetrics', () => {
+        test('should render help, type and escaped labels and skip missing values', () => {
+            const text = formatMetrics([
+                {
+                    name: 'wpd_plugin_impact_score',
+                    help: 'Impact\nscore',
+                    type: 'gauge',
+                    samples: [
+                        { labels: { site: 'shop', plugin: 'Say "hi"\\' }, value: 12 },
+                        { labels: { site: 'shop', plugin: 'Broken' }, value: null }
+                    ]
+                },
+                { name: 'wpd_empty', help: 'Nothing', type: 'gauge', samples: [{ value: undefined }] }
+            ]);
+
+            expect(text).toBe([
+                '# HELP wpd_plugin_impact_score Impact\\nscore',
+                '# TYPE wpd_plugin_impact_score gauge',
+                'wpd_plugin_impact_score{site="shop",plugin="Say \\"hi\\"\\\\"} 12',
+                ''
+            ].join('\n'));
+        });
+    });
+
+    describe('RequestMetrics', () => {
+        test('should time requests by route template with cumulative buckets', async () => {
+            let tick = 0n;
+            const metrics = new RequestMetrics({ buckets: [0.1, 1], clock: () => (tick += 300000000n) });
+            const app = express();
+            app.use('/api', metrics.middleware());
+            const router = express.Router();
+            router.get('/slow-queries/:id/explain', (req, res) => res.json({}));
+            app.use('/api', router);
+
+            await request(app).get('/api/slow-queries/7/explain').expect(200);
+            await request(app).get('/api/nope').expect(404);
+
+            const text = formatMetrics([{ name: 'http', help: 'x', type: 'histogram', samples: metrics.samples() }]);
+            const labels = 'method="GET",route="/api/slow-queries/:id/explain",status="200"';
+            expect(sampleValue(text, `http_bucket{${labels},le="0.1"}`)).toBe(0);
+            expect(sampleValue(text, `http_bucket{${labels},le="1"}`)).toBe(1);
+            expect(sampleValue(text, `http_bucket{${labels},le="+Inf"}`)).toBe(1);
+            expect(sampleValue(text, `http_sum{${labels}}`)).toBeCloseTo(0.3);
+            expect(sampleValue(text, 'http_count{method="GET",route="unmatched",status="404"}')).toBe(1);
+        });
+
+        test('should leave Server-Sent Events streams out of the latency histogram', async () => {
+            const metrics = new RequestMetrics();
+            const app = express();
+            app.use('/api', metrics.middleware());
+            app.get('/api/stream', (req, res) => {
+                res.set('Content-Type', 'text/event-stream; charset=utf-8');
+                res.end(': closed\n\n');
+            });
+
+            await request(app).get('/api/stream').expect(200);
+
+            expect(metrics.samples()).toEqual([]);
+        });
+    });
+
+    describe('MetricsCollector', () => {
+        function createSource() {
+            const now = Date.now();
+            return new MemoryDataSource({
+                performance_metrics: [
+                    { queries_per_second: 10, avg_response_time: 100, memory_usage: 60, timestamp: new Date(now - 60000) },
+                    { queries_per_second: 20, avg_response_time: 200, memory_usage: 80, timestamp: new Date(now - 30000) }
+                ],
+                system_health: [
+                    { cpu_usage: 45, memory_total: 8192, memory_used: 3567, disk_usage: 78.5, cache_hit_ratio: 87.3, active_connections: 12, timestamp: new Date(now) }
+                ],
+                slow_queries: [{ query_text: 'SELECT 1', execution_time: 900, timestamp: new Date(now - 1000) }],
+                plugin_performance: [
+                    { plugin_name: 'WooCommerce', impact_score: 70, status: 'active', timestamp: new Date(now - 7200000) },
+                    { plugin_name: 'WooCommerce', impact_score: 85, status: 'active', timestamp: new Date(now - 1000) },
+                    { plugin_name: 'Hello Dolly', impact_score: 5, status: 'inactive', timestamp: new Date(now - 1000) }
+                ]
+            });
+        }
+
+        test('should report the latest site values, server stats and pool usage', async () => {
+            const failing = new MemoryDataSource();
+            failing.getRealtimeMetrics = async () => {
+                throw new Error('connection lost');
+            };
+            const pool = {
+                pool: {
+                    _allConnections: { length: 4 },
+                    _freeConnections: { length: 1 },
+                    _connectionQueue: { length: 2 },
+                    config: { connectionLimit: 10 }
+                }
+            };
+            const collector = new MetricsCollector({
+                listSources: () => [{ site: 'shop', dataSource: createSource() }, { site: 'blog', dataSource: failing }],
+                listPools: () => [{ name: 'shop', pool }, { name: 'mock', pool: {} }],
+                requestMetrics: new RequestMetrics(),
+                io: { of: () => ({ sockets: new Map([['a', {}], ['b', {}]]) }) }
+            });
+
+            const text = await collector.render();
+
+            expect(sampleValue(text, 'wpd_site_up{site="shop"}')).toBe(1);
+            expect(sampleValue(text, 'wpd_site_up{site="blog"}')).toBe(0);
+            expect(sampleValue(text, 'wpd_queries_per_second{site="shop"}')).toBe(15);
+            expect(sampleValue(text, 'wpd_response_time_milliseconds{site="shop"}')).toBe(150);
+            expect(sampleValue(text, 'wpd_cpu_usage_percent{site="shop"}')).toBe(45);
+            expect(sampleValue(text, 'wpd_cache_hit_ratio_percent{site="shop"}')).toBe(87.3);
+            expect(sampleValue(text, 'wpd_active_connections{site="shop"}')).toBe(12);
+            expect(sampleValue(text, 'wpd_slow_queries_1h{site="shop"}')).toBe(1);
+            expect(sampleValue(text, 'wpd_plugin_impact_score{site="shop",plugin="WooCommerce"}')).toBe(85);
+            expect(text).not.toContain('Hello Dolly');
+            expect(text).not.toContain('wpd_cpu_usage_percent{site="blog"}');
+            expect(sampleValue(text, 'wpd_socketio_clients')).toBe(2);
+            expect(sampleValue(text, 'wpd_db_pool_connections{pool="shop",state="used"}')).toBe(3);
+            expect(sampleValue(text, 'wpd_db_pool_connections{pool="shop",state="queued"}')).toBe(2);
+            expect(sampleValue(text, 'wpd_db_pool_connection_limit{pool="shop"}')).toBe(10);
+            expect(text).not.toContain('pool="mock"');
+        });
+
+        test('should only read pool stats from mysql2 pools', () => {
+            expect(poolStats(null)).toBeNull();
+            expect(poolStats({ execute() {} })).toBeNull();
+        });
+    });
+
+    describe('GET /metrics', () => {
+        let auth;
+        let app;
+        let user;
+
+        beforeEach(async () => {
+            auth = new AuthService({ store: new MemoryAuthStore() });
+            user = await auth.createUser({ username: 'prometheus', password: 'correct-horse-battery', role: 'viewer' });
+            const collector = new MetricsCollector({
+                listSources: () => [{ site: 'shop', dataSource: new MemoryDataSource() }]
+            });
+            app = express();
+            app.use('/metrics', authenticate(auth), requireAccess({ role: 'viewer', scope: 'read:metrics' }));
+            app.use(createMetricsRouter({ collector }));
+        });
+
+        test('should need an API key with the read:metrics scope', async () => {
+            await request(app).get('/metrics').expect(401);
+
+            const { key: queriesKey } = await auth.createApiKey({ user, name: 'queries', scopes: ['read:queries'] });
+            await request(app).get('/metrics').set('Authorization', `Bearer ${queriesKey}`).expect(403);
+
+            const { key } = await auth.createApiKey({ user, name: 'prometheus', scopes: ['read:metrics'] });
+            const response = await request(app).get('/metrics').set('Authorization', `Bearer ${key}`).expect(200);
+            expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+            expect(sampleValue(response.text, 'wpd_site_up{site="shop"}')).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for slow query fingerprinting and the grouped slow query route
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { MAX_GROUPED_ROWS, fingerprintQuery, fingerprintHash, groupSlowQueries } = require('../src/query-fingerprint');
+const { createApiRouter } = require('../src/routes/api');
+const { MemoryDataSource } = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+
+describe('Slow query fingerprinting', () => {
+    describe('fingerprintQuery', () => {
+        test('should replace string and numeric literals', () => {
+            expect(fingerprintQuery('SELECT * FROM wp_posts WHERE post_status = "publish" AND ID > 42 LIMIT 10'))
+                .toBe('select * from wp_posts where post_status = ? and id > ? limit ?');
+            expect(fingerprintQuery("SELECT option_value FROM wp_options WHERE option_name = 'siteurl'"))
+                .toBe('select option_value from wp_options where option_name = ?');
+        });
+
+        test('should keep digits that belong to identifiers', () => {
+            expect(fingerprintQuery('SELECT * FROM wp_2_posts WHERE `col1` = 3.5'))
+                .toBe('select * from wp_2_posts where `col1` = ?');
+        });
+
+        test('should collapse IN lists and multi-row VALUES', () => {
+            expect(fingerprintQuery('SELECT * FROM wp_posts WHERE ID IN (1, 2, 3)'))
+                .toBe(fingerprintQuery('select * from wp_posts where ID in (7)'));
+            expect(fingerprintQuery('INSERT INTO t (a, b) VALUES (1, "x"), (2, "y")'))
+                .toBe('insert into t (a, b) values (?+)');
+        });
+
+        test('should strip comments, escaped quotes and extra whitespace', () => {
+            expect(fingerprintQuery("/* wc */ SELECT  *\n FROM wp_users -- admin lookup\n WHERE user_login = 'o\\'brien';"))
+                .toBe('select * from wp_users where user_login = ?');
+        });
+
+        test('should not take # or -- inside strings and identifiers for comments', () => {
+            expect(fingerprintQuery("SELECT * FROM wp_options WHERE option_value = '#abc' AND id = 5"))
+                .toBe('select * from wp_options where option_value = ? and id = ?');
+            expect(fingerprintQuery("SELECT * FROM wp_options WHERE option_value = '#xyz' AND post_type = 'page'"))
+                .toBe('select * from wp_options where option_value = ? and post_type = ?');
+            expect(fingerprintQuery('SELECT `a--b` FROM t WHERE c = "--x" # trailing note'))
+                .toBe('select `a--b` from t where c = ?');
+        });
+
+        test('should hash fingerprints to a short stable id', () => {
+            const hash = fingerprintHash('select ?');
+
+            expect(hash).toMatch(/^[0-9a-f]{16}$/);
+            expect(fingerprintHash('select ?')).toBe(hash);
+        });
+    });
+
+    describe('groupSlowQueries', () => {
+        const rows = [
+            { query_text: 'SELECT * FROM wp_posts WHERE ID = 1', execution_time: 100, rows_examined: 10, source_file: 'a.php', timestamp: '2024-01-01T10:00:00Z' },
+            { query_text: 'SELECT * FROM wp_posts WHERE ID = 2', execution_time: 300, rows_examined: 40, source_file: 'b.php', timestamp: '2024-01-01T11:00:00Z' },
+            { query_text: 'SELECT * FROM wp_posts WHERE ID = 3', execution_time: 200, rows_examined: 20, source_file: 'a.php', timestamp: '2024-01-01T09:00:00Z' },
+            { query_text: 'SELECT * FROM wp_options WHERE autoload = "yes"', execution_time: 500, rows_examined: 2300, source_file: null, timestamp: '2024-01-01T10:30:00Z' }
+        ];
+
+        test('should aggregate each fingerprint', () => {
+            const [posts] = groupSlowQueries(rows, { sort: 'count' });
+
+            expect(posts).toMatchObject({
+                fingerprint: 'select * from wp_posts where id = ?',
+                sample_query: 'SELECT * FROM wp_posts WHERE ID = 2',
+                count: 3,
+                total_execution_time: 600,
+                avg_execution_time: 200,
+                p95_execution_time: 300,
+                max_execution_time: 300,
+                max_rows_examined: 40,
+                source_files: ['a.php', 'b.php']
+            });
+            expect(posts.first_seen).toEqual(new Date('2024-01-01T09:00:00Z'));
+            expect(posts.last_seen).toEqual(new Date('2024-01-01T11:00:00Z'));
+        });
+
+        test('should sort and limit groups', () => {
+            expect(groupSlowQueries(rows).map(g => g.count)).toEqual([3, 1]);
+            expect(groupSlowQueries(rows, { sort: 'avg_time' }).map(g => g.count)).toEqual([1, 3]);
+            expect(groupSlowQueries(rows, { limit: 1 })).toHaveLength(1);
+        });
+    });
+
+    describe('GET /api/slow-queries/grouped', () => {
+        const registry = new SiteRegistry([{ id: 'shop', db: {} }], { createPool: () => ({}) });
+        let app;
+
+        beforeEach(() => {
+            const now = new Date();
+            const dataSource = new MemoryDataSource({
+                slow_queries: [
+                    { query_text: 'SELECT * FROM wp_postmeta WHERE meta_key LIKE "%_price%"', execution_time: 890, rows_examined: 8500, source_file: 'option.php', timestamp: now },
+                    { query_text: 'SELECT * FROM wp_postmeta WHERE meta_key LIKE "%_sku%"', execution_time: 910, rows_examined: 8600, source_file: 'option.php', timestamp: now }
+                ]
+            });
+            app = express();
+            app.use('/api', createApiRouter({ resolveDataSource: () => dataSource, registry }));
+        });
+
+        test('should return fingerprint groups', async () => {
+            const response = await request(app).get('/api/slow-queries/grouped?timeRange=1h').expect(200);
+
+            expect(response.body).toHaveLength(1);
+            expect(response.body[0]).toMatchObject({ count: 2, total_execution_time: 1800, max_rows_examined: 8600 });
+        });
+
+        test('should say when the range held more slow queries than are grouped', async () => {
+            const now = new Date();
+            const rows = Array.from({ length: MAX_GROUPED_ROWS + 1 }, (_, i) => ({
+                query_text: `SELECT * FROM wp_posts WHERE ID = ${i}`,
+                execution_time: i + 1,
+                timestamp: now
+            }));
+            const busy = express();
+            busy.use('/api', createApiRouter({ resolveDataSource: () => new MemoryDataSource({ slow_queries: rows }), registry }));
+
+            const response = await request(busy).get('/api/slow-queries/grouped?timeRange=1h').expect(200);
+            expect(response.body[0]).toMatchObject({ count: MAX_GROUPED_ROWS, truncated: true });
+
+            const quiet = await request(app).get('/api/slow-queries/grouped?timeRange=1h').expect(200);
+            expect(quiet.body[0].truncated).toBe(false);
+        });
+
+        test('should reject unknown sort fields', async () => {
+            const response = await request(app).get('/api/slow-queries/grouped?sort=random').expect(400);
+
+            expect(response.body.details[0].message).toMatch(/^sort must be one of/);
+        });
+    });
+});
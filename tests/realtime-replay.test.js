@@ -0,0 +1,203 @@
+/**
+ * Tests for replaying missed real-time events after a socket reconnects
+ */
+
+const { ReplayBuffer, SubscriptionHub, attachSiteRooms, broadcastRealtimeMetrics, siteRoom, feedRoom } = require('../src/realtime');
+const { MemoryAlertStore } = require('../src/alerts');
+const { MemoryDataSource } = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+
+const VIEWER = { type: 'session', username: 'viewer', role: 'viewer' };
+
+describe('Real-time replay', () => {
+    let emitted;
+    let registry;
+
+    function createFakeIo(rooms = new Map()) {
+        const handlers = [];
+        return {
+            sockets: { adapter: { rooms } },
+            on: jest.fn((event, handler) => handlers.push(handler)),
+            to: jest.fn(room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })),
+            connect: socket => handlers.forEach(handler => handler(socket))
+        };
+    }
+
+    function createFakeSocket(id) {
+        const handlers = {};
+        return {
+            id,
+            data: { user: VIEWER },
+            rooms: new Set(),
+            on: jest.fn((event, handler) => { handlers[event] = handler; }),
+            emit: jest.fn((event, payload) => emitted.push({ socket: id, event, payload })),
+            join(room) { this.rooms.add(room); },
+            leave(room) { this.rooms.delete(room); },
+            trigger(event, payload) { handlers[event](payload); }
+        };
+    }
+
+    function sentTo(socketId) {
+        return emitted.filter(e => e.socket === socketId);
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        emitted = [];
+        registry = new SiteRegistry([{ id: 'shop', db: {} }, { id: 'blog', db: {} }], { createPool: () => ({}) });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('ReplayBuffer', () => {
+        test('should number events from the startup time and return those after a seq for some rooms', () => {
+            const buffer = new ReplayBuffer({ now: () => 1000 });
+
+            const first = buffer.record('site:shop', 'real-time-metrics', { queries_per_second: 1 });
+            buffer.record('site:blog', 'real-time-metrics', { queries_per_second: 2 });
+            buffer.record('site:shop', 'alert', { type: 'opened' });
+
+            expect(first).toEqual({ queries_per_second: 1, seq: 1001 });
+            expect(buffer.since(1001, ['site:shop'])).toEqual({
+                complete: true,
+                events: [expect.objectContaining({ seq: 1003, event: 'alert', payload: { type: 'opened', seq: 1003 } })]
+            });
+            expect(buffer.since(1003, ['site:shop'])).toEqual({ complete: true, events: [] });
+        });
+
+        test('should report a rolled over buffer by capacity, age and restart', () => {
+            let now = 0;
+            const buffer = new ReplayBuffer({ capacity: 2, maxAgeMs: 1000, now: () => now });
+
+            [1, 2, 3].forEach(value => buffer.record('site:shop', 'real-time-metrics', { value }));
+            expect(buffer.since(0, ['site:shop']).complete).toBe(false);
+            expect(buffer.since(1, ['site:shop']).events.map(e => e.payload.value)).toEqual([2, 3]);
+
+            now = 1001;
+            expect(buffer.since(1, ['site:shop']).complete).toBe(false);
+            expect(buffer.since(3, ['site:shop'])).toEqual({ complete: true, events: [] });
+
+            expect(buffer.since(99, ['site:shop']).complete).toBe(false);
+            expect(buffer.since(undefined, ['site:shop']).complete).toBe(false);
+        });
+    });
+
+    describe('site rooms', () => {
+        test('should number broadcasts and replay the site room\'s missed events on resume', async () => {
+            const replay = new ReplayBuffer();
+            const io = createFakeIo(new Map([[siteRoom('shop'), new Set(['a'])], [siteRoom('blog'), new Set(['b'])]]));
+            const sources = {
+                shop: new MemoryDataSource({ performance_metrics: [{ queries_per_second: 1, timestamp: new Date() }] }),
+                blog: new MemoryDataSource({ performance_metrics: [{ queries_per_second: 2, timestamp: new Date() }] })
+            };
+            // Both sites have event streams, which keep their rooms polled
+            const streams = { has: () => true };
+            attachSiteRooms(io, registry, { replay });
+
+            await broadcastRealtimeMetrics(io, registry, req => sources[req.query.site], { replay, streams });
+            const seen = emitted.find(e => e.room === siteRoom('shop')).payload.seq;
+            await broadcastRealtimeMetrics(io, registry, req => sources[req.query.site], { replay, streams });
+
+            const socket = createFakeSocket('socket-1');
+            io.connect(socket);
+            socket.trigger('resume', { since: seen });
+
+            expect(sentTo('socket-1').map(e => e.event)).toEqual(['real-time-metrics', 'resumed']);
+            expect(sentTo('socket-1')[0].payload).toMatchObject({ site: 'shop', queries_per_second: 1, seq: seen + 2 });
+            expect(sentTo('socket-1')[1].payload).toEqual({ since: seen, until: seen + 3, replayed: 1, complete: true });
+
+            socket.trigger('resume', { since: 1 });
+            expect(sentTo('socket-1')[2].payload).toEqual({ since: 1, until: seen + 3, replayed: 0, complete: false });
+        });
+    });
+
+    describe('channel feeds', () => {
+        let dataSource;
+        let hub;
+        let io;
+
+        beforeEach(async () => {
+            jest.useFakeTimers();
+            dataSource = new MemoryDataSource({
+                performance_metrics: [{ queries_per_second: 4, avg_response_time: 180, memory_usage: 256, timestamp: new Date() }]
+            });
+            const alertStore = new MemoryAlertStore();
+            await alertStore.ensureSchema();
+            io = createFakeIo();
+            hub = new SubscriptionHub({ registry, resolveDataSource: () => dataSource, alertStore, replay: new ReplayBuffer() });
+            hub.attach(io);
+        });
+
+        afterEach(() => {
+            hub.close();
+            jest.useRealTimers();
+        });
+
+        async function addSample(offsetMs, queriesPerSecond) {
+            await dataSource.insertRows('performance_metrics', [{
+                queries_per_second: queriesPerSecond,
+                avg_response_time: 180,
+                memory_usage: 256,
+                timestamp: new Date(Date.now() + offsetMs)
+            }]);
+            await jest.advanceTimersByTimeAsync(2000);
+        }
+
+        test('should replay a feed\'s missed deltas instead of a snapshot', async () => {
+            const watcher = createFakeSocket('watcher');
+            const dropped = createFakeSocket('dropped');
+            [watcher, dropped].forEach(socket => io.connect(socket));
+            watcher.trigger('subscribe', { channel: 'realtime', rate: 2 });
+            dropped.trigger('subscribe', { channel: 'realtime', rate: 2 });
+            await jest.advanceTimersByTimeAsync(0);
+            await addSample(1000, 5);
+            const last = emitted.filter(e => e.event === 'delta').pop().payload;
+
+            dropped.trigger('disconnect');
+            await addSample(2000, 6);
+            await addSample(3000, 7);
+
+            const reconnected = createFakeSocket('reconnected');
+            io.connect(reconnected);
+            reconnected.trigger('subscribe', { channel: 'realtime', rate: 2, resume: { feed: last.feed, seq: last.seq } });
+
+            const events = sentTo('reconnected');
+            expect(events[0]).toMatchObject({ event: 'subscribed', payload: { feed: 'realtime/shop/2s', resumed: true } });
+            expect(events.slice(1).map(e => [e.event, e.payload.delta.set.queries_per_second])).toEqual([['delta', 6], ['delta', 7]]);
+            expect(events[2].payload.seq).toBe(hub.feeds.get('realtime/shop/2s').seq);
+        });
+
+        test('should send a snapshot when the missed events are gone', async () => {
+            const watcher = createFakeSocket('watcher');
+            io.connect(watcher);
+            watcher.trigger('subscribe', { channel: 'realtime', rate: 2 });
+            await jest.advanceTimersByTimeAsync(0);
+
+            const socket = createFakeSocket('socket-1');
+            io.connect(socket);
+            socket.trigger('subscribe', { channel: 'realtime', rate: 2, resume: { feed: 'realtime/shop/2s', seq: 1 } });
+
+            expect(sentTo('socket-1').map(e => e.event)).toEqual(['subscribed', 'snapshot']);
+            expect(sentTo('socket-1')[0].payload.resumed).toBe(false);
+            expect(sentTo('socket-1')[1].payload.seq).toBe(hub.feeds.get('realtime/shop/2s').seq);
+        });
+
+        test('should not replay another feed\'s events', async () => {
+            const first = createFakeSocket('first');
+            io.connect(first);
+            first.trigger('subscribe', { channel: 'realtime', rate: 2 });
+            await jest.advanceTimersByTimeAsync(0);
+            const { seq } = emitted.find(e => e.event === 'snapshot').payload;
+
+            const second = createFakeSocket('second');
+            io.connect(second);
+            second.trigger('subscribe', { channel: 'realtime', rate: 2, resume: { feed: 'realtime/blog/2s', seq } });
+
+            expect(sentTo('second').map(e => e.event)).toEqual(['subscribed', 'snapshot']);
+            expect(first.rooms).toEqual(new Set([feedRoom('realtime/shop/2s')]));
+        });
+    });
+});
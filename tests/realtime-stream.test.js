@@ -0,0 +1,288 @@
+/**
+ * Tests for the Server-Sent Events fallback of the real-time socket events
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { EventEmitter } = require('events');
+const express = require('express');
+const { JSDOM } = require('jsdom');
+const request = require('supertest');
+const { EventStreams, ReplayBuffer, broadcastRealtimeMetrics, siteRoom, feedRoom } = require('../src/realtime');
+const { createStreamRouter } = require('../src/routes/stream');
+const { MemoryDataSource } = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+
+describe('Real-time event streams', () => {
+    let replay;
+    let streams;
+    let registry;
+
+    function createFakeStream() {
+        const req = new EventEmitter();
+        const res = {
+            chunks: [],
+            writableLength: 0,
+            status: jest.fn(function () { return this; }),
+            set: jest.fn(function () { return this; }),
+            flushHeaders: jest.fn(),
+            write: jest.fn(function (chunk) { this.chunks.push(chunk); return true; }),
+            end: jest.fn()
+        };
+        return { req, res };
+    }
+
+    // Parsed events after the leading retry directive
+    function eventsOf(res) {
+        return res.chunks.slice(1).map((chunk) => {
+            const fields = Object.fromEntries(chunk.trim().split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+            return { id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) };
+        });
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        replay = new ReplayBuffer();
+        streams = new EventStreams({ replay });
+        registry = new SiteRegistry([{ id: 'shop', db: {} }, { id: 'blog', db: {} }], { createPool: () => ({}) });
+    });
+
+    afterEach(() => {
+        streams.close();
+        jest.restoreAllMocks();
+    });
+
+    test('should stream a site room\'s metrics and alerts with their seq as event id', () => {
+        const { req, res } = createFakeStream();
+        streams.open(req, res, { site: 'shop' });
+
+        const sample = replay.record(siteRoom('shop'), 'real-time-metrics', { queries_per_second: 4, site: 'shop' });
+        replay.record(siteRoom('blog'), 'real-time-metrics', { queries_per_second: 2, site: 'blog' });
+        replay.record(feedRoom('realtime/shop/5s'), 'delta', { feed: 'realtime/shop/5s' });
+        replay.record(siteRoom('shop'), 'alert', { type: 'opened' });
+
+        expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream; charset=utf-8' }));
+        expect(res.chunks[0]).toBe('retry: 5000\n\n');
+        expect(res.chunks[1]).toBe(`id: ${sample.seq}\nevent: real-time-metrics\ndata: ${JSON.stringify(sample)}\n\n`);
+        expect(eventsOf(res).map(e => [e.event, e.id])).toEqual([['real-time-metrics', sample.seq], ['alert', sample.seq + 3]]);
+    });
+
+    test('should replay missed events after Last-Event-ID, then say whether they were all kept', () => {
+        const seen = replay.record(siteRoom('shop'), 'real-time-metrics', { queries_per_second: 1 }).seq;
+        replay.record(siteRoom('shop'), 'real-time-metrics', { queries_per_second: 2 });
+        replay.record(siteRoom('shop'), 'alert', { type: 'resolved' });
+
+        const resumed = createFakeStream();
+        streams.open(resumed.req, resumed.res, { site: 'shop', lastEventId: seen });
+        expect(eventsOf(resumed.res).map(e => e.event)).toEqual(['real-time-metrics', 'alert', 'resumed']);
+        expect(eventsOf(resumed.res)[2]).toEqual({ id: seen + 2, event: 'resumed', data: { since: seen, until: seen + 2, replayed: 2, complete: true } });
+
+        const stale = createFakeStream();
+        streams.open(stale.req, stale.res, { site: 'shop', lastEventId: 1 });
+        expect(eventsOf(stale.res).map(e => e.data)).toEqual([{ since: 1, until: seen + 2, replayed: 0, complete: false }]);
+    });
+
+    test('should poll sites that only have event streams', async () => {
+        const io = { sockets: { adapter: { rooms: new Map() } }, to: jest.fn(() => ({ emit: jest.fn() })) };
+        const dataSource = new MemoryDataSource({ performance_metrics: [{ queries_per_second: 7, timestamp: new Date() }] });
+        jest.spyOn(dataSource, 'getLatestSample');
+        const { req, res } = createFakeStream();
+        streams.open(req, res, { site: 'blog' });
+
+        await broadcastRealtimeMetrics(io, registry, () => dataSource, { replay, streams });
+
+        expect(dataSource.getLatestSample).toHaveBeenCalledTimes(1);
+        expect(eventsOf(res)[0].data).toMatchObject({ queries_per_second: 7, site: 'blog' });
+    });
+
+    test('should send heartbeats and forget closed or backed up streams', () => {
+        jest.useFakeTimers();
+        try {
+            streams = new EventStreams({ replay, heartbeatMs: 1000, maxBufferedBytes: 10 });
+            const idle = createFakeStream();
+            const slow = createFakeStream();
+            streams.open(idle.req, idle.res, { site: 'shop' });
+            streams.open(slow.req, slow.res, { site: 'blog' });
+
+            jest.advanceTimersByTime(1000);
+            expect(idle.res.chunks[1]).toBe(': heartbeat\n\n');
+
+            slow.res.writableLength = 11;
+            replay.record(siteRoom('blog'), 'real-time-metrics', { queries_per_second: 1 });
+            expect(slow.res.end).toHaveBeenCalled();
+            expect(streams.has(siteRoom('blog'))).toBe(false);
+
+            idle.req.emit('close');
+            expect(streams.has(siteRoom('shop'))).toBe(false);
+            expect(streams.heartbeat).toBeNull();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    describe('GET /api/stream', () => {
+        let app;
+
+        beforeEach(() => {
+            app = express();
+            app.use('/api', createStreamRouter({ streams, registry }));
+        });
+
+        test('should resume from the Last-Event-ID header over HTTP', async () => {
+            const seen = replay.record(siteRoom('blog'), 'alert', { type: 'opened' }).seq;
+            replay.record(siteRoom('blog'), 'alert', { type: 'resolved' });
+            const server = app.listen(0);
+
+            try {
+                const body = await new Promise((resolve, reject) => {
+                    const req = http.get({
+                        port: server.address().port,
+                        path: '/api/stream?site=blog&lastEventId=1',
+                        headers: { 'Last-Event-ID': String(seen) }
+                    }, (res) => {
+                        expect(res.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+                        let text = '';
+                        res.on('data', (chunk) => {
+                            text += chunk;
+                            if (text.includes('event: resumed')) {
+                                req.destroy();
+                                resolve(text);
+                            }
+                        });
+                    });
+                    req.on('error', reject);
+                });
+
+                expect(body).toContain(`id: ${seen + 1}\nevent: alert\ndata: {"type":"resolved","seq":${seen + 1}}`);
+                expect(body).toContain('"replayed":1,"complete":true');
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+
+        test('should reject unknown sites and bad event ids', async () => {
+            await request(app).get('/api/stream?site=missing').expect(404, { error: 'Unknown site: missing' });
+            const response = await request(app).get('/api/stream?lastEventId=abc').expect(400);
+            expect(response.body.details).toEqual([expect.objectContaining({ field: 'lastEventId' })]);
+        });
+    });
+
+    describe('dashboard fallback', () => {
+        const dashboardCode = fs.readFileSync(path.join(__dirname, '../public/js/dashboard.js'), 'utf8');
+        let dom;
+        let socket;
+        let handlers;
+        let eventSources;
+
+        class FakeEventSource {
+            constructor(url) {
+                this.url = url;
+                this.readyState = 0;
+                this.listeners = {};
+                eventSources.push(this);
+            }
+            addEventListener(type, listener) {
+                this.listeners[type] = listener;
+            }
+            removeEventListener(type) {
+                delete this.listeners[type];
+            }
+            dispatch(type, data, lastEventId) {
+                this.listeners[type]({ type, data: JSON.stringify(data), lastEventId });
+            }
+            close() {
+                this.readyState = FakeEventSource.CLOSED;
+            }
+        }
+        FakeEventSource.CLOSED = 2;
+
+        beforeEach(() => {
+            dom = new JSDOM('<!DOCTYPE html><body><div id="connection-status"></div></body>', { url: 'http://localhost' });
+            global.window = dom.window;
+            global.document = dom.window.document;
+            global.EventSource = FakeEventSource;
+            global.Chart = { defaults: { font: {}, color: '' }, getChart: jest.fn() };
+            handlers = {};
+            eventSources = [];
+            global.io = jest.fn((options) => {
+                socket = {
+                    connected: false,
+                    io: { opts: { ...options } },
+                    on: jest.fn((event, handler) => { handlers[event] = handler; }),
+                    emit: jest.fn()
+                };
+                return socket;
+            });
+            global.fetch = jest.fn(async () => ({ ok: true, json: async () => [] }));
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            // A loaded chart and a socket realtime channel, as after its first snapshot
+            const seed = `performanceChartRows = [{ timestamp: '2024-05-01T10:00:00.000Z' }];
+                liveChannels.realtime = { feed: 'realtime/shop/5s', value: {}, seq: 42 };`;
+            new dom.window.Function(`${dashboardCode}\n${seed}`).call(dom.window);
+        });
+
+        afterEach(() => {
+            console.log.mockRestore();
+            console.error.mockRestore();
+            dom.window.close();
+            delete global.window;
+            delete global.document;
+            delete global.EventSource;
+            delete global.Chart;
+            delete global.io;
+            delete global.fetch;
+        });
+
+        test('should connect over WebSockets and switch to /api/stream after failed attempts', () => {
+            expect(global.io).toHaveBeenCalledWith({ transports: ['websocket'] });
+
+            handlers.connect_error(new Error('websocket error'));
+            expect(eventSources).toHaveLength(0);
+            handlers.connect_error(new Error('websocket error'));
+
+            expect(eventSources).toHaveLength(1);
+            expect(eventSources[0].url).toMatch(/^\/api\/stream\?/);
+            expect(socket.io.opts.transports).toEqual(['websocket']);
+
+            handlers.connect();
+            expect(eventSources[0].readyState).toBe(FakeEventSource.CLOSED);
+        });
+
+        test('should only long-poll once the event stream is refused', () => {
+            handlers.connect_error(new Error('websocket error'));
+            handlers.connect_error(new Error('websocket error'));
+
+            eventSources[0].readyState = FakeEventSource.CLOSED;
+            eventSources[0].onerror();
+
+            expect(socket.io.opts.transports).toEqual(['polling', 'websocket']);
+        });
+
+        test('should load the chart gap after an outage instead of resuming from the socket\'s seq', async () => {
+            handlers.connect();
+            handlers.disconnect();
+            handlers.connect_error(new Error('websocket error'));
+            handlers.connect_error(new Error('websocket error'));
+            await Promise.resolve();
+
+            // The socket's seq belongs to its channel feed, which the stream's site room never saw
+            expect(eventSources[0].url).not.toContain('lastEventId');
+            expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/^\/api\/metrics\?.*from=2024-05-01T10%3A00%3A00\.000Z/));
+        });
+
+        test('should resume a reopened stream after its own last event', () => {
+            handlers.connect_error(new Error('websocket error'));
+            handlers.connect_error(new Error('websocket error'));
+            eventSources[0].dispatch('resumed', { complete: true }, '57');
+            eventSources[0].readyState = FakeEventSource.CLOSED;
+            eventSources[0].onerror();
+
+            handlers.connect_error(new Error('websocket error'));
+
+            expect(eventSources[1].url).toContain('lastEventId=57');
+        });
+    });
+});
@@ -0,0 +1,257 @@
+/**
+ * Tests for socket.io channel subscriptions and delta updates
+ */
+
+const { SubscriptionHub, CHANNELS, feedRoom, diffObject, diffList, applyDelta } = require('../src/realtime');
+const { MemoryAlertStore } = require('../src/alerts');
+const { MemoryDataSource } = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+const { API_ROUTES, buildOpenApiSpec, schemaErrors } = require('../src/validation');
+
+const VIEWER = { type: 'session', username: 'viewer', role: 'viewer' };
+
+describe('Real-time subscriptions', () => {
+    let io;
+    let emitted;
+    let registry;
+    let dataSource;
+    let alertStore;
+    let hub;
+
+    function createFakeIo() {
+        let onConnection;
+        return {
+            on: jest.fn((event, handler) => { onConnection = handler; }),
+            to: jest.fn(room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })),
+            connect: socket => onConnection(socket)
+        };
+    }
+
+    function connect(id, user = VIEWER) {
+        const handlers = {};
+        const socket = {
+            id,
+            data: { user },
+            rooms: new Set(),
+            on: jest.fn((event, handler) => { handlers[event] = handler; }),
+            emit: jest.fn((event, payload) => emitted.push({ socket: id, event, payload })),
+            join(room) { this.rooms.add(room); },
+            leave(room) { this.rooms.delete(room); },
+            trigger(event, payload) { handlers[event](payload); }
+        };
+        io.connect(socket);
+        return socket;
+    }
+
+    function eventsNamed(event) {
+        return emitted.filter(e => e.event === event);
+    }
+
+    function slowQuery(id, executionTime) {
+        return { id, query_text: `SELECT * FROM wp_users WHERE user_email = 'user${id}@example.com'`, execution_time: executionTime, timestamp: new Date() };
+    }
+
+    beforeEach(async () => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        emitted = [];
+
+        registry = new SiteRegistry([{ id: 'shop', db: {} }, { id: 'blog', db: {} }], { createPool: () => ({}) });
+        dataSource = new MemoryDataSource({
+            performance_metrics: [{ queries_per_second: 4, avg_response_time: 180, memory_usage: 256, timestamp: new Date() }],
+            slow_queries: [slowQuery(1, 2.5), slowQuery(2, 1.5)]
+        });
+        alertStore = new MemoryAlertStore();
+        await alertStore.ensureSchema();
+
+        io = createFakeIo();
+        hub = new SubscriptionHub({ registry, resolveDataSource: () => dataSource, alertStore });
+        hub.attach(io);
+    });
+
+    afterEach(() => {
+        hub.close();
+        jest.useRealTimers();
+        console.error.mockRestore();
+    });
+
+    test('should poll a feed once for all its subscribers and send a snapshot', async () => {
+        jest.spyOn(dataSource, 'getLatestSample');
+        const first = connect('socket-1');
+        const second = connect('socket-2');
+
+        first.trigger('subscribe', { channel: 'realtime', site: 'shop' });
+        await jest.advanceTimersByTimeAsync(0);
+        second.trigger('subscribe', { channel: 'realtime', site: 'shop' });
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(dataSource.getLatestSample).toHaveBeenCalledTimes(1);
+        expect(first.rooms).toEqual(new Set([feedRoom('realtime/shop/5s')]));
+        expect(eventsNamed('subscribed')[0].payload).toEqual({ feed: 'realtime/shop/5s', channel: 'realtime', site: 'shop', rate: 5, timeRange: null, resumed: false });
+        expect(eventsNamed('snapshot').map(e => e.room || e.socket)).toEqual([feedRoom('realtime/shop/5s'), 'socket-2']);
+        expect(eventsNamed('snapshot')[1].payload.data).toMatchObject({ queries_per_second: 4, avg_response_time: 180 });
+    });
+
+    test('should send only changed fields and nothing when nothing changed', async () => {
+        connect('socket-1').trigger('subscribe', { channel: 'realtime', rate: 2 });
+        await jest.advanceTimersByTimeAsync(0);
+
+        await jest.advanceTimersByTimeAsync(2000);
+        expect(eventsNamed('delta')).toHaveLength(0);
+
+        const timestamp = new Date(Date.now() + 1000);
+        await dataSource.insertRows('performance_metrics', [{ queries_per_second: 9, avg_response_time: 180, memory_usage: 256, timestamp }]);
+        await jest.advanceTimersByTimeAsync(2000);
+
+        expect(eventsNamed('delta').map(e => e.payload)).toEqual([{
+            feed: 'realtime/shop/2s',
+            channel: 'realtime',
+            site: 'shop',
+            delta: { set: { queries_per_second: 9, timestamp: timestamp.toISOString() } }
+        }]);
+    });
+
+    test('should send new slow queries as row deltas with redacted text', async () => {
+        connect('socket-1').trigger('subscribe', { channel: 'slow-queries', site: 'shop', timeRange: '1h' });
+        await jest.advanceTimersByTimeAsync(0);
+        const snapshot = eventsNamed('snapshot')[0].payload.data;
+
+        await dataSource.insertRows('slow_queries', [slowQuery(3, 9.5)]);
+        await jest.advanceTimersByTimeAsync(15000);
+        const { delta } = eventsNamed('delta')[0].payload;
+
+        expect(delta.upsert.map(row => row.id)).toEqual([3]);
+        expect(delta.upsert[0].query_text).not.toContain('user3@example.com');
+        expect(delta.remove).toEqual([]);
+        expect(applyDelta(snapshot, delta, row => row.id).map(row => row.id)).toEqual([3, 1, 2]);
+    });
+
+    test('should push alert changes when the site is refreshed', async () => {
+        connect('socket-1').trigger('subscribe', { channel: 'alerts', site: 'blog' });
+        await jest.advanceTimersByTimeAsync(0);
+        expect(eventsNamed('snapshot')[0].payload.data).toEqual([]);
+
+        const alert = await alertStore.createAlert({
+            rule_id: 1,
+            rule_name: 'Busy CPU',
+            site: 'blog',
+            metric: 'system_health.cpu_usage',
+            operator: '>',
+            threshold: 90,
+            severity: 'critical',
+            value: 97,
+            message: 'CPU usage is 97%',
+            opened_at: new Date()
+        });
+        await hub.refresh('blog', 'alerts');
+
+        expect(eventsNamed('delta')[0].payload.delta).toEqual({ upsert: [JSON.parse(JSON.stringify(alert))], remove: [] });
+    });
+
+    test('should stop polling a feed with its last subscriber', async () => {
+        jest.spyOn(dataSource, 'getSystemHealth');
+        const first = connect('socket-1');
+        const second = connect('socket-2');
+        first.trigger('subscribe', { channel: 'health', timeRange: '6h' });
+        second.trigger('subscribe', { channel: 'health', timeRange: '6h' });
+        await jest.advanceTimersByTimeAsync(0);
+
+        first.trigger('unsubscribe', { channel: 'health' });
+        await jest.advanceTimersByTimeAsync(10000);
+        expect(dataSource.getSystemHealth).toHaveBeenCalledTimes(2);
+
+        second.trigger('disconnect');
+        await jest.advanceTimersByTimeAsync(30000);
+        expect(dataSource.getSystemHealth).toHaveBeenCalledTimes(2);
+        expect(hub.feeds.size).toBe(0);
+    });
+
+    test('should move a socket to the new feed when it subscribes again', async () => {
+        const socket = connect('socket-1');
+        socket.trigger('subscribe', { channel: 'plugins', site: 'shop' });
+        socket.trigger('subscribe', { channel: 'plugins', site: 'blog', timeRange: '24h' });
+
+        expect(socket.rooms).toEqual(new Set([feedRoom('plugins/blog/24h/30s')]));
+        expect([...hub.feeds.keys()]).toEqual(['plugins/blog/24h/30s']);
+    });
+
+    test('should reject bad subscriptions and channels the user may not read', () => {
+        const socket = connect('socket-1');
+        const apiKey = connect('socket-2', { type: 'api_key', role: 'viewer', scopes: ['read:metrics'] });
+
+        socket.trigger('subscribe', { channel: 'users' });
+        socket.trigger('subscribe', { channel: 'realtime', site: 'missing' });
+        socket.trigger('subscribe', { channel: 'realtime', rate: 1 });
+        socket.trigger('subscribe', { channel: 'health', timeRange: '2h' });
+        apiKey.trigger('subscribe', { channel: 'slow-queries' });
+
+        expect(eventsNamed('subscription-error').map(e => e.payload.error)).toEqual([
+            'Unknown channel: users',
+            'Unknown site: missing',
+            'rate must be a whole number of seconds from 2 to 300',
+            'timeRange must be one of: 1h, 6h, 24h, 7d, 30d, 90d',
+            'Insufficient permissions'
+        ]);
+        expect(hub.feeds.size).toBe(0);
+    });
+
+    test('should keep the last value when a poll fails', async () => {
+        connect('socket-1').trigger('subscribe', { channel: 'realtime', rate: 2 });
+        await jest.advanceTimersByTimeAsync(0);
+        jest.spyOn(dataSource, 'getLatestSample').mockRejectedValueOnce(new Error('Too many connections'));
+
+        await jest.advanceTimersByTimeAsync(2000);
+        await jest.advanceTimersByTimeAsync(2000);
+
+        expect(console.error).toHaveBeenCalledWith('Error polling realtime for site shop:', expect.any(Error));
+        expect(eventsNamed('snapshot')).toHaveLength(1);
+        expect(eventsNamed('delta')).toHaveLength(0);
+    });
+
+    test('should match the documented socket payloads', async () => {
+        const spec = buildOpenApiSpec(API_ROUTES);
+        connect('socket-1').trigger('subscribe', { channel: 'slow-queries' });
+        await jest.advanceTimersByTimeAsync(0);
+        await dataSource.insertRows('slow_queries', [slowQuery(3, 0.5)]);
+        await jest.advanceTimersByTimeAsync(15000);
+
+        ['subscribed', 'snapshot', 'delta'].forEach((event) => {
+            const { payload } = eventsNamed(event)[0];
+            expect(schemaErrors(spec['x-socket-io'].emits[event].payload, payload, spec)).toEqual([]);
+        });
+    });
+
+    describe('deltas', () => {
+        test('should diff objects by field', () => {
+            expect(diffObject({ a: 1, b: 2 }, { a: 1, b: 3 })).toEqual({ set: { b: 3 } });
+            expect(diffObject({ a: 1, b: 2 }, { a: 1 })).toEqual({ set: { b: null } });
+            expect(diffObject({ a: 1 }, { a: 1 })).toBeNull();
+        });
+
+        test('should diff lists by key and send the order only when rows moved', () => {
+            const keyOf = row => row.id;
+            const before = [{ id: 1, v: 'a' }, { id: 2, v: 'b' }, { id: 3, v: 'c' }];
+
+            expect(diffList(before, [{ id: 1, v: 'a' }, { id: 2, v: 'B' }, { id: 4, v: 'd' }], keyOf))
+                .toEqual({ upsert: [{ id: 2, v: 'B' }, { id: 4, v: 'd' }], remove: [3] });
+            expect(diffList(before, [before[2], before[0], before[1]], keyOf))
+                .toEqual({ upsert: [], remove: [], order: [3, 1, 2] });
+            expect(diffList(before, before, keyOf)).toBeNull();
+
+            const after = [{ id: 4, v: 'd' }, before[1], before[0]];
+            expect(applyDelta(before, diffList(before, after, keyOf), keyOf)).toEqual(after);
+        });
+
+        test('should key slow queries without an id by time and text', () => {
+            const { keyOf } = CHANNELS['slow-queries'];
+            const before = [
+                { query_text: 'SELECT ?', timestamp: '2024-05-01T10:00:00.000Z' },
+                { query_text: 'UPDATE wp_options SET option_value = ?', timestamp: '2024-05-01T10:00:00.000Z' }
+            ];
+            const after = [{ query_text: 'SELECT ?', timestamp: '2024-05-01T10:01:00.000Z' }, before[1]];
+
+            expect(diffList(before, after, keyOf).upsert).toEqual([after[0]]);
+            expect(applyDelta(before, diffList(before, after, keyOf), keyOf)).toEqual(after);
+        });
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for slow query redaction and the admin-only raw query view
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const { QueryRedactor, loadRedactor } = require('../src/redaction');
+const { createApiRouter } = require('../src/routes/api');
+const { MemoryDataSource } = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+const { AuthService, MemoryAuthStore, auditLog } = require('../src/auth');
+
+describe('Query redaction', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('QueryRedactor', () => {
+        const redactor = new QueryRedactor();
+
+        test('should mask literals and sensitive column values', () => {
+            expect(redactor.redact('SELECT * FROM wp_users WHERE user_login = "admin" OR user_email = "admin@example.com" LIMIT 1'))
+                .toBe('SELECT * FROM wp_users WHERE user_login = ? OR user_email = ? LIMIT ?');
+            expect(redactor.redact("SELECT ID FROM wp_users WHERE `wp_users`.`user_email` IN ('a@example.com', 'b@example.com')"))
+                .toBe('SELECT ID FROM wp_users WHERE `wp_users`.`user_email` IN ?');
+        });
+
+        test('should mask sensitive columns even with literal masking switched off', () => {
+            const columnsOnly = new QueryRedactor({ strings: false, numbers: false, emails: false });
+            expect(columnsOnly.redact("SELECT * FROM wp_users WHERE user_login LIKE 'adm%' AND ID = 5"))
+                .toBe('SELECT * FROM wp_users WHERE user_login LIKE ? AND ID = 5');
+            expect(columnsOnly.redact("INSERT INTO wp_users (ID, user_login, user_pass) VALUES (7, 'bob', '$P$abc'), (8, 'amy', '$P$d,ef')"))
+                .toBe('INSERT INTO wp_users (ID, user_login, user_pass) VALUES (7, ?, ?), (8, ?, ?)');
+        });
+
+        test('should mask emails outside literals and custom patterns', () => {
+            const custom = new QueryRedactor({ strings: false, numbers: false, patterns: ['\\b\\d{3}-\\d{2}-\\d{4}\\b'] });
+            expect(custom.redact('SELECT 1 /* requested by jane@example.com for 123-45-6789 */'))
+                .toBe('SELECT 1 /* requested by ? for ? */');
+        });
+
+        test('should keep numbers when asked and pass non-strings through', () => {
+            expect(redactor.redact("-> Filter: (option_name = 'siteurl')  (cost=0.35 rows=1)", { numbers: false }))
+                .toBe('-> Filter: (option_name = ?)  (cost=0.35 rows=1)');
+            expect(redactor.redact(null)).toBeNull();
+        });
+
+        test('should load overrides from a JSON file', () => {
+            const file = path.join(os.tmpdir(), `redaction-${process.pid}.json`);
+            fs.writeFileSync(file, JSON.stringify({ columns: ['billing_phone'] }));
+            try {
+                const loaded = loadRedactor(file);
+                expect(loaded.redact("SELECT * FROM wp_usermeta WHERE billing_phone = '555-0100' AND user_login = 'bob'", { numbers: false }))
+                    .toBe('SELECT * FROM wp_usermeta WHERE billing_phone = ? AND user_login = ?');
+                expect(loadRedactor().config.columns).toContain('user_pass');
+            } finally {
+                fs.unlinkSync(file);
+            }
+        });
+    });
+
+    describe('API', () => {
+        const sql = "SELECT * FROM wp_users WHERE user_email = 'admin@example.com'";
+        const registry = new SiteRegistry([{ id: 'shop', name: 'Shop', db: { host: 'shop-db' } }], { createPool: () => ({}) });
+        let auth;
+        let user;
+        let app;
+
+        beforeEach(() => {
+            auth = new AuthService({ store: new MemoryAuthStore() });
+            jest.spyOn(auth, 'recordAudit');
+            user = { id: 1, username: 'alice', role: 'viewer', type: 'session' };
+            const dataSource = new MemoryDataSource({
+                slow_queries: [{ id: 1, query_text: sql, execution_time: 900, rows_examined: 10, timestamp: new Date() }]
+            });
+            app = express();
+            app.use((req, res, next) => {
+                req.user = user;
+                next();
+            });
+            app.use('/api', auditLog(auth), createApiRouter({ resolveDataSource: () => dataSource, registry }));
+        });
+
+        test('should redact slow query text by default', async () => {
+            const list = await request(app).get('/api/slow-queries').expect(200);
+            expect(list.body[0].query_text).toBe('SELECT * FROM wp_users WHERE user_email = ?');
+
+            const grouped = await request(app).get('/api/slow-queries/grouped').expect(200);
+            expect(grouped.body[0].sample_query).toBe('SELECT * FROM wp_users WHERE user_email = ?');
+        });
+
+        test('should only show raw text to admins and audit the view', async () => {
+            const denied = await request(app).get('/api/slow-queries?raw=true').expect(403);
+            expect(denied.body.error).toBe('Raw query text is only available to admins');
+
+            user = { ...user, role: 'admin' };
+            const raw = await request(app).get('/api/slow-queries?raw=true').expect(200);
+            expect(raw.body[0].query_text).toBe(sql);
+            expect(auth.recordAudit).toHaveBeenCalledWith(expect.objectContaining({
+                path: '/api/slow-queries?raw=true',
+                status: 200
+            }));
+        });
+    });
+});
@@ -0,0 +1,174 @@
+/**
+ * Tests for cached /api responses and their invalidation on new data
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { MemoryResponseCache, RedisResponseCache, ALL_SITES } = require('../src/cache');
+const { createApiRouter } = require('../src/routes/api');
+const { createIngestRouter } = require('../src/routes/ingest');
+const { createIngestToken } = require('../src/ingest');
+const { MemoryDataSource } = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+
+const SECRET = 'agency-ingest-secret-0123456789abcdef';
+
+// Enough of a node-redis client for RedisResponseCache
+class FakeRedisClient {
+    constructor() {
+        this.values = new Map();
+    }
+
+    async get(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+
+    async set(key, value, options) {
+        this.values.set(key, value);
+        this.lastSetOptions = options;
+    }
+
+    async incr(key) {
+        const value = Number(this.values.get(key) || 0) + 1;
+        this.values.set(key, String(value));
+        return value;
+    }
+}
+
+describe('Response cache', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('MemoryResponseCache', () => {
+        test('should expire entries, evict the oldest and drop a site with the fleet', async () => {
+            let now = 0;
+            const cache = new MemoryResponseCache({ maxEntries: 2, now: () => now });
+
+            await cache.set('shop', 'a', { body: '1' }, 10);
+            await cache.set(ALL_SITES, 'fleet', { body: '2' }, 10);
+            now = 9999;
+            expect(await cache.get('shop', 'a')).toEqual({ body: '1' });
+            now = 10000;
+            expect(await cache.get('shop', 'a')).toBeNull();
+
+            await cache.set('blog', 'a', { body: '3' }, 10);
+            await cache.set('shop', 'a', { body: '4' }, 10);
+            expect(await cache.get(ALL_SITES, 'fleet')).toBeNull();
+
+            await cache.invalidate('shop');
+            expect(await cache.get('shop', 'a')).toBeNull();
+            expect(await cache.get('blog', 'a')).toEqual({ body: '3' });
+        });
+    });
+
+    describe('RedisResponseCache', () => {
+        test('should invalidate by bumping the site and fleet generations', async () => {
+            const client = new FakeRedisClient();
+            const cache = new RedisResponseCache(client);
+
+            await cache.set('shop', 'GET /metrics', { body: '[]', etag: '"x"' }, 15);
+            await cache.set(ALL_SITES, 'GET /fleet', { body: '{}', etag: '"y"' }, 15);
+            expect(await cache.get('shop', 'GET /metrics')).toEqual({ body: '[]', etag: '"x"' });
+            expect(client.lastSetOptions).toEqual({ EX: 15 });
+
+            await cache.invalidate('shop');
+            expect(await cache.get('shop', 'GET /metrics')).toBeNull();
+            expect(await cache.get(ALL_SITES, 'GET /fleet')).toBeNull();
+        });
+    });
+
+    describe('cached routes', () => {
+        let dataSource;
+        let cache;
+        let app;
+
+        beforeEach(() => {
+            const registry = new SiteRegistry([
+                { id: 'agency', ingest: { secret: SECRET }, db: { host: 'dashboard-db' } }
+            ], { createPool: () => ({}) });
+            dataSource = new MemoryDataSource({
+                system_health: [{ cpu_usage: 35, memory_total: 8192, memory_used: 4096, timestamp: new Date(Date.now() - 60000) }]
+            });
+            registry.dataSources.set('agency', dataSource);
+            cache = new MemoryResponseCache();
+
+            app = express();
+            app.use(express.json());
+            app.use('/api', createApiRouter({ resolveDataSource: () => dataSource, registry, cache }));
+            app.use('/api', createIngestRouter({ registry, onIngest: site => cache.invalidate(site) }));
+        });
+
+        test('should answer repeated requests from the cache with an ETag', async () => {
+            jest.spyOn(dataSource, 'getSystemHealth');
+
+            const first = await request(app).get('/api/system-health').expect(200);
+            const second = await request(app).get('/api/system-health?timeRange=1h').expect(200);
+            await request(app).get('/api/system-health?timeRange=6h').expect(200);
+
+            expect(first.headers['x-cache']).toBe('MISS');
+            expect(second.headers['x-cache']).toBe('HIT');
+            expect(second.headers.etag).toBe(first.headers.etag);
+            expect(second.body).toEqual(first.body);
+            expect(dataSource.getSystemHealth).toHaveBeenCalledTimes(2);
+        });
+
+        test('should answer a matching If-None-Match with 304', async () => {
+            const first = await request(app).get('/api/system-health').expect(200);
+
+            const revalidated = await request(app)
+                .get('/api/system-health')
+                .set('If-None-Match', first.headers.etag)
+                .expect(304);
+
+            expect(revalidated.text).toBe('');
+            expect(revalidated.headers['cache-control']).toBe('private, no-cache');
+        });
+
+        test('should query once for concurrent requests', async () => {
+            jest.spyOn(dataSource, 'getPlugins');
+
+            await Promise.all([1, 2, 3].map(() => request(app).get('/api/plugins').expect(200)));
+
+            expect(dataSource.getPlugins).toHaveBeenCalledTimes(1);
+        });
+
+        test('should not cache failures', async () => {
+            jest.spyOn(dataSource, 'getSystemHealth').mockRejectedValueOnce(new Error('Too many connections'));
+
+            await request(app).get('/api/system-health').expect(500);
+            const retried = await request(app).get('/api/system-health').expect(200);
+
+            expect(retried.headers['x-cache']).toBe('MISS');
+        });
+
+        test('should drop the site\'s responses when rows are ingested', async () => {
+            const before = await request(app).get('/api/system-health').expect(200);
+            const token = createIngestToken({ site: 'agency', secret: SECRET, expiresAt: new Date(Date.now() + 60000) });
+
+            await request(app)
+                .post('/api/ingest')
+                .set('Authorization', `Bearer ${token}`)
+                .set('Idempotency-Key', 'batch-1')
+                .send({ system_health: [{ timestamp: Date.now() - 1000, cpu_usage: 95, memory_total: 8192, memory_used: 4096 }] })
+                .expect(200);
+            const after = await request(app).get('/api/system-health').expect(200);
+
+            expect(after.headers['x-cache']).toBe('MISS');
+            expect(after.headers.etag).not.toBe(before.headers.etag);
+            expect(after.body.cpu_usage).toBe(95);
+        });
+
+        test('should serve the route uncached when the cache fails', async () => {
+            jest.spyOn(cache, 'get').mockRejectedValue(new Error('Connection is closed'));
+
+            const response = await request(app).get('/api/system-health').expect(200);
+
+            expect(response.body.status).toBe('healthy');
+        });
+    });
+});
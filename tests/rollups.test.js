@@ -0,0 +1,391 @@
+/**
+ * Tests for metric rollups, retention and resolution-aware /api/metrics
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+    DAY_MS,
+    pickResolution,
+    retentionFromEnv,
+    aggregateBuckets,
+    MySqlRollupStore,
+    runRollups
+} = require('../src/rollups');
+const { MySqlDataSource } = require('../src/data-sources');
+const { createApiRouter } = require('../src/routes/api');
+const { SiteRegistry } = require('../src/site-registry');
+
+const at = (hours, minutes, seconds = 0) => new Date(Date.UTC(2026, 0, 1, hours, minutes, seconds));
+
+// Pool stub that keeps rollup_state in memory and serves raw performance_metrics rows
+function rollupPool(raw = []) {
+    const state = new Map();
+    const inserts = [];
+    const deletes = [];
+
+    const execute = jest.fn(async (sql, params = []) => {
+        if (sql.startsWith('SELECT rolled_until')) {
+            return [state.has(params[0]) ? [{ rolled_until: state.get(params[0]) }] : []];
+        }
+        if (sql.startsWith('SELECT MIN(timestamp)')) {
+            return [[{ first: sql.includes('performance_metrics') && raw.length ? raw[0].timestamp : null }]];
+        }
+        if (sql.startsWith('SELECT timestamp')) {
+            const rows = raw.filter(row => row.timestamp >= params[0] && row.timestamp < params[1]);
+            const offset = sql.match(/OFFSET (\d+)$/);
+            return [offset ? rows.slice(Number(offset[1]), Number(offset[1]) + 1) : rows];
+        }
+        if (sql.startsWith('INSERT INTO rollup_state')) {
+            // Only moves forward from the watermark the pass started at
+            if (!state.has(params[0]) || state.get(params[0]).getTime() === params[2].getTime()) {
+                state.set(params[0], params[1]);
+            }
+            return [{}];
+        }
+        if (sql.startsWith('UPDATE rollup_state')) {
+            if (state.has(params[1]) && state.get(params[1]) > params[2]) {
+                state.set(params[1], params[0]);
+            }
+            return [{}];
+        }
+        if (sql.startsWith('INSERT INTO')) {
+            inserts.push({ table: sql.split(' ')[2], params });
+            return [{}];
+        }
+        if (sql.startsWith('DELETE')) {
+            deletes.push({ table: sql.split(' ')[2], cutoff: params[0] });
+            return [{ affectedRows: 0 }];
+        }
+        return [[]];
+    });
+
+    return { pool: { execute }, state, inserts, deletes };
+}
+
+describe('Rollups', () => {
+    describe('pickResolution', () => {
+        test('should serve raw rows for short ranges and coarser buckets as the range grows', () => {
+            expect(pickResolution('1h')).toBe('raw');
+            expect(pickResolution('6h')).toBe('1m');
+            expect(pickResolution('24h')).toBe('1m');
+            expect(pickResolution('7d')).toBe('1h');
+            expect(pickResolution(90 * DAY_MS)).toBe('1d');
+            expect(pickResolution('unknown')).toBe('raw');
+        });
+    });
+
+    describe('retentionFromEnv', () => {
+        test('should override defaults and treat 0 as forever', () => {
+            expect(retentionFromEnv({ RETENTION_RAW_DAYS: '14', RETENTION_1H_DAYS: '0' })).toEqual({
+                raw: 14,
+                '1m': 30,
+                '1h': null,
+                '1d': null
+            });
+        });
+
+        test('should keep raw rows until raw retention is set', () => {
+            expect(retentionFromEnv({}).raw).toBeNull();
+            expect(retentionFromEnv({ RETENTION_RAW_DAYS: '' }).raw).toBeNull();
+        });
+    });
+
+    describe('aggregateBuckets', () => {
+        test('should compute avg, min, max and p95 per bucket, oldest first', () => {
+            const rows = [
+                { timestamp: at(12, 1, 5), avg_response_time: 300 },
+                ...[100, 200, 300, 400].map((value, i) => ({ timestamp: at(12, 0, i * 10), avg_response_time: value }))
+            ];
+
+            const buckets = aggregateBuckets(rows, ['avg_response_time'], 60000);
+
+            expect(buckets).toEqual([
+                {
+                    bucket_start: at(12, 0),
+                    sample_count: 4,
+                    avg_response_time_avg: 250,
+                    avg_response_time_min: 100,
+                    avg_response_time_max: 400,
+                    avg_response_time_p95: 400
+                },
+                {
+                    bucket_start: at(12, 1),
+                    sample_count: 1,
+                    avg_response_time_avg: 300,
+                    avg_response_time_min: 300,
+                    avg_response_time_max: 300,
+                    avg_response_time_p95: 300
+                }
+            ]);
+        });
+
+        test('should leave aggregates empty for columns without values', () => {
+            const [bucket] = aggregateBuckets([{ timestamp: at(12, 0), memory_usage: null }], ['memory_usage'], 60000);
+
+            expect(bucket.memory_usage_avg).toBeNull();
+            expect(bucket.memory_usage_p95).toBeNull();
+        });
+    });
+
+    describe('MySqlRollupStore', () => {
+        const raw = [at(12, 0, 10), at(12, 0, 40), at(12, 1, 20), at(12, 2, 50), at(12, 3, 10)]
+            .map((timestamp, i) => ({ timestamp, avg_response_time: 100 * (i + 1) }));
+
+        test('should roll up closed buckets only and resume from the watermark', async () => {
+            const { pool, state, inserts } = rollupPool(raw);
+            let now = at(12, 3, 30).getTime();
+            const store = new MySqlRollupStore(pool, { now: () => now });
+
+            expect(await store.rollup('performance_metrics', '1m')).toBe(3);
+            expect(inserts.map(insert => insert.params.slice(0, 2))).toEqual([[at(12, 0), 2], [at(12, 1), 1], [at(12, 2), 1]]);
+            expect(state.get('performance_metrics_1m')).toEqual(at(12, 3));
+
+            now = at(12, 4, 5).getTime();
+            expect(await store.rollup('performance_metrics', '1m')).toBe(1);
+            expect(inserts[3].params.slice(0, 2)).toEqual([at(12, 3), 1]);
+        });
+
+        test('should read at most maxRowsPerPass raw rows per pass, but always a whole bucket', async () => {
+            const { pool, state, inserts } = rollupPool(raw);
+            const store = new MySqlRollupStore(pool, { maxRowsPerPass: 2, now: () => at(12, 3, 30).getTime() });
+
+            expect(await store.rollup('performance_metrics', '1m')).toBe(1);
+            expect(inserts.map(insert => insert.params.slice(0, 2))).toEqual([[at(12, 0), 2]]);
+            expect(state.get('performance_metrics_1m')).toEqual(at(12, 1));
+
+            expect(await store.rollup('performance_metrics', '1m')).toBe(2);
+            expect(state.get('performance_metrics_1m')).toEqual(at(12, 3));
+
+            const wide = new MySqlRollupStore(rollupPool(raw).pool, { maxRowsPerPass: 1, now: () => at(12, 3, 30).getTime() });
+            expect(await wide.rollup('performance_metrics', '1m')).toBe(1);
+        });
+
+        test('should build buckets after the watermark from raw rows, newest first', async () => {
+            const { pool, state } = rollupPool(raw);
+            const store = new MySqlRollupStore(pool, { now: () => at(12, 3, 30).getTime() });
+            state.set('performance_metrics_1m', at(12, 2));
+
+            const series = await store.getSeries('performance_metrics', '1m', { since: at(12, 0), until: at(12, 3, 30) });
+
+            expect(pool.execute.mock.calls[2][1]).toEqual([at(12, 2), at(12, 3, 30)]);
+            expect(series.map(row => [row.timestamp, row.sample_count, row.avg_response_time, row.resolution])).toEqual([
+                [at(12, 3), 1, 500, '1m'],
+                [at(12, 2), 1, 400, '1m']
+            ]);
+        });
+
+        test('should not read raw rows when the range ends before the watermark', async () => {
+            const { pool, state } = rollupPool(raw);
+            const store = new MySqlRollupStore(pool, { now: () => at(12, 3, 30).getTime() });
+            state.set('performance_metrics_1m', at(12, 3));
+
+            await store.getSeries('performance_metrics', '1m', { since: at(12, 0), until: at(12, 2) });
+
+            expect(pool.execute.mock.calls.some(([sql]) => sql.startsWith('SELECT timestamp'))).toBe(false);
+        });
+
+        test('should roll up rows pushed behind the watermark again before pruning them', async () => {
+            const rows = raw.map(row => ({ ...row }));
+            const { pool, state, inserts, deletes } = rollupPool(rows);
+            const connection = {
+                beginTransaction: jest.fn(),
+                query: jest.fn(async () => {
+                    rows.splice(3, 0, { timestamp: at(12, 1, 30), avg_response_time: 900 });
+                    return [{}];
+                }),
+                commit: jest.fn(),
+                rollback: jest.fn(),
+                release: jest.fn()
+            };
+            pool.getConnection = jest.fn().mockResolvedValue(connection);
+            const store = new MySqlRollupStore(pool, { now: () => at(12, 3, 30).getTime() });
+            const source = new MySqlDataSource(pool, { rollups: store });
+            state.set('performance_metrics_1m', at(12, 3));
+            state.set('performance_metrics_1h', at(12, 0));
+            state.set('performance_metrics_1d', at(0, 0));
+
+            await source.insertBatches([{ table: 'performance_metrics', rows: [{ timestamp: at(12, 1, 30), avg_response_time: 900 }] }]);
+            expect(state.get('performance_metrics_1m')).toEqual(at(12, 1));
+            expect(state.get('performance_metrics_1h')).toEqual(at(12, 0));
+
+            await store.run();
+
+            const rebuilt = inserts.filter(insert => insert.table === 'performance_metrics_1m').map(insert => insert.params.slice(0, 3));
+            expect(rebuilt).toEqual([[at(12, 1), 2, 600], [at(12, 2), 1, 400]]);
+            expect(state.get('performance_metrics_1m')).toEqual(at(12, 3));
+            expect(deletes.filter(entry => entry.table === 'performance_metrics').every(entry => entry.cutoff <= at(12, 1))).toBe(true);
+        });
+
+        test('should only accept pushed rows whose daily buckets still have all their raw rows', () => {
+            const store = new MySqlRollupStore(rollupPool().pool, {
+                retention: { raw: 7, '1m': 30, '1h': 365, '1d': null },
+                now: () => at(12, 3, 30).getTime()
+            });
+            const forever = new MySqlRollupStore(rollupPool().pool);
+
+            expect(new Date(store.backfillCutoff())).toEqual(new Date(Date.UTC(2025, 11, 26)));
+            expect(forever.backfillCutoff()).toBeNull();
+        });
+
+        test('should do nothing for tables without raw rows', async () => {
+            const { pool, state } = rollupPool(raw);
+            const store = new MySqlRollupStore(pool, { now: () => at(12, 3, 30).getTime() });
+
+            expect(await store.rollup('system_health', '1h')).toBe(0);
+            expect(state.size).toBe(0);
+        });
+
+        test('should prune raw rows only up to the slowest rollup watermark', async () => {
+            const { pool, state, deletes } = rollupPool();
+            const now = at(12, 0).getTime();
+            const store = new MySqlRollupStore(pool, {
+                now: () => now,
+                retention: { raw: 7, '1m': 30, '1h': null, '1d': null }
+            });
+            state.set('performance_metrics_1m', at(11, 59));
+            state.set('performance_metrics_1h', new Date(now - 10 * DAY_MS));
+            state.set('performance_metrics_1d', at(0, 0));
+
+            await store.prune();
+
+            expect(deletes).toEqual([
+                { table: 'performance_metrics', cutoff: new Date(now - 10 * DAY_MS) },
+                { table: 'performance_metrics_1m', cutoff: new Date(now - 30 * DAY_MS) },
+                { table: 'system_health_1m', cutoff: new Date(now - 30 * DAY_MS) }
+            ]);
+        });
+
+        test('should create tables on the first run', async () => {
+            const { pool } = rollupPool(raw);
+            const store = new MySqlRollupStore(pool, { now: () => at(12, 3, 30).getTime() });
+
+            const result = await store.run();
+            const created = pool.execute.mock.calls
+                .map(([sql]) => sql.match(/CREATE TABLE IF NOT EXISTS (\w+)/))
+                .filter(Boolean)
+                .map(match => match[1]);
+
+            expect(created).toEqual(expect.arrayContaining(['rollup_state', 'performance_metrics_1m', 'system_health_1d']));
+            expect(result.written.performance_metrics_1m).toBe(3);
+        });
+    });
+
+    describe('runRollups', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            console.error.mockRestore();
+        });
+
+        test('should keep going when one source fails', async () => {
+            const failing = { rollups: { run: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED')) } };
+            const working = { rollups: { run: jest.fn().mockResolvedValue({}) } };
+
+            await runRollups([failing, {}, null, working]);
+
+            expect(working.rollups.run).toHaveBeenCalled();
+            expect(console.error).toHaveBeenCalledWith('Error rolling up metrics:', expect.any(Error));
+        });
+    });
+
+    describe('MySqlDataSource.getMetrics', () => {
+        const rawRows = [{ id: 1, avg_response_time: 120 }];
+        const bucketRow = {
+            bucket_start: at(12, 0),
+            sample_count: 60,
+            avg_response_time_avg: 150,
+            avg_response_time_min: 90,
+            avg_response_time_max: 900,
+            avg_response_time_p95: 610
+        };
+
+        function createSource(rollupRows) {
+            const pool = {
+                execute: jest.fn(async (sql) => {
+                    if (sql.startsWith('SELECT rolled_until')) return [[]];
+                    return sql.includes('_1h') || sql.includes('_1m') ? rollupRows() : [rawRows];
+                })
+            };
+            const source = new MySqlDataSource(pool, { rollups: new MySqlRollupStore(pool) });
+            return { pool, source };
+        }
+
+        test('should serve long ranges from the matching rollup table', async () => {
+            const { pool, source } = createSource(() => [[bucketRow]]);
+
+            const [row] = await source.getMetrics({ timeRange: '7d' });
+
+            expect(pool.execute.mock.calls[0][0]).toContain('FROM performance_metrics_1h');
+            expect(row).toMatchObject({
+                timestamp: at(12, 0),
+                resolution: '1h',
+                sample_count: 60,
+                avg_response_time: 150,
+                avg_response_time_p95: 610
+            });
+        });
+
+        test('should use raw rows for short ranges and when asked for raw', async () => {
+            const { pool, source } = createSource(() => [[bucketRow]]);
+
+            expect(await source.getMetrics({ timeRange: '1h' })).toEqual(rawRows);
+            expect(await source.getMetrics({ timeRange: '7d', resolution: 'raw' })).toEqual(rawRows);
+            expect(pool.execute.mock.calls.every(([sql]) => sql.includes('FROM performance_metrics '))).toBe(true);
+            expect(pool.execute.mock.calls[0][1]).toEqual([50]);
+        });
+
+        test('should serve metric values from rollups when asked for a resolution', async () => {
+            const { pool, source } = createSource(() => [[bucketRow]]);
+            const metric = { table: 'performance_metrics', column: 'avg_response_time' };
+
+            const values = await source.getMetricValues(metric, { since: at(0, 0), until: at(12, 30), resolution: '1h' });
+
+            expect(pool.execute.mock.calls[0][0]).toContain('FROM performance_metrics_1h');
+            expect(values).toEqual([{ value: 150, timestamp: at(12, 0) }]);
+
+            await source.getMetricValues(metric, { since: at(0, 0), until: at(12, 30) });
+            expect(pool.execute.mock.calls[pool.execute.mock.calls.length - 1][0]).toContain('AS value, timestamp FROM performance_metrics WHERE');
+        });
+
+        test('should fall back to raw rows before rollups exist', async () => {
+            const missing = createSource(() => {
+                throw Object.assign(new Error("Table 'performance_metrics_1m' doesn't exist"), { code: 'ER_NO_SUCH_TABLE' });
+            });
+            const empty = createSource(() => [[]]);
+
+            expect(await missing.source.getMetrics({ timeRange: '24h' })).toEqual(rawRows);
+            expect(await empty.source.getMetrics({ timeRange: '24h' })).toEqual(rawRows);
+        });
+    });
+
+    describe('GET /api/metrics', () => {
+        test('should pass the resolution through and reject unknown ones', async () => {
+            const dataSource = { getMetrics: jest.fn().mockResolvedValue([]) };
+            const registry = new SiteRegistry([{ id: 'shop', db: {} }], { createPool: () => ({}) });
+            const app = express();
+            app.use('/api', createApiRouter({ resolveDataSource: () => dataSource, registry }));
+
+            await request(app).get('/api/metrics?timeRange=7d&resolution=1d').expect(200);
+            expect(dataSource.getMetrics).toHaveBeenCalledWith({ timeRange: '7d', limit: undefined, resolution: '1d' });
+
+            const response = await request(app).get('/api/metrics?resolution=5m').expect(400);
+            expect(response.body.details).toEqual([{ field: 'resolution', message: 'resolution must be one of: raw, 1m, 1h, 1d' }]);
+        });
+
+        test('should bucket raw rows for short ranges and rollups for longer ones', async () => {
+            const dataSource = { getMetrics: jest.fn().mockResolvedValue([]) };
+            const registry = new SiteRegistry([{ id: 'shop', db: {} }], { createPool: () => ({}) });
+            const app = express();
+            app.use('/api', createApiRouter({ resolveDataSource: () => dataSource, registry }));
+
+            await request(app).get('/api/metrics?timeRange=1h&bucket=1m').expect(200);
+            await request(app).get('/api/metrics?timeRange=24h&bucket=15m').expect(200);
+            await request(app).get('/api/metrics?timeRange=7d&bucket=1h').expect(200);
+
+            expect(dataSource.getMetrics.mock.calls.map(([options]) => options.resolution)).toEqual(['raw', '1m', '1h']);
+        });
+    });
+});
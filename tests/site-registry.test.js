@@ -0,0 +1,178 @@
+/**
+ * Tests for multi-site monitoring: the site registry and per-site socket rooms
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SiteRegistry, DEFAULT_SITE_ID } = require('../src/site-registry');
+const { siteRoom, attachSiteRooms, broadcastRealtimeMetrics } = require('../src/realtime');
+const { MemoryDataSource } = require('../src/data-sources');
+
+describe('Multi-site Monitoring', () => {
+    describe('SiteRegistry', () => {
+        test('should build a single MySQL site from DB_* variables', () => {
+            const createPool = jest.fn(() => ({ end: jest.fn() }));
+            const registry = SiteRegistry.fromEnv({ DB_HOST: 'db.internal', DB_NAME: 'wp' }, { createPool });
+
+            expect(registry.defaultSiteId).toBe(DEFAULT_SITE_ID);
+            expect(registry.listSites()).toEqual([
+                { id: 'default', name: 'WordPress', type: 'mysql', default: true }
+            ]);
+
+            registry.getDataSource();
+            expect(createPool).toHaveBeenCalledWith(expect.objectContaining({
+                host: 'db.internal',
+                database: 'wp',
+                connectionLimit: 10
+            }));
+        });
+
+        test('should build a WP API site when WP_API_URL is set', () => {
+            const registry = SiteRegistry.fromEnv({ WP_API_URL: 'https://wp.example.com' });
+
+            expect(registry.listSites()[0].type).toBe('wp-api');
+            expect(registry.getPool()).toBeNull();
+        });
+
+        test('should load sites and the default site from a JSON file', () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sites-'));
+            const file = path.join(dir, 'sites.json');
+            fs.writeFileSync(file, JSON.stringify({
+                defaultSite: 'blog',
+                sites: [
+                    { id: 'shop', db: { host: 'shop-db' } },
+                    { id: 'blog', name: 'Blog', wpApi: { baseUrl: 'https://blog.example.com' } }
+                ]
+            }));
+
+            try {
+                const registry = SiteRegistry.fromFile(file);
+
+                expect(registry.defaultSiteId).toBe('blog');
+                expect(registry.listSites().map(site => site.name)).toEqual(['shop', 'Blog']);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        test('should reject invalid site definitions', () => {
+            expect(() => new SiteRegistry([])).toThrow('at least one site');
+            expect(() => new SiteRegistry([{ id: 'a' }])).toThrow('needs either db or wpApi');
+            expect(() => new SiteRegistry([
+                { id: 'a', db: {} },
+                { id: 'a', db: {} }
+            ])).toThrow('Duplicate site id: a');
+            expect(() => new SiteRegistry([{ id: 'a', db: {} }], { defaultSiteId: 'b' }))
+                .toThrow('Default site not registered: b');
+        });
+
+        test('should create one pool per site and close them all', async () => {
+            const pools = [];
+            const createPool = jest.fn(() => {
+                const pool = { end: jest.fn().mockResolvedValue() };
+                pools.push(pool);
+                return pool;
+            });
+            const registry = new SiteRegistry([
+                { id: 'a', db: { host: 'a' } },
+                { id: 'b', db: { host: 'b' } }
+            ], { createPool });
+
+            registry.getDataSource('a');
+            registry.getDataSource('a');
+            registry.getDataSource('b');
+            await registry.close();
+
+            expect(createPool).toHaveBeenCalledTimes(2);
+            pools.forEach(pool => expect(pool.end).toHaveBeenCalled());
+        });
+    });
+
+    describe('Site rooms', () => {
+        function createRegistry() {
+            return new SiteRegistry([
+                { id: 'shop', db: {} },
+                { id: 'blog', db: {} }
+            ], { createPool: () => ({}) });
+        }
+
+        function createFakeSocket() {
+            const handlers = {};
+            return {
+                id: 'socket-1',
+                data: {},
+                rooms: new Set(),
+                on: jest.fn((event, handler) => { handlers[event] = handler; }),
+                emit: jest.fn(),
+                join(room) { this.rooms.add(room); },
+                leave(room) { this.rooms.delete(room); },
+                trigger(event, payload) { handlers[event](payload); }
+            };
+        }
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should join the default site room and switch on subscribe-site', () => {
+            let onConnection;
+            const io = { on: jest.fn((event, handler) => { onConnection = handler; }) };
+            const socket = createFakeSocket();
+
+            attachSiteRooms(io, createRegistry());
+            onConnection(socket);
+            expect([...socket.rooms]).toEqual([siteRoom('shop')]);
+
+            socket.trigger('subscribe-site', 'blog');
+            expect([...socket.rooms]).toEqual([siteRoom('blog')]);
+            expect(socket.emit).toHaveBeenCalledWith('site-subscribed', { site: 'blog' });
+
+            socket.trigger('subscribe-site', 'missing');
+            expect([...socket.rooms]).toEqual([siteRoom('blog')]);
+            expect(socket.emit).toHaveBeenCalledWith('site-error', { error: 'Unknown site: missing' });
+        });
+
+        test('should broadcast each site only to rooms with event streams', async () => {
+            const emitted = [];
+            const io = {
+                sockets: { adapter: { rooms: new Map([[siteRoom('shop'), new Set(['socket-1'])]]) } },
+                to: jest.fn((room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }))
+            };
+            const sources = {
+                shop: new MemoryDataSource({ performance_metrics: [{ queries_per_second: 1, timestamp: new Date() }] }),
+                blog: new MemoryDataSource({ performance_metrics: [{ queries_per_second: 2, timestamp: new Date() }] })
+            };
+            jest.spyOn(sources.shop, 'getLatestSample');
+            const streams = { has: room => room === siteRoom('blog') };
+
+            await broadcastRealtimeMetrics(io, createRegistry(), (req) => sources[req.query.site], { streams });
+
+            // Sockets read samples from the realtime channel, so a room with only sockets is not polled
+            expect(sources.shop.getLatestSample).not.toHaveBeenCalled();
+            expect(emitted).toHaveLength(1);
+            expect(emitted[0]).toMatchObject({
+                room: siteRoom('blog'),
+                event: 'real-time-metrics',
+                payload: { queries_per_second: 2, site: 'blog' }
+            });
+        });
+
+        test('should keep broadcasting when one site fails', async () => {
+            const emitted = [];
+            const io = { to: (room) => ({ emit: (event, payload) => emitted.push({ room, payload }) }) };
+            const streams = { has: () => true };
+            const failing = { getLatestSample: jest.fn().mockRejectedValue(new Error('down')) };
+            const healthy = new MemoryDataSource({ performance_metrics: [{ queries_per_second: 5, timestamp: new Date() }] });
+
+            await broadcastRealtimeMetrics(io, createRegistry(), (req) => (req.query.site === 'shop' ? failing : healthy), { streams });
+
+            expect(emitted.map(e => e.room)).toEqual([siteRoom('blog')]);
+        });
+    });
+});
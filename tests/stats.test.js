@@ -0,0 +1,23 @@
+/**
+ * Tests for the shared percentile and rounding helpers
+ */
+
+const { percentile, round } = require('../src/stats');
+
+describe('Stats', () => {
+    test('should take the nearest-rank percentile and give null for no values', () => {
+        const values = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+        expect(percentile(values, 95)).toBe(100);
+        expect(percentile(values, 50)).toBe(50);
+        expect(percentile(values, 0)).toBe(10);
+        expect(percentile([7], 95)).toBe(7);
+        expect(percentile([], 95)).toBeNull();
+    });
+
+    test('should round to two decimals', () => {
+        expect(round(33.3333)).toBe(33.33);
+        expect(round(2.005 * 100)).toBe(200.5);
+        expect(round(-1.236)).toBe(-1.24);
+    });
+});
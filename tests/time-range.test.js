@@ -0,0 +1,192 @@
+/**
+ * Tests for absolute and preset time ranges and bucketed /api/metrics series
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+    getTimeRangeBounds,
+    getTimeRangeCondition,
+    parseTimeRangeQuery
+} = require('../src/time-range');
+const { parseBucket, validateBucket, bucketSeries } = require('../src/series');
+const { resolutionForBucket } = require('../src/rollups');
+const { createApiRouter } = require('../src/routes/api');
+const { MemoryDataSource, MySqlDataSource } = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+
+const MINUTE = 60 * 1000;
+const at = (hours, minutes, seconds = 0) => new Date(Date.UTC(2026, 0, 1, hours, minutes, seconds));
+
+describe('Time ranges', () => {
+    describe('parseTimeRangeQuery', () => {
+        const now = at(12, 0).getTime();
+
+        test('should accept presets including 30d and 90d and default to 1h', () => {
+            expect(parseTimeRangeQuery({}, now)).toEqual({ timeRange: '1h', errors: [] });
+            expect(parseTimeRangeQuery({ timeRange: '30d' }, now).timeRange).toBe('30d');
+            expect(parseTimeRangeQuery({ timeRange: '90d' }, now).timeRange).toBe('90d');
+        });
+
+        test('should reject unknown presets instead of dropping the filter', () => {
+            const { timeRange, errors } = parseTimeRangeQuery({ timeRange: '2y' }, now);
+
+            expect(timeRange).toBeNull();
+            expect(errors).toEqual([{ field: 'timeRange', message: 'timeRange must be one of: 1h, 6h, 24h, 7d, 30d, 90d' }]);
+        });
+
+        test('should parse absolute ranges, with to defaulting to now', () => {
+            expect(parseTimeRangeQuery({ from: '2026-01-01T10:00:00Z', to: '2026-01-01T11:30:00Z' }, now).timeRange)
+                .toEqual({ from: at(10, 0), to: at(11, 30) });
+            expect(parseTimeRangeQuery({ from: '2026-01-01T10:00:00Z' }, now).timeRange)
+                .toEqual({ from: at(10, 0), to: at(12, 0) });
+        });
+
+        test('should reject malformed and inverted absolute ranges', () => {
+            expect(parseTimeRangeQuery({ from: 'yesterday', to: '2026-01-01' }, now).errors)
+                .toEqual([{ field: 'from', message: 'from must be an ISO 8601 timestamp' }]);
+            expect(parseTimeRangeQuery({ to: '2026-01-01T10:00:00Z' }, now).errors.map(e => e.field)).toEqual(['from']);
+            expect(parseTimeRangeQuery({ from: '2026-01-01T11:00:00Z', to: '2026-01-01T10:00:00Z' }, now).errors)
+                .toEqual([{ field: 'from', message: 'from must be before to' }]);
+        });
+    });
+
+    describe('getTimeRangeBounds', () => {
+        test('should end presets now', () => {
+            expect(getTimeRangeBounds('1h', at(12, 0).getTime())).toEqual({ from: at(11, 0).getTime(), to: at(12, 0).getTime() });
+            expect(getTimeRangeBounds('forever')).toBeNull();
+        });
+    });
+
+    describe('getTimeRangeCondition', () => {
+        test('should use the database clock for presets and bind absolute ranges', () => {
+            expect(getTimeRangeCondition('30d')).toEqual({ sql: 'timestamp > DATE_SUB(NOW(), INTERVAL 30 DAY)', params: [] });
+            expect(getTimeRangeCondition({ from: at(10, 0), to: at(11, 0) })).toEqual({
+                sql: 'timestamp >= ? AND timestamp <= ?',
+                params: [at(10, 0), at(11, 0)]
+            });
+            expect(getTimeRangeCondition('forever')).toBeNull();
+        });
+
+        test('should bind absolute ranges in MySQL queries', async () => {
+            const pool = { execute: jest.fn().mockResolvedValue([[]]) };
+            await new MySqlDataSource(pool).getSlowQueries({ timeRange: { from: at(10, 0), to: at(11, 0) }, limit: 20 });
+
+            expect(pool.execute.mock.calls[0][0]).toContain('WHERE timestamp >= ? AND timestamp <= ?');
+            expect(pool.execute.mock.calls[0][1]).toEqual([at(10, 0), at(11, 0), 20]);
+        });
+    });
+
+    describe('bucketSeries', () => {
+        test('should parse bucket widths and pick the coarsest rollup that divides them', () => {
+            expect(parseBucket('30s')).toBe(30000);
+            expect(parseBucket('5m')).toBe(5 * MINUTE);
+            expect(parseBucket('5s')).toBeNull();
+            expect(parseBucket('1w')).toBeNull();
+            expect(resolutionForBucket(30000)).toBe('raw');
+            expect(resolutionForBucket(15 * MINUTE)).toBe('1m');
+            expect(resolutionForBucket(6 * 60 * MINUTE)).toBe('1h');
+            expect(resolutionForBucket(MINUTE, 60 * MINUTE)).toBe('raw');
+            expect(resolutionForBucket(MINUTE, 24 * 60 * MINUTE)).toBe('1m');
+        });
+
+        test('should limit the number of buckets per range', () => {
+            const bounds = { from: at(0, 0).getTime(), to: at(12, 0).getTime() };
+
+            expect(validateBucket('1m', bounds)).toEqual([]);
+            expect(validateBucket('10s', bounds)[0].message).toBe('bucket 10s gives 4320 points for this range; the maximum is 2000');
+        });
+
+        test('should return evenly spaced buckets with gaps as nulls, newest first', () => {
+            const rows = [
+                { timestamp: at(12, 0, 10), avg_response_time: 100 },
+                { timestamp: at(12, 0, 50), avg_response_time: 300 },
+                { timestamp: at(12, 3, 0), avg_response_time: 500 }
+            ];
+
+            const series = bucketSeries(rows, ['avg_response_time'], {
+                from: at(12, 0, 5).getTime(),
+                to: at(12, 4).getTime(),
+                bucketMs: MINUTE
+            });
+
+            expect(series).toEqual([
+                { timestamp: at(12, 3), sample_count: 1, avg_response_time: 500 },
+                { timestamp: at(12, 2), sample_count: 0, avg_response_time: null },
+                { timestamp: at(12, 1), sample_count: 0, avg_response_time: null },
+                { timestamp: at(12, 0), sample_count: 2, avg_response_time: 200 }
+            ]);
+        });
+
+        test('should weight rollup rows by their sample count', () => {
+            const rows = [
+                { timestamp: at(12, 0), sample_count: 3, avg_response_time: 100 },
+                { timestamp: at(12, 1), sample_count: 1, avg_response_time: 500 }
+            ];
+
+            const [point] = bucketSeries(rows, ['avg_response_time'], {
+                from: at(12, 0).getTime(),
+                to: at(12, 5).getTime(),
+                bucketMs: 5 * MINUTE
+            });
+
+            expect(point).toEqual({ timestamp: at(12, 0), sample_count: 4, avg_response_time: 200 });
+        });
+    });
+
+    describe('API', () => {
+        const now = Date.now();
+        let dataSource;
+        let app;
+
+        beforeEach(() => {
+            dataSource = new MemoryDataSource({
+                performance_metrics: [
+                    { timestamp: new Date(now - 50 * MINUTE), avg_response_time: 100 },
+                    { timestamp: new Date(now - 20 * MINUTE), avg_response_time: 300 },
+                    { timestamp: new Date(now - 10 * 24 * 60 * MINUTE), avg_response_time: 900 }
+                ],
+                slow_queries: [{ timestamp: new Date(now - 20 * 24 * 60 * MINUTE), execution_time: 4 }]
+            }, { now: () => now });
+            const registry = new SiteRegistry([{ id: 'shop', db: {} }], { createPool: () => ({}) });
+            app = express();
+            app.use('/api', createApiRouter({ resolveDataSource: () => dataSource, registry }));
+        });
+
+        test('should reject unsupported time ranges on every data route', async () => {
+            for (const path of ['/api/metrics', '/api/slow-queries', '/api/plugins', '/api/system-health', '/api/fleet']) {
+                const response = await request(app).get(`${path}?timeRange=2y`).expect(400);
+                expect(response.body.error).toBe('Invalid request parameters');
+            }
+        });
+
+        test('should filter by absolute from/to ranges and the longer presets', async () => {
+            const from = new Date(now - 11 * 24 * 60 * MINUTE).toISOString();
+            const to = new Date(now - 9 * 24 * 60 * MINUTE).toISOString();
+
+            const absolute = await request(app).get(`/api/metrics?from=${from}&to=${to}`).expect(200);
+            expect(absolute.body.map(row => row.avg_response_time)).toEqual([900]);
+
+            await request(app).get('/api/slow-queries?timeRange=7d').expect(200, []);
+            const month = await request(app).get('/api/slow-queries?timeRange=30d').expect(200);
+            expect(month.body).toHaveLength(1);
+        });
+
+        test('should return a gap-filled series for a bucket', async () => {
+            const response = await request(app).get('/api/metrics?timeRange=1h&bucket=10m').expect(200);
+            const values = response.body.map(point => point.avg_response_time);
+
+            expect(response.body.length).toBeGreaterThanOrEqual(6);
+            expect(values.filter(value => value !== null).sort()).toEqual([100, 300]);
+            expect(new Date(response.body[0].timestamp) - new Date(response.body[1].timestamp)).toBe(10 * MINUTE);
+        });
+
+        test('should reject buckets that are malformed or too fine for the range', async () => {
+            const response = await request(app).get('/api/metrics?timeRange=90d&bucket=1m').expect(400);
+
+            expect(response.body.error).toBe('Invalid request parameters');
+            expect(response.body.details[0].field).toBe('bucket');
+            await request(app).get('/api/metrics?bucket=soon').expect(400);
+        });
+    });
+});
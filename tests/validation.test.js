@@ -0,0 +1,145 @@
+/**
+ * Tests for the declared /api route parameters and the validateRequest middleware
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const { parseParams, API_ROUTES, findRoute, renderApiReference } = require('../src/validation');
+const { createApiRouter } = require('../src/routes/api');
+const { createAlertsRouter } = require('../src/routes/alerts');
+const { createAnnotationsRouter } = require('../src/routes/annotations');
+const { createAuthRouter } = require('../src/routes/auth');
+const { createIngestRouter } = require('../src/routes/ingest');
+const { createOpenApiRouter } = require('../src/routes/openapi');
+const { createStreamRouter } = require('../src/routes/stream');
+const { MemoryAlertStore } = require('../src/alerts');
+const { MemoryDataSource } = require('../src/data-sources');
+const { SiteRegistry } = require('../src/site-registry');
+
+describe('Request validation', () => {
+    const registry = new SiteRegistry([{ id: 'shop', db: { host: 'shop-db' } }], { createPool: () => ({}) });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('parseParams', () => {
+        const params = [
+            { name: 'limit', in: 'query', type: 'integer', min: 1, max: 100, default: 20 },
+            { name: 'includeInactive', in: 'query', type: 'boolean', default: false },
+            { name: 'threshold', in: 'query', type: 'number', exclusiveMin: 0 },
+            { name: 'id', in: 'path', type: 'integer', min: 1, required: true }
+        ];
+
+        test('should convert values and apply defaults', () => {
+            expect(parseParams(params, { query: { threshold: '2.5' }, path: { id: '7' } })).toEqual({
+                values: { limit: 20, includeInactive: false, threshold: 2.5, id: 7 },
+                errors: []
+            });
+        });
+
+        test('should list every invalid field', () => {
+            const { errors } = parseParams(params, {
+                query: { limit: '1000000', includeInactive: 'yes', threshold: ['1', '2'] },
+                path: {}
+            });
+
+            expect(errors).toEqual([
+                { field: 'limit', message: 'limit must be a whole number from 1 to 100' },
+                { field: 'includeInactive', message: 'includeInactive must be true or false' },
+                { field: 'threshold', message: 'threshold must be given once' },
+                { field: 'id', message: 'id is required' }
+            ]);
+            expect(parseParams(params, { query: { limit: 'abc', threshold: '0' }, path: { id: '1' } }).errors.map(e => e.field))
+                .toEqual(['limit', 'threshold']);
+        });
+    });
+
+    describe('API routes', () => {
+        let dataSource;
+        let app;
+
+        beforeEach(() => {
+            dataSource = new MemoryDataSource();
+            app = express();
+            app.use('/api', createApiRouter({ resolveDataSource: () => dataSource, registry }));
+        });
+
+        test('should refuse unbounded and malformed limits before they reach the data source', async () => {
+            jest.spyOn(dataSource, 'getSlowQueries');
+
+            const response = await request(app).get('/api/slow-queries?limit=1000000&timeRange=forever').expect(400);
+            await request(app).get('/api/plugins?limit=abc').expect(400);
+            await request(app).get('/api/plugins?includeInactive=yes').expect(400);
+
+            expect(response.body).toEqual({
+                error: 'Invalid request parameters',
+                details: [
+                    { field: 'timeRange', message: 'timeRange must be one of: 1h, 6h, 24h, 7d, 30d, 90d' },
+                    { field: 'limit', message: 'limit must be a whole number from 1 to 1000' }
+                ]
+            });
+            expect(dataSource.getSlowQueries).not.toHaveBeenCalled();
+        });
+
+        test('should pass typed values and defaults to the data source', async () => {
+            jest.spyOn(dataSource, 'getPlugins');
+            jest.spyOn(dataSource, 'getSlowQueries');
+
+            await request(app).get('/api/plugins?includeInactive=true&limit=5').expect(200);
+            await request(app).get('/api/slow-queries').expect(200);
+
+            expect(dataSource.getPlugins).toHaveBeenCalledWith({ timeRange: '1h', limit: 5, includeInactive: true });
+            expect(dataSource.getSlowQueries).toHaveBeenCalledWith({ timeRange: '1h', limit: 20 });
+        });
+
+        test('should answer invalid ids with a 400 instead of looking them up', async () => {
+            const response = await request(app).get('/api/slow-queries/abc/explain').expect(400);
+
+            expect(response.body.details).toEqual([{ field: 'id', message: 'id must be a whole number of at least 1' }]);
+        });
+    });
+
+    describe('API_ROUTES', () => {
+        function routesOf(router) {
+            return router.stack
+                .filter(layer => layer.route)
+                .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`));
+        }
+
+        const routers = [
+            createApiRouter({ resolveDataSource: () => null, registry }),
+            createAlertsRouter({ store: new MemoryAlertStore(), engine: {}, registry }),
+            createAnnotationsRouter({ store: {}, registry }),
+            createAuthRouter({ auth: {} }),
+            createIngestRouter({ registry }),
+            createOpenApiRouter(),
+            createStreamRouter({ streams: {}, registry })
+        ];
+
+        test('should declare every route the routers serve, and nothing else', () => {
+            const served = routers.flatMap(routesOf);
+            const undeclared = served.filter(route => !findRoute(...route.split(' ')));
+            // Demo routes are served by server.js itself
+            const unserved = API_ROUTES
+                .map(route => `${route.method} ${route.path}`)
+                .filter(route => !served.includes(route) && !/demo-/.test(route));
+
+            expect(undeclared).toEqual([]);
+            expect(unserved).toEqual([]);
+        });
+
+        test('should match the generated docs/api.md', () => {
+            const docs = fs.readFileSync(path.join(__dirname, '..', 'docs', 'api.md'), 'utf8');
+
+            expect(docs).toBe(renderApiReference(API_ROUTES));
+            expect(docs).toContain('| `limit` | query | integer 1–1000 | `20` | Most rows to return |');
+        });
+    });
+});